@@ -1,7 +1,7 @@
 
 const { performance } = require('perf_hooks');
 
-// Mock implementation of listFiles from utils/storageOperations.js
+// Mock implementation of listFiles from utils/storageOperations.mjs
 async function listFiles(supabase, bucketName, folderPath = '', limit = 1000) {
   try {
     const allFiles = [];
@@ -0,0 +1,279 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import Toast from './Toast';
+
+const ACTIONS = [
+  'upload_file',
+  'finalize_upload',
+  'create_upload_intent',
+  'create_upload_session',
+  'abort_upload_session',
+  'delete_file',
+  'bulk_delete',
+  'bulk_download',
+  'move_file',
+  'rename_file',
+  'create_folder',
+  'delete_folder',
+  'issue_signed_url',
+  'update_settings',
+  'test_connection',
+  'create_bucket',
+  'update_bucket',
+  'delete_bucket',
+  'create_webhook_subscription',
+  'update_webhook_subscription',
+  'delete_webhook_subscription',
+  'replay_webhook',
+  'export_audit',
+  'login',
+  'logout',
+  'register',
+];
+
+const STATUS_BADGES = {
+  success: { emoji: '✅', className: 'bg-green-500/20 text-green-400' },
+  partial: { emoji: '⚠️', className: 'bg-yellow-500/20 text-yellow-400' },
+  denied: { emoji: '🚫', className: 'bg-orange-500/20 text-orange-400' },
+  error: { emoji: '❌', className: 'bg-red-500/20 text-red-400' },
+  aborted: { emoji: '⏹️', className: 'bg-dark-border text-dark-textMuted' },
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// The API's `to` is exclusive; the date picker's end date should include the whole day
+const dayAfter = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+};
+
+export default function AuditTab() {
+  const { authFetch } = useAuth();
+  const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [action, setAction] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedSeq, setExpandedSeq] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [notification, setNotification] = useState(null);
+
+  const buildFilters = useCallback(() => {
+    const params = new URLSearchParams();
+    if (action) params.set('action', action);
+    if (fromDate) params.set('from', fromDate);
+    if (toDate) params.set('to', dayAfter(toDate));
+    return params;
+  }, [action, fromDate, toDate]);
+
+  const loadEvents = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = buildFilters();
+      params.set('limit', '100');
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await authFetch(`/api/audit?${params}`);
+      const data = await response.json();
+      if (!data.success) {
+        setError(response.status === 403 ? 'The audit log is only visible to operators and admins.' : data.error);
+        return;
+      }
+
+      setEvents(prev => (cursor ? [...prev, ...data.events] : data.events));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Error loading audit events:', err);
+      setError('Failed to load audit events');
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, buildFilters]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const verifyChain = async () => {
+    setVerifying(true);
+    try {
+      const response = await authFetch('/api/audit/verify');
+      const data = await response.json();
+      if (!data.success) {
+        setNotification({ message: data.error || 'Verification failed', type: 'error' });
+        return;
+      }
+      setVerification(data);
+    } catch (err) {
+      setNotification({ message: 'Verification failed', type: 'error' });
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const exportEvents = async (format) => {
+    setExporting(true);
+    try {
+      const params = buildFilters();
+      params.set('format', format);
+      const response = await authFetch(`/api/audit/export?${params}`);
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Export failed');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setNotification({ message: `Export failed: ${err.message}`, type: 'error' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const inputClassName = 'px-3 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-text text-sm focus:outline-none focus:border-dark-accent/50';
+  const buttonClassName = 'px-3 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-text hover:bg-dark-surfaceHover hover:border-dark-accent/50 transition-all text-sm disabled:opacity-50 flex items-center gap-1.5';
+
+  return (
+    <div className="space-y-4 animate-fade-in flex flex-col h-full">
+      {notification && (
+        <Toast
+          message={notification.message}
+          type={notification.type}
+          onClose={() => setNotification(null)}
+        />
+      )}
+
+      {/* Filters and Actions */}
+      <div className="flex flex-col lg:flex-row gap-3 lg:items-center justify-between">
+        <div className="flex items-center gap-2 flex-wrap">
+          <select value={action} onChange={(e) => setAction(e.target.value)} className={inputClassName}>
+            <option value="">All actions</option>
+            {ACTIONS.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={inputClassName} aria-label="From date" />
+          <span className="text-dark-textMuted text-sm">to</span>
+          <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className={inputClassName} aria-label="To date" />
+        </div>
+
+        <div className="flex items-center gap-2 flex-wrap">
+          <button onClick={() => loadEvents()} disabled={loading} className={buttonClassName}>
+            <span className={loading ? 'animate-spin' : ''}>🔄</span>
+            <span className="hidden sm:inline">Refresh</span>
+          </button>
+          <button onClick={verifyChain} disabled={verifying} className={buttonClassName}>
+            🔗 <span>{verifying ? 'Verifying...' : 'Verify chain'}</span>
+          </button>
+          <button onClick={() => exportEvents('csv')} disabled={exporting} className={buttonClassName}>
+            📥 <span>CSV</span>
+          </button>
+          <button onClick={() => exportEvents('ndjson')} disabled={exporting} className={buttonClassName}>
+            📥 <span>NDJSON</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Chain Verification Result */}
+      {verification && (
+        <div className={`px-4 py-3 rounded-lg border text-sm ${verification.valid ? 'bg-green-500/10 border-green-500/30 text-green-400' : 'bg-red-500/10 border-red-500/30 text-red-400'}`}>
+          {verification.valid ? (
+            <span>✅ Hash chain intact: {verification.checked} records verified</span>
+          ) : (
+            <span>
+              ❌ Hash chain broken at record #{verification.brokenLink.seq} ({verification.brokenLink.reason}): {verification.brokenLink.message}
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Audit Events */}
+      <div className="bg-dark-bg border border-dark-border rounded-xl overflow-hidden flex-1 flex flex-col min-h-0">
+        <div className="bg-dark-surface/50 px-4 py-2 border-b border-dark-border flex items-center gap-2 text-sm text-dark-textMuted flex-shrink-0">
+          <span>🛡️</span>
+          <span>Audit Events</span>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 text-sm">
+          {error ? (
+            <div className="text-center py-20">
+              <div className="text-6xl mb-4 opacity-30">🔒</div>
+              <p className="text-dark-textMuted">{error}</p>
+            </div>
+          ) : loading && events.length === 0 ? (
+            <div className="text-center py-20">
+              <div className="inline-block animate-spin text-4xl mb-4">⏳</div>
+              <p className="text-dark-textMuted">Loading audit events...</p>
+            </div>
+          ) : events.length === 0 ? (
+            <div className="text-center py-20">
+              <div className="text-6xl mb-4 opacity-30">🛡️</div>
+              <p className="text-dark-textMuted text-lg">No audit events</p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {events.map(event => {
+                const badge = STATUS_BADGES[event.status] || STATUS_BADGES.success;
+                const expanded = expandedSeq === event.seq;
+                const target = [event.bucket, event.path].filter(Boolean).join(':');
+                return (
+                  <div key={event.seq} className="border border-dark-border rounded-lg bg-dark-surface/30">
+                    <button
+                      onClick={() => setExpandedSeq(expanded ? null : event.seq)}
+                      className="w-full px-3 py-2 flex flex-col sm:flex-row sm:items-center gap-2 text-left"
+                    >
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${badge.className}`}>
+                        {badge.emoji} {event.status || 'success'}
+                      </span>
+                      <span className="font-mono text-dark-text">{event.action}</span>
+                      <span className="text-dark-textMuted truncate flex-1">{target}</span>
+                      <span className="text-dark-textMuted text-xs whitespace-nowrap">
+                        {event.actorEmail || event.actorUserId || 'anonymous'} · {formatTime(event.timestamp)}
+                      </span>
+                    </button>
+
+                    {expanded && (
+                      <div className="px-3 pb-3 border-t border-dark-border pt-2">
+                        {event.error && (
+                          <p className="text-red-400 text-xs mb-2">Error: {event.error}</p>
+                        )}
+                        <pre className="font-mono text-xs text-dark-textMuted whitespace-pre-wrap break-all">
+                          {JSON.stringify(event, null, 2)}
+                        </pre>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+
+              {nextCursor && (
+                <button
+                  onClick={() => loadEvents(nextCursor)}
+                  disabled={loading}
+                  className="w-full mt-2 px-4 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-textMuted hover:text-dark-text hover:border-dark-accent/50 transition-all text-sm disabled:opacity-50"
+                >
+                  {loading ? 'Loading...' : 'Load more'}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
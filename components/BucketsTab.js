@@ -0,0 +1,284 @@
+/**
+ * Buckets Tab
+ * Lists the project's buckets; admins can create, edit and delete them
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { formatDate, formatFileSize } from '../utils/clientHelpers';
+import ConfirmModal from './ConfirmModal';
+import Toast from './Toast';
+import { useAuth } from '../contexts/AuthContext';
+
+const MB = 1024 * 1024;
+const EMPTY_FORM = { name: '', public: false, fileSizeLimitMb: '', allowedMimeTypes: '' };
+
+const toForm = (bucket) => ({
+  name: bucket.name,
+  public: bucket.public,
+  fileSizeLimitMb: bucket.fileSizeLimit ? String(bucket.fileSizeLimit / MB) : '',
+  allowedMimeTypes: (bucket.allowedMimeTypes || []).join(', '),
+});
+
+const toBody = (form) => ({
+  public: form.public,
+  fileSizeLimit: form.fileSizeLimitMb === '' ? null : Math.round(Number(form.fileSizeLimitMb) * MB),
+  allowedMimeTypes: form.allowedMimeTypes.split(',').map(type => type.trim()).filter(Boolean),
+});
+
+export default function BucketsTab() {
+  const { authFetch } = useAuth();
+  const [buckets, setBuckets] = useState([]);
+  const [defaultBucket, setDefaultBucket] = useState(null);
+  const [canManage, setCanManage] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // null, 'new' or the name of the bucket being edited
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [deleteTarget, setDeleteTarget] = useState(null); // { name, notEmpty }
+  const [deleting, setDeleting] = useState(false);
+  const [notification, setNotification] = useState(null);
+
+  const loadBuckets = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch('/api/buckets');
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to load buckets');
+      setBuckets(data.buckets);
+      setDefaultBucket(data.default);
+      setCanManage(Boolean(data.canManage));
+    } catch (error) {
+      setNotification({ message: error.message, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    loadBuckets();
+  }, [loadBuckets]);
+
+  const startEditing = (bucket) => {
+    setEditing(bucket ? bucket.name : 'new');
+    setForm(bucket ? toForm(bucket) : EMPTY_FORM);
+  };
+
+  const saveBucket = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const creating = editing === 'new';
+      const response = await authFetch(creating ? '/api/buckets' : `/api/buckets/${encodeURIComponent(editing)}`, {
+        method: creating ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(creating ? { name: form.name.trim(), ...toBody(form) } : toBody(form)),
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to save bucket');
+      setNotification({ message: `Bucket "${data.bucket.name}" ${creating ? 'created' : 'updated'}`, type: 'success' });
+      setEditing(null);
+      await loadBuckets();
+    } catch (error) {
+      setNotification({ message: error.message, type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteBucket = async () => {
+    const { name, notEmpty } = deleteTarget;
+    setDeleting(true);
+    try {
+      const params = notEmpty ? '?empty=true' : '';
+      const response = await authFetch(`/api/buckets/${encodeURIComponent(name)}${params}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.code === 'BUCKET_NOT_EMPTY' && !notEmpty) {
+        // Ask again before removing the bucket's files
+        setDeleteTarget({ name, notEmpty: true });
+        return;
+      }
+      if (!data.success) throw new Error(data.error || 'Failed to delete bucket');
+      setNotification({ message: `Bucket "${name}" deleted`, type: 'success' });
+      setDeleteTarget(null);
+      await loadBuckets();
+    } catch (error) {
+      setNotification({ message: error.message, type: 'error' });
+      setDeleteTarget(null);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text text-sm focus:outline-none focus:border-dark-accent/50';
+
+  const renderForm = () => (
+    <form onSubmit={saveBucket} className="p-4 bg-dark-surface border border-dark-accent/30 rounded-xl space-y-3">
+      {editing === 'new' && (
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          placeholder="Bucket name"
+          className={inputClassName}
+          aria-label="Bucket name"
+          autoFocus
+        />
+      )}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={form.fileSizeLimitMb}
+          onChange={(e) => setForm(prev => ({ ...prev, fileSizeLimitMb: e.target.value }))}
+          placeholder="File size limit in MB (empty for none)"
+          className={inputClassName}
+          aria-label="File size limit in MB"
+        />
+        <input
+          type="text"
+          value={form.allowedMimeTypes}
+          onChange={(e) => setForm(prev => ({ ...prev, allowedMimeTypes: e.target.value }))}
+          placeholder="Allowed MIME types (image/*, application/pdf)"
+          className={inputClassName}
+          aria-label="Allowed MIME types"
+        />
+      </div>
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <label className="flex items-center gap-2 text-sm text-dark-text">
+          <input
+            type="checkbox"
+            checked={form.public}
+            onChange={(e) => setForm(prev => ({ ...prev, public: e.target.checked }))}
+          />
+          Public (files can be read without a signed URL)
+        </label>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setEditing(null)}
+            disabled={saving}
+            className="px-3 py-2 text-sm text-dark-textMuted hover:text-dark-text transition-all disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || (editing === 'new' && !form.name.trim())}
+            className="px-4 py-2 bg-dark-accent/20 border border-dark-accent/50 text-dark-text rounded-lg hover:bg-dark-accent/30 transition-all text-sm disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : editing === 'new' ? 'Create bucket' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="space-y-4 animate-fade-in">
+      {notification && (
+        <Toast
+          message={notification.message}
+          type={notification.type}
+          onClose={() => setNotification(null)}
+        />
+      )}
+
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <p className="text-sm text-dark-textMuted">
+          {canManage ? 'Create buckets and change their access rules.' : 'Only admins can create, change or delete buckets.'}
+        </p>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={loadBuckets}
+            disabled={loading}
+            className="px-3 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-text hover:bg-dark-surfaceHover hover:border-dark-accent/50 transition-all text-sm disabled:opacity-50 flex items-center gap-1.5"
+          >
+            <span className={loading ? 'animate-spin' : ''}>🔄</span>
+            <span className="hidden sm:inline">Refresh</span>
+          </button>
+          {canManage && (
+            <button
+              onClick={() => startEditing(null)}
+              disabled={editing !== null}
+              className="px-3 py-2 bg-dark-accent/20 border border-dark-accent/50 text-dark-text rounded-lg hover:bg-dark-accent/30 transition-all text-sm disabled:opacity-50"
+            >
+              ➕ New bucket
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing === 'new' && renderForm()}
+
+      {loading && buckets.length === 0 ? (
+        <div className="text-sm text-dark-textMuted flex items-center gap-2">
+          <div className="inline-block animate-spin">⏳</div>
+          Loading buckets...
+        </div>
+      ) : buckets.length === 0 ? (
+        <div className="text-center py-12 text-dark-textMuted">No buckets in this project</div>
+      ) : (
+        <div className="space-y-2">
+          {buckets.map(bucket => (editing === bucket.name ? (
+            <div key={bucket.name}>
+              <div className="text-dark-text font-medium mb-2">🪣 {bucket.name}</div>
+              {renderForm()}
+            </div>
+          ) : (
+            <div key={bucket.name} className="flex items-center justify-between gap-3 px-4 py-3 bg-dark-surface border border-dark-border rounded-xl">
+              <div className="min-w-0">
+                <div className="text-dark-text truncate flex items-center gap-2">
+                  🪣 {bucket.name}
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${bucket.public ? 'bg-yellow-500/20 text-yellow-400' : 'bg-green-500/20 text-green-400'}`}>
+                    {bucket.public ? 'Public' : 'Private'}
+                  </span>
+                  {bucket.name === defaultBucket && (
+                    <span className="px-2 py-0.5 rounded text-xs font-medium bg-dark-accent/20 text-dark-accent">Default</span>
+                  )}
+                </div>
+                <div className="text-xs text-dark-textMuted truncate">
+                  {bucket.fileSizeLimit ? `Max ${formatFileSize(bucket.fileSizeLimit)} per file` : 'No size limit'}
+                  {' · '}
+                  {bucket.allowedMimeTypes ? bucket.allowedMimeTypes.join(', ') : 'Any file type'}
+                  {bucket.createdAt && ` · created ${formatDate(bucket.createdAt)}`}
+                </div>
+              </div>
+              {canManage && (
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => startEditing(bucket)}
+                    disabled={editing !== null}
+                    className="px-3 py-1.5 bg-dark-surface border border-dark-border text-dark-text rounded-lg hover:border-dark-accent/50 transition-all text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => setDeleteTarget({ name: bucket.name, notEmpty: false })}
+                    disabled={bucket.name === defaultBucket}
+                    title={bucket.name === defaultBucket ? 'Choose another default bucket in Settings first' : undefined}
+                    className="px-3 py-1.5 text-red-400 hover:text-red-300 transition-all text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          )))}
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={deleteTarget !== null}
+        title={deleteTarget?.notEmpty ? 'Bucket Is Not Empty' : 'Delete Bucket'}
+        message={deleteTarget?.notEmpty
+          ? `"${deleteTarget.name}" still has files, including any in its trash and version history. Delete all of them and the bucket? This action cannot be undone.`
+          : `Delete the bucket "${deleteTarget?.name}"? This action cannot be undone.`}
+        confirmText={deleteTarget?.notEmpty ? 'Delete files and bucket' : 'Delete bucket'}
+        type="danger"
+        onConfirm={deleteBucket}
+        onCancel={() => setDeleteTarget(null)}
+        isLoading={deleting}
+      />
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
 import { useEffect, useState } from 'react';
 import { createPortal } from 'react-dom';
+import VersionHistory from './VersionHistory';
 
-export default function FilePreview({ file, url, onClose, onDownload }) {
+export default function FilePreview({ file, url, onClose, onDownload, bucket, onNotify, onRestored }) {
   const [hasError, setHasError] = useState(false);
   const [mounted, setMounted] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
 
   useEffect(() => {
     setMounted(true);
@@ -173,9 +175,16 @@ export default function FilePreview({ file, url, onClose, onDownload }) {
           )}
         </div>
 
-        {/* Footer with Download Button */}
+        {/* Version History */}
+        {showVersions && (
+          <div className="p-3 border-t border-dark-border overflow-y-auto flex-shrink-0" style={{ maxHeight: '40%' }}>
+            <VersionHistory bucket={bucket} file={file} onNotify={onNotify} onRestored={onRestored} />
+          </div>
+        )}
+
+        {/* Footer with Download and Versions Buttons */}
         {!hasError && (
-          <div className="flex items-center justify-center p-4 border-t border-dark-border bg-dark-surface/50 flex-shrink-0">
+          <div className="flex items-center justify-center gap-3 p-4 border-t border-dark-border bg-dark-surface/50 flex-shrink-0">
             <button
               onClick={() => {
                 if (onDownload) {
@@ -195,6 +204,14 @@ export default function FilePreview({ file, url, onClose, onDownload }) {
             >
               ⬇️ Download
             </button>
+            {bucket && (
+              <button
+                onClick={() => setShowVersions(prev => !prev)}
+                className="px-4 py-3 bg-dark-surface border border-dark-border text-dark-text rounded-lg hover:border-dark-accent/50 transition-all text-sm"
+              >
+                🕘 {showVersions ? 'Hide versions' : 'Versions'}
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -1,14 +1,29 @@
-import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
-import { formatDate, getFileIcon, getFileType, isPreviewable, getFileCategory, FILE_CATEGORIES, SORT_OPTIONS } from '../utils/clientHelpers';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { formatDate, getFileIcon, getFileType, isPreviewable, FILE_CATEGORIES, SORT_OPTIONS } from '../utils/clientHelpers';
 import { downloadFileFromApi, handleApiResponse } from '../utils/api';
 import { loadBucketsFromApi } from '../utils/bucketHelpers';
 import { uploadFileWithProgress } from '../utils/uploadHelpers';
 import FilePreview from './FilePreview';
 import Toast from './Toast';
 import ConfirmModal from './ConfirmModal';
+import VirtualList from './VirtualList';
+import TrashView from './TrashView';
 import { useAuth } from '../contexts/AuthContext';
 
-export default function FilesTab() {
+const FILES_PAGE_SIZE = 100;
+const JOB_POLL_INTERVAL_MS = 1000;
+const JOB_TOAST_TYPES = { completed: 'success', partial: 'warning', rolled_back: 'warning', failed: 'error' };
+const JOB_LABELS = { move_folder: 'Move', rename_folder: 'Rename', copy_folder: 'Copy', transfer: 'Transfer' };
+
+// "source → destination" line of the jobs banner; transfers may target another project
+const describeJob = (job) => {
+  const source = job.sourcePath !== null && job.sourcePath !== undefined ? `/${job.sourcePath}` : `${job.sourceCount} file(s)`;
+  const project = job.connection ? `${job.connection.name} ` : '';
+  const bucket = job.connection || (job.destinationBucket && job.destinationBucket !== job.bucket) ? `${job.destinationBucket}:` : '';
+  return `${JOB_LABELS[job.type] || 'Job'} ${source} → ${project}${bucket}/${job.destinationPath}`;
+};
+
+export default function FilesTab({ jumpTo = null, onJumpHandled = () => {} }) {
   const { authFetch, session } = useAuth();
   const [files, setFiles] = useState([]);
   const [folders, setFolders] = useState([]);
@@ -19,8 +34,17 @@ export default function FilesTab() {
   const [loadingBuckets, setLoadingBuckets] = useState(true);
   const [initialLoadComplete, setInitialLoadComplete] = useState(false); // Track if initial bucket selection is done
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [filterCategory, setFilterCategory] = useState('All');
   const [sortBy, setSortBy] = useState('date-desc');
+  // Server-side pagination: files are loaded a page at a time as the list scrolls
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [matchingFiles, setMatchingFiles] = useState(0);
+  const [categoryCounts, setCategoryCounts] = useState({ All: 0 });
+  const listRequestRef = useRef(0);
+  const loadingMoreRef = useRef(false);
+  const listScrollRef = useRef(null);
   const [previewFile, setPreviewFile] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
   const [loadingPreview, setLoadingPreview] = useState(false);
@@ -38,6 +62,16 @@ export default function FilesTab() {
   const [movingFile, setMovingFile] = useState(null);
   const [moveDestination, setMoveDestination] = useState('');
   const [movingLoading, setMovingLoading] = useState(false);
+  const [transferMode, setTransferMode] = useState('move'); // The move modal also copies
+  const [copyDestinationBucket, setCopyDestinationBucket] = useState('');
+  const [moveConflict, setMoveConflict] = useState('fail'); // Conflict policy for folder moves and copies
+  const [connections, setConnections] = useState(null); // Saved storage connections (other projects), loaded on first copy
+  const [copyConnectionId, setCopyConnectionId] = useState(''); // '' copies within this project
+  const [transferVerifyChecksum, setTransferVerifyChecksum] = useState(false);
+  const [transferDeleteSource, setTransferDeleteSource] = useState(false);
+  const [showTrash, setShowTrash] = useState(false); // Trash view of the current bucket instead of the file list
+  const [folderJobs, setFolderJobs] = useState([]); // Folder moves/renames started from this tab
+  const [highlightedPath, setHighlightedPath] = useState(null); // File opened from the global search
 
   // Confirmation Modal state
   const [confirmConfig, setConfirmConfig] = useState({
@@ -79,12 +113,91 @@ export default function FilesTab() {
     loadBuckets();
   }, []);
 
+  // A global search result: open its folder, narrowed to its name, with the file highlighted
+  useEffect(() => {
+    if (!jumpTo) return;
+    setCurrentBucket(jumpTo.bucket);
+    setCurrentFolder(jumpTo.folder);
+    setSearchQuery(jumpTo.name);
+    setDebouncedSearch(jumpTo.name);
+    setFilterCategory('All');
+    setShowTrash(false);
+    setHighlightedPath(jumpTo.path);
+    onJumpHandled();
+  }, [jumpTo, onJumpHandled]);
+
+  const buildListParams = useCallback(() => {
+    const params = new URLSearchParams({ bucket: currentBucket, sort: sortBy, limit: String(FILES_PAGE_SIZE) });
+    if (currentFolder) params.set('folder', currentFolder);
+    if (filterCategory !== 'All') params.set('category', filterCategory);
+    if (debouncedSearch) params.set('search', debouncedSearch);
+    return params;
+  }, [currentBucket, currentFolder, sortBy, filterCategory, debouncedSearch]);
+
+  // Load the first page; responses to superseded requests are ignored
+  const loadFiles = useCallback(async () => {
+    const requestId = ++listRequestRef.current;
+    setLoading(true);
+    setSelectedFiles(new Set()); // Clear selection when loading new files
+    try {
+      const response = await authFetch(`/api/files?${buildListParams()}`);
+      const data = await handleApiResponse(response);
+      if (data.success && requestId === listRequestRef.current) {
+        setFolders(data.folders || []);
+        setFiles(data.files || []);
+        setNextCursor(data.nextCursor || null);
+        setMatchingFiles(data.matchingFiles || 0);
+        setCategoryCounts(data.categoryCounts || { All: 0 });
+      }
+    } catch (error) {
+      console.error('Error loading files:', error);
+    } finally {
+      if (requestId === listRequestRef.current) setLoading(false);
+    }
+  }, [authFetch, buildListParams]);
+
   // Only load files after initial bucket selection is complete
   useEffect(() => {
     if (currentBucket && initialLoadComplete) {
       loadFiles();
     }
-  }, [currentBucket, currentFolder, initialLoadComplete]);
+  }, [currentBucket, currentFolder, initialLoadComplete, sortBy, filterCategory, debouncedSearch, loadFiles]);
+
+  // Folder moves, renames, copies and transfers run as server-side jobs; poll them until they finish
+  useEffect(() => {
+    const running = folderJobs.filter(job => job.status === 'running');
+    if (running.length === 0) return undefined;
+
+    const timer = setTimeout(async () => {
+      const updates = await Promise.all(running.map(async (job) => {
+        try {
+          const data = await handleApiResponse(await authFetch(`/api/jobs/${job.id}`));
+          return data.success ? data.job : job;
+        } catch (error) {
+          console.error('Error polling job:', error);
+          return job;
+        }
+      }));
+
+      const updatedById = new Map(updates.map(job => [job.id, job]));
+      setFolderJobs(prev => prev.map(job => updatedById.get(job.id) || job));
+
+      const finished = updates.filter(job => job.status !== 'running');
+      if (finished.length > 0) {
+        const last = finished[finished.length - 1];
+        setNotification({ message: last.message || `Job ${last.status}`, type: JOB_TOAST_TYPES[last.status] || 'info' });
+        loadFiles();
+      }
+    }, JOB_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [folderJobs, authFetch, loadFiles]);
+
+  // Search runs on the server, so wait for typing to pause
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
 
   const loadBuckets = async () => {
     setLoadingBuckets(true);
@@ -97,7 +210,7 @@ export default function FilesTab() {
         setInitialLoadComplete(true);
       } else if (preferredBucket) {
         // Set the bucket and mark initial load complete in the same update cycle
-        setCurrentBucket(preferredBucket);
+        setCurrentBucket(jumpTo?.bucket || preferredBucket);
         setInitialLoadComplete(true);
       } else {
         // Fallback to first bucket if no preferred bucket
@@ -117,36 +230,46 @@ export default function FilesTab() {
     }
   };
 
-  const loadFiles = async () => {
-    setLoading(true);
-    setSelectedFiles(new Set()); // Clear selection when loading new files
+  const loadMoreFiles = useCallback(async () => {
+    if (!nextCursor || loadingMoreRef.current) return;
+
+    const requestId = listRequestRef.current;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
     try {
-      const folderParam = currentFolder ? `&folder=${encodeURIComponent(currentFolder)}` : '';
-      const response = await authFetch(`/api/files?bucket=${currentBucket}${folderParam}`);
+      const params = buildListParams();
+      params.set('cursor', nextCursor);
+      const response = await authFetch(`/api/files?${params}`);
       const data = await handleApiResponse(response);
-      if (data.success) {
-        setFolders(data.folders || []);
-        setFiles(data.files || []);
+      if (data.success && requestId === listRequestRef.current) {
+        setFolders(prev => [...prev, ...(data.folders || [])]);
+        setFiles(prev => [...prev, ...(data.files || [])]);
+        setNextCursor(data.nextCursor || null);
       }
     } catch (error) {
-      console.error('Error loading files:', error);
+      console.error('Error loading more files:', error);
     } finally {
-      setLoading(false);
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
     }
-  };
+  }, [authFetch, buildListParams, nextCursor]);
 
   // Handle bucket change - reset folder path to root
   const handleBucketChange = (newBucket) => {
     setCurrentBucket(newBucket);
+    setHighlightedPath(null);
     setCurrentFolder(''); // Reset to root when changing buckets
     setSearchQuery('');
+    setDebouncedSearch('');
     setFilterCategory('All');
   };
 
   // Folder navigation
   const navigateToFolder = (folderPath) => {
     setCurrentFolder(folderPath);
+    setHighlightedPath(null);
     setSearchQuery('');
+    setDebouncedSearch('');
     setFilterCategory('All');
   };
 
@@ -205,7 +328,7 @@ export default function FilesTab() {
   const deleteFolder = (folderPath, folderName) => {
     openConfirm(
       'Delete Folder',
-      `Are you sure you want to delete the folder "${folderName}" and all its contents? This action cannot be undone.`,
+      `Move the folder "${folderName}" and all its contents to the trash? You can restore it from the Trash view.`,
       async () => {
         try {
           const response = await authFetch(
@@ -215,7 +338,7 @@ export default function FilesTab() {
           const data = await handleApiResponse(response);
           if (data.success) {
             setNotification({
-              message: `Folder "${folderName}" deleted (${data.deletedCount} items)`,
+              message: data.message || `Folder "${folderName}" deleted (${data.deletedCount} items)`,
               type: 'success',
             });
             loadFiles();
@@ -248,18 +371,24 @@ export default function FilesTab() {
           sourcePath: movingFile.path,
           destinationFolder: moveDestination,
           bucket: currentBucket,
+          ...(movingFile.isFolder && { isFolder: true, conflict: moveConflict }),
         }),
       });
 
       const data = await handleApiResponse(response);
-      if (data.success) {
+      if (data.success && data.job) {
+        setFolderJobs(prev => [data.job, ...prev]);
+        setNotification({
+          message: `Moving folder "${movingFile.name}"...`,
+          type: 'info',
+        });
+        closeMoveModal();
+      } else if (data.success) {
         setNotification({
           message: `Moved "${movingFile.name}" successfully`,
           type: 'success',
         });
-        setShowMoveModal(false);
-        setMovingFile(null);
-        setMoveDestination('');
+        closeMoveModal();
         loadFiles();
       } else {
         setNotification({
@@ -277,10 +406,137 @@ export default function FilesTab() {
     }
   };
 
-  const openMoveModal = (file) => {
+  const openMoveModal = (file, mode = 'move') => {
     setMovingFile(file);
+    setTransferMode(mode);
     setMoveDestination(currentFolder);
+    setCopyDestinationBucket(currentBucket);
+    setMoveConflict('fail');
+    setCopyConnectionId('');
+    setTransferVerifyChecksum(false);
+    setTransferDeleteSource(false);
     setShowMoveModal(true);
+    if (mode === 'copy' && connections === null) loadConnections();
+  };
+
+  const loadConnections = async () => {
+    try {
+      const response = await authFetch('/api/settings/connections');
+      const data = await handleApiResponse(response);
+      setConnections(data.success ? data.connections : []);
+    } catch {
+      setConnections([]);
+    }
+  };
+
+  const closeMoveModal = () => {
+    setShowMoveModal(false);
+    setMovingFile(null);
+    setMoveDestination('');
+  };
+
+  // Copy to another project: a streamed, verified transfer that always runs as a job
+  const handleTransfer = async () => {
+    setMovingLoading(true);
+    try {
+      const targetPrefix = movingFile.isFolder
+        ? [moveDestination.replace(/^\/+|\/+$/g, ''), movingFile.name].filter(Boolean).join('/')
+        : moveDestination;
+      const response = await authFetch('/api/transfer', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          source: {
+            bucket: currentBucket,
+            ...(movingFile.isFolder ? { prefix: movingFile.path } : { paths: movingFile.paths || [movingFile.path] }),
+          },
+          target: { connectionId: copyConnectionId, bucket: copyDestinationBucket, prefix: targetPrefix },
+          conflict: moveConflict,
+          verify: transferVerifyChecksum ? 'checksum' : 'size',
+          deleteSource: transferDeleteSource,
+        }),
+      });
+
+      const data = await handleApiResponse(response);
+      if (data.success && data.job) {
+        setFolderJobs(prev => [data.job, ...prev]);
+        setNotification({
+          message: `Transferring "${movingFile.name}"...`,
+          type: 'info',
+        });
+        if (movingFile.paths) clearSelection();
+        closeMoveModal();
+      } else {
+        setNotification({
+          message: data.error || 'Failed to start transfer',
+          type: 'error',
+        });
+      }
+    } catch (error) {
+      setNotification({
+        message: error.message || 'Failed to start transfer',
+        type: 'error',
+      });
+    } finally {
+      setMovingLoading(false);
+    }
+  };
+
+  // Copy handler: one file, a selection (movingFile.paths) or a folder (runs as a job)
+  const handleCopy = async () => {
+    if (!movingFile) return;
+    if (copyConnectionId) return handleTransfer();
+
+    setMovingLoading(true);
+    try {
+      const response = await authFetch('/api/copy', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(movingFile.paths ? { sourcePaths: movingFile.paths } : { sourcePath: movingFile.path }),
+          destinationFolder: moveDestination,
+          bucket: currentBucket,
+          destinationBucket: copyDestinationBucket || currentBucket,
+          conflict: moveConflict,
+          ...(movingFile.isFolder && { isFolder: true }),
+        }),
+      });
+
+      const data = await handleApiResponse(response);
+      if (data.success && data.job) {
+        setFolderJobs(prev => [data.job, ...prev]);
+        setNotification({
+          message: `Copying folder "${movingFile.name}"...`,
+          type: 'info',
+        });
+        closeMoveModal();
+      } else if (data.success) {
+        setNotification({
+          message: data.message,
+          type: data.failed?.length > 0 ? 'warning' : 'success',
+        });
+        if (movingFile.paths) clearSelection();
+        closeMoveModal();
+        loadFiles();
+      } else {
+        setNotification({
+          message: data.error || 'Failed to copy',
+          type: 'error',
+        });
+      }
+    } catch (error) {
+      setNotification({
+        message: error.message || 'Failed to copy',
+        type: 'error',
+      });
+    } finally {
+      setMovingLoading(false);
+    }
+  };
+
+  const openBulkCopyModal = () => {
+    const paths = Array.from(selectedFiles);
+    openMoveModal({ name: `${paths.length} file${paths.length > 1 ? 's' : ''}`, paths }, 'copy');
   };
 
   const downloadFile = async (filePath, fileName) => {
@@ -295,7 +551,7 @@ export default function FilesTab() {
   const deleteFile = (filePath, fileName) => {
     openConfirm(
       'Delete File',
-      `Are you sure you want to delete "${fileName}"? This action cannot be undone.`,
+      `Move "${fileName}" to the trash? You can restore it from the Trash view.`,
       async () => {
         try {
           const response = await authFetch(`/api/files?path=${encodeURIComponent(filePath)}&bucket=${currentBucket}`, {
@@ -398,10 +654,10 @@ export default function FilesTab() {
   };
 
   const toggleSelectAll = () => {
-    if (selectedFiles.size === filteredFiles.length) {
+    if (selectedFiles.size === files.length) {
       setSelectedFiles(new Set());
     } else {
-      setSelectedFiles(new Set(filteredFiles.map(f => f.path)));
+      setSelectedFiles(new Set(files.map(f => f.path)));
     }
   };
 
@@ -415,7 +671,7 @@ export default function FilesTab() {
 
     openConfirm(
       'Delete Multiple Files',
-      `Are you sure you want to delete ${selectedFiles.size} file${selectedFiles.size > 1 ? 's' : ''}? This action cannot be undone.`,
+      `Move ${selectedFiles.size} file${selectedFiles.size > 1 ? 's' : ''} to the trash? You can restore them from the Trash view.`,
       async () => {
         setBulkActionLoading(true);
 
@@ -433,8 +689,8 @@ export default function FilesTab() {
 
           if (data.success) {
             setNotification({
-              message: `Successfully deleted ${data.count} file${data.count !== 1 ? 's' : ''}`,
-              type: 'success',
+              message: data.message || `Successfully deleted ${data.count} file${data.count !== 1 ? 's' : ''}`,
+              type: data.failed?.length > 0 ? 'warning' : 'success',
             });
             setSelectedFiles(new Set());
           } else {
@@ -502,7 +758,7 @@ export default function FilesTab() {
 
   // Rename handlers
   const startRename = (file) => {
-    setRenamingFile({ path: file.path, name: file.name });
+    setRenamingFile({ path: file.path, name: file.name, isFolder: Boolean(file.isFolder) });
     setRenameValue(file.name);
     // Focus the input after it renders
     setTimeout(() => renameInputRef.current?.focus(), 50);
@@ -532,12 +788,20 @@ export default function FilesTab() {
           oldPath: renamingFile.path,
           newName: newName,
           bucket: currentBucket,
+          ...(renamingFile.isFolder && { isFolder: true }),
         }),
       });
 
       const data = await handleApiResponse(response);
 
-      if (data.success) {
+      if (data.success && data.job) {
+        setFolderJobs(prev => [data.job, ...prev]);
+        setNotification({
+          message: `Renaming folder to "${newName}"...`,
+          type: 'info',
+        });
+        cancelRename();
+      } else if (data.success) {
         setNotification({
           message: `Renamed to "${newName}"`,
           type: 'success',
@@ -569,60 +833,6 @@ export default function FilesTab() {
     }
   };
 
-  // Filter and sort files with memoization for performance
-  const filteredFiles = useMemo(() => {
-    let result = files;
-
-    // Filter by search query
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      result = result.filter(file =>
-        file.name.toLowerCase().includes(query)
-      );
-    }
-
-    // Filter by category
-    if (filterCategory !== 'All') {
-      result = result.filter(file =>
-        getFileCategory(file.name) === filterCategory
-      );
-    }
-
-    // Sort files
-    const [sortField, sortDirection] = sortBy.split('-');
-    result = [...result].sort((a, b) => {
-      let comparison = 0;
-
-      switch (sortField) {
-        case 'name':
-          comparison = a.name.localeCompare(b.name);
-          break;
-        case 'date':
-          comparison = new Date(a.updatedAt) - new Date(b.updatedAt);
-          break;
-        case 'size':
-          comparison = (a.size || 0) - (b.size || 0);
-          break;
-        default:
-          comparison = 0;
-      }
-
-      return sortDirection === 'desc' ? -comparison : comparison;
-    });
-
-    return result;
-  }, [files, searchQuery, filterCategory, sortBy]);
-
-  // Count files by category for filter badges
-  const categoryCounts = useMemo(() => {
-    const counts = { All: files.length };
-    files.forEach(file => {
-      const category = getFileCategory(file.name);
-      counts[category] = (counts[category] || 0) + 1;
-    });
-    return counts;
-  }, [files]);
-
   return (
     <>
       {/* Toast Notification */}
@@ -667,8 +877,20 @@ export default function FilesTab() {
             </button>
           </div>
 
-          {/* Upload & Create Folder Buttons */}
+          {/* Trash, Upload & Create Folder Buttons */}
           <div className="flex items-center gap-2 sm:gap-3">
+            <button
+              onClick={() => setShowTrash(prev => !prev)}
+              disabled={!currentBucket}
+              className={`px-3 sm:px-4 py-2 border rounded-lg transition-all text-sm font-medium flex items-center justify-center gap-2 min-h-[44px] ${showTrash
+                ? 'bg-dark-accent/10 border-dark-accent text-dark-accent'
+                : 'bg-dark-surface border-dark-border text-dark-text hover:bg-dark-surfaceHover hover:border-dark-accent/50'
+                }`}
+              title="Trash"
+            >
+              <span>🗑️</span>
+              <span className="hidden sm:inline">Trash</span>
+            </button>
             <button
               onClick={() => {
                 setShowCreateFolder(true);
@@ -771,6 +993,56 @@ export default function FilesTab() {
           </div>
         )}
 
+        {/* Folder Jobs */}
+        {folderJobs.length > 0 && (
+          <div className="space-y-2 flex-shrink-0">
+            {folderJobs.map(job => (
+              <div key={job.id} className="px-4 py-3 bg-dark-surface border border-dark-border rounded-lg text-sm">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-dark-text truncate">
+                    {describeJob(job)}
+                  </span>
+                  {job.status === 'running' ? (
+                    <span className="text-dark-textMuted flex-shrink-0">
+                      {job.processed}/{job.total || '?'}
+                    </span>
+                  ) : (
+                    <button
+                      onClick={() => setFolderJobs(prev => prev.filter(item => item.id !== job.id))}
+                      className="text-dark-textMuted hover:text-dark-text p-1 flex-shrink-0"
+                      title="Dismiss"
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+                {job.status === 'running' ? (
+                  <div className="mt-2 h-1.5 bg-dark-bg rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-dark-accent transition-all"
+                      style={{ width: `${job.total ? Math.round((job.processed / job.total) * 100) : 0}%` }}
+                    />
+                  </div>
+                ) : (
+                  <div className={`mt-1 text-xs ${job.status === 'completed' ? 'text-green-400' : 'text-yellow-400'}`}>
+                    {job.message}
+                    {job.conflicts?.length > 0 && job.status === 'failed' && (
+                      <span className="block text-dark-textMuted truncate">
+                        Conflicts: {job.conflicts.slice(0, 3).join(', ')}{job.conflicts.length > 3 ? '…' : ''}
+                      </span>
+                    )}
+                    {job.leftAtDestination?.length > 0 && (
+                      <span className="block text-dark-textMuted truncate">
+                        Left at destination: {job.leftAtDestination.slice(0, 3).join(', ')}{job.leftAtDestination.length > 3 ? '…' : ''}
+                      </span>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Controls - Row 2: Search, Filter & Sort */}
         <div className="flex flex-col gap-3 flex-shrink-0">
           {/* Search */}
@@ -842,7 +1114,7 @@ export default function FilesTab() {
         </div>
 
         {/* Bulk Actions Bar - appears when files are selected */}
-        {selectedFiles.size > 0 && (
+        {selectedFiles.size > 0 && !showTrash && (
           <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-3 sm:p-4 bg-dark-accent/10 border border-dark-accent/30 rounded-xl flex-shrink-0 animate-slide-up">
             <div className="flex items-center gap-3">
               <span className="text-dark-accent font-medium text-sm sm:text-base">
@@ -856,6 +1128,13 @@ export default function FilesTab() {
               </button>
             </div>
             <div className="flex items-center gap-2">
+              <button
+                onClick={openBulkCopyModal}
+                disabled={bulkActionLoading}
+                className="flex-1 sm:flex-none px-3 sm:px-4 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500/30 rounded-lg hover:bg-cyan-500/30 hover:border-cyan-500/50 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 min-h-[44px]"
+              >
+                📋 Copy
+              </button>
               <button
                 onClick={handleBulkDownload}
                 disabled={bulkActionLoading}
@@ -875,8 +1154,15 @@ export default function FilesTab() {
         )}
 
         {/* Files List */}
-        <div className="flex-1 min-h-0 overflow-auto">
-          {loading ? (
+        <div ref={listScrollRef} className="flex-1 min-h-0 overflow-auto">
+          {showTrash ? (
+            <TrashView
+              bucket={currentBucket}
+              onClose={() => setShowTrash(false)}
+              onNotify={setNotification}
+              onRestored={loadFiles}
+            />
+          ) : loading ? (
             <div className="space-y-3">
               <div className="text-sm text-dark-textMuted mb-4 flex items-center gap-2">
                 <div className="inline-block animate-spin">⏳</div>
@@ -902,7 +1188,7 @@ export default function FilesTab() {
                 </div>
               ))}
             </div>
-          ) : filteredFiles.length === 0 && folders.length === 0 ? (
+          ) : files.length === 0 && folders.length === 0 ? (
             <div className="text-center py-20">
               <div className="text-7xl mb-4 opacity-30">📁</div>
               <p className="text-dark-textMuted text-lg">
@@ -958,15 +1244,81 @@ export default function FilesTab() {
                         <div className="flex items-center gap-3 sm:gap-4 flex-1 min-w-0">
                           <div className="text-2xl sm:text-3xl flex-shrink-0">📁</div>
                           <div className="flex-1 min-w-0">
-                            <div className="font-medium text-dark-text truncate group-hover:text-dark-accent transition-colors text-sm sm:text-base">
-                              {folder.name}
-                            </div>
-                            <div className="text-xs sm:text-sm text-dark-textMuted mt-1">
-                              Folder
-                            </div>
+                            {renamingFile?.path === folder.path ? (
+                              <div className="flex items-center gap-1.5" onClick={(e) => e.stopPropagation()}>
+                                <input
+                                  ref={renameInputRef}
+                                  type="text"
+                                  value={renameValue}
+                                  onChange={(e) => setRenameValue(e.target.value)}
+                                  onKeyDown={handleRenameKeyDown}
+                                  disabled={renameLoading}
+                                  className="flex-1 min-w-0 px-2 py-1 bg-dark-bg border border-dark-accent rounded text-dark-text text-sm focus:outline-none focus:ring-2 focus:ring-dark-accent disabled:opacity-50"
+                                  placeholder="Enter folder name..."
+                                />
+                                <button
+                                  onClick={handleRename}
+                                  disabled={renameLoading || !renameValue.trim()}
+                                  className="px-2 py-1 text-green-400 hover:bg-green-500/20 rounded transition-all text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title="Save"
+                                >
+                                  {renameLoading ? '⏳' : '✓'}
+                                </button>
+                                <button
+                                  onClick={cancelRename}
+                                  disabled={renameLoading}
+                                  className="px-2 py-1 text-dark-textMuted hover:text-red-400 hover:bg-red-500/20 rounded transition-all text-sm disabled:opacity-50"
+                                  title="Cancel"
+                                >
+                                  ✕
+                                </button>
+                              </div>
+                            ) : (
+                              <>
+                                <div className="font-medium text-dark-text truncate group-hover:text-dark-accent transition-colors text-sm sm:text-base">
+                                  {folder.name}
+                                </div>
+                                <div className="text-xs sm:text-sm text-dark-textMuted mt-1">
+                                  Folder
+                                </div>
+                              </>
+                            )}
                           </div>
                         </div>
                         <div className="flex gap-2 flex-shrink-0">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              startRename(folder);
+                            }}
+                            className="p-2 sm:px-4 sm:py-2 bg-dark-surface text-dark-textMuted border border-dark-border rounded-lg hover:text-dark-accent hover:border-dark-accent/50 transition-all text-sm font-medium min-w-[40px] min-h-[40px] flex items-center justify-center"
+                            title="Rename folder"
+                          >
+                            <span>✏️</span>
+                            <span className="hidden sm:inline ml-1">Rename</span>
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              openMoveModal(folder, 'copy');
+                            }}
+                            className="p-2 sm:px-4 sm:py-2 bg-dark-surface text-dark-textMuted border border-dark-border rounded-lg hover:text-dark-accent hover:border-dark-accent/50 transition-all text-sm font-medium min-w-[40px] min-h-[40px] flex items-center justify-center"
+                            title="Copy folder"
+                          >
+                            <span>📋</span>
+                            <span className="hidden sm:inline ml-1">Copy</span>
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              openMoveModal(folder);
+                            }}
+                            className="p-2 sm:px-4 sm:py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500/30 rounded-lg hover:bg-cyan-500/30 hover:border-cyan-500/50 transition-all text-sm font-medium min-w-[40px] min-h-[40px] flex items-center justify-center"
+                            title="Move folder"
+                          >
+                            <span>📦</span>
+                            <span className="hidden sm:inline ml-1">Move</span>
+                          </button>
                           <button
                             onClick={(e) => {
                               e.stopPropagation();
@@ -982,168 +1334,187 @@ export default function FilesTab() {
                       </div>
                     </div>
                   ))}
-                  {filteredFiles.length > 0 && (
+                  {files.length > 0 && (
                     <div className="border-t border-dark-border my-4"></div>
                   )}
                 </>
               )}
 
               {/* Files Header with Select All */}
-              {filteredFiles.length > 0 && (
+              {files.length > 0 && (
                 <div className="flex items-center justify-between text-sm text-dark-textMuted mb-2">
                   <div className="flex items-center gap-3">
                     <label className="flex items-center gap-2 cursor-pointer hover:text-dark-text transition-colors">
                       <input
                         type="checkbox"
-                        checked={filteredFiles.length > 0 && selectedFiles.size === filteredFiles.length}
+                        checked={files.length > 0 && selectedFiles.size === files.length}
                         onChange={toggleSelectAll}
                         className="w-4 h-4 rounded border-dark-border bg-dark-surface text-dark-accent focus:ring-dark-accent focus:ring-offset-0 cursor-pointer"
                       />
-                      <span>Select all files</span>
+                      <span>{nextCursor ? 'Select all loaded files' : 'Select all files'}</span>
                     </label>
                     <span>•</span>
-                    <span>Showing {filteredFiles.length} of {files.length} files</span>
+                    <span>Showing {files.length} of {matchingFiles} files</span>
                   </div>
                 </div>
               )}
-              {filteredFiles.map(file => (
-                <div
-                  key={file.path}
-                  className={`group bg-dark-surface border rounded-xl p-4 hover:border-dark-accent/50 hover:bg-dark-surfaceHover transition-all animate-slide-up ${selectedFiles.has(file.path)
-                    ? 'border-dark-accent/50 bg-dark-accent/5'
-                    : 'border-dark-border'
-                    }`}
-                >
-                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
-                    <div className="flex items-center gap-3 sm:gap-4 flex-1 min-w-0">
-                      {/* Checkbox */}
-                      <input
-                        type="checkbox"
-                        checked={selectedFiles.has(file.path)}
-                        onChange={() => toggleFileSelection(file.path)}
-                        className="w-5 h-5 rounded border-dark-border bg-dark-surface text-dark-accent focus:ring-dark-accent focus:ring-offset-0 cursor-pointer flex-shrink-0"
-                      />
-                      <div className="text-2xl sm:text-3xl flex-shrink-0">{getFileIcon(file.name)}</div>
-                      <div className="flex-1 min-w-0">
-                        {renamingFile?.path === file.path ? (
-                          /* Rename Input - Apple style inline editing */
-                          <div className="flex items-center gap-1.5 flex-wrap">
-                            <input
-                              ref={renameInputRef}
-                              type="text"
-                              value={renameValue}
-                              onChange={(e) => setRenameValue(e.target.value)}
-                              onKeyDown={handleRenameKeyDown}
-                              onBlur={() => {
-                                // Only cancel if not loading (to allow save to complete)
-                                if (!renameLoading) {
-                                  setTimeout(() => cancelRename(), 150);
-                                }
-                              }}
-                              disabled={renameLoading}
-                              className="flex-1 min-w-0 px-2 py-1 bg-dark-bg border border-dark-accent rounded text-dark-text text-sm focus:outline-none focus:ring-2 focus:ring-dark-accent disabled:opacity-50"
-                              placeholder="Enter name..."
-                            />
-                            <button
-                              onClick={handleRename}
-                              disabled={renameLoading || !renameValue.trim()}
-                              className="p-1.5 text-green-400 hover:text-green-300 hover:bg-green-500/20 rounded transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-                              title="Save"
-                            >
-                              {renameLoading ? (
-                                <span className="animate-spin inline-block">⏳</span>
-                              ) : (
+              <VirtualList
+                items={files}
+                itemKey={file => file.path}
+                scrollRef={listScrollRef}
+                onEndReached={loadMoreFiles}
+                renderItem={file => (
+                  <div
+                    className={`group bg-dark-surface border rounded-xl p-4 hover:border-dark-accent/50 hover:bg-dark-surfaceHover transition-all ${selectedFiles.has(file.path)
+                      ? 'border-dark-accent/50 bg-dark-accent/5'
+                      : 'border-dark-border'
+                      } ${highlightedPath === file.path ? 'ring-2 ring-dark-accent' : ''}`}
+                  >
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                      <div className="flex items-center gap-3 sm:gap-4 flex-1 min-w-0">
+                        {/* Checkbox */}
+                        <input
+                          type="checkbox"
+                          checked={selectedFiles.has(file.path)}
+                          onChange={() => toggleFileSelection(file.path)}
+                          className="w-5 h-5 rounded border-dark-border bg-dark-surface text-dark-accent focus:ring-dark-accent focus:ring-offset-0 cursor-pointer flex-shrink-0"
+                        />
+                        <div className="text-2xl sm:text-3xl flex-shrink-0">{getFileIcon(file.name)}</div>
+                        <div className="flex-1 min-w-0">
+                          {renamingFile?.path === file.path ? (
+                            /* Rename Input - Apple style inline editing */
+                            <div className="flex items-center gap-1.5 flex-wrap">
+                              <input
+                                ref={renameInputRef}
+                                type="text"
+                                value={renameValue}
+                                onChange={(e) => setRenameValue(e.target.value)}
+                                onKeyDown={handleRenameKeyDown}
+                                onBlur={() => {
+                                  // Only cancel if not loading (to allow save to complete)
+                                  if (!renameLoading) {
+                                    setTimeout(() => cancelRename(), 150);
+                                  }
+                                }}
+                                disabled={renameLoading}
+                                className="flex-1 min-w-0 px-2 py-1 bg-dark-bg border border-dark-accent rounded text-dark-text text-sm focus:outline-none focus:ring-2 focus:ring-dark-accent disabled:opacity-50"
+                                placeholder="Enter name..."
+                              />
+                              <button
+                                onClick={handleRename}
+                                disabled={renameLoading || !renameValue.trim()}
+                                className="p-1.5 text-green-400 hover:text-green-300 hover:bg-green-500/20 rounded transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                                title="Save"
+                              >
+                                {renameLoading ? (
+                                  <span className="animate-spin inline-block">⏳</span>
+                                ) : (
+                                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="currentColor" className="w-4 h-4">
+                                    <path fillRule="evenodd" d="M12.416 3.376a.75.75 0 0 1 .208 1.04l-5 7.5a.75.75 0 0 1-1.154.114l-3-3a.75.75 0 0 1 1.06-1.06l2.353 2.353 4.493-6.74a.75.75 0 0 1 1.04-.207Z" clipRule="evenodd" />
+                                  </svg>
+                                )}
+                              </button>
+                              <button
+                                onClick={cancelRename}
+                                disabled={renameLoading}
+                                className="p-1.5 text-dark-textMuted hover:text-red-400 hover:bg-red-500/20 rounded transition-all disabled:opacity-50"
+                                title="Cancel"
+                              >
                                 <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="currentColor" className="w-4 h-4">
-                                  <path fillRule="evenodd" d="M12.416 3.376a.75.75 0 0 1 .208 1.04l-5 7.5a.75.75 0 0 1-1.154.114l-3-3a.75.75 0 0 1 1.06-1.06l2.353 2.353 4.493-6.74a.75.75 0 0 1 1.04-.207Z" clipRule="evenodd" />
+                                  <path d="M5.28 4.22a.75.75 0 0 0-1.06 1.06L6.94 8l-2.72 2.72a.75.75 0 1 0 1.06 1.06L8 9.06l2.72 2.72a.75.75 0 1 0 1.06-1.06L9.06 8l2.72-2.72a.75.75 0 0 0-1.06-1.06L8 6.94 5.28 4.22Z" />
                                 </svg>
-                              )}
+                              </button>
+                            </div>
+                          ) : (
+                            /* Normal Display */
+                            <>
+                              <div className="font-medium text-dark-text truncate group-hover:text-dark-accent transition-colors flex items-center gap-2">
+                                <span className="truncate text-sm sm:text-base">{file.name}</span>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    startRename(file);
+                                  }}
+                                  className="opacity-0 group-hover:opacity-100 text-dark-textMuted hover:text-dark-accent transition-all p-1 rounded hover:bg-dark-surfaceHover flex-shrink-0"
+                                  title="Rename"
+                                >
+                                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="currentColor" className="w-3.5 h-3.5">
+                                    <path d="M13.488 2.513a1.75 1.75 0 0 0-2.475 0L3.25 10.276a.75.75 0 0 0-.183.31l-.857 2.997a.75.75 0 0 0 .925.926l2.997-.858a.75.75 0 0 0 .31-.183l7.763-7.762a1.75 1.75 0 0 0 0-2.475l-.717-.718ZM11.72 3.22a.25.25 0 0 1 .354 0l.718.718a.25.25 0 0 1 0 .354l-7.763 7.762-1.61.46.46-1.61 7.76-7.762-.003.004.084-.088Z" />
+                                  </svg>
+                                </button>
+                              </div>
+                              <div className="text-xs sm:text-sm text-dark-textMuted mt-1 flex items-center gap-2 sm:gap-3 flex-wrap">
+                                <span>{file.sizeFormatted}</span>
+                                <span className="hidden sm:inline">•</span>
+                                <span className="hidden sm:inline">{getFileType(file.name)}</span>
+                                <span>•</span>
+                                <span>{formatDate(file.updatedAt)}</span>
+                              </div>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                      {/* Action buttons - icon only on mobile, full on desktop */}
+                      <div className="flex gap-2 flex-shrink-0 ml-8 sm:ml-0">
+                        {/* Hide action buttons when renaming this file */}
+                        {renamingFile?.path !== file.path && (
+                          <>
+                            <button
+                              onClick={() => openMoveModal(file)}
+                              className="p-2 sm:px-4 sm:py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500/30 rounded-lg hover:bg-cyan-500/30 hover:border-cyan-500/50 transition-all text-sm font-medium min-w-[40px] min-h-[40px] flex items-center justify-center"
+                              title="Move file"
+                            >
+                              <span>📦</span>
+                              <span className="hidden sm:inline ml-1">Move</span>
                             </button>
                             <button
-                              onClick={cancelRename}
-                              disabled={renameLoading}
-                              className="p-1.5 text-dark-textMuted hover:text-red-400 hover:bg-red-500/20 rounded transition-all disabled:opacity-50"
-                              title="Cancel"
+                              onClick={() => openMoveModal(file, 'copy')}
+                              className="p-2 sm:px-4 sm:py-2 bg-dark-surface text-dark-textMuted border border-dark-border rounded-lg hover:text-dark-accent hover:border-dark-accent/50 transition-all text-sm font-medium min-w-[40px] min-h-[40px] flex items-center justify-center"
+                              title="Copy or duplicate file"
                             >
-                              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="currentColor" className="w-4 h-4">
-                                <path d="M5.28 4.22a.75.75 0 0 0-1.06 1.06L6.94 8l-2.72 2.72a.75.75 0 1 0 1.06 1.06L8 9.06l2.72 2.72a.75.75 0 1 0 1.06-1.06L9.06 8l2.72-2.72a.75.75 0 0 0-1.06-1.06L8 6.94 5.28 4.22Z" />
-                              </svg>
+                              <span>📋</span>
+                              <span className="hidden sm:inline ml-1">Copy</span>
                             </button>
-                          </div>
-                        ) : (
-                          /* Normal Display */
-                          <>
-                            <div className="font-medium text-dark-text truncate group-hover:text-dark-accent transition-colors flex items-center gap-2">
-                              <span className="truncate text-sm sm:text-base">{file.name}</span>
+                            {isPreviewable(file.name) && (
                               <button
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  startRename(file);
-                                }}
-                                className="opacity-0 group-hover:opacity-100 text-dark-textMuted hover:text-dark-accent transition-all p-1 rounded hover:bg-dark-surfaceHover flex-shrink-0"
-                                title="Rename"
+                                onClick={() => handlePreviewFile(file)}
+                                disabled={loadingPreview}
+                                className="p-2 sm:px-4 sm:py-2 bg-blue-500/20 text-blue-400 border border-blue-500/30 rounded-lg hover:bg-blue-500/30 hover:border-blue-500/50 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed min-w-[40px] min-h-[40px] flex items-center justify-center"
+                                title="Preview file"
                               >
-                                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="currentColor" className="w-3.5 h-3.5">
-                                  <path d="M13.488 2.513a1.75 1.75 0 0 0-2.475 0L3.25 10.276a.75.75 0 0 0-.183.31l-.857 2.997a.75.75 0 0 0 .925.926l2.997-.858a.75.75 0 0 0 .31-.183l7.763-7.762a1.75 1.75 0 0 0 0-2.475l-.717-.718ZM11.72 3.22a.25.25 0 0 1 .354 0l.718.718a.25.25 0 0 1 0 .354l-7.763 7.762-1.61.46.46-1.61 7.76-7.762-.003.004.084-.088Z" />
-                                </svg>
+                                <span>👁️</span>
+                                <span className="hidden sm:inline ml-1">Preview</span>
                               </button>
-                            </div>
-                            <div className="text-xs sm:text-sm text-dark-textMuted mt-1 flex items-center gap-2 sm:gap-3 flex-wrap">
-                              <span>{file.sizeFormatted}</span>
-                              <span className="hidden sm:inline">•</span>
-                              <span className="hidden sm:inline">{getFileType(file.name)}</span>
-                              <span>•</span>
-                              <span>{formatDate(file.updatedAt)}</span>
-                            </div>
-                          </>
-                        )}
-                      </div>
-                    </div>
-                    {/* Action buttons - icon only on mobile, full on desktop */}
-                    <div className="flex gap-2 flex-shrink-0 ml-8 sm:ml-0">
-                      {/* Hide action buttons when renaming this file */}
-                      {renamingFile?.path !== file.path && (
-                        <>
-                          <button
-                            onClick={() => openMoveModal(file)}
-                            className="p-2 sm:px-4 sm:py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500/30 rounded-lg hover:bg-cyan-500/30 hover:border-cyan-500/50 transition-all text-sm font-medium min-w-[40px] min-h-[40px] flex items-center justify-center"
-                            title="Move file"
-                          >
-                            <span>📦</span>
-                            <span className="hidden sm:inline ml-1">Move</span>
-                          </button>
-                          {isPreviewable(file.name) && (
+                            )}
                             <button
-                              onClick={() => handlePreviewFile(file)}
-                              disabled={loadingPreview}
-                              className="p-2 sm:px-4 sm:py-2 bg-blue-500/20 text-blue-400 border border-blue-500/30 rounded-lg hover:bg-blue-500/30 hover:border-blue-500/50 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed min-w-[40px] min-h-[40px] flex items-center justify-center"
-                              title="Preview file"
+                              onClick={() => downloadFile(file.path, file.name)}
+                              className="p-2 sm:px-4 sm:py-2 bg-gradient-to-r from-dark-accent to-purple-600 text-white rounded-lg hover:from-dark-accentHover hover:to-purple-500 transition-all text-sm font-medium shadow-lg shadow-dark-accent/20 min-w-[40px] min-h-[40px] flex items-center justify-center"
+                              title="Download file"
                             >
-                              <span>👁️</span>
-                              <span className="hidden sm:inline ml-1">Preview</span>
+                              <span>⬇️</span>
+                              <span className="hidden sm:inline ml-1">Download</span>
                             </button>
-                          )}
-                          <button
-                            onClick={() => downloadFile(file.path, file.name)}
-                            className="p-2 sm:px-4 sm:py-2 bg-gradient-to-r from-dark-accent to-purple-600 text-white rounded-lg hover:from-dark-accentHover hover:to-purple-500 transition-all text-sm font-medium shadow-lg shadow-dark-accent/20 min-w-[40px] min-h-[40px] flex items-center justify-center"
-                            title="Download file"
-                          >
-                            <span>⬇️</span>
-                            <span className="hidden sm:inline ml-1">Download</span>
-                          </button>
-                          <button
-                            onClick={() => deleteFile(file.path, file.name)}
-                            className="p-2 sm:px-4 sm:py-2 bg-red-500/20 text-red-400 border border-red-500/30 rounded-lg hover:bg-red-500/30 hover:border-red-500/50 transition-all text-sm font-medium min-w-[40px] min-h-[40px] flex items-center justify-center"
-                            title="Delete file"
-                          >
-                            <span>🗑️</span>
-                            <span className="hidden sm:inline ml-1">Delete</span>
-                          </button>
-                        </>
-                      )}
+                            <button
+                              onClick={() => deleteFile(file.path, file.name)}
+                              className="p-2 sm:px-4 sm:py-2 bg-red-500/20 text-red-400 border border-red-500/30 rounded-lg hover:bg-red-500/30 hover:border-red-500/50 transition-all text-sm font-medium min-w-[40px] min-h-[40px] flex items-center justify-center"
+                              title="Delete file"
+                            >
+                              <span>🗑️</span>
+                              <span className="hidden sm:inline ml-1">Delete</span>
+                            </button>
+                          </>
+                        )}
+                      </div>
                     </div>
                   </div>
+                )}
+              />
+              {loadingMore && (
+                <div className="text-sm text-dark-textMuted py-3 flex items-center justify-center gap-2">
+                  <span className="inline-block animate-spin">⏳</span>
+                  Loading more files...
                 </div>
-              ))}
+              )}
             </div>
           )}
         </div>
@@ -1166,57 +1537,174 @@ export default function FilesTab() {
             url={previewUrl}
             onClose={closePreview}
             onDownload={() => downloadFile(previewFile.path, previewFile.name)}
+            bucket={currentBucket}
+            onNotify={setNotification}
+            onRestored={() => { handlePreviewFile(previewFile); loadFiles(); }}
           />
         )}
 
-        {/* Move File Modal */}
+        {/* Move / Copy Modal */}
         {showMoveModal && movingFile && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
             <div className="bg-dark-surface border border-dark-border rounded-xl p-6 w-full max-w-md animate-slide-up">
               <h3 className="text-lg font-medium text-dark-text mb-4">
-                Move &quot;{movingFile.name}&quot;
+                {transferMode === 'copy' ? 'Copy' : 'Move'} &quot;{movingFile.name}&quot;
               </h3>
 
               <div className="space-y-4">
+                {transferMode === 'copy' && connections?.length > 0 && (
+                  <div>
+                    <label className="block text-sm text-dark-textMuted mb-2">
+                      Destination project:
+                    </label>
+                    <select
+                      value={copyConnectionId}
+                      onChange={(e) => {
+                        setCopyConnectionId(e.target.value);
+                        setCopyDestinationBucket(e.target.value ? '' : currentBucket);
+                        setMoveDestination(e.target.value ? '' : currentFolder);
+                      }}
+                      className="w-full px-4 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
+                    >
+                      <option value="">This project</option>
+                      {connections.map(connection => (
+                        <option key={connection.id} value={connection.id}>
+                          {connection.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {transferMode === 'copy' && copyConnectionId && (
+                  <div>
+                    <label className="block text-sm text-dark-textMuted mb-2">
+                      Destination bucket:
+                    </label>
+                    <input
+                      type="text"
+                      value={copyDestinationBucket}
+                      onChange={(e) => setCopyDestinationBucket(e.target.value)}
+                      placeholder="Bucket in the other project"
+                      className="w-full px-4 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
+                    />
+                  </div>
+                )}
+
+                {transferMode === 'copy' && !copyConnectionId && buckets.length > 1 && (
+                  <div>
+                    <label className="block text-sm text-dark-textMuted mb-2">
+                      Destination bucket:
+                    </label>
+                    <select
+                      value={copyDestinationBucket}
+                      onChange={(e) => {
+                        setCopyDestinationBucket(e.target.value);
+                        setMoveDestination(e.target.value === currentBucket ? currentFolder : '');
+                      }}
+                      className="w-full px-4 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
+                    >
+                      {buckets.map(bucket => (
+                        <option key={bucket.name} value={bucket.name}>
+                          {bucket.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm text-dark-textMuted mb-2">
                     Destination folder:
                   </label>
-                  <select
-                    value={moveDestination}
-                    onChange={(e) => setMoveDestination(e.target.value)}
-                    className="w-full px-4 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
-                  >
-                    <option value="">/ (Root)</option>
-                    {folders.map(folder => (
-                      <option key={folder.path} value={folder.path}>
-                        /{folder.path}
-                      </option>
-                    ))}
-                  </select>
+                  {transferMode === 'copy' && (copyConnectionId || copyDestinationBucket !== currentBucket) ? (
+                    <input
+                      type="text"
+                      value={moveDestination}
+                      onChange={(e) => setMoveDestination(e.target.value)}
+                      placeholder="Folder path (empty for the root)"
+                      className="w-full px-4 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
+                    />
+                  ) : (
+                    <select
+                      value={moveDestination}
+                      onChange={(e) => setMoveDestination(e.target.value)}
+                      className="w-full px-4 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
+                    >
+                      <option value="">/ (Root)</option>
+                      {transferMode === 'copy' && currentFolder && (
+                        <option value={currentFolder}>/{currentFolder} (this folder)</option>
+                      )}
+                      {folders.filter(folder => folder.path !== movingFile.path).map(folder => (
+                        <option key={folder.path} value={folder.path}>
+                          /{folder.path}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                   <p className="text-xs text-dark-textMuted mt-2">
-                    Tip: Navigate to a folder first to see its subfolders here.
+                    {transferMode === 'copy' && copyConnectionId
+                      ? 'Files are streamed to the other project with their metadata and verified.'
+                      : transferMode === 'copy'
+                      ? 'Copying into the same folder creates a duplicate named "… (copy)".'
+                      : 'Tip: Navigate to a folder first to see its subfolders here.'}
                   </p>
                 </div>
 
+                {transferMode === 'copy' && copyConnectionId && (
+                  <div className="space-y-2">
+                    <label className="flex items-center gap-2 text-sm text-dark-textMuted">
+                      <input
+                        type="checkbox"
+                        checked={transferVerifyChecksum}
+                        onChange={(e) => setTransferVerifyChecksum(e.target.checked)}
+                      />
+                      Verify checksums (re-reads every transferred file)
+                    </label>
+                    <label className="flex items-center gap-2 text-sm text-dark-textMuted">
+                      <input
+                        type="checkbox"
+                        checked={transferDeleteSource}
+                        onChange={(e) => setTransferDeleteSource(e.target.checked)}
+                      />
+                      Delete each file here once its transfer is verified
+                    </label>
+                  </div>
+                )}
+
+                {(movingFile.isFolder || transferMode === 'copy') && (
+                  <div>
+                    <label className="block text-sm text-dark-textMuted mb-2">
+                      If a file already exists at the destination:
+                    </label>
+                    <select
+                      value={moveConflict}
+                      onChange={(e) => setMoveConflict(e.target.value)}
+                      className="w-full px-4 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
+                    >
+                      <option value="fail">Cancel the {transferMode === 'copy' ? 'copy' : 'move'}</option>
+                      <option value="skip">Skip that file</option>
+                      <option value="overwrite">Overwrite it</option>
+                    </select>
+                  </div>
+                )}
+
                 <div className="flex justify-end gap-3 pt-4 border-t border-dark-border">
                   <button
-                    onClick={() => {
-                      setShowMoveModal(false);
-                      setMovingFile(null);
-                      setMoveDestination('');
-                    }}
+                    onClick={closeMoveModal}
                     disabled={movingLoading}
                     className="px-4 py-2 bg-dark-surface border border-dark-border text-dark-textMuted rounded-lg hover:text-dark-text hover:border-dark-accent/50 transition-all"
                   >
                     Cancel
                   </button>
                   <button
-                    onClick={handleMoveFile}
-                    disabled={movingLoading}
+                    onClick={transferMode === 'copy' ? handleCopy : handleMoveFile}
+                    disabled={movingLoading || (transferMode === 'copy' && copyConnectionId && !copyDestinationBucket.trim())}
                     className="px-4 py-2 bg-dark-accent text-white rounded-lg hover:bg-dark-accentHover transition-all disabled:opacity-50 disabled:cursor-not-allowed"
                   >
-                    {movingLoading ? '⏳ Moving...' : 'Move'}
+                    {transferMode === 'copy'
+                      ? (movingLoading ? '⏳ Copying...' : 'Copy')
+                      : (movingLoading ? '⏳ Moving...' : 'Move')}
                   </button>
                 </div>
               </div>
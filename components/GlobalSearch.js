@@ -0,0 +1,243 @@
+/**
+ * Global Search
+ * Searches a whole bucket through /api/search; picking a result opens its folder
+ */
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { formatDate, formatFileSize, getFileIcon, FILE_CATEGORIES } from '../utils/clientHelpers';
+import { handleApiResponse } from '../utils/api';
+import { loadBucketsFromApi } from '../utils/bucketHelpers';
+import { useAuth } from '../contexts/AuthContext';
+
+const RESULTS_LIMIT = 20;
+const MB = 1024 * 1024;
+
+const EMPTY_FILTERS = {
+  category: 'All',
+  extension: '',
+  minSizeMb: '',
+  maxSizeMb: '',
+  modifiedAfter: '',
+  modifiedBefore: '',
+  metadata: '',
+};
+
+// The API's modifiedBefore is exclusive; the date picker's end date should include the whole day
+const dayAfter = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+};
+
+function buildSearchParams(bucket, query, filters) {
+  const params = new URLSearchParams({ bucket, limit: String(RESULTS_LIMIT) });
+  if (query) params.set('q', query);
+  if (filters.category !== 'All') params.set('category', filters.category);
+  if (filters.extension.trim()) params.set('extension', filters.extension.trim());
+  if (filters.minSizeMb !== '') params.set('minSize', String(Math.round(Number(filters.minSizeMb) * MB)));
+  if (filters.maxSizeMb !== '') params.set('maxSize', String(Math.round(Number(filters.maxSizeMb) * MB)));
+  if (filters.modifiedAfter) params.set('modifiedAfter', filters.modifiedAfter);
+  if (filters.modifiedBefore) params.set('modifiedBefore', dayAfter(filters.modifiedBefore));
+  // "key=value" pairs separated by commas
+  filters.metadata.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const [key, ...value] = pair.split('=');
+    params.set(`meta.${key.trim()}`, value.join('=').trim() || '*');
+  });
+  return params;
+}
+
+export default function GlobalSearch({ onOpenResult }) {
+  const { authFetch } = useAuth();
+  const [buckets, setBuckets] = useState([]);
+  const [bucket, setBucket] = useState('');
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState(null); // { files, total, indexedAt }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+  const inputRef = useRef(null);
+  const containerRef = useRef(null);
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    loadBucketsFromApi(authFetch).then(({ buckets: loadedBuckets, preferredBucket }) => {
+      setBuckets(loadedBuckets);
+      setBucket(preferredBucket);
+    });
+  }, [authFetch]);
+
+  // Ctrl+K (Cmd+K) focuses the search box
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        inputRef.current?.focus();
+        setOpen(true);
+      }
+    };
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
+
+  // Close the results when clicking elsewhere
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const filtering = JSON.stringify(filters) !== JSON.stringify(EMPTY_FILTERS);
+
+  const runSearch = useCallback(async (refresh = false) => {
+    const requestId = ++requestRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = buildSearchParams(bucket, query.trim(), filters);
+      if (refresh) params.set('refresh', 'true');
+      const data = await handleApiResponse(await authFetch(`/api/search?${params}`));
+      if (requestId !== requestRef.current) return;
+      if (!data.success) throw new Error(data.error || 'Search failed');
+      setResults({ files: data.files, total: data.total, indexedAt: data.indexedAt });
+    } catch (err) {
+      if (requestId === requestRef.current) setError(err.message);
+    } finally {
+      if (requestId === requestRef.current) setLoading(false);
+    }
+  }, [authFetch, bucket, query, filters]);
+
+  // Search runs on the server, so wait for typing to pause
+  useEffect(() => {
+    if (!bucket || (!query.trim() && !filtering)) {
+      requestRef.current++;
+      setResults(null);
+      setLoading(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => runSearch(), 300);
+    return () => clearTimeout(timer);
+  }, [bucket, query, filtering, runSearch]);
+
+  const openResult = (file) => {
+    setOpen(false);
+    onOpenResult({ bucket, folder: file.folder, path: file.path, name: file.name });
+  };
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+  const inputClassName = 'px-3 py-2 bg-dark-bg border border-dark-border rounded-lg text-dark-text text-sm focus:outline-none focus:border-dark-accent/50';
+
+  return (
+    <div ref={containerRef} className="relative mb-4">
+      <div className="flex flex-col sm:flex-row gap-2">
+        <div className="relative flex-1">
+          <span className="absolute left-3 top-1/2 -translate-y-1/2 text-dark-textMuted">🔎</span>
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+            onFocus={() => setOpen(true)}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') setOpen(false);
+              if (e.key === 'Enter' && results?.files.length > 0) openResult(results.files[0]);
+            }}
+            placeholder="Search every folder by name or glob (*.pdf, report-202?.csv)"
+            className="w-full pl-10 pr-4 py-2.5 bg-dark-surface/80 border border-dark-border rounded-xl text-dark-text text-sm focus:outline-none focus:border-dark-accent/50"
+            aria-label="Search all folders"
+          />
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={bucket}
+            onChange={(e) => setBucket(e.target.value)}
+            className={`${inputClassName} flex-1 sm:flex-none`}
+            aria-label="Bucket to search"
+          >
+            {buckets.map(b => <option key={b.name} value={b.name}>{b.name}</option>)}
+          </select>
+          <button
+            onClick={() => { setShowFilters(!showFilters); setOpen(true); }}
+            className={`px-3 py-2 text-sm rounded-lg border transition-all ${filtering
+              ? 'bg-dark-accent/20 border-dark-accent/50 text-dark-accent'
+              : 'bg-dark-surface/80 border-dark-border text-dark-textMuted hover:text-dark-text'}`}
+          >
+            Filters
+          </button>
+        </div>
+      </div>
+
+      {open && (showFilters || results || loading || error) && (
+        <div className="absolute z-30 left-0 right-0 mt-2 bg-dark-surface border border-dark-border rounded-xl shadow-2xl overflow-hidden">
+          {showFilters && (
+            <div className="p-3 border-b border-dark-border grid grid-cols-2 md:grid-cols-4 gap-2">
+              <select value={filters.category} onChange={(e) => updateFilter('category', e.target.value)} className={inputClassName} aria-label="Category">
+                {FILE_CATEGORIES.map(category => <option key={category} value={category}>{category === 'All' ? 'Any type' : category}</option>)}
+              </select>
+              <input type="text" value={filters.extension} onChange={(e) => updateFilter('extension', e.target.value)} placeholder="Extensions (pdf,csv)" className={inputClassName} aria-label="Extensions" />
+              <input type="number" min="0" value={filters.minSizeMb} onChange={(e) => updateFilter('minSizeMb', e.target.value)} placeholder="Min MB" className={inputClassName} aria-label="Minimum size in MB" />
+              <input type="number" min="0" value={filters.maxSizeMb} onChange={(e) => updateFilter('maxSizeMb', e.target.value)} placeholder="Max MB" className={inputClassName} aria-label="Maximum size in MB" />
+              <input type="date" value={filters.modifiedAfter} onChange={(e) => updateFilter('modifiedAfter', e.target.value)} className={inputClassName} aria-label="Modified from" />
+              <input type="date" value={filters.modifiedBefore} onChange={(e) => updateFilter('modifiedBefore', e.target.value)} className={inputClassName} aria-label="Modified until" />
+              <input type="text" value={filters.metadata} onChange={(e) => updateFilter('metadata', e.target.value)} placeholder="Metadata (owner=ops)" className={`${inputClassName} col-span-2 md:col-span-1`} aria-label="Metadata" />
+              <button
+                onClick={() => setFilters(EMPTY_FILTERS)}
+                disabled={!filtering}
+                className="px-3 py-2 text-sm text-dark-textMuted hover:text-dark-text disabled:opacity-50 transition-all"
+              >
+                Clear filters
+              </button>
+            </div>
+          )}
+
+          {loading && !results && (
+            <div className="px-4 py-3 text-sm text-dark-textMuted flex items-center gap-2">
+              <div className="inline-block animate-spin">⏳</div>
+              Searching...
+            </div>
+          )}
+          {error && <div className="px-4 py-3 text-sm text-red-400">{error}</div>}
+
+          {results && (
+            <>
+              <div className="max-h-80 overflow-y-auto">
+                {results.files.length === 0 ? (
+                  <div className="px-4 py-6 text-sm text-dark-textMuted text-center">No files match</div>
+                ) : (
+                  results.files.map(file => (
+                    <button
+                      key={file.path}
+                      onClick={() => openResult(file)}
+                      className="w-full flex items-center gap-3 px-4 py-2 text-left hover:bg-dark-surfaceHover transition-colors"
+                    >
+                      <span className="text-xl flex-shrink-0">{getFileIcon(file.name)}</span>
+                      <span className="flex-1 min-w-0">
+                        <span className="block text-sm text-dark-text truncate">{file.name}</span>
+                        <span className="block text-xs text-dark-textMuted truncate">/{file.folder}</span>
+                      </span>
+                      <span className="text-xs text-dark-textMuted text-right flex-shrink-0">
+                        <span className="block">{formatFileSize(file.size)}</span>
+                        <span className="block">{formatDate(file.updatedAt)}</span>
+                      </span>
+                    </button>
+                  ))
+                )}
+              </div>
+              <div className="px-4 py-2 border-t border-dark-border flex items-center justify-between text-xs text-dark-textMuted">
+                <span>
+                  {results.total > results.files.length ? `First ${results.files.length} of ${results.total}` : `${results.total} result(s)`}
+                  {' · indexed '}{formatDate(results.indexedAt)}
+                </span>
+                <button onClick={() => runSearch(true)} disabled={loading} className="hover:text-dark-text disabled:opacity-50 transition-all">
+                  {loading ? 'Searching...' : 'Re-index'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
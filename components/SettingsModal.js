@@ -1,19 +1,20 @@
 /**
  * Settings Modal Component
- * Configure Supabase connection and other user preferences
+ * Configure Supabase connection, storage connections to other projects and other user preferences
  */
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { createPortal } from 'react-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 export default function SettingsModal({ isOpen, onClose }) {
-  const { settings, updateSettings, testConnection } = useAuth();
+  const { settings, updateSettings, testConnection, authFetch } = useAuth();
 
   const [formData, setFormData] = useState({
     supabase_url: '',
     supabase_key: '',
     default_bucket: 'files',
     max_retries: 3,
+    upload_conflict_policy: '',
     theme: 'dark',
   });
   const [loading, setLoading] = useState(false);
@@ -22,6 +23,10 @@ export default function SettingsModal({ isOpen, onClose }) {
   const [success, setSuccess] = useState(null);
   const [testResult, setTestResult] = useState(null);
   const [mounted, setMounted] = useState(false);
+  // Other projects files can be transferred to (see /api/settings/connections)
+  const [connections, setConnections] = useState([]);
+  const [connectionForm, setConnectionForm] = useState({ name: '', supabase_url: '', supabase_key: '' });
+  const [savingConnection, setSavingConnection] = useState(false);
 
   useEffect(() => {
     setMounted(true);
@@ -35,6 +40,7 @@ export default function SettingsModal({ isOpen, onClose }) {
         supabase_key: '', // Don't pre-fill the key for security
         default_bucket: settings.default_bucket || 'files',
         max_retries: settings.max_retries || 3,
+        upload_conflict_policy: settings.upload_conflict_policy || '',
         theme: settings.theme || 'dark',
       });
       setError(null);
@@ -43,6 +49,63 @@ export default function SettingsModal({ isOpen, onClose }) {
     }
   }, [isOpen, settings]);
 
+  const loadConnections = useCallback(async () => {
+    try {
+      const response = await authFetch('/api/settings/connections');
+      const data = await response.json();
+      if (data.success) setConnections(data.connections);
+    } catch (err) {
+      console.error('Failed to load storage connections:', err);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    if (isOpen) loadConnections();
+  }, [isOpen, loadConnections]);
+
+  const handleConnectionChange = (e) => {
+    const { name, value } = e.target;
+    setConnectionForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddConnection = async () => {
+    setSavingConnection(true);
+    setError(null);
+    try {
+      const response = await authFetch('/api/settings/connections', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(connectionForm),
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error || 'Failed to save connection');
+        return;
+      }
+      setConnectionForm({ name: '', supabase_url: '', supabase_key: '' });
+      loadConnections();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingConnection(false);
+    }
+  };
+
+  const handleDeleteConnection = async (connectionId) => {
+    setError(null);
+    try {
+      const response = await authFetch(`/api/settings/connections/${connectionId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error || 'Failed to delete connection');
+        return;
+      }
+      setConnections(prev => prev.filter(connection => connection.id !== connectionId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -91,6 +154,7 @@ export default function SettingsModal({ isOpen, onClose }) {
         supabase_url: formData.supabase_url,
         default_bucket: formData.default_bucket,
         max_retries: formData.max_retries,
+        upload_conflict_policy: formData.upload_conflict_policy,
         theme: formData.theme,
       };
 
@@ -284,6 +348,99 @@ export default function SettingsModal({ isOpen, onClose }) {
                            text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
               />
             </div>
+
+            <div>
+              <label htmlFor="upload_conflict_policy" className="block text-sm font-medium text-dark-textMuted mb-1">
+                When an Upload&apos;s File Already Exists
+              </label>
+              <select
+                id="upload_conflict_policy"
+                name="upload_conflict_policy"
+                value={formData.upload_conflict_policy}
+                onChange={handleChange}
+                className="w-full px-3 py-2 bg-dark-bg border border-dark-border rounded-lg
+                           text-dark-text focus:outline-none focus:ring-2 focus:ring-dark-accent"
+              >
+                <option value="">Automatic (rename, overwrite when a path is given)</option>
+                <option value="rename">Rename the upload</option>
+                <option value="overwrite">Overwrite the file</option>
+                <option value="skip">Skip the upload</option>
+                <option value="fail">Fail the upload</option>
+              </select>
+            </div>
+          </div>
+
+          {/* Storage Connections Section */}
+          <div className="space-y-3 pt-4">
+            <h3 className="text-sm font-medium text-dark-text border-b border-dark-border pb-2">
+              Other Projects
+            </h3>
+            <p className="text-xs text-dark-textMuted">
+              Saved projects can be picked as the destination when copying files.
+            </p>
+
+            {connections.length > 0 && (
+              <ul className="space-y-2">
+                {connections.map(connection => (
+                  <li key={connection.id} className="flex items-center justify-between gap-3 px-3 py-2 bg-dark-bg border border-dark-border rounded-lg text-sm">
+                    <span className="min-w-0 truncate text-dark-text">
+                      {connection.name}
+                      <span className="ml-2 text-xs text-dark-textMuted">{connection.supabaseUrl} · {connection.keyHint}</span>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteConnection(connection.id)}
+                      className="text-xs text-red-400 hover:text-red-300 flex-shrink-0"
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="grid grid-cols-1 gap-2">
+              <input
+                name="name"
+                type="text"
+                value={connectionForm.name}
+                onChange={handleConnectionChange}
+                placeholder="Name (e.g. staging)"
+                className="w-full px-3 py-2 bg-dark-bg border border-dark-border rounded-lg
+                           text-dark-text placeholder:text-dark-textMuted/50
+                           focus:outline-none focus:ring-2 focus:ring-dark-accent"
+              />
+              <input
+                name="supabase_url"
+                type="url"
+                value={connectionForm.supabase_url}
+                onChange={handleConnectionChange}
+                placeholder="https://other-project.supabase.co"
+                className="w-full px-3 py-2 bg-dark-bg border border-dark-border rounded-lg
+                           text-dark-text placeholder:text-dark-textMuted/50
+                           focus:outline-none focus:ring-2 focus:ring-dark-accent"
+              />
+              <input
+                name="supabase_key"
+                type="password"
+                value={connectionForm.supabase_key}
+                onChange={handleConnectionChange}
+                placeholder="Service role key"
+                className="w-full px-3 py-2 bg-dark-bg border border-dark-border rounded-lg
+                           text-dark-text placeholder:text-dark-textMuted/50
+                           focus:outline-none focus:ring-2 focus:ring-dark-accent"
+              />
+              <button
+                type="button"
+                onClick={handleAddConnection}
+                disabled={savingConnection || !connectionForm.name || !connectionForm.supabase_url || !connectionForm.supabase_key}
+                className="w-full py-2 px-4 bg-dark-bg border border-dark-border rounded-lg
+                           text-dark-text hover:bg-dark-border transition-colors
+                           disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {savingConnection ? 'Checking...' : 'Add Project'}
+              </button>
+            </div>
           </div>
 
           {/* Actions */}
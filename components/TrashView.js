@@ -0,0 +1,162 @@
+/**
+ * Trash View
+ * Deleted files and folders of one bucket, with restore and permanent delete
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { formatDate } from '../utils/clientHelpers';
+import ConfirmModal from './ConfirmModal';
+import { useAuth } from '../contexts/AuthContext';
+
+export default function TrashView({ bucket, onClose, onNotify, onRestored }) {
+  const { authFetch } = useAuth();
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null); // Item being restored or purged ('all' when emptying)
+  const [purgeTarget, setPurgeTarget] = useState(null); // Item to purge, or 'all'
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(`/api/trash?bucket=${encodeURIComponent(bucket)}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to load trash');
+      setItems(data.items);
+      setRetentionDays(data.retentionDays);
+    } catch (error) {
+      onNotify({ message: error.message, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, bucket, onNotify]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const restoreItem = async (item) => {
+    setBusyId(item.id);
+    try {
+      const response = await authFetch('/api/trash/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bucket, ids: [item.id] }),
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to restore');
+      setItems(prev => prev.filter(entry => entry.id !== item.id));
+      onNotify({ message: `Restored /${item.originalPath}`, type: 'success' });
+      onRestored();
+    } catch (error) {
+      onNotify({ message: error.message, type: 'error' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const purge = async () => {
+    const target = purgeTarget;
+    setBusyId(target === 'all' ? 'all' : target.id);
+    try {
+      const response = await authFetch('/api/trash/purge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(target === 'all' ? { bucket, all: true } : { bucket, ids: [target.id] }),
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to delete permanently');
+      setItems(prev => (target === 'all' ? [] : prev.filter(entry => entry.id !== target.id)));
+      onNotify({ message: data.message, type: 'success' });
+    } catch (error) {
+      onNotify({ message: error.message, type: 'error' });
+    } finally {
+      setBusyId(null);
+      setPurgeTarget(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h3 className="text-dark-text font-medium">🗑️ Trash of {bucket}</h3>
+          {retentionDays !== null && (
+            <p className="text-xs text-dark-textMuted">
+              Items are deleted permanently {retentionDays} day{retentionDays !== 1 ? 's' : ''} after they were moved here.
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPurgeTarget('all')}
+            disabled={items.length === 0 || busyId !== null}
+            className="px-3 py-2 bg-red-500/10 border border-red-500/30 text-red-400 rounded-lg hover:bg-red-500/20 transition-all text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Empty trash
+          </button>
+          <button
+            onClick={onClose}
+            className="px-3 py-2 bg-dark-surface border border-dark-border text-dark-textMuted rounded-lg hover:text-dark-text hover:border-dark-accent/50 transition-all text-sm"
+          >
+            Back to files
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-sm text-dark-textMuted flex items-center gap-2">
+          <div className="inline-block animate-spin">⏳</div>
+          Loading trash...
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-12 text-dark-textMuted">The trash is empty</div>
+      ) : (
+        <div className="space-y-2">
+          {items.map(item => (
+            <div key={item.id} className="flex items-center justify-between gap-3 px-4 py-3 bg-dark-surface border border-dark-border rounded-xl">
+              <div className="min-w-0">
+                <div className="text-dark-text truncate">
+                  {item.isFolder ? '📁' : '📄'} {item.originalPath ? `/${item.originalPath}` : '(unknown path)'}
+                </div>
+                <div className="text-xs text-dark-textMuted">
+                  Deleted {formatDate(item.deletedAt)}
+                  {item.isFolder && item.count !== null && ` · ${item.count} item${item.count !== 1 ? 's' : ''}`}
+                  {` · purged ${formatDate(item.expiresAt)}`}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <button
+                  onClick={() => restoreItem(item)}
+                  disabled={!item.originalPath || busyId !== null}
+                  className="px-3 py-1.5 bg-dark-surface border border-dark-border text-dark-text rounded-lg hover:border-dark-accent/50 transition-all text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {busyId === item.id ? '⏳' : 'Restore'}
+                </button>
+                <button
+                  onClick={() => setPurgeTarget(item)}
+                  disabled={busyId !== null}
+                  className="px-3 py-1.5 text-red-400 hover:text-red-300 transition-all text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Delete forever
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={purgeTarget !== null}
+        title={purgeTarget === 'all' ? 'Empty Trash' : 'Delete Permanently'}
+        message={purgeTarget === 'all'
+          ? `Permanently delete all ${items.length} item(s) in the trash of "${bucket}"? This action cannot be undone.`
+          : `Permanently delete "/${purgeTarget?.originalPath || purgeTarget?.id}"? This action cannot be undone.`}
+        confirmText="Delete forever"
+        type="danger"
+        onConfirm={purge}
+        onCancel={() => setPurgeTarget(null)}
+        isLoading={busyId !== null}
+      />
+    </div>
+  );
+}
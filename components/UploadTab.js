@@ -1,7 +1,8 @@
 import { useState, useRef, useEffect, useMemo } from 'react';
 import { formatFileSize, getFileIcon } from '../utils/clientHelpers';
 import { loadBucketsFromApi } from '../utils/bucketHelpers';
-import { uploadFileWithProgress } from '../utils/uploadHelpers';
+import { uploadFileWithProgress, uploadFileInChunks } from '../utils/uploadHelpers';
+import { shouldUseResumableUpload } from '../utils/resumableUpload.mjs';
 import Toast from './Toast';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -9,6 +10,7 @@ export default function UploadTab() {
   const { authFetch, session } = useAuth();
   const [files, setFiles] = useState([]);
   const [currentBucket, setCurrentBucket] = useState('files');
+  const [conflictPolicy, setConflictPolicy] = useState(''); // '' uses the user's setting
   const [buckets, setBuckets] = useState([]);
   const [isDragging, setIsDragging] = useState(false);
   const [notification, setNotification] = useState(null);
@@ -144,6 +146,20 @@ export default function UploadTab() {
     });
   };
 
+  // Large files are pushed as parallel chunks; smaller ones go in a single request
+  const startUpload = (file, folderPath, onProgress, onSuccess, onError) => {
+    if (!shouldUseResumableUpload(file.size)) {
+      // Get access token from session
+      const accessToken = session?.access_token || null;
+      uploadFileWithProgress(file, currentBucket, onProgress, onSuccess, onError, folderPath, accessToken, conflictPolicy);
+      return;
+    }
+
+    uploadFileInChunks(file, currentBucket, { authFetch, folderPath, onProgress, conflict: conflictPolicy })
+      .then(onSuccess)
+      .catch(error => onError(`Upload failed: ${error.message}`));
+  };
+
   const uploadFile = (file) => {
     const fileId = Date.now() + Math.random();
     const newFile = {
@@ -158,12 +174,9 @@ export default function UploadTab() {
 
     setFiles(prev => [...prev, newFile]);
 
-    // Get access token from session
-    const accessToken = session?.access_token || null;
-
-    uploadFileWithProgress(
+    startUpload(
       file,
-      currentBucket,
+      '', // No folder path in UploadTab
       (percent) => {
         setFiles(prev =>
           prev.map(f => f.id === fileId ? { ...f, progress: percent } : f)
@@ -174,10 +187,9 @@ export default function UploadTab() {
           prev.map(f => f.id === fileId ? { ...f, status: 'success', progress: 100, endTime: Date.now() } : f)
         );
         const uploadedFileName = response.path ? response.path.split('/').pop() : file.name;
-        setNotification({
-          message: `${uploadedFileName} has been uploaded successfully`,
-          type: 'success',
-        });
+        setNotification(response.skipped
+          ? { message: `${file.name} was skipped: a file with that name already exists`, type: 'info' }
+          : { message: `${uploadedFileName} has been uploaded successfully`, type: 'success' });
       },
       (errorMsg) => {
         setFiles(prev =>
@@ -187,9 +199,7 @@ export default function UploadTab() {
           message: `Failed to upload ${file.name}: ${errorMsg}`,
           type: 'error',
         });
-      },
-      '', // No folder path in UploadTab
-      accessToken // Pass access token for authentication
+      }
     );
   };
 
@@ -213,12 +223,9 @@ export default function UploadTab() {
 
     setFiles(prev => [...prev, newFile]);
 
-    // Get access token from session
-    const accessToken = session?.access_token || null;
-
-    uploadFileWithProgress(
+    startUpload(
       file,
-      currentBucket,
+      folderPath, // Pass the folder path for proper placement
       (percent) => {
         setFiles(prev =>
           prev.map(f => f.id === fileId ? { ...f, progress: percent } : f)
@@ -228,10 +235,9 @@ export default function UploadTab() {
         setFiles(prev =>
           prev.map(f => f.id === fileId ? { ...f, status: 'success', progress: 100, endTime: Date.now() } : f)
         );
-        setNotification({
-          message: `${relativePath} uploaded successfully`,
-          type: 'success',
-        });
+        setNotification(response.skipped
+          ? { message: `${relativePath} was skipped: a file already exists at that path`, type: 'info' }
+          : { message: `${relativePath} uploaded successfully`, type: 'success' });
       },
       (errorMsg) => {
         setFiles(prev =>
@@ -241,9 +247,7 @@ export default function UploadTab() {
           message: `Failed to upload ${relativePath}: ${errorMsg}`,
           type: 'error',
         });
-      },
-      folderPath, // Pass the folder path for proper placement
-      accessToken // Pass access token for authentication
+      }
     );
   };
 
@@ -293,6 +297,18 @@ export default function UploadTab() {
                   </option>
                 ))}
               </select>
+              <label className="text-xs sm:text-sm font-medium text-dark-textMuted">If it exists:</label>
+              <select
+                value={conflictPolicy}
+                onChange={(e) => setConflictPolicy(e.target.value)}
+                className="flex-1 sm:flex-none px-3 sm:px-4 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-text text-sm focus:outline-none focus:ring-2 focus:ring-dark-accent focus:border-transparent min-h-[44px]"
+              >
+                <option value="">My default</option>
+                <option value="rename">Rename</option>
+                <option value="overwrite">Overwrite</option>
+                <option value="skip">Skip</option>
+                <option value="fail">Fail</option>
+              </select>
             </div>
           )}
 
@@ -0,0 +1,303 @@
+/**
+ * Usage Tab
+ * Storage usage per bucket, folder and file type, the largest files and growth over time
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { formatDate, formatFileSize, getFileIcon } from '../utils/clientHelpers';
+import { useAuth } from '../contexts/AuthContext';
+import Toast from './Toast';
+
+const HISTORY_RANGES = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 120;
+
+const share = (bytes, total) => (total > 0 ? Math.max(1, Math.round((bytes / total) * 100)) : 0);
+
+function UsageBar({ label, icon, bytes, count, total, onClick }) {
+  const content = (
+    <>
+      <div className="flex items-center justify-between gap-3 text-sm">
+        <span className="text-dark-text truncate">{icon} {label}</span>
+        <span className="text-dark-textMuted whitespace-nowrap">
+          {formatFileSize(bytes)} · {count} file{count !== 1 ? 's' : ''}
+        </span>
+      </div>
+      <div className="mt-1 h-1.5 bg-dark-border rounded-full overflow-hidden">
+        <div className="h-full bg-gradient-to-r from-dark-accent to-purple-600" style={{ width: `${share(bytes, total)}%` }} />
+      </div>
+    </>
+  );
+
+  return onClick ? (
+    <button onClick={onClick} className="w-full text-left px-3 py-2 rounded-lg hover:bg-dark-surfaceHover transition-colors">
+      {content}
+    </button>
+  ) : (
+    <div className="px-3 py-2">{content}</div>
+  );
+}
+
+function GrowthChart({ history }) {
+  if (history.length < 2) {
+    return (
+      <p className="text-sm text-dark-textMuted py-6 text-center">
+        Growth shows up once more snapshots have been recorded.
+      </p>
+    );
+  }
+
+  const times = history.map(point => Date.parse(point.takenAt));
+  const sizes = history.map(point => point.totalBytes);
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+  const [minSize, maxSize] = [Math.min(...sizes), Math.max(...sizes)];
+  const x = (time) => ((time - minTime) / (maxTime - minTime || 1)) * CHART_WIDTH;
+  const y = (size) => CHART_HEIGHT - ((size - minSize) / (maxSize - minSize || 1)) * (CHART_HEIGHT - 10) - 5;
+  const points = history.map((point, i) => `${x(times[i]).toFixed(1)},${y(sizes[i]).toFixed(1)}`).join(' ');
+  const change = sizes[sizes.length - 1] - sizes[0];
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32" preserveAspectRatio="none" role="img" aria-label="Storage growth">
+        <polyline points={points} fill="none" stroke="currentColor" strokeWidth="2" className="text-dark-accent" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-xs text-dark-textMuted mt-1">
+        <span>{formatDate(history[0].takenAt)} · {formatFileSize(sizes[0])}</span>
+        <span className={change > 0 ? 'text-yellow-400' : 'text-green-400'}>
+          {change >= 0 ? '+' : '−'}{formatFileSize(Math.abs(change))}
+        </span>
+        <span>{formatDate(history[history.length - 1].takenAt)} · {formatFileSize(sizes[sizes.length - 1])}</span>
+      </div>
+    </div>
+  );
+}
+
+export default function UsageTab() {
+  const { authFetch } = useAuth();
+  const [bucket, setBucket] = useState(''); // '' shows every bucket
+  const [folder, setFolder] = useState('');
+  const [days, setDays] = useState(30);
+  const [overview, setOverview] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notification, setNotification] = useState(null);
+
+  const loadUsage = useCallback(async (refresh = false) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (bucket) {
+        params.set('bucket', bucket);
+        params.set('days', String(days));
+        if (folder) params.set('folder', folder);
+      }
+      if (refresh) params.set('refresh', 'true');
+
+      const response = await authFetch(`/api/usage?${params}`);
+      const data = await response.json();
+      if (!data.success) {
+        if (response.status === 403) {
+          setError('Storage usage is only visible to operators and admins.');
+        } else {
+          setNotification({ message: data.error || 'Failed to load usage', type: 'error' });
+        }
+        return;
+      }
+      if (bucket) setDetail(data);
+      else setOverview(data);
+    } catch (err) {
+      console.error('Error loading usage:', err);
+      setNotification({ message: 'Failed to load usage', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, bucket, folder, days]);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  const openBucket = (name) => {
+    setDetail(null);
+    setFolder('');
+    setBucket(name);
+  };
+
+  // ISO timestamps sort chronologically; the overview is as old as its oldest measurement
+  const scannedAt = bucket ? detail?.scannedAt : overview?.buckets.map(usage => usage.scannedAt).sort()[0];
+  const crumbs = folder ? folder.split('/') : [];
+  const sectionClassName = 'bg-dark-bg border border-dark-border rounded-xl p-3';
+
+  return (
+    <div className="space-y-4 animate-fade-in">
+      {notification && (
+        <Toast
+          message={notification.message}
+          type={notification.type}
+          onClose={() => setNotification(null)}
+        />
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center justify-between">
+        <div className="flex items-center gap-2 flex-wrap">
+          <select
+            value={bucket}
+            onChange={(e) => openBucket(e.target.value)}
+            className="px-3 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-text text-sm focus:outline-none focus:border-dark-accent/50"
+            aria-label="Bucket"
+          >
+            <option value="">All buckets</option>
+            {(overview?.buckets || []).map(b => <option key={b.bucket} value={b.bucket}>{b.bucket}</option>)}
+            {bucket && !overview?.buckets.some(b => b.bucket === bucket) && <option value={bucket}>{bucket}</option>}
+          </select>
+          {bucket && HISTORY_RANGES.map(range => (
+            <button
+              key={range.days}
+              onClick={() => setDays(range.days)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${days === range.days
+                ? 'bg-dark-accent/30 text-dark-text ring-1 ring-dark-accent/50'
+                : 'bg-dark-surface/50 border border-dark-border text-dark-textMuted hover:text-dark-text'}`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-3">
+          {scannedAt && <span className="text-xs text-dark-textMuted">Measured {formatDate(scannedAt)}</span>}
+          <button
+            onClick={() => loadUsage(true)}
+            disabled={loading}
+            className="px-3 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-text hover:bg-dark-surfaceHover hover:border-dark-accent/50 transition-all text-sm disabled:opacity-50 flex items-center gap-1.5"
+          >
+            <span className={loading ? 'animate-spin' : ''}>🔄</span>
+            <span className="hidden sm:inline">Re-measure</span>
+          </button>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="text-center py-20">
+          <div className="text-6xl mb-4 opacity-30">🔒</div>
+          <p className="text-dark-textMuted">{error}</p>
+        </div>
+      ) : loading && !(bucket ? detail : overview) ? (
+        <div className="text-center py-20">
+          <div className="inline-block animate-spin text-4xl mb-4">⏳</div>
+          <p className="text-dark-textMuted">Measuring storage usage...</p>
+        </div>
+      ) : !bucket && overview ? (
+        <div className={sectionClassName}>
+          <div className="flex items-center justify-between px-3 pb-2 text-sm">
+            <span className="text-dark-text font-medium">📊 {overview.buckets.length} bucket{overview.buckets.length !== 1 ? 's' : ''}</span>
+            <span className="text-dark-textMuted">{formatFileSize(overview.totalBytes)} in {overview.objectCount} objects</span>
+          </div>
+          {overview.buckets.length === 0 ? (
+            <p className="text-center py-12 text-dark-textMuted">No buckets in this project</p>
+          ) : overview.buckets.map(usage => (
+            <UsageBar
+              key={usage.bucket}
+              icon="🪣"
+              label={usage.bucket}
+              bytes={usage.totalBytes}
+              count={usage.objectCount}
+              total={overview.totalBytes}
+              onClick={() => openBucket(usage.bucket)}
+            />
+          ))}
+        </div>
+      ) : bucket && detail ? (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[
+              { label: 'Total', value: formatFileSize(detail.totalBytes), hint: `${detail.objectCount} objects` },
+              { label: 'Files', value: formatFileSize(detail.files.bytes), hint: `${detail.files.count} files` },
+              { label: 'Trash', value: formatFileSize(detail.trash.bytes), hint: `${detail.trash.count} objects` },
+              { label: 'Versions', value: formatFileSize(detail.versions.bytes), hint: `${detail.versions.count} objects` },
+            ].map(card => (
+              <div key={card.label} className={sectionClassName}>
+                <div className="text-xs text-dark-textMuted">{card.label}</div>
+                <div className="text-lg font-semibold text-dark-text">{card.value}</div>
+                <div className="text-xs text-dark-textMuted">{card.hint}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className={sectionClassName}>
+            <div className="text-sm text-dark-text font-medium mb-2">📈 Growth</div>
+            <GrowthChart history={detail.history} />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className={sectionClassName}>
+              <div className="flex items-center gap-1 px-3 pb-2 text-sm flex-wrap">
+                <button onClick={() => setFolder('')} className="text-dark-accent hover:underline">📁 {bucket}</button>
+                {crumbs.map((crumb, i) => (
+                  <span key={crumbs.slice(0, i + 1).join('/')} className="flex items-center gap-1">
+                    <span className="text-dark-textMuted">/</span>
+                    <button onClick={() => setFolder(crumbs.slice(0, i + 1).join('/'))} className="text-dark-accent hover:underline">{crumb}</button>
+                  </span>
+                ))}
+              </div>
+              {detail.folder.folders.map(child => (
+                <UsageBar
+                  key={child.path}
+                  icon="📁"
+                  label={child.name}
+                  bytes={child.bytes}
+                  count={child.count}
+                  total={detail.folder.totals.bytes}
+                  onClick={() => setFolder(child.path)}
+                />
+              ))}
+              {detail.folder.files.count > 0 && (
+                <UsageBar
+                  icon="📄"
+                  label="Files in this folder"
+                  bytes={detail.folder.files.bytes}
+                  count={detail.folder.files.count}
+                  total={detail.folder.totals.bytes}
+                />
+              )}
+              {detail.folder.totals.count === 0 && <p className="text-center py-6 text-sm text-dark-textMuted">No files</p>}
+            </div>
+
+            <div className={sectionClassName}>
+              <div className="px-3 pb-2 text-sm text-dark-text font-medium">🗂️ By type</div>
+              {detail.categories.length === 0 ? (
+                <p className="text-center py-6 text-sm text-dark-textMuted">No files</p>
+              ) : detail.categories.map(category => (
+                <UsageBar
+                  key={category.category}
+                  label={category.category}
+                  bytes={category.bytes}
+                  count={category.count}
+                  total={detail.files.bytes}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className={sectionClassName}>
+            <div className="px-3 pb-2 text-sm text-dark-text font-medium">🐘 Largest files</div>
+            {detail.largestFiles.length === 0 ? (
+              <p className="text-center py-6 text-sm text-dark-textMuted">No files</p>
+            ) : detail.largestFiles.map(file => (
+              <div key={file.path} className="flex items-center gap-3 px-3 py-1.5 text-sm">
+                <span className="flex-shrink-0">{getFileIcon(file.name)}</span>
+                <span className="flex-1 min-w-0 text-dark-text truncate">/{file.path}</span>
+                <span className="text-dark-textMuted whitespace-nowrap">{formatFileSize(file.size)}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+/**
+ * Version History
+ * Prior versions of one object, with download, metadata comparison and restore
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { formatDate, formatFileSize } from '../utils/clientHelpers';
+import { downloadFileFromApi } from '../utils/api';
+import ConfirmModal from './ConfirmModal';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+export default function VersionHistory({ bucket, file, onNotify, onRestored }) {
+  const { authFetch } = useAuth();
+  const [versions, setVersions] = useState([]);
+  const [versioned, setVersioned] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [comparedId, setComparedId] = useState(null);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(`/api/files?bucket=${encodeURIComponent(bucket)}&versions=${encodeURIComponent(file.path)}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to load versions');
+      setVersions(data.versions);
+      setVersioned(data.versioned);
+    } catch (error) {
+      onNotify({ message: error.message, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, bucket, file.path, onNotify]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const downloadVersion = async (version) => {
+    try {
+      const url = `/api/download?path=${encodeURIComponent(file.path)}&bucket=${encodeURIComponent(bucket)}&version=${version.id}`;
+      await downloadFileFromApi(url, file.name);
+    } catch (error) {
+      onNotify({ message: 'Download failed: ' + error.message, type: 'error' });
+    }
+  };
+
+  const restore = async () => {
+    setRestoring(true);
+    try {
+      const response = await authFetch('/api/versions/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bucket, path: file.path, versionId: restoreTarget.id }),
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to restore version');
+      onNotify({ message: data.message, type: 'success' });
+      onRestored();
+      await loadVersions();
+    } catch (error) {
+      onNotify({ message: error.message, type: 'error' });
+    } finally {
+      setRestoring(false);
+      setRestoreTarget(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {loading ? (
+        <div className="text-sm text-dark-textMuted flex items-center gap-2">
+          <div className="inline-block animate-spin">⏳</div>
+          Loading versions...
+        </div>
+      ) : versions.length === 0 ? (
+        <div className="text-sm text-dark-textMuted py-4 text-center">
+          {versioned ? 'No earlier versions yet' : `Versioning is off for "${bucket}"`}
+        </div>
+      ) : (
+        versions.map(version => (
+          <div key={version.id} className="px-3 py-2 bg-dark-bg/50 border border-dark-border rounded-lg">
+            <div className="flex items-center justify-between gap-3">
+              <div className="min-w-0 text-xs">
+                <div className="text-dark-text">Replaced {formatDate(version.replacedAt)}</div>
+                <div className="text-dark-textMuted truncate">
+                  {version.size !== null ? formatFileSize(version.size) : 'Unknown size'}
+                  {version.contentType && ` · ${version.contentType}`}
+                  {version.sha256 && ` · sha256 ${version.sha256.slice(0, 12)}…`}
+                </div>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  onClick={() => setComparedId(comparedId === version.id ? null : version.id)}
+                  className="px-2 py-1 text-xs text-dark-textMuted hover:text-dark-text transition-all"
+                >
+                  {comparedId === version.id ? 'Hide' : 'Compare'}
+                </button>
+                <button
+                  onClick={() => downloadVersion(version)}
+                  className="px-2 py-1 text-xs text-dark-textMuted hover:text-dark-text transition-all"
+                >
+                  Download
+                </button>
+                <button
+                  onClick={() => setRestoreTarget(version)}
+                  disabled={restoring}
+                  className="px-2 py-1 text-xs bg-dark-surface border border-dark-border text-dark-text rounded-lg hover:border-dark-accent/50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Restore
+                </button>
+              </div>
+            </div>
+            {comparedId === version.id && (
+              version.changes.length === 0 ? (
+                <p className="mt-2 text-xs text-dark-textMuted">Same metadata as the current file</p>
+              ) : (
+                <table className="mt-2 w-full text-xs">
+                  <thead>
+                    <tr className="text-dark-textMuted text-left">
+                      <th className="font-normal pr-2">Field</th>
+                      <th className="font-normal pr-2">This version</th>
+                      <th className="font-normal">Current</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {version.changes.map(change => (
+                      <tr key={change.field} className="text-dark-text align-top">
+                        <td className="pr-2 text-dark-textMuted">{change.field}</td>
+                        <td className="pr-2 break-all">{formatValue(change.before)}</td>
+                        <td className="break-all">{formatValue(change.after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )
+            )}
+          </div>
+        ))
+      )}
+
+      <ConfirmModal
+        isOpen={restoreTarget !== null}
+        title="Restore Version"
+        message={`Replace "${file.name}" with the version replaced ${formatDate(restoreTarget?.replacedAt)}? The current file is kept as a version.`}
+        confirmText="Restore"
+        type="warning"
+        onConfirm={restore}
+        onCancel={() => setRestoreTarget(null)}
+        isLoading={restoring}
+      />
+    </div>
+  );
+}
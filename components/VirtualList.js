@@ -0,0 +1,97 @@
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+// useLayoutEffect warns during server rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+/**
+ * Windowed list: only the rows near the viewport are rendered
+ * Rows are assumed to share one height, measured from the rendered rows, so the
+ * spacer above and below the window keeps the scrollbar accurate.
+ *
+ * @param {object} props
+ * @param {Array} props.items - Rows to render
+ * @param {function} props.itemKey - (item) => React key
+ * @param {function} props.renderItem - (item) => row element
+ * @param {React.RefObject} props.scrollRef - The scrolling ancestor
+ * @param {number} props.estimatedItemHeight - Row height (including gap) until rows are measured
+ * @param {number} props.overscan - Extra rows rendered above and below the viewport
+ * @param {function} props.onEndReached - Called when the window gets within endThreshold rows of the end
+ * @param {number} props.endThreshold - Rows before the end that trigger onEndReached
+ * @param {number} props.gap - Space between rows in pixels
+ */
+export default function VirtualList({
+  items,
+  itemKey,
+  renderItem,
+  scrollRef,
+  estimatedItemHeight = 96,
+  overscan = 6,
+  onEndReached,
+  endThreshold = 10,
+  gap = 12,
+}) {
+  const listRef = useRef(null);
+  const windowRef = useRef(null);
+  const [itemHeight, setItemHeight] = useState(estimatedItemHeight);
+  const [range, setRange] = useState({ start: 0, end: Math.min(items.length, 20) });
+
+  const updateRange = useCallback(() => {
+    const scroller = scrollRef.current;
+    const list = listRef.current;
+    if (!scroller || !list) return;
+
+    // Offset of the list inside the scroller (content above it scrolls too)
+    const listTop = list.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+    const visibleTop = scroller.scrollTop - listTop;
+    const start = Math.max(0, Math.floor(visibleTop / itemHeight) - overscan);
+    const end = Math.min(items.length, Math.ceil((visibleTop + scroller.clientHeight) / itemHeight) + overscan);
+
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, [scrollRef, itemHeight, overscan, items.length]);
+
+  useEffect(() => {
+    const scroller = scrollRef.current;
+    if (!scroller) return undefined;
+
+    updateRange();
+    scroller.addEventListener('scroll', updateRange, { passive: true });
+    window.addEventListener('resize', updateRange);
+    return () => {
+      scroller.removeEventListener('scroll', updateRange);
+      window.removeEventListener('resize', updateRange);
+    };
+  }, [scrollRef, updateRange]);
+
+  // Measure the rendered rows; row height changes with the breakpoint
+  useIsomorphicLayoutEffect(() => {
+    const rendered = windowRef.current?.children.length || 0;
+    if (!rendered) return;
+    const measured = (windowRef.current.getBoundingClientRect().height + gap) / rendered;
+    if (Math.abs(measured - itemHeight) > 1) setItemHeight(measured);
+  });
+
+  useEffect(() => {
+    if (onEndReached && items.length > 0 && range.end >= items.length - endThreshold) {
+      onEndReached();
+    }
+  }, [range.end, items.length, endThreshold, onEndReached]);
+
+  const start = Math.min(range.start, items.length);
+  const end = Math.min(range.end, items.length);
+
+  return (
+    <div
+      ref={listRef}
+      style={{
+        paddingTop: start * itemHeight,
+        paddingBottom: Math.max(0, (items.length - end) * itemHeight - gap),
+      }}
+    >
+      <div ref={windowRef} className="flex flex-col" style={{ gap }}>
+        {items.slice(start, end).map(item => (
+          <div key={itemKey(item)}>{renderItem(item)}</div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import Toast from './Toast';
+
+const STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'pending', label: 'Pending' },
+  { id: 'delivered', label: 'Delivered' },
+  { id: 'dead', label: 'Dead letter' },
+];
+
+const STATUS_BADGES = {
+  pending: { emoji: '⏳', className: 'bg-yellow-500/20 text-yellow-400' },
+  delivering: { emoji: '📡', className: 'bg-blue-500/20 text-blue-400' },
+  delivered: { emoji: '✅', className: 'bg-green-500/20 text-green-400' },
+  dead: { emoji: '💀', className: 'bg-red-500/20 text-red-400' },
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+export default function WebhooksTab() {
+  const { authFetch } = useAuth();
+  const [deliveries, setDeliveries] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [replaying, setReplaying] = useState(false);
+  const [notification, setNotification] = useState(null);
+
+  const loadDeliveries = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: '50' });
+      if (statusFilter !== 'all') params.set('status', statusFilter);
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await authFetch(`/api/webhooks/deliveries?${params}`);
+      const data = await response.json();
+      if (!data.success) {
+        setError(response.status === 403 ? 'Webhook deliveries are only visible to admins.' : data.error);
+        return;
+      }
+
+      setDeliveries(prev => (cursor ? [...prev, ...data.deliveries] : data.deliveries));
+      setCounts(data.counts || {});
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Error loading webhook deliveries:', err);
+      setError('Failed to load webhook deliveries');
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, statusFilter]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const replay = async (ids) => {
+    setReplaying(true);
+    try {
+      const response = await authFetch('/api/webhooks/deliveries/replay', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(ids ? { ids } : {}),
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setNotification({ message: data.error || 'Replay failed', type: 'error' });
+        return;
+      }
+      setNotification({
+        message: data.count === 0 ? 'Nothing to replay' : `Queued ${data.count} deliver${data.count === 1 ? 'y' : 'ies'} for replay`,
+        type: data.failed.length > 0 ? 'error' : 'success',
+      });
+      await loadDeliveries();
+    } catch (err) {
+      setNotification({ message: 'Replay failed', type: 'error' });
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4 animate-fade-in flex flex-col h-full">
+      {notification && (
+        <Toast
+          message={notification.message}
+          type={notification.type}
+          onClose={() => setNotification(null)}
+        />
+      )}
+
+      {/* Status Filters */}
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center justify-between">
+        <div className="flex items-center gap-2 flex-wrap">
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.id}
+              onClick={() => setStatusFilter(filter.id)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                statusFilter === filter.id
+                  ? 'bg-dark-accent/30 text-dark-text ring-1 ring-dark-accent/50'
+                  : 'bg-dark-surface/50 border border-dark-border text-dark-textMuted hover:text-dark-text'
+              }`}
+            >
+              {filter.label}
+              {filter.id !== 'all' && counts[filter.id] > 0 && (
+                <span className="ml-1.5 text-xs opacity-75">{counts[filter.id]}</span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => loadDeliveries()}
+            disabled={loading}
+            className="px-3 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-text hover:bg-dark-surfaceHover hover:border-dark-accent/50 transition-all text-sm disabled:opacity-50 flex items-center gap-1.5"
+          >
+            <span className={loading ? 'animate-spin' : ''}>🔄</span>
+            <span className="hidden sm:inline">Refresh</span>
+          </button>
+          <button
+            onClick={() => replay(null)}
+            disabled={replaying || !counts.dead}
+            className="px-3 py-2 bg-red-500/10 border border-red-500/30 rounded-lg text-red-400 hover:bg-red-500/20 transition-all text-sm disabled:opacity-50 flex items-center gap-1.5"
+          >
+            🔁 <span>Replay dead ({counts.dead || 0})</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Delivery History */}
+      <div className="bg-dark-bg border border-dark-border rounded-xl overflow-hidden flex-1 flex flex-col min-h-0">
+        <div className="bg-dark-surface/50 px-4 py-2 border-b border-dark-border flex items-center gap-2 text-sm text-dark-textMuted flex-shrink-0">
+          <span>🪝</span>
+          <span>Webhook Deliveries</span>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 text-sm">
+          {error ? (
+            <div className="text-center py-20">
+              <div className="text-6xl mb-4 opacity-30">🔒</div>
+              <p className="text-dark-textMuted">{error}</p>
+            </div>
+          ) : loading && deliveries.length === 0 ? (
+            <div className="text-center py-20">
+              <div className="inline-block animate-spin text-4xl mb-4">⏳</div>
+              <p className="text-dark-textMuted">Loading deliveries...</p>
+            </div>
+          ) : deliveries.length === 0 ? (
+            <div className="text-center py-20">
+              <div className="text-6xl mb-4 opacity-30">🪝</div>
+              <p className="text-dark-textMuted text-lg">No webhook deliveries</p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {deliveries.map(delivery => {
+                const badge = STATUS_BADGES[delivery.status] || STATUS_BADGES.pending;
+                const expanded = expandedId === delivery.id;
+                return (
+                  <div key={delivery.id} className="border border-dark-border rounded-lg bg-dark-surface/30">
+                    <button
+                      onClick={() => setExpandedId(expanded ? null : delivery.id)}
+                      className="w-full px-3 py-2 flex flex-col sm:flex-row sm:items-center gap-2 text-left"
+                    >
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${badge.className}`}>
+                        {badge.emoji} {delivery.status}
+                      </span>
+                      <span className="font-mono text-dark-text">{delivery.eventType}</span>
+                      <span className="text-dark-textMuted truncate flex-1">{delivery.endpoint}</span>
+                      <span className="text-dark-textMuted text-xs whitespace-nowrap">
+                        {delivery.attempts}/{delivery.maxAttempts} attempts · {formatTime(delivery.createdAt)}
+                      </span>
+                    </button>
+
+                    {expanded && (
+                      <div className="px-3 pb-3 space-y-2 border-t border-dark-border pt-2">
+                        {delivery.lastError && (
+                          <p className="text-red-400 text-xs">Last error: {delivery.lastError}</p>
+                        )}
+                        {delivery.nextAttemptAt && (
+                          <p className="text-dark-textMuted text-xs">Next attempt: {formatTime(delivery.nextAttemptAt)}</p>
+                        )}
+                        <div className="font-mono text-xs space-y-1">
+                          {delivery.history.length === 0 ? (
+                            <p className="text-dark-textMuted">No attempts yet</p>
+                          ) : delivery.history.map(entry => (
+                            <div key={`${entry.attempt}-${entry.at}`} className={entry.ok ? 'text-green-400' : 'text-red-400'}>
+                              #{entry.attempt} {formatTime(entry.at)} · {entry.ok ? `HTTP ${entry.status}` : entry.error} · {entry.durationMs}ms
+                            </div>
+                          ))}
+                        </div>
+                        {(delivery.status === 'dead' || delivery.status === 'delivered') && (
+                          <button
+                            onClick={() => replay([delivery.id])}
+                            disabled={replaying}
+                            className="px-3 py-1.5 bg-dark-surface border border-dark-border rounded-lg text-dark-text hover:border-dark-accent/50 transition-all text-xs disabled:opacity-50"
+                          >
+                            🔁 Replay
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+
+              {nextCursor && (
+                <button
+                  onClick={() => loadDeliveries(nextCursor)}
+                  disabled={loading}
+                  className="w-full mt-2 px-4 py-2 bg-dark-surface border border-dark-border rounded-lg text-dark-textMuted hover:text-dark-text hover:border-dark-accent/50 transition-all text-sm disabled:opacity-50"
+                >
+                  {loading ? 'Loading...' : 'Load more'}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+-- =============================================================================
+-- Audit Events Table Migration
+-- =============================================================================
+-- Run this SQL in your AUTH Supabase project (Dashboard > SQL Editor)
+-- Only needed when AUDIT_LOG_STORE=postgres. The default file store keeps the
+-- audit log in AUDIT_LOG_FILE and its rotated segments.
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  -- Position in the hash chain; the primary key keeps concurrent writers from forking it
+  seq BIGINT PRIMARY KEY,
+
+  -- Filter columns, extracted from the record
+  timestamp TIMESTAMP WITH TIME ZONE,
+  actor_user_id TEXT,
+  action TEXT,
+  method TEXT,
+
+  -- The record exactly as hashed (JSON text, since JSONB does not keep key order)
+  record TEXT NOT NULL,
+  previous_hash TEXT NOT NULL,
+  hash TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_timestamp ON audit_events(timestamp);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action, seq DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_user_id, seq DESC);
+
+-- Enable Row Level Security
+-- No policies are defined: the audit log is only read and written by the server
+-- through the service role key, which bypasses RLS.
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
+
+-- The log is append-only, even for the service role
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+CREATE TRIGGER audit_events_append_only
+  BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_audit_event_changes();
@@ -0,0 +1,48 @@
+-- =============================================================================
+-- Search Index Tables Migration
+-- =============================================================================
+-- Run this SQL in your AUTH Supabase project (Dashboard > SQL Editor)
+-- Only needed when SEARCH_INDEX_STORE=postgres. The default file store
+-- keeps the index in temp/search-index/index.json.
+
+-- One row per indexed bucket; a bucket without a row is crawled on its next search
+CREATE TABLE IF NOT EXISTS search_index_buckets (
+  -- Storage project URL and key fingerprint ("<url>#<fingerprint>"), so users of the same project and key share an index
+  project TEXT NOT NULL,
+  bucket TEXT NOT NULL,
+  indexed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  PRIMARY KEY (project, bucket)
+);
+
+-- One row per object (folders, the trash and version history are not indexed)
+CREATE TABLE IF NOT EXISTS search_index_entries (
+  project TEXT NOT NULL,
+  bucket TEXT NOT NULL,
+  path TEXT NOT NULL,
+
+  -- Search fields
+  name TEXT NOT NULL,
+  extension TEXT NOT NULL DEFAULT '',
+  category TEXT NOT NULL,
+  size BIGINT NOT NULL DEFAULT 0,
+  content_type TEXT,
+  -- Custom (user) metadata of the object
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- Object timestamps from storage
+  created_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE,
+
+  PRIMARY KEY (project, bucket, path)
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_index_entries_name ON search_index_entries(project, bucket, lower(name));
+CREATE INDEX IF NOT EXISTS idx_search_index_entries_size ON search_index_entries(project, bucket, size);
+CREATE INDEX IF NOT EXISTS idx_search_index_entries_updated_at ON search_index_entries(project, bucket, updated_at);
+CREATE INDEX IF NOT EXISTS idx_search_index_entries_metadata ON search_index_entries USING GIN (metadata);
+
+-- Enable Row Level Security
+-- No policies are defined: the index is only read and written by the server
+-- through the service role key, which bypasses RLS.
+ALTER TABLE search_index_buckets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE search_index_entries ENABLE ROW LEVEL SECURITY;
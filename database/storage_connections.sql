@@ -0,0 +1,38 @@
+-- =============================================================================
+-- Storage Connections Table Migration
+-- =============================================================================
+-- Run this SQL in your AUTH Supabase project (Dashboard > SQL Editor)
+-- Stores the extra Supabase projects a user can transfer objects to or from,
+-- managed through /api/settings/connections.
+-- Requires user_settings.sql (for the update_updated_at_column function).
+
+CREATE TABLE IF NOT EXISTS storage_connections (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Display name, unique per user ("staging", "prod", ...)
+  name TEXT NOT NULL,
+
+  -- Project credentials (the key is encrypted with ENCRYPTION_KEY)
+  supabase_url TEXT NOT NULL,
+  supabase_key_encrypted TEXT NOT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_storage_connections_user_id ON storage_connections(user_id);
+
+-- Enable Row Level Security
+-- No policies are defined: connections hold service keys and are only read and
+-- written by the server through the service role key, which bypasses RLS.
+ALTER TABLE storage_connections ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_storage_connections_updated_at ON storage_connections;
+CREATE TRIGGER update_storage_connections_updated_at
+  BEFORE UPDATE ON storage_connections
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,58 @@
+-- =============================================================================
+-- Resumable Upload Sessions Table Migration
+-- =============================================================================
+-- Run this SQL in your AUTH Supabase project (Dashboard > SQL Editor)
+-- Only needed when RESUMABLE_SESSION_STORE=postgres. The default file store
+-- keeps session metadata next to the .part files in temp/resumable-sessions.
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Destination
+  bucket TEXT NOT NULL,
+  storage_path TEXT NOT NULL,
+  file_name TEXT,
+
+  -- Progress
+  total_size BIGINT NOT NULL,
+  chunk_size BIGINT NOT NULL,
+  uploaded_bytes BIGINT NOT NULL DEFAULT 0,
+  file_sha256 TEXT,
+  -- Raw tus Upload-Metadata header, echoed back on HEAD
+  upload_metadata TEXT,
+  -- Upload conflict policy: 'rename', 'overwrite', 'skip' or 'fail' (see utils/uploadConflicts.js)
+  conflict TEXT NOT NULL DEFAULT 'overwrite',
+  -- 'sequential' (offset appends) or 'parallel' (indexed chunks)
+  mode TEXT NOT NULL DEFAULT 'sequential',
+  chunk_count INTEGER,
+  -- Base64 bitmap of received chunk indexes (parallel sessions)
+  received_chunks TEXT,
+
+  -- Server-local .part file holding the bytes received so far, on the instance that owns the session
+  temp_file_path TEXT NOT NULL,
+  -- RESUMABLE_INSTANCE_ID (default: hostname) of that instance
+  instance_id TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Columns added after the initial version of this migration
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS upload_metadata TEXT;
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'sequential';
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS chunk_count INTEGER;
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS received_chunks TEXT;
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS conflict TEXT NOT NULL DEFAULT 'overwrite';
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS instance_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at);
+
+-- Enable Row Level Security
+-- No policies are defined: sessions are only read and written by the server
+-- through the service role key, which bypasses RLS.
+ALTER TABLE upload_sessions ENABLE ROW LEVEL SECURITY;
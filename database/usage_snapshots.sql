@@ -0,0 +1,35 @@
+-- =============================================================================
+-- Usage Snapshots Table Migration
+-- =============================================================================
+-- Run this SQL in your AUTH Supabase project (Dashboard > SQL Editor)
+-- Only needed when USAGE_SNAPSHOT_STORE=postgres. The default file store
+-- keeps snapshots in temp/usage-snapshots/snapshots.json.
+
+-- One row per recorded bucket walk, used to chart storage growth
+CREATE TABLE IF NOT EXISTS usage_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Storage project URL and key fingerprint ("<url>#<fingerprint>"), so users of the same project and key share snapshots
+  project TEXT NOT NULL,
+  bucket TEXT NOT NULL,
+  taken_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+  -- Every object, the trash and version history included
+  total_bytes BIGINT NOT NULL DEFAULT 0,
+  object_count INTEGER NOT NULL DEFAULT 0,
+  -- Live files only
+  file_bytes BIGINT NOT NULL DEFAULT 0,
+  file_count INTEGER NOT NULL DEFAULT 0,
+  trash_bytes BIGINT NOT NULL DEFAULT 0,
+  version_bytes BIGINT NOT NULL DEFAULT 0,
+  -- { "<category>": { "bytes": ..., "count": ... } }
+  categories JSONB NOT NULL DEFAULT '{}'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_snapshots_bucket ON usage_snapshots(project, bucket, taken_at);
+CREATE INDEX IF NOT EXISTS idx_usage_snapshots_taken_at ON usage_snapshots(taken_at);
+
+-- Enable Row Level Security
+-- No policies are defined: snapshots are only read and written by the server
+-- through the service role key, which bypasses RLS.
+ALTER TABLE usage_snapshots ENABLE ROW LEVEL SECURITY;
@@ -16,6 +16,8 @@ CREATE TABLE IF NOT EXISTS user_settings (
   -- User preferences
   default_bucket TEXT DEFAULT 'files',
   max_retries INTEGER DEFAULT 3,
+  -- Upload conflict policy: 'rename', 'overwrite', 'skip', 'fail' or NULL for automatic
+  upload_conflict_policy TEXT,
   theme TEXT DEFAULT 'dark',
   
   -- Timestamps
@@ -23,6 +25,9 @@ CREATE TABLE IF NOT EXISTS user_settings (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Columns added after the initial version of this migration
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS upload_conflict_policy TEXT;
+
 -- Create index for faster lookups by user_id
 CREATE INDEX IF NOT EXISTS idx_user_settings_user_id ON user_settings(user_id);
 
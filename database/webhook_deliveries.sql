@@ -0,0 +1,46 @@
+-- =============================================================================
+-- Webhook Deliveries (Outbox) Table Migration
+-- =============================================================================
+-- Run this SQL in your AUTH Supabase project (Dashboard > SQL Editor)
+-- Only needed when WEBHOOK_OUTBOX_STORE=postgres. The default file store
+-- keeps the outbox in temp/webhook-outbox/outbox.json.
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY,
+
+  -- Event envelope as signed and sent to the endpoint
+  event_id UUID NOT NULL,
+  event_type TEXT NOT NULL,
+  event JSONB NOT NULL,
+  endpoint TEXT NOT NULL,
+
+  -- Delivery state: pending, delivering, delivered, dead
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  last_status INTEGER,
+  -- Most recent attempts: [{ attempt, at, ok, status, error, durationMs }]
+  history JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries(created_at DESC);
+
+-- Enable Row Level Security
+-- No policies are defined: deliveries are only read and written by the server
+-- through the service role key, which bypasses RLS.
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- =============================================================================
+-- Webhook subscriptions
+-- =============================================================================
+-- Deliveries to a subscription endpoint are signed with that subscription's
+-- secret; NULL means the WEBHOOK_URL endpoint from the environment.
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS subscription_id UUID;
@@ -0,0 +1,59 @@
+-- =============================================================================
+-- Webhook Subscriptions Table Migration
+-- =============================================================================
+-- Run this SQL in your AUTH Supabase project (Dashboard > SQL Editor)
+-- Stores per-user webhook endpoints managed through /api/settings/webhooks.
+-- Requires user_settings.sql (for the update_updated_at_column function).
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Endpoint and its signing secret (encrypted with ENCRYPTION_KEY)
+  url TEXT NOT NULL,
+  secret_encrypted TEXT NOT NULL,
+
+  -- Filters: event types ("*", "upload.*", "file.deleted", ...) and an optional bucket/prefix
+  event_types TEXT[] NOT NULL DEFAULT ARRAY['*'],
+  bucket TEXT,
+  prefix TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- 'own': only the owner's events; 'bucket': everyone's events in the bucket
+  -- of the storage project (supabase_url) the owner had configured, seen with the
+  -- same key (key_fingerprint: first 16 hex characters of the key's SHA-256)
+  scope TEXT NOT NULL DEFAULT 'own',
+  project_url TEXT,
+  key_fingerprint TEXT,
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tables created before subscription scopes
+ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS scope TEXT NOT NULL DEFAULT 'own';
+ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS project_url TEXT;
+
+-- Tables created before bucket subscriptions were tied to a key: existing bucket
+-- subscriptions match no events until they are saved again
+ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS key_fingerprint TEXT;
+
+ALTER TABLE webhook_subscriptions DROP CONSTRAINT IF EXISTS webhook_subscriptions_scope_check;
+ALTER TABLE webhook_subscriptions ADD CONSTRAINT webhook_subscriptions_scope_check
+  CHECK (scope = 'own' OR (scope = 'bucket' AND bucket IS NOT NULL AND project_url IS NOT NULL));
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_user_id ON webhook_subscriptions(user_id, enabled);
+DROP INDEX IF EXISTS idx_webhook_subscriptions_bucket;
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_bucket_key ON webhook_subscriptions(project_url, key_fingerprint, bucket) WHERE scope = 'bucket';
+
+-- Enable Row Level Security
+-- No policies are defined: subscriptions hold secrets and are only read and
+-- written by the server through the service role key, which bypasses RLS.
+ALTER TABLE webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER update_webhook_subscriptions_updated_at
+  BEFORE UPDATE ON webhook_subscriptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,11 @@
+/**
+ * Next.js instrumentation hook
+ * Runs once when the server boots
+ */
+export async function register() {
+  // Resume webhook deliveries that were pending or retrying when the server stopped
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { getWebhookOutbox } = await import('./utils/eventPipeline.mjs');
+    getWebhookOutbox();
+  }
+}
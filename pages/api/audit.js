@@ -2,15 +2,15 @@ import { validateMethod, sendSuccess, sendError } from '../../utils/apiHelpers.j
 import { withAuth } from '../../utils/authMiddleware.js';
 import { queryAuditEvents } from '../../utils/auditLog.js';
 
-function handler(req, res) {
+async function handler(req, res) {
   if (!validateMethod(req, res, 'GET')) return;
 
   try {
-    const { actorUserId, action, method, from, to, limit } = req.query;
-    const events = queryAuditEvents({ actorUserId, action, method, from, to, limit });
-    return sendSuccess(res, { events, count: events.length });
+    const { actorUserId, action, method, from, to, limit, cursor } = req.query;
+    const { events, nextCursor } = await queryAuditEvents({ actorUserId, action, method, from, to, limit, cursor });
+    return sendSuccess(res, { events, count: events.length, nextCursor });
   } catch (error) {
-    return sendError(res, error.message || 'Failed to query audit log', 500);
+    return sendError(res, error.message || 'Failed to query audit log', error.statusCode || 500);
   }
 }
 
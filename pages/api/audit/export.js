@@ -0,0 +1,29 @@
+import { validateMethod, sendError } from '../../../utils/apiHelpers.js';
+import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
+import { listAuditEvents, formatAuditExport } from '../../../utils/auditLog.js';
+
+const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson' };
+
+// Every matching event in chronological order, as a download
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+
+  try {
+    const { actorUserId, action, method, from, to, format = 'ndjson' } = req.query;
+    if (!CONTENT_TYPES[format]) return sendError(res, 'format must be csv or ndjson', 400);
+
+    const events = await listAuditEvents({ actorUserId, action, method, from, to });
+    setAuditContext(req, { format, count: events.length, from: from || null, to: to || null });
+    const body = formatAuditExport(events, format);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(body);
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to export audit log', error.statusCode || 500);
+  }
+}
+
+export default withAudit(withAuth(handler, { rolesAllowed: ['operator', 'admin'] }), { action: 'export_audit', resource: 'audit_log', methods: ['GET'] });
@@ -0,0 +1,16 @@
+import { validateMethod, sendSuccess, sendError } from '../../../utils/apiHelpers.js';
+import { withAuth } from '../../../utils/authMiddleware.js';
+import { verifyAuditChain } from '../../../utils/auditLog.js';
+
+// Walks the whole hash chain; a broken chain is still a 200 with valid: false
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+
+  try {
+    return sendSuccess(res, await verifyAuditChain());
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to verify audit log', 500);
+  }
+}
+
+export default withAuth(handler, { rolesAllowed: ['operator', 'admin'] });
@@ -2,10 +2,11 @@
  * Login API Endpoint
  * POST - Sign in with email and password
  */
-import { getAuthClientServer } from '../../../utils/authSupabaseClient.js';
+import { getAuthClientServer } from '../../../utils/authSupabaseClient.mjs';
 import { sendSuccess, sendError, validateMethod } from '../../../utils/apiHelpers.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (!validateMethod(req, res, ['POST'])) return;
 
   const { email, password } = req.body;
@@ -14,6 +15,9 @@ export default async function handler(req, res) {
     return sendError(res, 'Email and password are required', 400);
   }
 
+  // There is no session yet: record who tried to sign in
+  setAuditContext(req, { actorEmail: String(email).toLowerCase() });
+
   try {
     const supabase = getAuthClientServer();
 
@@ -26,6 +30,8 @@ export default async function handler(req, res) {
       return sendError(res, error.message, 401);
     }
 
+    setAuditContext(req, { actorUserId: data.user.id });
+
     // Set cookies for session
     if (data.session) {
       // Set access token cookie
@@ -50,3 +56,5 @@ export default async function handler(req, res) {
     return sendError(res, 'Login failed', 500);
   }
 }
+
+export default withAudit(handler, { action: 'login', resource: 'session' });
@@ -2,10 +2,11 @@
  * Logout API Endpoint
  * POST - Sign out the current user
  */
-import { getAuthClientServer } from '../../../utils/authSupabaseClient.js';
+import { getAuthClientServer } from '../../../utils/authSupabaseClient.mjs';
 import { sendSuccess, sendError, validateMethod } from '../../../utils/apiHelpers.js';
+import { withAudit } from '../../../utils/auditMiddleware.js';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (!validateMethod(req, res, ['POST'])) return;
 
   try {
@@ -26,3 +27,5 @@ export default async function handler(req, res) {
     return sendError(res, 'Logout failed', 500);
   }
 }
+
+export default withAudit(handler, { action: 'logout', resource: 'session' });
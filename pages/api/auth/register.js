@@ -2,10 +2,11 @@
  * Register API Endpoint
  * POST - Create a new user account
  */
-import { getAuthClientServer } from '../../../utils/authSupabaseClient.js';
+import { getAuthClientServer } from '../../../utils/authSupabaseClient.mjs';
 import { sendSuccess, sendError, validateMethod } from '../../../utils/apiHelpers.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (!validateMethod(req, res, ['POST'])) return;
 
   const { email, password } = req.body;
@@ -14,6 +15,8 @@ export default async function handler(req, res) {
     return sendError(res, 'Email and password are required', 400);
   }
 
+  setAuditContext(req, { actorEmail: String(email).toLowerCase() });
+
   if (password.length < 6) {
     return sendError(res, 'Password must be at least 6 characters', 400);
   }
@@ -36,6 +39,8 @@ export default async function handler(req, res) {
       return sendError(res, error.message, 400);
     }
 
+    if (data.user) setAuditContext(req, { actorUserId: data.user.id });
+
     // Check if user needs to confirm email
     const needsConfirmation = data.user && !data.session;
 
@@ -54,3 +59,5 @@ export default async function handler(req, res) {
     return sendError(res, 'Registration failed', 500);
   }
 }
+
+export default withAudit(handler, { action: 'register', resource: 'user' });
@@ -0,0 +1,58 @@
+/**
+ * Bucket API Endpoint (admin only)
+ * PUT    - Update a bucket (public, fileSizeLimit, allowedMimeTypes)
+ * DELETE - Delete a bucket; refused with 409 while it holds objects unless ?empty=true
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../utils/apiHelpers';
+import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
+import { validateBucketName } from '../../../utils/security.mjs';
+import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
+import { validateBucketInput, updateBucket, deleteBucket } from '../../../utils/bucketManagement.js';
+import { invalidateSearchIndex, searchScope } from '../../../utils/searchIndex.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, ['PUT', 'DELETE'])) return;
+
+  const { bucketName } = req.query;
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.valid) {
+    return sendError(res, bucketValidation.error, 400);
+  }
+  setAuditContext(req, { bucket: bucketName });
+
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+
+  try {
+    if (req.method === 'PUT') {
+      const fields = validateBucketInput(req.body || {}, { partial: true });
+      setAuditContext(req, { changes: fields });
+      const bucket = await updateBucket(supabase, bucketName, fields);
+      return sendSuccess(res, { bucket });
+    }
+
+    if (bucketName === (settings.default_bucket || 'files')) {
+      return sendError(res, 'This is your default bucket; choose another default bucket in Settings first', 409);
+    }
+
+    const empty = req.query.empty === 'true';
+    setAuditContext(req, { empty });
+    const result = await deleteBucket(supabase, bucketName, { empty });
+    await invalidateSearchIndex(searchScope(settings, bucketName));
+    return sendSuccess(res, { bucket: bucketName, deleted: true, emptied: result.emptied });
+  } catch (error) {
+    if ([400, 404, 409].includes(error.statusCode)) {
+      return sendError(res, error.message, error.statusCode, error.code ? { code: error.code } : {});
+    }
+    console.error('Bucket API error:', error);
+    return sendError(res, error.message || `Failed to ${req.method === 'PUT' ? 'update' : 'delete'} bucket`, 500);
+  }
+}
+
+export default withAudit(withAuth(handler, { rolesAllowed: ['admin'] }), {
+  action: { PUT: 'update_bucket', DELETE: 'delete_bucket' },
+  resource: 'bucket',
+});
@@ -0,0 +1,55 @@
+/**
+ * Buckets API Endpoint
+ * GET  - List the buckets of the user's storage project
+ * POST - Create a bucket (admin only)
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../utils/apiHelpers';
+import { withAuth } from '../../../utils/authMiddleware.js';
+import { enforceRole, hasRole } from '../../../utils/rbac.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
+import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
+import { toBucketSummary, validateBucketInput, createBucket } from '../../../utils/bucketManagement.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, ['GET', 'POST'])) return;
+
+  if (req.method === 'POST' && !enforceRole(req, res, 'admin')) return;
+
+  // Get user's storage client
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+
+  if (req.method === 'POST') {
+    try {
+      const fields = validateBucketInput(req.body || {});
+      setAuditContext(req, { bucket: fields.name });
+      const bucket = await createBucket(supabase, fields);
+      return sendSuccess(res, { bucket }, 201);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error('Error creating bucket:', error);
+      return sendError(res, error.message || 'Failed to create bucket', 500);
+    }
+  }
+
+  try {
+    const { data: buckets, error } = await supabase.storage.listBuckets();
+
+    if (error) throw error;
+
+    sendSuccess(res, {
+      buckets: buckets.map(toBucketSummary),
+      default: settings.default_bucket || 'files',
+      canManage: hasRole('admin', req.userRole),
+    });
+  } catch (error) {
+    console.error('Error listing buckets:', error);
+    sendError(res, error.message || 'Failed to list buckets', 500);
+  }
+}
+
+export default withAudit(withAuth(handler), { action: 'create_bucket', resource: 'bucket' });
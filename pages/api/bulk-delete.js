@@ -1,9 +1,53 @@
 import { validateMethod, sendError, sendSuccess } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName } from '../../utils/security';
-import { deleteFiles } from '../../utils/storageOperations';
-import { withAuth } from '../../utils/authMiddleware.js';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
+import { deleteFiles } from '../../utils/storageOperations.mjs';
+import { withAuth, getUserId } from '../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
 import { enforceRole } from '../../utils/rbac.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../utils/eventPipeline.mjs';
+import { trashObjects, sweepExpiredTrash, isTrashPath, getTrashRetentionDays } from '../../utils/trash.mjs';
+import { unindexPaths, searchScope } from '../../utils/searchIndex.js';
+
+/**
+ * Move a selection to the trash, one trash item per file
+ */
+async function trashSelection(req, res, supabase, { scope, bucket, paths, retentionDays }) {
+  try {
+    const { trashed, failed } = await trashObjects(supabase, { bucket, paths, userId: getUserId(req) });
+    setAuditContext(req, {
+      count: trashed.length,
+      trashIds: trashed.map(item => item.id),
+      ...(failed.length > 0 && trashed.length > 0 ? { status: 'partial' } : {}),
+    });
+
+    if (trashed.length > 0) {
+      await unindexPaths(scope, trashed.map(item => item.originalPath));
+      await emitStorageEvent('file.deleted', {
+        userId: req.user.id,
+        bucket,
+        paths: trashed.map(item => item.originalPath),
+        count: trashed.length,
+        trashed: true,
+      });
+    }
+    void sweepExpiredTrash(supabase, { bucket, userId: getUserId(req) });
+
+    if (trashed.length === 0) {
+      return sendError(res, failed[0]?.message || 'Failed to delete files', 500, { failed });
+    }
+    return sendSuccess(res, {
+      message: `Moved ${trashed.length} file(s) to the trash${failed.length > 0 ? `; ${failed.length} failed` : ''}`,
+      count: trashed.length,
+      trashed,
+      failed,
+      retentionDays,
+    });
+  } catch (error) {
+    console.error('Bulk delete error:', error);
+    return sendError(res, error.message || 'Failed to delete files', 500);
+  }
+}
 
 async function handler(req, res) {
   if (!validateMethod(req, res, 'POST')) return;
@@ -16,7 +60,7 @@ async function handler(req, res) {
 
   const { client: supabase, settings } = storageResult;
 
-  const { paths, bucket } = req.body;
+  const { paths, bucket, permanent: requestedPermanent = false } = req.body;
 
   // Validate paths array
   if (!paths || !Array.isArray(paths) || paths.length === 0) {
@@ -37,11 +81,37 @@ async function handler(req, res) {
     if (!pathValidation.valid) {
       return sendError(res, `Invalid path: ${pathValidation.error}`, 400);
     }
+    if (isTrashPath(pathValidation.sanitized)) {
+      return sendError(res, 'Items in the trash are purged from the trash view', 400);
+    }
     validatedPaths.push(pathValidation.sanitized);
   }
 
+  // Deletes go to the trash unless it is turned off or the caller asks for a permanent delete
+  const retentionDays = getTrashRetentionDays();
+  const permanent = Boolean(requestedPermanent) || retentionDays === 0;
+  setAuditContext(req, { bucket: bucketName, paths: validatedPaths, permanent });
+
+  if (!permanent) {
+    return trashSelection(req, res, supabase, {
+      scope: searchScope(settings, bucketName),
+      bucket: bucketName,
+      paths: validatedPaths,
+      retentionDays,
+    });
+  }
+  if (retentionDays > 0 && !enforceRole(req, res, 'admin')) return;
+
   try {
     const result = await deleteFiles(supabase, validatedPaths, bucketName);
+    setAuditContext(req, { count: result.count });
+    await unindexPaths(searchScope(settings, bucketName), validatedPaths);
+    await emitStorageEvent('file.deleted', {
+      userId: req.user.id,
+      bucket: bucketName,
+      paths: validatedPaths,
+      count: result.count,
+    });
     sendSuccess(res, {
       message: `Successfully deleted ${result.count} files`,
       count: result.count
@@ -52,4 +122,4 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'bulk_delete', resource: 'storage_object' });
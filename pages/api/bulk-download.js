@@ -1,8 +1,9 @@
 import path from 'path';
 import archiver from 'archiver';
 import { validateMethod, sendError } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName } from '../../utils/security';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
 import { withAuth } from '../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
 
 // Maximum number of files allowed in a single bulk download
@@ -54,6 +55,8 @@ async function handler(req, res) {
     validatedPaths.push(pathValidation.sanitized);
   }
 
+  setAuditContext(req, { bucket: bucketName, paths: validatedPaths, count: validatedPaths.length });
+
   try {
 
     // Set up response headers for zip download
@@ -129,4 +132,4 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'bulk_download', resource: 'storage_object' });
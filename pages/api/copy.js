@@ -0,0 +1,201 @@
+import path from 'path';
+import { validateMethod, sendSuccess, sendError } from '../../utils/apiHelpers';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
+import { validateWritablePath } from '../../utils/reservedPaths.mjs';
+import { withAuth, getUserId } from '../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
+import { enforceRole } from '../../utils/rbac.js';
+import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../utils/eventPipeline.mjs';
+import { listFiles } from '../../utils/storageOperations.mjs';
+import { copyFolder, validateFolderTransfer } from '../../utils/folderOperations.mjs';
+import { copyObjects, copyName } from '../../utils/copyOperations.js';
+import { storageJobManager } from '../../utils/storageJobs.js';
+import { indexPaths, indexFolder, searchScope } from '../../utils/searchIndex.js';
+
+/**
+ * Copy a folder (every object under its prefix) as a tracked job
+ * Copying a folder into its own parent duplicates it as "name (copy)".
+ * Responds 202 with the job; progress is polled from /api/jobs/:jobId
+ */
+async function startFolderCopy(req, res, supabase, { destinationScope, bucket, destinationBucket, sourcePath, destinationFolder, conflict, onError }) {
+  try {
+    let folderName = path.posix.basename(sourcePath);
+    const parentFolder = path.posix.dirname(sourcePath) === '.' ? '' : path.posix.dirname(sourcePath);
+    if (destinationBucket === bucket && parentFolder === destinationFolder) {
+      const taken = new Set((await listFiles(supabase, bucket, parentFolder)).map(item => item.name));
+      folderName = copyName(folderName, taken);
+    }
+    const destinationPath = destinationFolder ? `${destinationFolder}/${folderName}` : folderName;
+
+    validateFolderTransfer({ operation: 'copy', bucket, destinationBucket, sourcePath, destinationPath, conflict, onError });
+
+    const job = storageJobManager.start(getUserId(req), {
+      type: 'copy_folder',
+      bucket,
+      destinationBucket,
+      sourcePath,
+      destinationPath,
+      conflict,
+      onError,
+    }, async (progress) => {
+      const result = await copyFolder(supabase, {
+        bucket, destinationBucket, sourcePath, destinationPath, conflict, onError, onProgress: progress,
+      });
+      await indexFolder(supabase, destinationScope, destinationPath);
+      if (result.status === 'completed' || result.status === 'partial') {
+        await emitStorageEvent('folder.copied', {
+          userId: req.user.id,
+          bucket,
+          destinationBucket,
+          sourcePath,
+          destinationPath,
+          status: result.status,
+          copiedCount: result.copied,
+        });
+      }
+      return result;
+    });
+
+    setAuditContext(req, {
+      action: 'copy_folder',
+      resource: 'storage_folder',
+      destinationPath,
+      jobId: job.id,
+      conflict,
+      onError,
+    });
+    return sendSuccess(res, { message: 'Folder copy started', job }, 202);
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to start folder copy', error.statusCode || 500);
+  }
+}
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'POST')) return;
+  if (!enforceRole(req, res, 'operator')) return;
+
+  // Get user's storage client
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+
+  const {
+    sourcePath,
+    sourcePaths,
+    destinationFolder,
+    bucket,
+    destinationBucket,
+    isFolder,
+    conflict = 'fail',
+    onError = 'rollback',
+  } = req.body;
+
+  // Validate buckets (copies stay in the source bucket unless told otherwise)
+  const bucketName = bucket || settings.default_bucket || 'files';
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.valid) {
+    return sendError(res, bucketValidation.error, 400);
+  }
+
+  const destinationBucketName = destinationBucket || bucketName;
+  const destinationBucketValidation = validateBucketName(destinationBucketName);
+  if (!destinationBucketValidation.valid) {
+    return sendError(res, destinationBucketValidation.error, 400);
+  }
+
+  // Validate destination folder (can be empty string for root)
+  let sanitizedDestFolder = '';
+  if (destinationFolder && destinationFolder !== '/') {
+    const destValidation = validateWritablePath(destinationFolder);
+    if (!destValidation.valid) {
+      return sendError(res, destValidation.error, 400);
+    }
+    sanitizedDestFolder = destValidation.sanitized.replace(/\/+$/, '');
+  }
+
+  // Validate source paths: one path, or a selection
+  const requestedPaths = Array.isArray(sourcePaths) ? sourcePaths : (sourcePath ? [sourcePath] : []);
+  if (requestedPaths.length === 0) {
+    return sendError(res, 'Source path is required', 400);
+  }
+  if (isFolder && requestedPaths.length !== 1) {
+    return sendError(res, 'Copy one folder at a time', 400);
+  }
+
+  const validatedPaths = [];
+  for (const requestedPath of requestedPaths) {
+    const pathValidation = validateStoragePath(requestedPath);
+    if (!pathValidation.valid) {
+      return sendError(res, `Invalid path: ${pathValidation.error}`, 400);
+    }
+    // Copies keep their name, so copying "a/.trash" to the root would write into the trash
+    const copyValidation = validateWritablePath(path.posix.join(sanitizedDestFolder, path.posix.basename(pathValidation.sanitized)));
+    if (!copyValidation.valid) {
+      return sendError(res, copyValidation.error, 400);
+    }
+    validatedPaths.push(pathValidation.sanitized);
+  }
+
+  setAuditContext(req, {
+    bucket: bucketName,
+    destinationBucket: destinationBucketName,
+    ...(validatedPaths.length === 1 ? { path: validatedPaths[0] } : { paths: validatedPaths }),
+    destinationFolder: sanitizedDestFolder,
+  });
+
+  if (isFolder) {
+    return startFolderCopy(req, res, supabase, {
+      destinationScope: searchScope(settings, destinationBucketName),
+      bucket: bucketName,
+      destinationBucket: destinationBucketName,
+      sourcePath: validatedPaths[0],
+      destinationFolder: sanitizedDestFolder,
+      conflict,
+      onError,
+    });
+  }
+
+  try {
+    const result = await copyObjects(supabase, {
+      bucket: bucketName,
+      destinationBucket: destinationBucketName,
+      sourcePaths: validatedPaths,
+      destinationFolder: sanitizedDestFolder,
+      conflict,
+    });
+    setAuditContext(req, {
+      count: result.copied.length,
+      ...(result.failed.length > 0 && result.copied.length > 0 ? { status: 'partial' } : {}),
+    });
+
+    if (result.copied.length > 0) {
+      await indexPaths(supabase, searchScope(settings, destinationBucketName), result.copied.map(item => item.destinationPath));
+      await emitStorageEvent('file.copied', {
+        userId: req.user.id,
+        bucket: bucketName,
+        destinationBucket: destinationBucketName,
+        sourcePaths: result.copied.map(item => item.sourcePath),
+        paths: result.copied.map(item => item.destinationPath),
+        count: result.copied.length,
+      });
+    }
+
+    if (result.copied.length === 0 && result.failed.length > 0) {
+      return sendError(res, result.failed[0].message || 'Failed to copy files', 500, { failed: result.failed });
+    }
+
+    const summary = [`Copied ${result.copied.length} file(s)`];
+    if (result.skipped.length > 0) summary.push(`skipped ${result.skipped.length} that already existed`);
+    if (result.failed.length > 0) summary.push(`${result.failed.length} failed`);
+
+    return sendSuccess(res, { message: summary.join('; '), ...result });
+  } catch (error) {
+    console.error('Copy error:', error);
+    return sendError(res, error.message || 'Failed to copy files', error.statusCode || 500,
+      error.conflicts ? { conflicts: error.conflicts } : {});
+  }
+}
+
+export default withAudit(withAuth(handler), { action: 'copy_file', resource: 'storage_object' });
@@ -1,5 +1,5 @@
 import { validateMethod, validateQueryParams, sendError } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName } from '../../utils/security';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
 import { withAuth } from '../../utils/authMiddleware.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
 import {
@@ -8,6 +8,7 @@ import {
   resolveAllowedPrefixes,
   isObjectKeyAllowed,
 } from '../../utils/signedUrlPolicy.mjs';
+import { isValidVersionId, versionPath } from '../../utils/objectVersions.mjs';
 
 async function handler(req, res) {
   if (!validateMethod(req, res, 'GET')) return;
@@ -41,11 +42,17 @@ async function handler(req, res) {
     return sendError(res, 'Access denied for requested object key scope', 403);
   }
 
+  // version=<id> downloads a prior version under the object's own file name
+  const versionId = req.query.version;
+  if (versionId !== undefined && !isValidVersionId(versionId)) {
+    return sendError(res, 'Invalid version id', 400);
+  }
+
   try {
     const { data, error } = await supabase.storage
       .from(bucketName)
-      .createSignedUrl(storagePath, ttlResult.ttl, {
-        download: true,
+      .createSignedUrl(versionId ? versionPath(storagePath, versionId) : storagePath, ttlResult.ttl, {
+        download: versionId ? storagePath.split('/').pop() : true,
       });
 
     if (error) {
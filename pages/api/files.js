@@ -1,10 +1,36 @@
-import { listFiles, deleteFile } from '../../utils/storageOperations.js';
-import { formatFileSize } from '../../utils/clientHelpers';
+import { deleteFile } from '../../utils/storageOperations.mjs';
 import { validateMethod, validateQueryParams, sendSuccess, sendError } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName } from '../../utils/security';
-import { withAuth } from '../../utils/authMiddleware.js';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
+import { withAuth, getUserId } from '../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
 import { enforceRole } from '../../utils/rbac.js';
+import { readStoredChecksum } from '../../utils/integrity.mjs';
+import { parseListingQuery, paginateListing, getFolderEntries } from '../../utils/fileListing.js';
+import { trashObjects, sweepExpiredTrash, isTrashPath, getTrashRetentionDays } from '../../utils/trash.mjs';
+import { listVersions, isVersionedBucket, isVersionPath } from '../../utils/objectVersions.mjs';
+import { unindexPaths, searchScope } from '../../utils/searchIndex.js';
+
+const CHECKSUM_LOOKUP_CONCURRENCY = 8;
+
+/**
+ * Fill in checksums the listing did not include by reading each object's metadata
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucketName - Bucket name
+ * @param {Array<object>} files - Listed files (mutated in place)
+ */
+async function resolveChecksums(supabase, bucketName, files) {
+  const pending = files.filter(file => !file.sha256);
+  for (let i = 0; i < pending.length; i += CHECKSUM_LOOKUP_CONCURRENCY) {
+    await Promise.all(pending.slice(i, i + CHECKSUM_LOOKUP_CONCURRENCY).map(async (file) => {
+      try {
+        file.sha256 = await readStoredChecksum(supabase, bucketName, file.path);
+      } catch (error) {
+        console.warn(`Could not read checksum for ${file.path}:`, error.message);
+      }
+    }));
+  }
+}
 
 async function handler(req, res) {
   if (!enforceRole(req, res, 'operator')) return;
@@ -23,6 +49,27 @@ async function handler(req, res) {
         return sendError(res, bucketValidation.error, 400);
       }
 
+      // versions=<path> lists the prior versions of one object instead of a folder
+      if (req.query.versions) {
+        const pathValidation = validateStoragePath(req.query.versions);
+        if (!pathValidation.valid) {
+          return sendError(res, pathValidation.error, 400);
+        }
+        const objectPath = pathValidation.sanitized;
+        if (isVersionPath(objectPath)) {
+          return sendError(res, 'Versions do not have versions', 400);
+        }
+
+        const { current, versions } = await listVersions(supabase, bucketName, objectPath);
+        return sendSuccess(res, {
+          bucket: bucketName,
+          path: objectPath,
+          versioned: isVersionedBucket(bucketName),
+          current,
+          versions,
+        });
+      }
+
       // Validate folder path if provided
       let folderPath = '';
       if (req.query.folder) {
@@ -33,44 +80,35 @@ async function handler(req, res) {
         folderPath = pathValidation.sanitized;
       }
 
-      const items = await listFiles(supabase, bucketName, folderPath);
-
-      // Separate folders and files
-      const folders = [];
-      const files = [];
-
-      items.forEach(item => {
-        // In Supabase, folders have id: null
-        if (item.id === null) {
-          // It's a folder
-          folders.push({
-            name: item.name,
-            isFolder: true,
-            path: folderPath ? `${folderPath}/${item.name}` : item.name,
-            updatedAt: item.updated_at,
-            createdAt: item.created_at,
-          });
-        } else {
-          // It's a file - skip .folder placeholder files
-          if (item.name !== '.folder') {
-            files.push({
-              name: item.name,
-              isFolder: false,
-              size: item.metadata?.size || 0,
-              sizeFormatted: formatFileSize(item.metadata?.size || 0),
-              updatedAt: item.updated_at,
-              createdAt: item.created_at,
-              path: folderPath ? `${folderPath}/${item.name}` : item.name,
-            });
-          }
-        }
+      let options;
+      try {
+        options = parseListingQuery(req.query);
+      } catch (error) {
+        return sendError(res, error.message, error.statusCode || 400);
+      }
+
+      // The first page re-lists the folder; later pages reuse that snapshot
+      const entries = await getFolderEntries(supabase, {
+        cacheKey: `${getUserId(req)}:${bucketName}:${folderPath}`,
+        bucket: bucketName,
+        folder: folderPath,
+        refresh: !options.cursor && !options.offset,
       });
+      const { folders, files, ...page } = paginateListing(entries, options);
+
+      // Listings may omit user metadata; checksums=true looks each missing one up
+      if (req.query.checksums === 'true') {
+        await resolveChecksums(supabase, bucketName, files);
+      }
 
       sendSuccess(res, {
         folders,
         files,
         bucket: bucketName,
         folder: folderPath,
+        sort: options.sort,
+        limit: options.limit,
+        ...page,
       });
     } catch (error) {
       console.error('❌ Error listing files:', error);
@@ -95,10 +133,40 @@ async function handler(req, res) {
         return sendError(res, bucketValidation.error, 400);
       }
 
-      await deleteFile(supabase, storagePath, bucketName, settings.max_retries);
+      if (isTrashPath(storagePath)) {
+        return sendError(res, 'Items in the trash are purged from the trash view', 400);
+      }
+
+      // Deletes go to the trash unless it is turned off or the caller asks for a permanent delete
+      const retentionDays = getTrashRetentionDays();
+      const permanent = req.query.permanent === 'true' || retentionDays === 0;
+      setAuditContext(req, { bucket: bucketName, path: storagePath, permanent });
+
+      if (permanent) {
+        if (retentionDays > 0 && !enforceRole(req, res, 'admin')) return;
+        await deleteFile(supabase, storagePath, bucketName, settings.max_retries);
+        await unindexPaths(searchScope(settings, bucketName), [storagePath]);
+        return sendSuccess(res, {
+          message: 'File deleted successfully',
+        });
+      }
+
+      const { trashed, failed } = await trashObjects(supabase, {
+        bucket: bucketName,
+        paths: [storagePath],
+        userId: getUserId(req),
+      });
+      if (failed.length > 0) {
+        return sendError(res, failed[0].message, 500);
+      }
+      setAuditContext(req, { trashId: trashed[0].id });
+      await unindexPaths(searchScope(settings, bucketName), [storagePath]);
+      void sweepExpiredTrash(supabase, { bucket: bucketName, userId: getUserId(req) });
 
       sendSuccess(res, {
-        message: 'File deleted successfully',
+        message: 'File moved to trash',
+        trashId: trashed[0].id,
+        retentionDays,
       });
     } catch (error) {
       console.error('Delete error:', error);
@@ -109,4 +177,4 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'delete_file', resource: 'storage_object' });
@@ -1,6 +1,7 @@
 import { validateMethod, validateQueryParams, sendSuccess, sendError } from '../../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName } from '../../../utils/security';
+import { validateStoragePath, validateBucketName } from '../../../utils/security.mjs';
 import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
 import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
 import {
   getSignedUrlPolicyConfig,
@@ -42,6 +43,7 @@ async function handler(req, res) {
   }
 
   const download = req.query.download === '1' || req.query.download === 'true';
+  setAuditContext(req, { bucket: bucketName, path: storagePath, expiresIn: ttlResult.ttl });
 
   try {
     const { data, error } = await supabase.storage
@@ -69,4 +71,4 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'issue_signed_url', resource: 'storage_object', methods: ['GET'] });
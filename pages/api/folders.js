@@ -1,8 +1,14 @@
 import { validateMethod, sendSuccess, sendError } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName, validateFilename } from '../../utils/security';
-import { withAuth } from '../../utils/authMiddleware.js';
+import { validateStoragePath, validateBucketName, validateFilename } from '../../utils/security.mjs';
+import { withAuth, getUserId } from '../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
 import { enforceRole } from '../../utils/rbac.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../utils/eventPipeline.mjs';
+import { listObjectsRecursive } from '../../utils/folderOperations.mjs';
+import { trashFolder, sweepExpiredTrash, isTrashPath, getTrashRetentionDays } from '../../utils/trash.mjs';
+import { validateWritablePath } from '../../utils/reservedPaths.mjs';
+import { unindexFolder, searchScope } from '../../utils/searchIndex.js';
 
 async function handler(req, res) {
   if (!enforceRole(req, res, 'operator')) return;
@@ -49,6 +55,13 @@ async function handler(req, res) {
       ? `${sanitizedParentPath}/${folderNameValidation.sanitized}`
       : folderNameValidation.sanitized;
 
+    const fullPathValidation = validateWritablePath(fullPath);
+    if (!fullPathValidation.valid) {
+      return sendError(res, fullPathValidation.error, 400);
+    }
+
+    setAuditContext(req, { bucket: bucketName, path: fullPath });
+
     try {
       // Supabase doesn't have a native "create folder" operation
       // We create a folder by uploading a placeholder file (.folder)
@@ -71,6 +84,12 @@ async function handler(req, res) {
         throw error;
       }
 
+      await emitStorageEvent('folder.created', {
+        userId: req.user.id,
+        bucket: bucketName,
+        path: fullPath,
+      });
+
       return sendSuccess(res, {
         message: 'Folder created successfully',
         path: fullPath,
@@ -81,8 +100,8 @@ async function handler(req, res) {
     }
   } else if (req.method === 'DELETE') {
     if (!enforceRole(req, res, 'operator')) return;
-    // Delete folder recursively
-    const { path, bucket } = req.query;
+    // Delete folder recursively (into the trash unless it is off or permanent=true)
+    const { path, bucket, permanent: requestedPermanent } = req.query;
 
     if (!path) {
       return sendError(res, 'Folder path is required', 400);
@@ -101,30 +120,50 @@ async function handler(req, res) {
       return sendError(res, pathValidation.error, 400);
     }
 
+    if (isTrashPath(pathValidation.sanitized)) {
+      return sendError(res, 'Items in the trash are purged from the trash view', 400);
+    }
+
+    const retentionDays = getTrashRetentionDays();
+    const permanent = requestedPermanent === 'true' || retentionDays === 0;
+    setAuditContext(req, { bucket: bucketName, path: pathValidation.sanitized, permanent });
+
+    if (!permanent) {
+      try {
+        const item = await trashFolder(supabase, {
+          bucket: bucketName,
+          folderPath: pathValidation.sanitized,
+          userId: getUserId(req),
+        });
+        setAuditContext(req, { count: item.count, trashId: item.id });
+        await unindexFolder(searchScope(settings, bucketName), pathValidation.sanitized);
+        void sweepExpiredTrash(supabase, { bucket: bucketName, userId: getUserId(req) });
+
+        await emitStorageEvent('folder.deleted', {
+          userId: req.user.id,
+          bucket: bucketName,
+          path: pathValidation.sanitized,
+          deletedCount: item.count,
+          trashed: true,
+        });
+
+        return sendSuccess(res, {
+          message: `Folder moved to trash (${item.count} items)`,
+          deletedCount: item.count,
+          trashId: item.id,
+          retentionDays,
+        });
+      } catch (error) {
+        console.error('Delete folder error:', error);
+        return sendError(res, error.message || 'Failed to delete folder', error.statusCode || 500);
+      }
+    }
+    if (retentionDays > 0 && !enforceRole(req, res, 'admin')) return;
+
     try {
       // List all files in the folder recursively
-      const allFiles = [];
-      const listRecursively = async (folderPath) => {
-        const { data, error } = await supabase.storage
-          .from(bucketName)
-          .list(folderPath);
-
-        if (error) throw error;
-
-        for (const item of data || []) {
-          const itemPath = folderPath ? `${folderPath}/${item.name}` : item.name;
-
-          if (item.id === null) {
-            // It's a folder, recurse into it
-            await listRecursively(itemPath);
-          } else {
-            // It's a file
-            allFiles.push(itemPath);
-          }
-        }
-      };
-
-      await listRecursively(pathValidation.sanitized);
+      const allFiles = (await listObjectsRecursive(supabase, bucketName, pathValidation.sanitized))
+        .map(object => object.path);
 
       if (allFiles.length === 0) {
         return sendError(res, 'Folder is empty or does not exist', 404);
@@ -136,6 +175,15 @@ async function handler(req, res) {
         .remove(allFiles);
 
       if (deleteError) throw deleteError;
+      setAuditContext(req, { count: allFiles.length });
+      await unindexFolder(searchScope(settings, bucketName), pathValidation.sanitized);
+
+      await emitStorageEvent('folder.deleted', {
+        userId: req.user.id,
+        bucket: bucketName,
+        path: pathValidation.sanitized,
+        deletedCount: allFiles.length,
+      });
 
       return sendSuccess(res, {
         message: `Folder deleted successfully (${allFiles.length} items)`,
@@ -150,4 +198,7 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), {
+  action: { POST: 'create_folder', DELETE: 'delete_folder' },
+  resource: 'storage_folder',
+});
@@ -0,0 +1,20 @@
+/**
+ * Storage Job Status API
+ * GET /api/jobs/:jobId - Progress and outcome of one of the caller's storage jobs
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../utils/apiHelpers.js';
+import { withAuth, getUserId } from '../../../utils/authMiddleware.js';
+import { storageJobManager } from '../../../utils/storageJobs.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+
+  const job = storageJobManager.get(req.query.jobId, getUserId(req));
+  if (!job) {
+    return sendError(res, 'Job not found', 404);
+  }
+
+  return sendSuccess(res, { job });
+}
+
+export default withAuth(handler);
@@ -0,0 +1,15 @@
+/**
+ * Storage Jobs API
+ * GET /api/jobs - List the caller's storage jobs (folder moves, renames and copies), newest first
+ */
+import { validateMethod, sendSuccess } from '../../../utils/apiHelpers.js';
+import { withAuth, getUserId } from '../../../utils/authMiddleware.js';
+import { storageJobManager } from '../../../utils/storageJobs.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+
+  return sendSuccess(res, { jobs: storageJobManager.list(getUserId(req)) });
+}
+
+export default withAuth(handler);
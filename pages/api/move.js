@@ -1,9 +1,56 @@
 import path from 'path';
 import { validateMethod, sendSuccess, sendError } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName } from '../../utils/security';
-import { withAuth } from '../../utils/authMiddleware.js';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
+import { validateWritablePath } from '../../utils/reservedPaths.mjs';
+import { withAuth, getUserId } from '../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
 import { enforceRole } from '../../utils/rbac.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../utils/eventPipeline.mjs';
+import { moveFolder, validateFolderTransfer } from '../../utils/folderOperations.mjs';
+import { storageJobManager } from '../../utils/storageJobs.js';
+import { indexPaths, indexFolder, searchScope } from '../../utils/searchIndex.js';
+
+/**
+ * Move a folder (every object under its prefix) as a tracked job
+ * Responds 202 with the job; progress is polled from /api/jobs/:jobId
+ */
+function startFolderMove(req, res, supabase, { scope, bucket, sourcePath, destinationPath, conflict, onError }) {
+  try {
+    validateFolderTransfer({ bucket, sourcePath, destinationPath, conflict, onError });
+
+    const job = storageJobManager.start(getUserId(req), {
+      type: 'move_folder',
+      bucket,
+      sourcePath,
+      destinationPath,
+      conflict,
+      onError,
+    }, async (progress) => {
+      const result = await moveFolder(supabase, {
+        bucket, sourcePath, destinationPath, conflict, onError, onProgress: progress,
+      });
+      await indexFolder(supabase, scope, sourcePath);
+      await indexFolder(supabase, scope, destinationPath);
+      if (result.status === 'completed' || result.status === 'partial') {
+        await emitStorageEvent('folder.moved', {
+          userId: req.user.id,
+          bucket,
+          sourcePath,
+          destinationPath,
+          status: result.status,
+          movedCount: result.moved,
+        });
+      }
+      return result;
+    });
+
+    setAuditContext(req, { action: 'move_folder', resource: 'storage_folder', jobId: job.id, conflict, onError });
+    return sendSuccess(res, { message: 'Folder move started', job }, 202);
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to start folder move', error.statusCode || 500);
+  }
+}
 
 async function handler(req, res) {
   if (!validateMethod(req, res, 'POST')) return;
@@ -16,14 +63,14 @@ async function handler(req, res) {
 
   const { client: supabase, settings } = storageResult;
 
-  const { sourcePath, destinationFolder, bucket } = req.body;
+  const { sourcePath, destinationFolder, bucket, isFolder, conflict = 'fail', onError = 'rollback' } = req.body;
 
   // Validate source path
   if (!sourcePath) {
     return sendError(res, 'Source path is required', 400);
   }
 
-  const sourceValidation = validateStoragePath(sourcePath);
+  const sourceValidation = validateWritablePath(sourcePath);
   if (!sourceValidation.valid) {
     return sendError(res, sourceValidation.error, 400);
   }
@@ -53,11 +100,29 @@ async function handler(req, res) {
     ? `${sanitizedDestFolder}/${fileName}`
     : fileName;
 
+  const destinationValidation = validateWritablePath(destinationPath);
+  if (!destinationValidation.valid) {
+    return sendError(res, destinationValidation.error, 400);
+  }
+
   // Check if source and destination are the same
   if (sanitizedSourcePath === destinationPath) {
     return sendError(res, 'Source and destination are the same', 400);
   }
 
+  setAuditContext(req, { bucket: bucketName, path: sanitizedSourcePath, destinationPath });
+
+  if (isFolder) {
+    return startFolderMove(req, res, supabase, {
+      scope: searchScope(settings, bucketName),
+      bucket: bucketName,
+      sourcePath: sanitizedSourcePath,
+      destinationPath,
+      conflict,
+      onError,
+    });
+  }
+
   try {
 
     // Check if file with same name already exists at destination
@@ -84,6 +149,14 @@ async function handler(req, res) {
       return sendError(res, moveError.message || 'Failed to move file', 500);
     }
 
+    await indexPaths(supabase, searchScope(settings, bucketName), [sanitizedSourcePath, destinationPath]);
+    await emitStorageEvent('file.moved', {
+      userId: req.user.id,
+      bucket: bucketName,
+      sourcePath: sanitizedSourcePath,
+      destinationPath,
+    });
+
     return sendSuccess(res, {
       message: 'File moved successfully',
       sourcePath: sanitizedSourcePath,
@@ -95,4 +168,4 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'move_file', resource: 'storage_object' });
@@ -1,5 +1,5 @@
 import { validateMethod, validateQueryParams, sendError } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName } from '../../utils/security';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
 import { withAuth } from '../../utils/authMiddleware.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
 import {
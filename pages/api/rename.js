@@ -1,9 +1,56 @@
 import path from 'path';
 import { validateMethod, sendError, sendSuccess } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName, validateFilename } from '../../utils/security';
-import { withAuth } from '../../utils/authMiddleware.js';
+import { validateBucketName, validateFilename } from '../../utils/security.mjs';
+import { validateWritablePath } from '../../utils/reservedPaths.mjs';
+import { withAuth, getUserId } from '../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
 import { enforceRole } from '../../utils/rbac.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../utils/eventPipeline.mjs';
+import { moveFolder, validateFolderTransfer } from '../../utils/folderOperations.mjs';
+import { storageJobManager } from '../../utils/storageJobs.js';
+import { indexPaths, indexFolder, searchScope } from '../../utils/searchIndex.js';
+
+/**
+ * Rename a folder (move every object under its prefix) as a tracked job
+ * Responds 202 with the job; progress is polled from /api/jobs/:jobId
+ */
+function startFolderRename(req, res, supabase, { scope, bucket, oldPath, newPath, conflict, onError }) {
+  try {
+    validateFolderTransfer({ bucket, sourcePath: oldPath, destinationPath: newPath, conflict, onError });
+
+    const job = storageJobManager.start(getUserId(req), {
+      type: 'rename_folder',
+      bucket,
+      sourcePath: oldPath,
+      destinationPath: newPath,
+      conflict,
+      onError,
+    }, async (progress) => {
+      const result = await moveFolder(supabase, {
+        bucket, sourcePath: oldPath, destinationPath: newPath, conflict, onError, onProgress: progress,
+      });
+      await indexFolder(supabase, scope, oldPath);
+      await indexFolder(supabase, scope, newPath);
+      if (result.status === 'completed' || result.status === 'partial') {
+        await emitStorageEvent('folder.renamed', {
+          userId: req.user.id,
+          bucket,
+          oldPath,
+          newPath,
+          status: result.status,
+          movedCount: result.moved,
+        });
+      }
+      return result;
+    });
+
+    setAuditContext(req, { action: 'rename_folder', resource: 'storage_folder', jobId: job.id, conflict, onError });
+    return sendSuccess(res, { message: 'Folder rename started', job }, 202);
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to start folder rename', error.statusCode || 500);
+  }
+}
 
 async function handler(req, res) {
   if (!validateMethod(req, res, 'POST')) return;
@@ -16,14 +63,14 @@ async function handler(req, res) {
 
   const { client: supabase, settings } = storageResult;
 
-  const { oldPath, newName, bucket } = req.body;
+  const { oldPath, newName, bucket, isFolder, conflict = 'fail', onError = 'rollback' } = req.body;
 
   // Validate old path
   if (!oldPath) {
     return sendError(res, 'Old path is required', 400);
   }
 
-  const oldPathValidation = validateStoragePath(oldPath);
+  const oldPathValidation = validateWritablePath(oldPath);
   if (!oldPathValidation.valid) {
     return sendError(res, oldPathValidation.error, 400);
   }
@@ -53,7 +100,7 @@ async function handler(req, res) {
   const newPath = directory === '.' ? sanitizedNewName : `${directory}/${sanitizedNewName}`;
 
   // Validate the new path as well
-  const newPathValidation = validateStoragePath(newPath);
+  const newPathValidation = validateWritablePath(newPath);
   if (!newPathValidation.valid) {
     return sendError(res, newPathValidation.error, 400);
   }
@@ -63,6 +110,19 @@ async function handler(req, res) {
     return sendError(res, 'New name is the same as the old name', 400);
   }
 
+  setAuditContext(req, { bucket: bucketName, path: sanitizedOldPath, newPath });
+
+  if (isFolder) {
+    return startFolderRename(req, res, supabase, {
+      scope: searchScope(settings, bucketName),
+      bucket: bucketName,
+      oldPath: sanitizedOldPath,
+      newPath,
+      conflict,
+      onError,
+    });
+  }
+
   try {
     // Check if a file with the new name already exists
     const { data: existingFile } = await supabase.storage
@@ -120,6 +180,14 @@ async function handler(req, res) {
       return sendError(res, 'Failed to complete rename operation', 500);
     }
 
+    await indexPaths(supabase, searchScope(settings, bucketName), [sanitizedOldPath, newPath]);
+    await emitStorageEvent('file.renamed', {
+      userId: req.user.id,
+      bucket: bucketName,
+      oldPath: sanitizedOldPath,
+      newPath,
+    });
+
     return sendSuccess(res, {
       message: 'File renamed successfully',
       oldPath: sanitizedOldPath,
@@ -132,4 +200,4 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'rename_file', resource: 'storage_object' });
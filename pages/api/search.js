@@ -0,0 +1,62 @@
+/**
+ * Search API Endpoint
+ * GET - Search a bucket recursively by name (substring or glob), extension,
+ * category, size, modification date and custom metadata (see utils/searchIndex.js)
+ */
+import { validateMethod, sendSuccess, sendError } from '../../utils/apiHelpers';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
+import { withAuth } from '../../utils/authMiddleware.js';
+import { enforceRole } from '../../utils/rbac.js';
+import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
+import { parseSearchQuery, searchBucket, searchScope } from '../../utils/searchIndex.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+  if (!enforceRole(req, res, 'operator')) return;
+
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+
+  const bucketName = req.query.bucket || settings.default_bucket || 'files';
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.valid) {
+    return sendError(res, bucketValidation.error, 400);
+  }
+
+  // Validate folder path if provided
+  let folderPath = '';
+  if (req.query.folder) {
+    const pathValidation = validateStoragePath(req.query.folder);
+    if (!pathValidation.valid) {
+      return sendError(res, pathValidation.error, 400);
+    }
+    folderPath = pathValidation.sanitized;
+  }
+
+  let criteria;
+  try {
+    criteria = parseSearchQuery({ ...req.query, folder: folderPath });
+  } catch (error) {
+    return sendError(res, error.message, error.statusCode || 400);
+  }
+
+  try {
+    const { files, total, nextOffset, indexedAt } = await searchBucket(supabase, searchScope(settings, bucketName), criteria);
+    return sendSuccess(res, {
+      bucket: bucketName,
+      files,
+      total,
+      nextOffset,
+      indexedAt,
+      sort: criteria.sort,
+      limit: criteria.limit,
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    return sendError(res, error.message || 'Search failed', 500);
+  }
+}
+
+export default withAuth(handler);
@@ -8,6 +8,7 @@ import { getUserSettingsForClient, saveUserSettings } from '../../utils/userSett
 import { sendSuccess, sendError, validateMethod } from '../../utils/apiHelpers.js';
 import { invalidateClientCache } from '../../utils/storageClientFactory.js';
 import { enforceRole } from '../../utils/rbac.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
 
 async function handler(req, res) {
   if (!validateMethod(req, res, ['GET', 'POST'])) return;
@@ -28,13 +29,20 @@ async function handler(req, res) {
     if (req.method === 'POST') {
       if (!enforceRole(req, res, 'admin')) return;
       // Save user settings
-      const { supabase_url, supabase_key, default_bucket, max_retries, theme } = req.body;
+      const { supabase_url, supabase_key, default_bucket, max_retries, upload_conflict_policy, theme } = req.body;
+
+      // Field names only: the key itself must never reach the audit log
+      setAuditContext(req, {
+        changedFields: Object.keys({ supabase_url, supabase_key, default_bucket, max_retries, upload_conflict_policy, theme })
+          .filter(field => req.body[field] !== undefined),
+      });
 
       const settings = await saveUserSettings(userId, {
         supabase_url,
         supabase_key,
         default_bucket,
         max_retries,
+        upload_conflict_policy,
         theme,
       });
 
@@ -50,8 +58,8 @@ async function handler(req, res) {
     }
   } catch (error) {
     console.error('Settings API error:', error);
-    return sendError(res, error.message || 'Failed to process settings', 500);
+    return sendError(res, error.message || 'Failed to process settings', error.statusCode || 500);
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'update_settings', resource: 'user_settings' });
@@ -0,0 +1,42 @@
+/**
+ * Storage Connection API Endpoint
+ * DELETE - Delete a saved storage connection
+ */
+import { withAuth, getUserId } from '../../../../utils/authMiddleware.js';
+import { deleteConnection } from '../../../../utils/storageConnections.js';
+import { sendSuccess, sendError, validateMethod } from '../../../../utils/apiHelpers.js';
+import { enforceRole } from '../../../../utils/rbac.js';
+import { withAudit, setAuditContext } from '../../../../utils/auditMiddleware.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'DELETE')) return;
+
+  if (!enforceRole(req, res, 'admin')) return;
+
+  const userId = getUserId(req);
+  const { connectionId } = req.query;
+  setAuditContext(req, { connectionId });
+
+  if (!userId) {
+    return sendError(res, 'User not found', 400);
+  }
+
+  if (!UUID_PATTERN.test(String(connectionId))) {
+    return sendError(res, 'Connection not found', 404);
+  }
+
+  try {
+    const deleted = await deleteConnection(userId, connectionId);
+    if (!deleted) {
+      return sendError(res, 'Connection not found', 404);
+    }
+    return sendSuccess(res, { id: connectionId, deleted: true });
+  } catch (error) {
+    console.error('Storage connection API error:', error);
+    return sendError(res, error.message || 'Failed to delete storage connection', 500);
+  }
+}
+
+export default withAudit(withAuth(handler), { action: 'delete_storage_connection', resource: 'storage_connection' });
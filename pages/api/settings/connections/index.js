@@ -0,0 +1,43 @@
+/**
+ * Storage Connections API Endpoint
+ * GET  - List the user's saved storage connections (keys are masked)
+ * POST - Save a connection to another Supabase project (credentials are checked first)
+ */
+import { withAuth, getUserId } from '../../../../utils/authMiddleware.js';
+import { listConnections, createConnection } from '../../../../utils/storageConnections.js';
+import { sendSuccess, sendError, validateMethod } from '../../../../utils/apiHelpers.js';
+import { enforceRole } from '../../../../utils/rbac.js';
+import { withAudit, setAuditContext } from '../../../../utils/auditMiddleware.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, ['GET', 'POST'])) return;
+
+  const userId = getUserId(req);
+
+  if (!userId) {
+    return sendError(res, 'User not found', 400);
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const connections = await listConnections(userId);
+      return sendSuccess(res, { connections });
+    }
+
+    if (!enforceRole(req, res, 'admin')) return;
+
+    const { name, supabase_url, supabase_key } = req.body || {};
+    const connection = await createConnection(userId, { name, supabase_url, supabase_key });
+
+    setAuditContext(req, { connectionId: connection.id, name: connection.name, supabaseUrl: connection.supabaseUrl });
+    return sendSuccess(res, { connection }, 201);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return sendError(res, error.message, 400);
+    }
+    console.error('Storage connections API error:', error);
+    return sendError(res, error.message || 'Failed to process storage connections', 500);
+  }
+}
+
+export default withAudit(withAuth(handler), { action: 'create_storage_connection', resource: 'storage_connection' });
@@ -6,6 +6,7 @@ import { withAuth } from '../../../utils/authMiddleware.js';
 import { validateSupabaseCredentials } from '../../../utils/userSettings.js';
 import { sendSuccess, sendError, validateMethod } from '../../../utils/apiHelpers.js';
 import { enforceRole } from '../../../utils/rbac.js';
+import { withAudit } from '../../../utils/auditMiddleware.js';
 
 async function handler(req, res) {
   if (!validateMethod(req, res, ['POST'])) return;
@@ -35,4 +36,4 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'test_connection', resource: 'user_settings' });
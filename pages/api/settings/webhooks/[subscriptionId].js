@@ -0,0 +1,67 @@
+/**
+ * Webhook Subscription API Endpoint
+ * PUT    - Update a subscription (url, secret, eventTypes, scope, bucket, prefix, enabled)
+ * DELETE - Delete a subscription
+ */
+import { withAuth, getUserId } from '../../../../utils/authMiddleware.js';
+import { updateSubscription, deleteSubscription } from '../../../../utils/webhookSubscriptions.mjs';
+import { sendSuccess, sendError, validateMethod } from '../../../../utils/apiHelpers.js';
+import { enforceRole } from '../../../../utils/rbac.js';
+import { withAudit, setAuditContext } from '../../../../utils/auditMiddleware.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, ['PUT', 'DELETE'])) return;
+
+  if (!enforceRole(req, res, 'admin')) return;
+
+  const userId = getUserId(req);
+  const { subscriptionId } = req.query;
+  setAuditContext(req, { subscriptionId });
+
+  if (!userId) {
+    return sendError(res, 'User not found', 400);
+  }
+
+  if (!UUID_PATTERN.test(String(subscriptionId))) {
+    return sendError(res, 'Subscription not found', 404);
+  }
+
+  try {
+    if (req.method === 'PUT') {
+      const { url, secret, eventTypes, scope, bucket, prefix, enabled } = req.body || {};
+      const subscription = await updateSubscription(userId, subscriptionId, {
+        url,
+        secret,
+        eventTypes,
+        scope,
+        bucket,
+        prefix,
+        enabled,
+      });
+
+      if (!subscription) {
+        return sendError(res, 'Subscription not found', 404);
+      }
+      return sendSuccess(res, { subscription });
+    }
+
+    const deleted = await deleteSubscription(userId, subscriptionId);
+    if (!deleted) {
+      return sendError(res, 'Subscription not found', 404);
+    }
+    return sendSuccess(res, { id: subscriptionId, deleted: true });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return sendError(res, error.message, 400);
+    }
+    console.error('Webhook subscription API error:', error);
+    return sendError(res, error.message || 'Failed to update webhook subscription', 500);
+  }
+}
+
+export default withAudit(withAuth(handler), {
+  action: { PUT: 'update_webhook_subscription', DELETE: 'delete_webhook_subscription' },
+  resource: 'webhook_subscription',
+});
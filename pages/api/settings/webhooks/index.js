@@ -0,0 +1,51 @@
+/**
+ * Webhook Subscriptions API Endpoint
+ * GET  - List the user's webhook subscriptions
+ * POST - Create a subscription (the signing secret is returned once)
+ */
+import { withAuth, getUserId } from '../../../../utils/authMiddleware.js';
+import { listSubscriptions, createSubscription, WEBHOOK_EVENT_TYPES } from '../../../../utils/webhookSubscriptions.mjs';
+import { sendSuccess, sendError, validateMethod } from '../../../../utils/apiHelpers.js';
+import { enforceRole } from '../../../../utils/rbac.js';
+import { withAudit, setAuditContext } from '../../../../utils/auditMiddleware.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, ['GET', 'POST'])) return;
+
+  const userId = getUserId(req);
+
+  if (!userId) {
+    return sendError(res, 'User not found', 400);
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const subscriptions = await listSubscriptions(userId);
+      return sendSuccess(res, { subscriptions, eventTypes: WEBHOOK_EVENT_TYPES });
+    }
+
+    if (!enforceRole(req, res, 'admin')) return;
+
+    const { url, secret, eventTypes, scope, bucket, prefix, enabled } = req.body || {};
+    const { subscription, secret: signingSecret } = await createSubscription(userId, {
+      url,
+      secret,
+      eventTypes,
+      scope,
+      bucket,
+      prefix,
+      enabled,
+    });
+
+    setAuditContext(req, { subscriptionId: subscription.id });
+    return sendSuccess(res, { subscription, secret: signingSecret }, 201);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return sendError(res, error.message, 400);
+    }
+    console.error('Webhook subscriptions API error:', error);
+    return sendError(res, error.message || 'Failed to process webhook subscriptions', 500);
+  }
+}
+
+export default withAudit(withAuth(handler), { action: 'create_webhook_subscription', resource: 'webhook_subscription' });
@@ -0,0 +1,152 @@
+import { validateMethod, sendSuccess, sendError } from '../../utils/apiHelpers';
+import path from 'path';
+import { validateBucketName } from '../../utils/security.mjs';
+import { validateWritablePath } from '../../utils/reservedPaths.mjs';
+import { withAuth, getUserId } from '../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
+import { enforceRole } from '../../utils/rbac.js';
+import { createStorageClientWithErrorHandling, createConnectionStorageClient } from '../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../utils/eventPipeline.mjs';
+import { transferObjects, validateTransfer } from '../../utils/storageTransfer.mjs';
+import { MAX_COPY_SELECTION } from '../../utils/copyOperations.js';
+import { storageJobManager } from '../../utils/storageJobs.js';
+import { invalidateSearchIndex, searchScope } from '../../utils/searchIndex.js';
+
+// Optional prefix: '' for the bucket root, otherwise a validated path without slashes at the ends
+function validatePrefix(prefix) {
+  if (!prefix || prefix === '/') return { valid: true, sanitized: '' };
+  const validation = validateWritablePath(prefix);
+  if (!validation.valid) return validation;
+  return { valid: true, sanitized: validation.sanitized.replace(/^\/+|\/+$/g, '') };
+}
+
+/**
+ * Transfer objects to another bucket or to a saved storage connection (another
+ * project) as a tracked job. Responds 202 with the job; progress is polled from
+ * /api/jobs/:jobId
+ */
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'POST')) return;
+  if (!enforceRole(req, res, 'operator')) return;
+
+  // Get user's storage client (always the source)
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+
+  const {
+    source = {},
+    target = {},
+    conflict = 'fail',
+    verify = 'size',
+    deleteSource = false,
+  } = req.body || {};
+
+  const sourceBucket = source.bucket || settings.default_bucket || 'files';
+  const targetBucket = target.bucket || sourceBucket;
+  for (const bucketName of [sourceBucket, targetBucket]) {
+    const bucketValidation = validateBucketName(bucketName);
+    if (!bucketValidation.valid) {
+      return sendError(res, bucketValidation.error, 400);
+    }
+  }
+
+  const sourcePrefix = validatePrefix(source.prefix);
+  const targetPrefix = validatePrefix(target.prefix);
+  if (!sourcePrefix.valid || !targetPrefix.valid) {
+    return sendError(res, sourcePrefix.error || targetPrefix.error, 400);
+  }
+
+  // Either a selection of objects or a prefix (the whole bucket when empty)
+  let sourcePaths;
+  if (source.paths !== undefined) {
+    if (!Array.isArray(source.paths) || source.paths.length === 0) {
+      return sendError(res, 'No files selected', 400);
+    }
+    if (source.paths.length > MAX_COPY_SELECTION) {
+      return sendError(res, `At most ${MAX_COPY_SELECTION} files can be transferred at once`, 400);
+    }
+    sourcePaths = [];
+    for (const requestedPath of source.paths) {
+      const pathValidation = validateWritablePath(requestedPath);
+      if (!pathValidation.valid) {
+        return sendError(res, `Invalid path: ${pathValidation.error}`, 400);
+      }
+      // Selected objects keep their name under the target prefix
+      const targetValidation = validateWritablePath(path.posix.join(targetPrefix.sanitized, path.posix.basename(pathValidation.sanitized)));
+      if (!targetValidation.valid) {
+        return sendError(res, targetValidation.error, 400);
+      }
+      sourcePaths.push(pathValidation.sanitized);
+    }
+  }
+
+  setAuditContext(req, {
+    bucket: sourceBucket,
+    ...(sourcePaths ? { paths: sourcePaths } : { path: sourcePrefix.sanitized }),
+    destinationBucket: targetBucket,
+    destinationPath: targetPrefix.sanitized,
+    connectionId: target.connectionId || null,
+    conflict,
+    verify,
+    deleteSource: Boolean(deleteSource),
+  });
+
+  try {
+    let targetClient = supabase;
+    let connection = null;
+    if (target.connectionId) {
+      ({ client: targetClient, connection } = await createConnectionStorageClient(req, String(target.connectionId)));
+    }
+
+    const transfer = {
+      source: { client: supabase, bucket: sourceBucket, ...(sourcePaths ? { paths: sourcePaths } : { prefix: sourcePrefix.sanitized }) },
+      target: { client: targetClient, bucket: targetBucket, prefix: targetPrefix.sanitized },
+      sameProject: !connection || connection.supabase_url === settings.supabase_url,
+      conflict,
+      verify,
+      deleteSource: Boolean(deleteSource),
+    };
+    validateTransfer(transfer);
+
+    const job = storageJobManager.start(getUserId(req), {
+      type: 'transfer',
+      bucket: sourceBucket,
+      sourcePath: sourcePaths ? null : sourcePrefix.sanitized,
+      sourceCount: sourcePaths ? sourcePaths.length : null,
+      destinationBucket: targetBucket,
+      destinationPath: targetPrefix.sanitized,
+      connection: connection ? { id: connection.id, name: connection.name } : null,
+      conflict,
+      verify,
+      deleteSource: Boolean(deleteSource),
+    }, async (progress) => {
+      const result = await transferObjects({ ...transfer, onProgress: progress });
+      // A transfer can touch a whole bucket, so the next search re-crawls instead
+      await invalidateSearchIndex(searchScope(connection || settings, targetBucket));
+      if (transfer.deleteSource) await invalidateSearchIndex(searchScope(settings, sourceBucket));
+      if (result.status === 'completed' || result.status === 'partial') {
+        await emitStorageEvent('transfer.completed', {
+          userId: req.user.id,
+          bucket: sourceBucket,
+          destinationBucket: targetBucket,
+          ...(sourcePaths ? { paths: sourcePaths } : { sourcePath: sourcePrefix.sanitized }),
+          destinationPath: targetPrefix.sanitized,
+          connectionId: connection?.id || null,
+          status: result.status,
+          transferredCount: result.transferred,
+          deletedFromSource: result.deletedFromSource,
+        });
+      }
+      return result;
+    });
+
+    setAuditContext(req, { jobId: job.id });
+    return sendSuccess(res, { message: 'Transfer started', job }, 202);
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to start transfer', error.statusCode || 500);
+  }
+}
+
+export default withAudit(withAuth(handler), { action: 'transfer_objects', resource: 'storage_object' });
@@ -0,0 +1,38 @@
+/**
+ * Trash API Endpoint
+ * GET - List a bucket's trash items (expired items are purged first)
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../utils/apiHelpers';
+import { validateBucketName } from '../../../utils/security.mjs';
+import { withAuth, getUserId } from '../../../utils/authMiddleware.js';
+import { enforceRole } from '../../../utils/rbac.js';
+import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
+import { listTrash, sweepExpiredTrash, getTrashRetentionDays } from '../../../utils/trash.mjs';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+  if (!enforceRole(req, res, 'operator')) return;
+
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+
+  const bucketName = req.query.bucket || settings.default_bucket || 'files';
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.valid) {
+    return sendError(res, bucketValidation.error, 400);
+  }
+
+  try {
+    const retentionDays = getTrashRetentionDays();
+    await sweepExpiredTrash(supabase, { bucket: bucketName, userId: getUserId(req) });
+    const items = await listTrash(supabase, bucketName, { retentionDays });
+    return sendSuccess(res, { bucket: bucketName, items, retentionDays });
+  } catch (error) {
+    console.error('List trash error:', error);
+    return sendError(res, error.message || 'Failed to list trash', 500);
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,68 @@
+/**
+ * Trash Purge API Endpoint
+ * POST - Permanently remove trash items ({ bucket, ids }) or the whole trash ({ bucket, all: true })
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../utils/apiHelpers';
+import { validateBucketName } from '../../../utils/security.mjs';
+import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
+import { enforceRole } from '../../../utils/rbac.js';
+import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../../utils/eventPipeline.mjs';
+import { listTrash, purgeTrashItem, isValidTrashId } from '../../../utils/trash.mjs';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'POST')) return;
+  if (!enforceRole(req, res, 'admin')) return;
+
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+  const { bucket, ids, all = false } = req.body || {};
+
+  const bucketName = bucket || settings.default_bucket || 'files';
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.valid) {
+    return sendError(res, bucketValidation.error, 400);
+  }
+
+  if (!all && (!Array.isArray(ids) || ids.length === 0)) {
+    return sendError(res, 'No trash items selected', 400);
+  }
+  if (!all && !ids.every(isValidTrashId)) {
+    return sendError(res, 'Invalid trash item id', 400);
+  }
+
+  setAuditContext(req, { bucket: bucketName, ...(all ? { all: true } : { trashIds: ids }) });
+
+  try {
+    const targets = all ? (await listTrash(supabase, bucketName)).map(item => item.id) : [...new Set(ids)];
+
+    let count = 0;
+    for (const id of targets) {
+      count += await purgeTrashItem(supabase, { bucket: bucketName, id });
+    }
+    setAuditContext(req, { count });
+
+    if (targets.length > 0) {
+      await emitStorageEvent('trash.purged', {
+        userId: req.user.id,
+        bucket: bucketName,
+        ids: targets,
+        count,
+      });
+    }
+
+    return sendSuccess(res, {
+      message: `Permanently deleted ${targets.length} trash item(s) (${count} objects)`,
+      purged: targets,
+      count,
+    });
+  } catch (error) {
+    console.error('Purge trash error:', error);
+    return sendError(res, error.message || 'Failed to purge trash', error.statusCode || 500);
+  }
+}
+
+export default withAudit(withAuth(handler), { action: 'purge_trash', resource: 'storage_object' });
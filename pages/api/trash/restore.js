@@ -0,0 +1,88 @@
+/**
+ * Trash Restore API Endpoint
+ * POST - Restore trash items ({ bucket, ids }) to their original paths
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../utils/apiHelpers';
+import { validateBucketName } from '../../../utils/security.mjs';
+import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
+import { enforceRole } from '../../../utils/rbac.js';
+import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../../utils/eventPipeline.mjs';
+import { restoreTrashItem, isValidTrashId } from '../../../utils/trash.mjs';
+import { indexPaths, indexFolder, searchScope } from '../../../utils/searchIndex.js';
+
+const MAX_RESTORE_ITEMS = 1000;
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'POST')) return;
+  if (!enforceRole(req, res, 'operator')) return;
+
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+  const { bucket, ids } = req.body || {};
+
+  const bucketName = bucket || settings.default_bucket || 'files';
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.valid) {
+    return sendError(res, bucketValidation.error, 400);
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return sendError(res, 'No trash items selected', 400);
+  }
+  if (ids.length > MAX_RESTORE_ITEMS) {
+    return sendError(res, `At most ${MAX_RESTORE_ITEMS} items can be restored at once`, 400);
+  }
+  if (!ids.every(isValidTrashId)) {
+    return sendError(res, 'Invalid trash item id', 400);
+  }
+
+  setAuditContext(req, { bucket: bucketName, trashIds: ids });
+
+  const restored = [];
+  const failed = [];
+  for (const id of [...new Set(ids)]) {
+    try {
+      const item = await restoreTrashItem(supabase, { bucket: bucketName, id });
+      restored.push({ id, originalPath: item.originalPath, isFolder: item.isFolder });
+    } catch (error) {
+      failed.push({ id, message: error.message || 'Restore failed', statusCode: error.statusCode || 500 });
+    }
+  }
+
+  setAuditContext(req, {
+    paths: restored.map(item => item.originalPath),
+    count: restored.length,
+    ...(failed.length > 0 && restored.length > 0 ? { status: 'partial' } : {}),
+  });
+
+  if (restored.length > 0) {
+    const scope = searchScope(settings, bucketName);
+    await indexPaths(supabase, scope, restored.filter(item => !item.isFolder).map(item => item.originalPath));
+    for (const item of restored.filter(restoredItem => restoredItem.isFolder)) {
+      await indexFolder(supabase, scope, item.originalPath);
+    }
+    await emitStorageEvent('trash.restored', {
+      userId: req.user.id,
+      bucket: bucketName,
+      ids: restored.map(item => item.id),
+      paths: restored.map(item => item.originalPath),
+      count: restored.length,
+    });
+  }
+
+  if (restored.length === 0) {
+    return sendError(res, failed[0].message, failed[0].statusCode, { failed });
+  }
+
+  return sendSuccess(res, {
+    message: `Restored ${restored.length} item(s)${failed.length > 0 ? `; ${failed.length} failed` : ''}`,
+    restored,
+    failed,
+  });
+}
+
+export default withAudit(withAuth(handler), { action: 'restore_trash', resource: 'storage_object' });
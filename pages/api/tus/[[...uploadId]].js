@@ -0,0 +1,316 @@
+/**
+ * tus 1.0 Upload Endpoint
+ * OPTIONS /api/tus      - Capability discovery
+ * POST    /api/tus      - Create an upload (creation extension)
+ * HEAD    /api/tus/:id  - Current offset
+ * PATCH   /api/tus/:id  - Append bytes (checksum extension)
+ * DELETE  /api/tus/:id  - Terminate an upload (termination extension)
+ *
+ * Backed by ResumableUploadManager; the object is written to Supabase Storage
+ * as soon as the final byte arrives.
+ */
+import { withAuth } from '../../../utils/authMiddleware.js';
+import { sendError, validateMethod } from '../../../utils/apiHelpers.js';
+import { validateBucketName, validateFilename } from '../../../utils/security.mjs';
+import { validateWritablePath } from '../../../utils/reservedPaths.mjs';
+import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
+import { enforceStorageQuota, enforceBandwidthQuota } from '../../../utils/quota.js';
+import { usageScope } from '../../../utils/storageUsage.js';
+import { emitUploadEvent } from '../../../utils/eventPipeline.mjs';
+import { appendAuditEvent, buildAuditEventFromRequest } from '../../../utils/auditLog.js';
+import { withAudit } from '../../../utils/auditMiddleware.js';
+import { resumableUploadManager, readRequestBodyPrefix, MAX_APPEND_CHUNK_BYTES, MAX_UPLOAD_BYTES } from '../../../utils/resumableUploadServer.js';
+import { resolveConflictPolicy, resolveUploadTarget } from '../../../utils/uploadConflicts.mjs';
+import { indexPaths, searchScope } from '../../../utils/searchIndex.js';
+import {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  TUS_CHECKSUM_ALGORITHMS,
+  TUS_CONTENT_TYPE,
+  TUS_CHECKSUM_MISMATCH_STATUS,
+  parseUploadMetadata,
+  parseUploadChecksum,
+  formatUploadExpires,
+} from '../../../utils/tusProtocol.mjs';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+function handleOptions(req, res) {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', TUS_EXTENSIONS.join(','));
+  res.setHeader('Tus-Max-Size', String(MAX_UPLOAD_BYTES));
+  res.setHeader('Tus-Checksum-Algorithm', TUS_CHECKSUM_ALGORITHMS.join(','));
+  return res.status(204).end();
+}
+
+function setOffsetHeaders(res, session) {
+  res.setHeader('Upload-Offset', String(session.uploadedBytes));
+  res.setHeader('Upload-Expires', formatUploadExpires(session.expiresAt));
+}
+
+async function createUpload(req, res) {
+  if (req.headers['upload-defer-length']) {
+    return sendError(res, 'Upload-Defer-Length is not supported', 400);
+  }
+
+  const totalSize = Number(req.headers['upload-length']);
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    return sendError(res, 'Upload-Length must be a positive integer', 400);
+  }
+  if (totalSize > MAX_UPLOAD_BYTES) {
+    return sendError(res, `Upload-Length exceeds Tus-Max-Size (${MAX_UPLOAD_BYTES} bytes)`, 413);
+  }
+
+  let metadata;
+  try {
+    metadata = parseUploadMetadata(req.headers['upload-metadata']);
+  } catch (error) {
+    return sendError(res, error.message, 400);
+  }
+
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+  const { client: supabase, settings } = storageResult;
+
+  const bucketName = (metadata.bucket || metadata.bucketName || settings.default_bucket || 'files').trim();
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.valid) {
+    return sendError(res, bucketValidation.error, 400);
+  }
+
+  const fileNameValidation = validateFilename(metadata.filename || metadata.name || 'upload.bin');
+  if (!fileNameValidation.valid) {
+    return sendError(res, fileNameValidation.error, 400);
+  }
+
+  const pathValidation = validateWritablePath(metadata.path || metadata.objectName || fileNameValidation.sanitized);
+  if (!pathValidation.valid) {
+    return sendError(res, pathValidation.error, 400);
+  }
+
+  if (!await enforceStorageQuota(req, res, supabase, bucketName, totalSize, usageScope(settings, bucketName))) return;
+
+  try {
+    // tus has no way to create an upload that stores nothing, so skip answers 409 like fail
+    const conflict = resolveConflictPolicy(metadata.conflict, { settings, customPath: Boolean(metadata.path || metadata.objectName) });
+    const target = await resolveUploadTarget(supabase, { bucket: bucketName, path: pathValidation.sanitized, conflict });
+    if (target.skip) {
+      return sendError(res, `Skipped: a file already exists at /${target.path}`, 409, { skipped: true, path: target.path });
+    }
+
+    const session = await resumableUploadManager.createSession({
+      userId: req.user.id,
+      bucket: bucketName,
+      storagePath: target.path,
+      fileName: fileNameValidation.sanitized,
+      totalSize,
+      chunkSize: Math.min(totalSize, MAX_APPEND_CHUNK_BYTES),
+      fileSha256: metadata.sha256 || null,
+      uploadMetadata: req.headers['upload-metadata'] || null,
+      conflict,
+    });
+
+    res.setHeader('Location', `/api/tus/${session.id}`);
+    res.setHeader('Upload-Expires', formatUploadExpires(session.expiresAt));
+    return res.status(201).end();
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to create upload', error.statusCode || 400, error.code ? { code: error.code, path: error.path } : {});
+  }
+}
+
+// Like withAudit, a failure to write the audit log is logged and does not fail the upload
+function recordUpload(req, session, details) {
+  appendAuditEvent(buildAuditEventFromRequest(req, {
+    action: 'upload_file',
+    resource: 'storage_object',
+    bucket: session.bucket,
+    path: session.storagePath,
+    ...details,
+  })).catch((error) => {
+    console.error('[Audit] Failed to record audit event:', error.message);
+  });
+}
+
+// Uploads the assembled file once every byte has arrived. A failed attempt leaves
+// the session active, and an empty PATCH at the final offset retries it.
+async function finalizeUpload(req, res, session) {
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return false;
+
+  const eventContext = {
+    userId: req.user.id,
+    bucket: session.bucket,
+    path: session.storagePath,
+    originalFilename: session.fileName,
+    size: session.totalSize,
+  };
+
+  const result = await resumableUploadManager.completeSession({
+    sessionId: session.id,
+    userId: req.user.id,
+    supabase: storageResult.client,
+    maxRetries: storageResult.settings.max_retries,
+  });
+
+  if (!result.success) {
+    await emitUploadEvent('upload.failed', {
+      ...eventContext,
+      error: result.error,
+      failedAt: new Date().toISOString(),
+    });
+    recordUpload(req, session, { status: 'error', error: result.error });
+    sendError(res, result.error, result.status || 500);
+    return false;
+  }
+
+  await emitUploadEvent('upload.completed', {
+    ...eventContext,
+    uploadedPath: result.result?.path,
+    publicUrl: result.result?.publicUrl,
+    completedAt: new Date().toISOString(),
+  });
+  await indexPaths(storageResult.client, searchScope(storageResult.settings, session.bucket), [session.storagePath]);
+  recordUpload(req, session, { bytes: session.totalSize, status: 'success' });
+  return true;
+}
+
+async function headUpload(req, res, uploadId) {
+  const session = await resumableUploadManager.getSession(uploadId, req.user.id);
+  if (!session) {
+    return res.status(404).end();
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Upload-Length', String(session.totalSize));
+  if (session.uploadMetadata) {
+    res.setHeader('Upload-Metadata', session.uploadMetadata);
+  }
+  setOffsetHeaders(res, session);
+  return res.status(200).end();
+}
+
+async function patchUpload(req, res, uploadId) {
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== TUS_CONTENT_TYPE) {
+    return sendError(res, `Content-Type must be ${TUS_CONTENT_TYPE}`, 415);
+  }
+
+  const offset = Number(req.headers['upload-offset']);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendError(res, 'Valid Upload-Offset header is required', 400);
+  }
+
+  let checksum;
+  try {
+    checksum = parseUploadChecksum(req.headers['upload-checksum']);
+  } catch (error) {
+    return sendError(res, error.message, 400);
+  }
+
+  // Clients may send the whole rest of the file in one PATCH: store the first
+  // MAX_APPEND_CHUNK_BYTES, and the client continues from the Upload-Offset it gets back
+  let chunk;
+  let truncated;
+  try {
+    ({ body: chunk, truncated } = await readRequestBodyPrefix(req, { maxBytes: MAX_APPEND_CHUNK_BYTES }));
+  } catch (error) {
+    return sendError(res, error.message || 'Invalid chunk payload', error.statusCode || 400);
+  }
+  if (truncated) {
+    // The unread rest of the body is dropped with the connection
+    res.setHeader('Connection', 'close');
+    if (checksum) {
+      return sendError(res, `Checksummed chunks may be at most ${MAX_APPEND_CHUNK_BYTES} bytes`, 413);
+    }
+  }
+
+  if (chunk.length === 0) {
+    const session = await resumableUploadManager.getSession(uploadId, req.user.id);
+    if (!session) return sendError(res, 'Upload not found', 404);
+    if (offset !== session.uploadedBytes) return sendError(res, 'Offset mismatch', 409);
+    if (session.uploadedBytes === session.totalSize && session.status === 'active') {
+      if (!await finalizeUpload(req, res, session)) return;
+    }
+    setOffsetHeaders(res, session);
+    return res.status(204).end();
+  }
+
+  if (!enforceBandwidthQuota(req, res, chunk.length)) return;
+
+  const result = await resumableUploadManager.appendChunk({
+    sessionId: uploadId,
+    userId: req.user.id,
+    offset,
+    chunk,
+    chunkChecksum: checksum,
+  });
+
+  if (!result.success) {
+    const status = result.status === 422 ? TUS_CHECKSUM_MISMATCH_STATUS : (result.status || 400);
+    return sendError(res, result.error, status, {
+      expectedOffset: result.expectedOffset,
+    });
+  }
+
+  if (result.completed && !await finalizeUpload(req, res, result.session)) return;
+
+  setOffsetHeaders(res, result.session);
+  return res.status(204).end();
+}
+
+async function terminateUpload(req, res, uploadId) {
+  const result = await resumableUploadManager.terminateSession({
+    sessionId: uploadId,
+    userId: req.user.id,
+  });
+
+  if (!result.success) {
+    return sendError(res, result.error, result.status || 400);
+  }
+
+  return res.status(204).end();
+}
+
+async function handler(req, res) {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return sendError(res, `Unsupported tus version (server speaks ${TUS_VERSION})`, 412);
+  }
+
+  const [uploadId, ...rest] = req.query.uploadId || [];
+  if (rest.length > 0) {
+    return sendError(res, 'Upload not found', 404);
+  }
+
+  if (!uploadId) {
+    if (!validateMethod(req, res, 'POST')) return;
+    return createUpload(req, res);
+  }
+
+  if (!validateMethod(req, res, ['HEAD', 'PATCH', 'DELETE'])) return;
+
+  if (req.method === 'HEAD') return headUpload(req, res, uploadId);
+  if (req.method === 'PATCH') return patchUpload(req, res, uploadId);
+  return terminateUpload(req, res, uploadId);
+}
+
+// tus clients authenticate with a Bearer token and cannot send the CSRF header.
+// Creation and termination are audited per request; completed uploads are recorded
+// by finalizeUpload, and individual PATCH chunks are not audited.
+const authenticatedHandler = withAudit(
+  withAuth(handler, { skipCsrf: true, rolesAllowed: ['operator', 'admin'] }),
+  { action: { POST: 'create_upload_session', DELETE: 'abort_upload_session' }, resource: 'upload_session' },
+);
+
+export default function tusHandler(req, res) {
+  // Capability discovery is unauthenticated so clients can probe before signing in
+  if (req.method === 'OPTIONS') return handleOptions(req, res);
+  return authenticatedHandler(req, res);
+}
@@ -1,6 +1,6 @@
 import { withAuth } from '../../../../utils/authMiddleware.js';
 import { sendError, sendSuccess, validateMethod } from '../../../../utils/apiHelpers.js';
-import { resumableUploadManager, MAX_APPEND_CHUNK_BYTES } from '../../../../utils/resumableUploadServer.js';
+import { resumableUploadManager, readRequestBodyWithLimit } from '../../../../utils/resumableUploadServer.js';
 
 export const config = {
   api: {
@@ -8,29 +8,6 @@ export const config = {
   },
 };
 
-async function readRawBody(req) {
-  const contentLength = Number(req.headers['content-length'] || 0);
-  if (Number.isFinite(contentLength) && contentLength > MAX_APPEND_CHUNK_BYTES) {
-    const error = new Error(`Chunk exceeds maximum size (${MAX_APPEND_CHUNK_BYTES} bytes)`);
-    error.statusCode = 413;
-    throw error;
-  }
-
-  const chunks = [];
-  let total = 0;
-  for await (const chunk of req) {
-    const normalized = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
-    total += normalized.length;
-    if (total > MAX_APPEND_CHUNK_BYTES) {
-      const error = new Error(`Chunk exceeds maximum size (${MAX_APPEND_CHUNK_BYTES} bytes)`);
-      error.statusCode = 413;
-      throw error;
-    }
-    chunks.push(normalized);
-  }
-  return Buffer.concat(chunks);
-}
-
 async function handler(req, res) {
   if (!validateMethod(req, res, ['PATCH', 'GET'])) return;
 
@@ -55,7 +32,7 @@ async function handler(req, res) {
 
   let chunk;
   try {
-    chunk = await readRawBody(req);
+    chunk = await readRequestBodyWithLimit(req);
   } catch (error) {
     return sendError(res, error.message || 'Invalid chunk payload', error.statusCode || 400);
   }
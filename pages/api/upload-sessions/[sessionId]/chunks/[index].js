@@ -0,0 +1,57 @@
+import { withAuth } from '../../../../../utils/authMiddleware.js';
+import { sendError, sendSuccess, validateMethod } from '../../../../../utils/apiHelpers.js';
+import { resumableUploadManager, readRequestBodyWithLimit } from '../../../../../utils/resumableUploadServer.js';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'PUT')) return;
+
+  const { sessionId } = req.query;
+
+  const index = Number(req.query.index);
+  if (!Number.isInteger(index) || index < 0) {
+    return sendError(res, 'Valid chunk index is required', 400);
+  }
+
+  const chunkSha256 = req.headers['x-chunk-sha256'];
+  if (typeof chunkSha256 !== 'string' || !/^[a-f0-9]{64}$/i.test(chunkSha256)) {
+    return sendError(res, 'X-Chunk-Sha256 header with a hex SHA-256 digest is required', 400);
+  }
+
+  let chunk;
+  try {
+    chunk = await readRequestBodyWithLimit(req);
+  } catch (error) {
+    return sendError(res, error.message || 'Invalid chunk payload', error.statusCode || 400);
+  }
+
+  if (chunk.length === 0) {
+    return sendError(res, 'Chunk payload is required', 400);
+  }
+
+  const result = await resumableUploadManager.putChunk({
+    sessionId,
+    userId: req.user.id,
+    index,
+    chunk,
+    chunkSha256,
+  });
+
+  if (!result.success) {
+    return sendError(res, result.error, result.status || 400);
+  }
+
+  return sendSuccess(res, {
+    index: result.index,
+    uploadedBytes: result.uploadedBytes,
+    missingRanges: result.session.missingRanges,
+    completed: result.completed,
+  });
+}
+
+export default withAuth(handler, { skipCsrf: true });
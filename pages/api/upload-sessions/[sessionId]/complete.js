@@ -1,7 +1,10 @@
 import { withAuth } from '../../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../../utils/auditMiddleware.js';
 import { sendError, sendSuccess, validateMethod } from '../../../../utils/apiHelpers.js';
 import { createStorageClientWithErrorHandling } from '../../../../utils/storageClientFactory.js';
 import { resumableUploadManager } from '../../../../utils/resumableUploadServer.js';
+import { indexPaths, searchScope } from '../../../../utils/searchIndex.js';
+import { emitUploadEvent } from '../../../../utils/eventPipeline.mjs';
 
 async function handler(req, res) {
   if (!validateMethod(req, res, 'POST')) return;
@@ -10,6 +13,16 @@ async function handler(req, res) {
   if (!storageResult) return;
 
   const { sessionId } = req.query;
+  setAuditContext(req, { sessionId });
+
+  const session = await resumableUploadManager.getSession(sessionId, req.user.id);
+  const eventContext = session && {
+    userId: req.user.id,
+    bucket: session.bucket,
+    path: session.storagePath,
+    originalFilename: session.fileName,
+    size: session.totalSize,
+  };
 
   const result = await resumableUploadManager.completeSession({
     sessionId,
@@ -19,19 +32,40 @@ async function handler(req, res) {
   });
 
   if (!result.success) {
+    // Missing chunks are not a failed upload: the client sends them and completes again
+    if (session && session.uploadedBytes === session.totalSize) {
+      await emitUploadEvent('upload.failed', {
+        ...eventContext,
+        error: result.error,
+        failedAt: new Date().toISOString(),
+      });
+    }
     return sendError(res, result.error, result.status || 400, {
+      code: result.code,
       uploadedBytes: result.uploadedBytes,
       totalSize: result.totalSize,
+      missingRanges: result.missingRanges,
+      expectedSha256: result.expectedSha256,
+      actualSha256: result.actualSha256,
     });
   }
 
+  setAuditContext(req, { bucket: result.bucket, path: result.storagePath, bytes: result.uploadedBytes });
+  await emitUploadEvent('upload.completed', {
+    ...eventContext,
+    uploadedPath: result.result?.path,
+    publicUrl: result.result?.publicUrl,
+    completedAt: new Date().toISOString(),
+  });
+  await indexPaths(storageResult.client, searchScope(storageResult.settings, result.bucket), [result.storagePath]);
   return sendSuccess(res, {
     sessionId: result.sessionId,
     uploadedBytes: result.uploadedBytes,
     bucket: result.bucket,
     path: result.storagePath,
+    sha256: result.sha256,
     result: result.result,
   });
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'upload_file', resource: 'storage_object' });
@@ -0,0 +1,37 @@
+import { withAuth } from '../../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../../utils/auditMiddleware.js';
+import { sendError, sendSuccess, validateMethod } from '../../../../utils/apiHelpers.js';
+import { resumableUploadManager } from '../../../../utils/resumableUploadServer.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, ['GET', 'DELETE'])) return;
+
+  const { sessionId } = req.query;
+
+  if (req.method === 'GET') {
+    const session = await resumableUploadManager.getSession(sessionId, req.user.id);
+    if (!session) {
+      return sendError(res, 'Session not found', 404);
+    }
+
+    return sendSuccess(res, {
+      session,
+      nextOffset: session.uploadedBytes,
+    });
+  }
+
+  // Abort: drop the session and its temp file
+  setAuditContext(req, { sessionId });
+  const result = await resumableUploadManager.terminateSession({
+    sessionId,
+    userId: req.user.id,
+  });
+
+  if (!result.success) {
+    return sendError(res, result.error, result.status || 400);
+  }
+
+  return sendSuccess(res, { sessionId: result.sessionId, aborted: true });
+}
+
+export default withAudit(withAuth(handler), { action: { DELETE: 'abort_upload_session' }, resource: 'upload_session' });
@@ -1,8 +1,10 @@
 import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
 import { sendError, sendSuccess, validateMethod } from '../../../utils/apiHelpers.js';
-import { validateStoragePath, validateBucketName, validateFilename } from '../../../utils/security.js';
 import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
 import { resumableUploadManager } from '../../../utils/resumableUploadServer.js';
+import { validateWritablePath } from '../../../utils/reservedPaths.mjs';
+import { resolveConflictPolicy, resolveUploadTarget } from '../../../utils/uploadConflicts.mjs';
 
 async function handler(req, res) {
   if (!validateMethod(req, res, 'POST')) return;
@@ -19,43 +21,47 @@ async function handler(req, res) {
       chunkSize,
       fileSha256,
       expiresInSeconds,
+      parallel,
+      conflict: requestedConflict,
     } = req.body || {};
 
-    const bucketValidation = validateBucketName(bucket || storageResult.settings.default_bucket || 'files');
-    if (!bucketValidation.valid) {
-      return sendError(res, bucketValidation.error, 400);
-    }
-
-    const fileNameValidation = validateFilename(fileName || 'upload.bin');
-    if (!fileNameValidation.valid) {
-      return sendError(res, fileNameValidation.error, 400);
-    }
-
-    const resolvedPath = path || fileName;
-    const pathValidation = validateStoragePath(resolvedPath || 'upload.bin');
+    // The session manager validates the bucket and filename itself
+    const bucketName = bucket || storageResult.settings.default_bucket || 'files';
+    const pathValidation = validateWritablePath(path || fileName || 'upload.bin');
     if (!pathValidation.valid) {
       return sendError(res, pathValidation.error, 400);
     }
 
+    // The policy is applied now so the client learns the final path (or a skip) before sending bytes
+    const conflict = resolveConflictPolicy(requestedConflict, { settings: storageResult.settings, customPath: Boolean(path) });
+    const target = await resolveUploadTarget(storageResult.client, { bucket: bucketName, path: pathValidation.sanitized, conflict });
+    if (target.skip) {
+      setAuditContext(req, { bucket: bucketName, path: target.path, conflict, skipped: true });
+      return sendSuccess(res, { skipped: true, bucket: bucketName, storagePath: target.path, message: `Skipped: a file already exists at /${target.path}` });
+    }
+
     const session = await resumableUploadManager.createSession({
       userId: req.user.id,
-      bucket: (bucket || storageResult.settings.default_bucket || 'files').trim(),
-      storagePath: pathValidation.sanitized,
-      fileName: fileName || pathValidation.sanitized.split('/').pop(),
+      bucket: bucketName,
+      storagePath: target.path,
+      fileName,
       totalSize: Number(totalSize),
       chunkSize: Number(chunkSize),
       fileSha256,
       expiresInSeconds,
+      parallel: parallel === true,
+      conflict,
     });
 
+    setAuditContext(req, { bucket: session.bucket, path: session.storagePath, bytes: session.totalSize, sessionId: session.id });
     return sendSuccess(res, {
       session,
       uploadId: session.id,
       nextOffset: 0,
     }, 201);
   } catch (error) {
-    return sendError(res, error.message || 'Failed to create upload session', 400);
+    return sendError(res, error.message || 'Failed to create upload session', error.statusCode || 400, error.code ? { code: error.code, path: error.path } : {});
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'create_upload_session', resource: 'upload_session' });
@@ -1,13 +1,18 @@
 import { IncomingForm } from 'formidable';
-import { uploadFile, checkFileExists } from '../../utils/storageOperations.js';
+import { uploadFile } from '../../utils/storageOperations.mjs';
 import { getTempDir, cleanupTempFile, withTimeout } from '../../utils/serverHelpers';
 import { validateMethod, sendSuccess, sendError } from '../../utils/apiHelpers';
-import { validateStoragePath, validateBucketName, validateFileType, validateFilename } from '../../utils/security';
+import { validateBucketName, validateFileType, validateFilename } from '../../utils/security.mjs';
 import { withAuth } from '../../utils/authMiddleware.js';
 import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
 import { enforceStorageQuota, enforceBandwidthQuota } from '../../utils/quota.js';
+import { usageScope } from '../../utils/storageUsage.js';
 import { emitUploadEvent } from '../../utils/eventPipeline.mjs';
-import { appendAuditEvent, buildAuditEventFromRequest } from '../../utils/auditLog.js';
+import { withAudit, setAuditContext } from '../../utils/auditMiddleware.js';
+import { retainVersion, isVersionedBucket } from '../../utils/objectVersions.mjs';
+import { validateWritablePath } from '../../utils/reservedPaths.mjs';
+import { resolveConflictPolicy, resolveUploadTarget, UPLOAD_CONFLICT_CODE } from '../../utils/uploadConflicts.mjs';
+import { indexPaths, searchScope } from '../../utils/searchIndex.js';
 
 export const config = {
   api: {
@@ -50,7 +55,8 @@ async function handler(req, res) {
 
     uploadedFile = file;
 
-    if (!await enforceStorageQuota(req, res, supabase, fields.bucket?.[0] || settings.default_bucket || 'files', file.size || 0)) {
+    const quotaBucket = fields.bucket?.[0] || settings.default_bucket || 'files';
+    if (!await enforceStorageQuota(req, res, supabase, quotaBucket, file.size || 0, usageScope(settings, quotaBucket))) {
       await cleanupTempFile(file.filepath);
       return;
     }
@@ -85,7 +91,7 @@ async function handler(req, res) {
     // Validate and sanitize storage path
     let storagePath = fields.path?.[0] || file.originalFilename || null;
     if (fields.path?.[0]) {
-      const pathValidation = validateStoragePath(fields.path[0]);
+      const pathValidation = validateWritablePath(fields.path[0]);
       if (!pathValidation.valid) {
         await cleanupTempFile(file.filepath);
         return sendError(res, pathValidation.error, 400);
@@ -93,39 +99,24 @@ async function handler(req, res) {
       storagePath = pathValidation.sanitized;
     }
 
-    // Check for duplicate filenames and rename if necessary
-    if (storagePath && !fields.path?.[0]) {
-      // Only auto-rename if no custom path was provided
-      try {
-        const originalFileName = storagePath;
-
-        // Efficiently check if file exists and find a unique name
-        if (await checkFileExists(supabase, bucketName, originalFileName)) {
-          // Extract name and extension
-          const lastDotIndex = originalFileName.lastIndexOf('.');
-          const nameWithoutExt = lastDotIndex > 0 ? originalFileName.substring(0, lastDotIndex) : originalFileName;
-          const extension = lastDotIndex > 0 ? originalFileName.substring(lastDotIndex) : '';
-
-          let counter = 2;
-          let newFileName;
-          let found = false;
-
-          while (!found && counter < 1000) {
-            newFileName = `${nameWithoutExt}(${counter})${extension}`;
-            const exists = await checkFileExists(supabase, bucketName, newFileName);
-            if (!exists) {
-              found = true;
-              storagePath = newFileName;
-            }
-            counter++;
-          }
-        }
-      } catch (error) {
-        // Continue with original filename if checking fails
-        console.error('Error checking for duplicates:', error);
-      }
+    // Apply the conflict policy (request field, then the user's setting)
+    let conflict;
+    let target;
+    try {
+      conflict = resolveConflictPolicy(fields.conflict?.[0], { settings, customPath: Boolean(fields.path?.[0]) });
+      target = await resolveUploadTarget(supabase, { bucket: bucketName, path: storagePath, conflict });
+    } catch (error) {
+      await cleanupTempFile(file.filepath);
+      return sendError(res, error.message, error.statusCode || 500, error.code ? { code: error.code, path: error.path } : {});
     }
 
+    if (target.skip) {
+      await cleanupTempFile(file.filepath);
+      setAuditContext(req, { bucket: bucketName, path: storagePath, conflict, skipped: true });
+      return sendSuccess(res, { skipped: true, path: storagePath, message: `Skipped: a file already exists at /${storagePath}` });
+    }
+    storagePath = target.path;
+
     eventContext = {
       userId: req.user?.id,
       bucket: bucketName,
@@ -136,7 +127,13 @@ async function handler(req, res) {
 
     await emitUploadEvent('upload.started', eventContext);
 
-    const uploadPromise = uploadFile(supabase, file.filepath, bucketName, storagePath, settings.max_retries);
+    // In versioned buckets the object being overwritten is kept as a version first
+    let versionId = null;
+    if (target.exists && target.upsert && isVersionedBucket(bucketName)) {
+      versionId = await retainVersion(supabase, { bucket: bucketName, path: storagePath });
+    }
+
+    const uploadPromise = uploadFile(supabase, file.filepath, bucketName, storagePath, settings.max_retries, { upsert: target.upsert });
     const result = await withTimeout(
       uploadPromise,
       UPLOAD_TIMEOUT,
@@ -146,6 +143,10 @@ async function handler(req, res) {
     await cleanupTempFile(file.filepath);
 
     if (!result?.success) {
+      if (result?.code === UPLOAD_CONFLICT_CODE) {
+        await emitUploadEvent('upload.failed', { ...eventContext, error: result.error, failedAt: new Date().toISOString() });
+        return sendError(res, result.error, 409, { code: result.code, path: result.path });
+      }
       throw new Error(result?.error || 'Upload failed');
     }
 
@@ -155,17 +156,15 @@ async function handler(req, res) {
       publicUrl: result.publicUrl,
       completedAt: new Date().toISOString(),
     });
-
-    appendAuditEvent(buildAuditEventFromRequest(req, {
-      action: 'upload_file',
-      resource: 'storage_object',
-      bucket: bucketName,
-      path: storagePath,
-      bytes: file.size || 0,
-      status: 'success',
-    }));
-
-    sendSuccess(res, result);
+    await indexPaths(supabase, searchScope(settings, bucketName), [storagePath]);
+
+    setAuditContext(req, { bucket: bucketName, path: storagePath, bytes: file.size || 0, conflict, ...(versionId ? { versionId } : {}) });
+    sendSuccess(res, {
+      ...result,
+      conflict,
+      ...(target.exists ? { replaced: target.upsert, renamed: !target.upsert } : {}),
+      ...(versionId ? { previousVersionId: versionId } : {}),
+    });
   } catch (error) {
     console.error('Upload failed:', error);
 
@@ -179,17 +178,13 @@ async function handler(req, res) {
       failedAt: new Date().toISOString(),
     });
 
-    appendAuditEvent(buildAuditEventFromRequest(req, {
-      action: 'upload_file',
-      resource: 'storage_object',
-      status: 'error',
-      error: error.message,
-    }));
-
     sendError(res, error.message || 'Upload failed. Please check server logs.', 500);
   }
 }
 
 // Skip CSRF for file uploads - multipart form data doesn't support custom headers easily
 // Authentication is still required and provides sufficient protection
-export default withAuth(handler, { skipCsrf: true, rolesAllowed: ['operator', 'admin'] });
+export default withAudit(
+  withAuth(handler, { skipCsrf: true, rolesAllowed: ['operator', 'admin'] }),
+  { action: 'upload_file', resource: 'storage_object' },
+);
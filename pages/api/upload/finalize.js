@@ -1,13 +1,17 @@
 import { validateMethod, sendError, sendSuccess } from '../../../utils/apiHelpers';
 import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
 import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
-import { assertScopedObjectKey, getIntentRecord, commitIntentRecord, getIdempotentCommit, setIdempotentCommit, verifyObjectExists } from '../../../utils/directUpload.mjs';
+import { assertScopedObjectKey, getIntentRecord, commitIntentRecord, getIdempotentCommit, setIdempotentCommit, verifyObjectExists, rollBackAbandonedIntents } from '../../../utils/directUpload.mjs';
+import { normalizeSha256, verifyStoredObject } from '../../../utils/integrity.mjs';
+import { indexPaths, searchScope } from '../../../utils/searchIndex.js';
+import { revertToVersion } from '../../../utils/objectVersions.mjs';
 
 async function handler(req, res) {
   if (!validateMethod(req, res, 'POST')) return;
   const storageResult = await createStorageClientWithErrorHandling(req, res);
   if (!storageResult) return;
-  const { client: supabase } = storageResult;
+  const { client: supabase, settings } = storageResult;
 
   const idempotencyKey = req.headers['idempotency-key'];
   if (!idempotencyKey || typeof idempotencyKey !== 'string') return sendError(res, 'Idempotency-Key header is required', 400);
@@ -16,7 +20,8 @@ async function handler(req, res) {
   if (cached) return sendSuccess(res, cached);
 
   try {
-    const { intentId, bucket, objectKey } = req.body || {};
+    await rollBackAbandonedIntents(supabase, req.user.id);
+    const { intentId, bucket, objectKey, sha256 } = req.body || {};
     if (!intentId || !bucket || !objectKey) return sendError(res, 'intentId, bucket, and objectKey are required', 400);
 
     const intent = getIntentRecord(intentId);
@@ -26,11 +31,26 @@ async function handler(req, res) {
     assertScopedObjectKey(req.user, objectKey);
     if (intent.bucket !== bucket || intent.objectKey !== objectKey) return sendError(res, 'Finalize payload does not match intent', 400);
 
+    let declaredSha256;
+    try { declaredSha256 = normalizeSha256(sha256); } catch (error) { return sendError(res, error.message, 400); }
+    const expectedSha256 = intent.constraints.sha256 || declaredSha256;
+    if (intent.constraints.sha256 && declaredSha256 && declaredSha256 !== intent.constraints.sha256) return sendError(res, 'sha256 does not match the digest declared on the intent', 400);
+
     const found = await verifyObjectExists(supabase, bucket, objectKey);
     if (!found) return sendError(res, 'Uploaded object not found', 404);
 
+    // The server never saw these bytes: read the object back and hash it
+    const integrity = await verifyStoredObject(supabase, bucket, objectKey, { expectedSha256, expectedSize: intent.constraints.contentLength });
+    if (!integrity.valid) {
+      // The failed upload was removed; put the object it replaced back and keep its version for a retry
+      if (intent.previousVersionId) await revertToVersion(supabase, { bucket, path: objectKey, id: intent.previousVersionId, keepVersion: true });
+      return sendError(res, integrity.error, 422, { code: integrity.code, expectedSha256: integrity.expectedSha256, actualSha256: integrity.actualSha256 });
+    }
+
     commitIntentRecord(intentId);
-    const response = { intentId, bucket, objectKey, committedAt: new Date().toISOString(), size: found.metadata?.size || null, etag: found.metadata?.eTag || null };
+    await indexPaths(supabase, searchScope(settings, bucket), [objectKey]);
+    setAuditContext(req, { intentId, bytes: found.metadata?.size || integrity.size });
+    const response = { intentId, bucket, objectKey, committedAt: new Date().toISOString(), size: found.metadata?.size || integrity.size, etag: found.metadata?.eTag || null, sha256: integrity.sha256 };
     setIdempotentCommit(req.user.id, idempotencyKey, response);
     return sendSuccess(res, response);
   } catch (error) {
@@ -39,4 +59,4 @@ async function handler(req, res) {
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'finalize_upload', resource: 'storage_object' });
@@ -1,7 +1,12 @@
 import { validateMethod, sendError, sendSuccess } from '../../../utils/apiHelpers';
 import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
 import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
-import { normalizeScopedObjectKey, createIntentRecord } from '../../../utils/directUpload.mjs';
+import { normalizeScopedObjectKey, createIntentRecord, rollBackAbandonedIntents } from '../../../utils/directUpload.mjs';
+import { normalizeSha256, checksumMetadataHeaders } from '../../../utils/integrity.mjs';
+import { resolveConflictPolicy, resolveUploadTarget } from '../../../utils/uploadConflicts.mjs';
+import { validateWritablePath } from '../../../utils/reservedPaths.mjs';
+import { retainVersion, isVersionedBucket } from '../../../utils/objectVersions.mjs';
 
 const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
 
@@ -12,30 +17,61 @@ async function handler(req, res) {
   const { client: supabase, settings } = storageResult;
 
   try {
-    const { bucket, objectKey, filename, contentType, contentLength } = req.body || {};
+    await rollBackAbandonedIntents(supabase, req.user.id);
+    const { bucket, objectKey, filename, contentType, contentLength, sha256, conflict: requestedConflict } = req.body || {};
     const bucketName = bucket || settings.default_bucket || 'files';
     const maxBytes = Number(process.env.DIRECT_UPLOAD_MAX_BYTES || DEFAULT_MAX_BYTES);
     if (!contentLength || Number(contentLength) <= 0) return sendError(res, 'contentLength is required', 400);
     if (Number(contentLength) > maxBytes) return sendError(res, `contentLength exceeds maximum (${maxBytes})`, 400);
+    let declaredSha256;
+    try { declaredSha256 = normalizeSha256(sha256); } catch (error) { return sendError(res, error.message, 400); }
 
-    const { objectKey: scopedObjectKey, prefix } = normalizeScopedObjectKey(req.user, objectKey, filename);
+    const { objectKey: requestedObjectKey, prefix } = normalizeScopedObjectKey(req.user, objectKey, filename);
+    const keyValidation = validateWritablePath(requestedObjectKey);
+    if (!keyValidation.valid) return sendError(res, keyValidation.error, 400);
     const allowedMimeRegex = process.env.DIRECT_UPLOAD_ALLOWED_MIME_REGEX || '.*';
     if (contentType && !(new RegExp(allowedMimeRegex)).test(contentType)) return sendError(res, 'contentType is not allowed', 400);
 
+    // The signed URL only replaces an existing object when the policy is overwrite
+    let conflict;
+    let target;
+    try {
+      conflict = resolveConflictPolicy(requestedConflict, { settings, customPath: Boolean(objectKey) });
+      target = await resolveUploadTarget(supabase, { bucket: bucketName, path: requestedObjectKey, conflict });
+    } catch (error) {
+      return sendError(res, error.message, error.statusCode || 500, error.code ? { code: error.code, path: error.path } : {});
+    }
+    if (target.skip) {
+      setAuditContext(req, { bucket: bucketName, path: requestedObjectKey, conflict, skipped: true });
+      return sendSuccess(res, { skipped: true, bucket: bucketName, objectKey: requestedObjectKey, message: `Skipped: a file already exists at /${requestedObjectKey}` });
+    }
+    const scopedObjectKey = target.path;
+
+    // The signed URL writes without the server, so in versioned buckets the object it may replace is kept now.
+    // Finalize puts it back if the upload fails verification, and so does the next request once the intent expires.
+    let versionId = null;
+    if (target.exists && target.upsert && isVersionedBucket(bucketName)) {
+      versionId = await retainVersion(supabase, { bucket: bucketName, path: scopedObjectKey });
+    }
+
     const intent = createIntentRecord({
       userId: req.user.id,
       bucket: bucketName,
       objectKey: scopedObjectKey,
-      constraints: { maxBytes, contentLength: Number(contentLength), contentType: contentType || 'application/octet-stream', allowedMimeRegex },
+      constraints: { maxBytes, contentLength: Number(contentLength), contentType: contentType || 'application/octet-stream', allowedMimeRegex, sha256: declaredSha256, conflict },
+      previousVersionId: versionId,
     });
 
-    const { data, error } = await supabase.storage.from(bucketName).createSignedUploadUrl(scopedObjectKey);
+    setAuditContext(req, { bucket: bucketName, path: scopedObjectKey, bytes: Number(contentLength), intentId: intent.intentId, conflict, ...(versionId ? { versionId } : {}) });
+    const { data, error } = await supabase.storage.from(bucketName).createSignedUploadUrl(scopedObjectKey, { upsert: target.upsert });
     if (error) return sendError(res, error.message || 'Failed to create signed upload url', 500);
 
-    return sendSuccess(res, { intent: { intentId: intent.intentId, bucket: bucketName, objectKey: scopedObjectKey, prefix, expiresAt: new Date(intent.expiresAt).toISOString(), constraints: intent.constraints }, upload: data }, 201);
+    // With a declared digest the client can send these headers as they are to record it on the upload
+    const upload = declaredSha256 ? { ...data, headers: checksumMetadataHeaders(declaredSha256) } : data;
+    return sendSuccess(res, { intent: { intentId: intent.intentId, bucket: bucketName, objectKey: scopedObjectKey, prefix, expiresAt: new Date(intent.expiresAt).toISOString(), constraints: intent.constraints }, upload, ...(versionId ? { previousVersionId: versionId } : {}) }, 201);
   } catch (error) {
     return sendError(res, error.message || 'Failed to create upload intent', 500);
   }
 }
 
-export default withAuth(handler);
+export default withAudit(withAuth(handler), { action: 'create_upload_intent', resource: 'storage_object' });
@@ -0,0 +1,104 @@
+/**
+ * Storage Usage API Endpoint
+ * GET - Usage totals of every bucket, or the detail of one bucket: folder and
+ * category breakdown, largest files and growth snapshots (see utils/storageUsage.js)
+ */
+import { validateMethod, sendSuccess, sendError } from '../../utils/apiHelpers';
+import { validateStoragePath, validateBucketName } from '../../utils/security.mjs';
+import { withAuth } from '../../utils/authMiddleware.js';
+import { enforceRole } from '../../utils/rbac.js';
+import { createStorageClientWithErrorHandling } from '../../utils/storageClientFactory.js';
+import {
+  getBucketUsage,
+  folderBreakdown,
+  listUsageSnapshots,
+  usageConfig,
+  usageScope,
+} from '../../utils/storageUsage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 30;
+
+const totalsOf = (usage) => ({
+  bucket: usage.bucket,
+  scannedAt: new Date(usage.scannedAt).toISOString(),
+  totalBytes: usage.totalBytes,
+  objectCount: usage.objectCount,
+  files: usage.files,
+  trash: usage.trash,
+  versions: usage.versions,
+});
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+  if (!enforceRole(req, res, 'operator')) return;
+
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+  const refresh = req.query.refresh === 'true';
+
+  try {
+    if (!req.query.bucket) {
+      const { data: buckets, error } = await supabase.storage.listBuckets();
+      if (error) throw error;
+
+      // One bucket at a time, so a project with many buckets does not flood the storage API
+      const usages = [];
+      for (const bucket of buckets) {
+        usages.push(totalsOf(await getBucketUsage(supabase, usageScope(settings, bucket.name), { refresh })));
+      }
+      return sendSuccess(res, {
+        buckets: usages,
+        totalBytes: usages.reduce((sum, usage) => sum + usage.totalBytes, 0),
+        objectCount: usages.reduce((sum, usage) => sum + usage.objectCount, 0),
+      });
+    }
+
+    const bucketName = req.query.bucket;
+    const bucketValidation = validateBucketName(bucketName);
+    if (!bucketValidation.valid) {
+      return sendError(res, bucketValidation.error, 400);
+    }
+
+    let folderPath = '';
+    if (req.query.folder) {
+      const pathValidation = validateStoragePath(req.query.folder);
+      if (!pathValidation.valid) {
+        return sendError(res, pathValidation.error, 400);
+      }
+      folderPath = pathValidation.sanitized;
+    }
+
+    const { retentionMs } = usageConfig();
+    const days = req.query.days === undefined ? DEFAULT_HISTORY_DAYS : Number(req.query.days);
+    if (!Number.isFinite(days) || days <= 0) {
+      return sendError(res, 'days must be a positive number', 400);
+    }
+
+    const scope = usageScope(settings, bucketName);
+    const usage = await getBucketUsage(supabase, scope, { refresh });
+    const breakdown = folderBreakdown(usage, folderPath);
+    if (!breakdown) {
+      return sendError(res, 'Folder not found', 404);
+    }
+
+    const history = await listUsageSnapshots(scope, { since: Date.now() - Math.min(days * DAY_MS, retentionMs) });
+
+    return sendSuccess(res, {
+      ...totalsOf(usage),
+      categories: Object.entries(usage.categories)
+        .map(([category, totals]) => ({ category, ...totals }))
+        .sort((a, b) => b.bytes - a.bytes),
+      folder: breakdown,
+      largestFiles: usage.largestFiles,
+      history,
+    });
+  } catch (error) {
+    console.error('Usage error:', error);
+    return sendError(res, error.message || 'Failed to measure storage usage', 500);
+  }
+}
+
+export default withAuth(handler);
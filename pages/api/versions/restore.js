@@ -0,0 +1,69 @@
+/**
+ * Version Restore API Endpoint
+ * POST - Make a prior version ({ bucket, path, versionId }) the current object again
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../utils/apiHelpers';
+import { validateStoragePath, validateBucketName } from '../../../utils/security.mjs';
+import { withAuth } from '../../../utils/authMiddleware.js';
+import { withAudit, setAuditContext } from '../../../utils/auditMiddleware.js';
+import { enforceRole } from '../../../utils/rbac.js';
+import { createStorageClientWithErrorHandling } from '../../../utils/storageClientFactory.js';
+import { emitStorageEvent } from '../../../utils/eventPipeline.mjs';
+import { restoreVersion, isValidVersionId, isVersionPath } from '../../../utils/objectVersions.mjs';
+import { indexPaths, searchScope } from '../../../utils/searchIndex.js';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'POST')) return;
+  if (!enforceRole(req, res, 'operator')) return;
+
+  const storageResult = await createStorageClientWithErrorHandling(req, res);
+  if (!storageResult) return;
+
+  const { client: supabase, settings } = storageResult;
+  const { bucket, path: requestedPath, versionId } = req.body || {};
+
+  const bucketName = bucket || settings.default_bucket || 'files';
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.valid) {
+    return sendError(res, bucketValidation.error, 400);
+  }
+
+  const pathValidation = validateStoragePath(requestedPath);
+  if (!pathValidation.valid) {
+    return sendError(res, pathValidation.error, 400);
+  }
+  const storagePath = pathValidation.sanitized;
+  if (isVersionPath(storagePath)) {
+    return sendError(res, 'Versions are restored through the object they belong to', 400);
+  }
+  if (!isValidVersionId(versionId)) {
+    return sendError(res, 'Invalid version id', 400);
+  }
+
+  setAuditContext(req, { bucket: bucketName, path: storagePath, versionId });
+
+  try {
+    const { restored, retained } = await restoreVersion(supabase, { bucket: bucketName, path: storagePath, id: versionId });
+    setAuditContext(req, { retainedVersionId: retained });
+    await indexPaths(supabase, searchScope(settings, bucketName), [storagePath]);
+
+    await emitStorageEvent('file.version_restored', {
+      userId: req.user.id,
+      bucket: bucketName,
+      path: storagePath,
+      versionId: restored,
+      retainedVersionId: retained,
+    });
+
+    return sendSuccess(res, {
+      message: `Restored /${storagePath} to an earlier version`,
+      restored,
+      retained,
+    });
+  } catch (error) {
+    console.error('Version restore error:', error);
+    return sendError(res, error.message || 'Failed to restore version', error.statusCode || 500);
+  }
+}
+
+export default withAudit(withAuth(handler), { action: 'restore_version', resource: 'storage_object' });
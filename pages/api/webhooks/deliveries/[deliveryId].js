@@ -0,0 +1,23 @@
+/**
+ * Webhook Delivery Detail API
+ * GET /api/webhooks/deliveries/:deliveryId - Delivery with its event payload and attempt history (admin only)
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../../utils/apiHelpers.js';
+import { withAuth } from '../../../../utils/authMiddleware.js';
+import { getWebhookOutbox } from '../../../../utils/eventPipeline.mjs';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+
+  try {
+    const delivery = await getWebhookOutbox().get(req.query.deliveryId);
+    if (!delivery) {
+      return sendError(res, 'Delivery not found', 404);
+    }
+    return sendSuccess(res, { delivery });
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to load webhook delivery', 500);
+  }
+}
+
+export default withAuth(handler, { rolesAllowed: ['admin'] });
@@ -0,0 +1,24 @@
+/**
+ * Webhook Delivery Log API
+ * GET /api/webhooks/deliveries - List outbox deliveries, newest first (admin only)
+ *
+ * Query: status (pending|delivering|delivered|dead), eventType, limit, cursor
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../../utils/apiHelpers.js';
+import { withAuth } from '../../../../utils/authMiddleware.js';
+import { getWebhookOutbox } from '../../../../utils/eventPipeline.mjs';
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'GET')) return;
+
+  try {
+    const { status, eventType, limit, cursor } = req.query;
+    const result = await getWebhookOutbox().list({ status, eventType, limit, cursor });
+    return sendSuccess(res, result);
+  } catch (error) {
+    const isBadQuery = /status must be|Invalid cursor/.test(error.message || '');
+    return sendError(res, error.message || 'Failed to list webhook deliveries', isBadQuery ? 400 : 500);
+  }
+}
+
+export default withAuth(handler, { rolesAllowed: ['admin'] });
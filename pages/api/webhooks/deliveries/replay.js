@@ -0,0 +1,57 @@
+/**
+ * Webhook Replay API
+ * POST /api/webhooks/deliveries/replay - Queue deliveries again (admin only)
+ *
+ * Body: { ids: string[] } to replay specific deliveries,
+ *       or {} to replay every dead-lettered delivery
+ */
+import { validateMethod, sendSuccess, sendError } from '../../../../utils/apiHelpers.js';
+import { withAuth } from '../../../../utils/authMiddleware.js';
+import { getWebhookOutbox } from '../../../../utils/eventPipeline.mjs';
+import { withAudit, setAuditContext } from '../../../../utils/auditMiddleware.js';
+
+const MAX_REPLAY_BATCH = 500;
+
+async function handler(req, res) {
+  if (!validateMethod(req, res, 'POST')) return;
+
+  try {
+    const outbox = getWebhookOutbox();
+    let { ids } = req.body || {};
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+      return sendError(res, 'ids must be an array of delivery IDs', 400);
+    }
+
+    if (!ids) {
+      const { deliveries } = await outbox.list({ status: 'dead', limit: MAX_REPLAY_BATCH });
+      ids = deliveries.map(delivery => delivery.id);
+    }
+
+    if (ids.length > MAX_REPLAY_BATCH) {
+      return sendError(res, `Cannot replay more than ${MAX_REPLAY_BATCH} deliveries at once`, 400);
+    }
+
+    const replayed = [];
+    const failed = [];
+    for (const id of ids) {
+      const result = await outbox.replay(id);
+      if (result.success) {
+        replayed.push(id);
+      } else {
+        failed.push({ id, error: result.error, status: result.status });
+      }
+    }
+
+    setAuditContext(req, {
+      count: replayed.length,
+      ...(failed.length > 0 ? { status: 'partial' } : {}),
+    });
+
+    return sendSuccess(res, { replayed, failed, count: replayed.length });
+  } catch (error) {
+    return sendError(res, error.message || 'Failed to replay webhook deliveries', 500);
+  }
+}
+
+export default withAudit(withAuth(handler, { rolesAllowed: ['admin'] }), { action: 'replay_webhook', resource: 'webhook_delivery' });
@@ -4,7 +4,12 @@ import { useRouter } from 'next/router';
 import UploadTab from '../components/UploadTab';
 import FilesTab from '../components/FilesTab';
 import LogsTab from '../components/LogsTab';
+import WebhooksTab from '../components/WebhooksTab';
+import AuditTab from '../components/AuditTab';
+import BucketsTab from '../components/BucketsTab';
+import UsageTab from '../components/UsageTab';
 import SettingsModal from '../components/SettingsModal';
+import GlobalSearch from '../components/GlobalSearch';
 import { useAuth } from '../contexts/AuthContext';
 
 export default function Home() {
@@ -15,6 +20,7 @@ export default function Home() {
   const [stats, setStats] = useState(null);
   const [isLoaded, setIsLoaded] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [searchTarget, setSearchTarget] = useState(null); // Global search result the Files tab should show
 
   // Redirect to login if not authenticated
   useEffect(() => {
@@ -37,6 +43,12 @@ export default function Home() {
     router.push('/login');
   };
 
+  // Open a global search result in the Files tab
+  const openSearchResult = (result) => {
+    setSearchTarget({ ...result, openedAt: Date.now() });
+    setActiveTab('files');
+  };
+
   const loadStats = async () => {
     try {
       const response = await fetch('/api/health');
@@ -55,7 +67,11 @@ export default function Home() {
   const tabs = [
     { id: 'upload', label: 'Upload', icon: '📤', description: 'Upload new files' },
     { id: 'files', label: 'Files', icon: '📋', description: 'Manage your files' },
+    { id: 'buckets', label: 'Buckets', icon: '🪣', description: 'Create and configure buckets' },
+    { id: 'usage', label: 'Usage', icon: '📊', description: 'Storage usage and growth' },
     { id: 'logs', label: 'Logs', icon: '📄', description: 'View activity logs' },
+    { id: 'webhooks', label: 'Webhooks', icon: '🪝', description: 'Webhook delivery history' },
+    { id: 'audit', label: 'Audit', icon: '🛡️', description: 'Audit trail of API actions' },
   ];
 
   // Show loading while checking auth
@@ -169,6 +185,9 @@ export default function Home() {
             )}
           </div>
 
+          {/* Global Search */}
+          {!settingsLoading && isConfigured && <GlobalSearch onOpenResult={openSearchResult} />}
+
           {/* Main Card */}
           <div className={`bg-dark-surface/80 backdrop-blur-xl border border-dark-border rounded-2xl sm:rounded-3xl shadow-2xl overflow-hidden transition-all duration-700 delay-100 ${isLoaded ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-4'}`}>
             {/* Tabs */}
@@ -239,8 +258,12 @@ export default function Home() {
                 ) : (
                   <>
                     {activeTab === 'upload' && <UploadTab />}
-                    {activeTab === 'files' && <FilesTab />}
+                    {activeTab === 'files' && <FilesTab jumpTo={searchTarget} onJumpHandled={() => setSearchTarget(null)} />}
+                    {activeTab === 'buckets' && <BucketsTab />}
+                    {activeTab === 'usage' && <UsageTab />}
                     {activeTab === 'logs' && <LogsTab />}
+                    {activeTab === 'webhooks' && <WebhooksTab />}
+                    {activeTab === 'audit' && <AuditTab />}
                   </>
                 )}
               </div>
@@ -264,7 +287,7 @@ export default function Home() {
         {/* Keyboard Shortcuts Hint */}
         <div className="fixed bottom-4 right-4 hidden lg:block">
           <div className="px-3 py-2 bg-dark-surface/80 backdrop-blur border border-dark-border rounded-lg text-xs text-dark-textMuted">
-            <span className="text-dark-text font-medium">Tip:</span> Press <kbd className="px-1.5 py-0.5 bg-dark-bg rounded text-dark-accent">Ctrl+F</kbd> to search
+            <span className="text-dark-text font-medium">Tip:</span> Press <kbd className="px-1.5 py-0.5 bg-dark-bg rounded text-dark-accent">Ctrl+K</kbd> to search all folders
           </div>
         </div>
       </div>
@@ -1,6 +1,11 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { ResumableUploadManager } from '../utils/resumableUploadServer.js';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { ResumableUploadManager, readRequestBodyWithLimit, readRequestBodyPrefix, MAX_PARALLEL_CHUNKS } from '../utils/resumableUploadServer.js';
 
 function createMockSupabase() {
   return {
@@ -22,6 +27,19 @@ function createMockSupabase() {
   };
 }
 
+function makeReqFromBuffer(buffer, headers = {}) {
+  const req = new Readable({ read() {} });
+  req.headers = headers;
+  req.push(buffer);
+  req.push(null);
+  return req;
+}
+
+async function createTempManager() {
+  const baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resumable-contract-'));
+  return new ResumableUploadManager({ baseDir });
+}
+
 test('contract: interrupted upload can resume and complete', async () => {
   const manager = new ResumableUploadManager();
   await manager.init();
@@ -98,3 +116,351 @@ test('contract: expired sessions are rejected', async () => {
 
   assert.equal(result.status, 410);
 });
+
+test('contract: sessions survive a restart and resume from the recorded offset', async () => {
+  const baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resumable-restart-'));
+  const payload = Buffer.from('restart safe payload');
+
+  const before = new ResumableUploadManager({ baseDir });
+  const session = await before.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/restart.txt',
+    fileName: 'restart.txt',
+    totalSize: payload.length,
+    chunkSize: 8,
+  });
+  await before.appendChunk({ sessionId: session.id, userId: 'user-1', offset: 0, chunk: payload.subarray(0, 8) });
+
+  // Simulate a write that reached disk but was never acknowledged before the crash.
+  await fs.promises.appendFile(before.sessions.get(session.id).tempFilePath, Buffer.from('torn'));
+
+  const after = new ResumableUploadManager({ baseDir });
+  const restored = await after.getSession(session.id, 'user-1');
+  assert.equal(restored.uploadedBytes, 8);
+
+  const resumed = await after.appendChunk({ sessionId: session.id, userId: 'user-1', offset: 8, chunk: payload.subarray(8) });
+  assert.equal(resumed.success, true);
+  assert.equal(resumed.completed, true);
+
+  const completed = await after.completeSession({
+    sessionId: session.id,
+    userId: 'user-1',
+    supabase: createMockSupabase(),
+    maxRetries: 1,
+  });
+  assert.equal(completed.success, true);
+
+  const third = new ResumableUploadManager({ baseDir });
+  assert.equal(await third.getSession(session.id, 'user-1'), null);
+});
+
+test('contract: sessions whose .part file is gone are dropped at boot', async () => {
+  const baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resumable-orphan-'));
+
+  const before = new ResumableUploadManager({ baseDir });
+  const session = await before.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/lost.bin',
+    fileName: 'lost.bin',
+    totalSize: 4,
+    chunkSize: 4,
+  });
+  await fs.promises.unlink(before.sessions.get(session.id).tempFilePath);
+
+  const after = new ResumableUploadManager({ baseDir });
+  assert.equal(await after.getSession(session.id, 'user-1'), null);
+});
+
+// One store behind several instances with their own disks, like the postgres store
+function sharedSessionStore() {
+  const rows = new Map();
+  return {
+    rows,
+    async load() { return [...rows.values()].map(row => ({ ...row })); },
+    async save(session) { rows.set(session.id, { ...session }); },
+    async delete(sessionId) { rows.delete(sessionId); },
+  };
+}
+
+test('contract: an instance only rehydrates and cleans up its own sessions from a shared store', async () => {
+  const store = sharedSessionStore();
+  const dirA = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resumable-instance-a-'));
+  const dirB = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resumable-instance-b-'));
+
+  const first = new ResumableUploadManager({ baseDir: dirA, store, instanceId: 'a' });
+  const session = await first.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/shared.bin',
+    fileName: 'shared.bin',
+    totalSize: 8,
+    chunkSize: 4,
+  });
+  await first.appendChunk({ sessionId: session.id, userId: 'user-1', offset: 0, chunk: Buffer.from('abcd') });
+
+  // Another instance boots: the .part file is not on its disk, but the session is not its to drop
+  const other = new ResumableUploadManager({ baseDir: dirB, store, instanceId: 'b' });
+  assert.equal(await other.getSession(session.id, 'user-1'), null);
+  assert.equal(store.rows.get(session.id).instanceId, 'a');
+
+  const restarted = new ResumableUploadManager({ baseDir: dirA, store, instanceId: 'a' });
+  assert.equal((await restarted.getSession(session.id, 'user-1')).uploadedBytes, 4);
+});
+
+test('contract: create rejects invalid bucket, path and size', async () => {
+  const manager = await createTempManager();
+  const base = { userId: 'user-1', bucket: 'files', storagePath: 'docs/a.txt', fileName: 'a.txt', totalSize: 3, chunkSize: 3 };
+
+  await assert.rejects(() => manager.createSession({ ...base, bucket: '-bad-' }), (err) => err.statusCode === 400);
+  await assert.rejects(() => manager.createSession({ ...base, storagePath: '../etc/passwd' }), (err) => err.statusCode === 400);
+  await assert.rejects(() => manager.createSession({ ...base, totalSize: 0 }), /totalSize/);
+});
+
+test('contract: complete enforces file type validation (blocked extension)', async () => {
+  const manager = await createTempManager();
+  const session = await manager.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'malware.exe',
+    fileName: 'malware.exe',
+    totalSize: 4,
+    chunkSize: 4,
+  });
+
+  await manager.appendChunk({ sessionId: session.id, userId: 'user-1', offset: 0, chunk: Buffer.from([1, 2, 3, 4]) });
+
+  const result = await manager.completeSession({
+    sessionId: session.id,
+    userId: 'user-1',
+    supabase: createMockSupabase(),
+  });
+  assert.equal(result.status, 400);
+  assert.match(result.error, /not allowed|Invalid file type/i);
+});
+
+test('contract: concurrent appends are serialized and offset check/write is atomic', async () => {
+  const manager = await createTempManager();
+  const session = await manager.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'safe.txt',
+    fileName: 'safe.txt',
+    totalSize: 6,
+    chunkSize: 3,
+  });
+
+  const results = await Promise.all([
+    manager.appendChunk({ sessionId: session.id, userId: 'user-1', offset: 0, chunk: Buffer.from('abc') }),
+    manager.appendChunk({ sessionId: session.id, userId: 'user-1', offset: 0, chunk: Buffer.from('xyz') }),
+  ]);
+
+  assert.equal(results.filter((r) => r.success).length, 1);
+  const rejected = results.find((r) => !r.success);
+  assert.equal(rejected.status, 409);
+  assert.equal(rejected.expectedOffset, 3);
+});
+
+test('contract: sessions are owner-scoped and can be aborted', async () => {
+  const manager = await createTempManager();
+  const session = await manager.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/abort.bin',
+    fileName: 'abort.bin',
+    totalSize: 4,
+    chunkSize: 4,
+  });
+  const { tempFilePath } = manager.sessions.get(session.id);
+
+  assert.equal(await manager.getSession(session.id, 'user-2'), null);
+  assert.equal((await manager.terminateSession({ sessionId: session.id, userId: 'user-2' })).status, 404);
+
+  const aborted = await manager.terminateSession({ sessionId: session.id, userId: 'user-1' });
+  assert.equal(aborted.success, true);
+  assert.equal(fs.existsSync(tempFilePath), false);
+  assert.equal(await manager.getSession(session.id, 'user-1'), null);
+});
+
+test('contract: append body reader rejects oversize payload early via content-length', async () => {
+  const req = makeReqFromBuffer(Buffer.from('abc'), { 'content-length': '11' });
+
+  await assert.rejects(
+    () => readRequestBodyWithLimit(req, { maxBytes: 10 }),
+    (err) => err && err.statusCode === 413
+  );
+});
+
+test('contract: append body reader rejects oversize payload during streaming', async () => {
+  const req = makeReqFromBuffer(Buffer.alloc(11, 1));
+
+  await assert.rejects(
+    () => readRequestBodyWithLimit(req, { maxBytes: 10 }),
+    (err) => err && err.statusCode === 413
+  );
+});
+
+test('contract: prefix body reader keeps the first maxBytes and leaves the request open', async () => {
+  const whole = makeReqFromBuffer(Buffer.from('0123456789'));
+  assert.deepEqual(await readRequestBodyPrefix(whole, { maxBytes: 10 }), { body: Buffer.from('0123456789'), truncated: false });
+
+  const req = new Readable({ read() {} });
+  req.headers = { 'content-length': '25' };
+  req.push(Buffer.from('0123456'));
+  req.push(Buffer.from('789abcdef'));
+  const { body, truncated } = await readRequestBodyPrefix(req, { maxBytes: 10 });
+  assert.equal(body.toString(), '0123456789');
+  assert.equal(truncated, true);
+  assert.equal(req.destroyed, false);
+});
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+test('contract: parallel chunks arrive out of order and are assembled on complete', async () => {
+  const manager = await createTempManager();
+  const payload = Buffer.from('0123456789abcdefghij!');
+  const session = await manager.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/parallel.txt',
+    fileName: 'parallel.txt',
+    totalSize: payload.length,
+    chunkSize: 8,
+    parallel: true,
+  });
+  assert.deepEqual(session.missingRanges, [[0, 2]]);
+
+  const chunkAt = (index) => payload.subarray(index * 8, (index + 1) * 8);
+  const results = await Promise.all([2, 0, 1].map((index) => manager.putChunk({
+    sessionId: session.id,
+    userId: 'user-1',
+    index,
+    chunk: chunkAt(index),
+    chunkSha256: sha256(chunkAt(index)),
+  })));
+  assert.ok(results.every((r) => r.success));
+  assert.equal(results.filter((r) => r.completed).length, 1);
+
+  let uploaded = null;
+  const supabase = createMockSupabase();
+  const from = supabase.storage.from;
+  supabase.storage.from = () => ({
+    ...from(),
+    async upload(objectPath, data) {
+      uploaded = Buffer.from(data);
+      return { data: { id: 'file-id', path: objectPath }, error: null };
+    },
+  });
+
+  const completed = await manager.completeSession({ sessionId: session.id, userId: 'user-1', supabase, maxRetries: 1 });
+  assert.equal(completed.success, true);
+  assert.equal(uploaded.toString(), payload.toString());
+  assert.equal(fs.existsSync(path.join(manager.baseDir, `${session.id}.chunks`)), false);
+});
+
+test('contract: parallel chunks are checked for size, checksum and mode', async () => {
+  const manager = await createTempManager();
+  const session = await manager.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/checked.bin',
+    fileName: 'checked.bin',
+    totalSize: 10,
+    chunkSize: 4,
+    parallel: true,
+  });
+  const chunk = Buffer.from('abcd');
+  const put = (overrides) => manager.putChunk({ sessionId: session.id, userId: 'user-1', index: 0, chunk, chunkSha256: sha256(chunk), ...overrides });
+
+  assert.equal((await put({ chunkSha256: sha256(Buffer.from('nope')) })).status, 422);
+  assert.equal((await put({ index: 2 })).status, 400);
+  assert.equal((await put({ index: 3 })).status, 400);
+  assert.equal((await put({ chunkSha256: null })).status, 400);
+  assert.equal((await manager.appendChunk({ sessionId: session.id, userId: 'user-1', offset: 0, chunk })).status, 409);
+
+  assert.equal((await put({})).success, true);
+  const incomplete = await manager.completeSession({ sessionId: session.id, userId: 'user-1', supabase: createMockSupabase() });
+  assert.equal(incomplete.status, 409);
+  assert.deepEqual(incomplete.missingRanges, [[1, 2]]);
+});
+
+test('contract: parallel sessions cap the chunk count and report gaps as ranges', async () => {
+  const manager = await createTempManager();
+  const create = (chunkSize) => manager.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/many.bin',
+    fileName: 'many.bin',
+    totalSize: MAX_PARALLEL_CHUNKS + 1,
+    chunkSize,
+    parallel: true,
+  });
+  await assert.rejects(create(1), (error) => error.statusCode === 400 && /at most/.test(error.message));
+
+  const session = await create(2);
+  assert.deepEqual(session.missingRanges, [[0, MAX_PARALLEL_CHUNKS / 2]]);
+  for (const index of [0, 3, 4, 7]) {
+    const chunk = Buffer.from('ab');
+    const result = await manager.putChunk({ sessionId: session.id, userId: 'user-1', index, chunk, chunkSha256: sha256(chunk) });
+    assert.equal(result.success, true);
+  }
+  const { missingRanges } = await manager.getSession(session.id, 'user-1');
+  assert.deepEqual(missingRanges, [[1, 2], [5, 6], [8, MAX_PARALLEL_CHUNKS / 2]]);
+});
+
+test('contract: parallel sessions keep only intact chunks across a restart', async () => {
+  const baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resumable-parallel-'));
+  const payload = Buffer.from('abcdefghijkl');
+
+  const before = new ResumableUploadManager({ baseDir });
+  const session = await before.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/restart.bin',
+    fileName: 'restart.bin',
+    totalSize: payload.length,
+    chunkSize: 4,
+    parallel: true,
+  });
+  for (const index of [0, 2]) {
+    const chunk = payload.subarray(index * 4, (index + 1) * 4);
+    await before.putChunk({ sessionId: session.id, userId: 'user-1', index, chunk, chunkSha256: sha256(chunk) });
+  }
+  await fs.promises.unlink(path.join(baseDir, `${session.id}.chunks`, '2.chunk'));
+
+  const after = new ResumableUploadManager({ baseDir });
+  const restored = await after.getSession(session.id, 'user-1');
+  assert.deepEqual(restored.missingRanges, [[1, 2]]);
+  assert.equal(restored.uploadedBytes, 4);
+});
+
+test('contract: complete verifies the declared file digest and reports the stored one', async () => {
+  const manager = await createTempManager();
+  const payload = Buffer.from('integrity matters');
+
+  const create = (fileSha256) => manager.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/integrity.txt',
+    fileName: 'integrity.txt',
+    totalSize: payload.length,
+    chunkSize: payload.length,
+    fileSha256,
+  });
+
+  await assert.rejects(() => create('not-a-digest'), (err) => err.statusCode === 400);
+
+  const wrong = await create(sha256(Buffer.from('something else')));
+  await manager.appendChunk({ sessionId: wrong.id, userId: 'user-1', offset: 0, chunk: payload });
+  const mismatch = await manager.completeSession({ sessionId: wrong.id, userId: 'user-1', supabase: createMockSupabase() });
+  assert.equal(mismatch.status, 422);
+  assert.equal(mismatch.code, 'CHECKSUM_MISMATCH');
+  assert.equal(mismatch.actualSha256, sha256(payload));
+
+  const right = await create(sha256(payload).toUpperCase());
+  await manager.appendChunk({ sessionId: right.id, userId: 'user-1', offset: 0, chunk: payload });
+  const completed = await manager.completeSession({ sessionId: right.id, userId: 'user-1', supabase: createMockSupabase() });
+  assert.equal(completed.success, true);
+  assert.equal(completed.sha256, sha256(payload));
+});
@@ -0,0 +1,170 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+
+process.env.AUDIT_LOG_FILE = path.join('temp', `audit-test-${process.pid}.log`);
+const logFile = path.join(process.cwd(), process.env.AUDIT_LOG_FILE);
+
+const { appendAuditEvent, queryAuditEvents, listAuditEvents, verifyAuditChain, formatAuditExport } = await import('../utils/auditLog.js');
+const { FileAuditStore } = await import('../utils/auditStore.mjs');
+
+const rotationDir = path.join(process.cwd(), 'temp', `audit-rotation-test-${process.pid}`);
+
+async function resetLog(timestamps = []) {
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  fs.rmSync(logFile, { force: true });
+  for (const [i, timestamp] of timestamps.entries()) {
+    await appendAuditEvent({ timestamp, action: i % 2 ? 'delete_file' : 'upload_file', path: `file-${i}.txt` });
+  }
+}
+
+// A store that rotates after every record, so each record after the first opens a new segment
+async function rotatingStore(count) {
+  fs.rmSync(rotationDir, { recursive: true, force: true });
+  const store = new FileAuditStore(path.join(rotationDir, 'audit.log'), { maxBytes: 1, maxAgeMs: 0 });
+  for (let i = 0; i < count; i++) {
+    await store.append({ timestamp: `2024-01-0${i + 1}T00:00:00Z`, action: i % 2 ? 'delete_file' : 'upload_file', path: `file-${i}.txt` });
+  }
+  return store;
+}
+
+test.after(() => {
+  fs.rmSync(logFile, { force: true });
+  fs.rmSync(`${logFile}.index.json`, { force: true });
+  fs.rmSync(rotationDir, { recursive: true, force: true });
+});
+
+test('verifyAuditChain accepts an intact chain', async () => {
+  await resetLog(['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '2024-01-03T00:00:00Z']);
+  const result = await verifyAuditChain();
+  assert.equal(result.valid, true);
+  assert.equal(result.checked, 3);
+  assert.equal(result.lastHash, JSON.parse(fs.readFileSync(logFile, 'utf8').trim().split('\n')[2]).hash);
+});
+
+test('verifyAuditChain reports the first edited record', async () => {
+  await resetLog(['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '2024-01-03T00:00:00Z']);
+  const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n');
+  lines[1] = lines[1].replace('file-1.txt', 'other.txt');
+  fs.writeFileSync(logFile, `${lines.join('\n')}\n`);
+
+  const result = await verifyAuditChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.checked, 1);
+  assert.equal(result.brokenLink.seq, 2);
+  assert.equal(result.brokenLink.reason, 'hash_mismatch');
+});
+
+test('verifyAuditChain reports a removed record as a broken link', async () => {
+  await resetLog(['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '2024-01-03T00:00:00Z']);
+  const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n');
+  fs.writeFileSync(logFile, `${[lines[0], lines[2]].join('\n')}\n`);
+
+  const result = await verifyAuditChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenLink.seq, 2);
+  assert.equal(result.brokenLink.reason, 'previous_hash_mismatch');
+});
+
+test('queryAuditEvents filters by time range and pages newest first', async () => {
+  await resetLog(['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', '2024-01-03T00:00:00Z', '2024-01-04T00:00:00Z', '2024-01-05T00:00:00Z']);
+
+  const first = await queryAuditEvents({ from: '2024-01-02', to: '2024-01-05', limit: 2 });
+  assert.deepEqual(first.events.map(e => e.path), ['file-3.txt', 'file-2.txt']);
+  assert.ok(first.nextCursor);
+
+  const second = await queryAuditEvents({ from: '2024-01-02', to: '2024-01-05', limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(second.events.map(e => e.path), ['file-1.txt']);
+  assert.equal(second.nextCursor, null);
+
+  assert.equal((await queryAuditEvents({ action: 'delete_file' })).events.length, 2);
+  await assert.rejects(() => queryAuditEvents({ from: 'yesterday' }), /from must be/);
+  await assert.rejects(() => queryAuditEvents({ cursor: 'bogus' }), /Invalid cursor/);
+});
+
+test('formatAuditExport writes CSV and NDJSON', async () => {
+  await resetLog(['2024-01-01T00:00:00Z']);
+  await appendAuditEvent({ timestamp: '2024-01-02T00:00:00Z', action: 'rename_file', path: 'a,"b".txt', error: '=HYPERLINK("x")' });
+  const events = await listAuditEvents();
+
+  const ndjson = formatAuditExport(events, 'ndjson').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(ndjson.length, 2);
+  assert.equal(ndjson[1].path, 'a,"b".txt');
+
+  const csv = formatAuditExport(events, 'csv').trim().split('\r\n');
+  assert.equal(csv.length, 3);
+  assert.match(csv[0], /^seq,timestamp,/);
+  assert.match(csv[2], /"a,""b"".txt"/);
+  assert.match(csv[2], /"'=HYPERLINK\(""x""\)"/);
+
+  assert.throws(() => formatAuditExport(events, 'xml'), /format must be/);
+});
+
+test('rotation carries the chain across segments and records them in the index', async () => {
+  const store = await rotatingStore(5);
+
+  const index = JSON.parse(fs.readFileSync(path.join(rotationDir, 'audit.log.index.json'), 'utf8'));
+  assert.deepEqual(index.segments.map(s => [s.file, s.firstSeq, s.lastSeq]), [
+    ['audit.000001.log', 1, 1],
+    ['audit.000002.log', 2, 2],
+    ['audit.000003.log', 3, 3],
+    ['audit.000004.log', 4, 4],
+  ]);
+  assert.equal(index.segments[1].firstPreviousHash, index.segments[0].lastHash);
+
+  const result = await store.verify();
+  assert.equal(result.valid, true);
+  assert.equal(result.checked, 5);
+  assert.equal(result.segments, 4);
+
+  const newest = await store.scan({ order: 'desc', limit: 2 });
+  assert.deepEqual(newest.map(e => e.seq), [5, 4]);
+  const deletes = await store.scan({ action: 'delete_file', order: 'asc' });
+  assert.deepEqual(deletes.map(e => e.path), ['file-1.txt', 'file-3.txt']);
+  const ranged = await store.scan({ from: Date.parse('2024-01-02'), to: Date.parse('2024-01-04'), before: 4, order: 'desc' });
+  assert.deepEqual(ranged.map(e => e.seq), [3, 2]);
+});
+
+test('a lost index is rebuilt from the segments and the chain continues', async () => {
+  await rotatingStore(3);
+  fs.rmSync(path.join(rotationDir, 'audit.log.index.json'));
+
+  const reopened = new FileAuditStore(path.join(rotationDir, 'audit.log'), { maxBytes: 0, maxAgeMs: 0 });
+  const record = await reopened.append({ timestamp: '2024-02-01T00:00:00Z', action: 'move_file' });
+  assert.equal(record.seq, 4);
+
+  const result = await reopened.verify();
+  assert.equal(result.valid, true);
+  assert.equal(result.checked, 4);
+});
+
+test('rotation by age starts a new segment', async () => {
+  fs.rmSync(rotationDir, { recursive: true, force: true });
+  const store = new FileAuditStore(path.join(rotationDir, 'audit.log'), { maxBytes: 0, maxAgeMs: 60 * 1000 });
+  await store.append({ action: 'upload_file' });
+  await store.append({ action: 'upload_file' });
+  assert.equal(store.loadIndex().segments.length, 0);
+
+  store.loadIndex().activeSince = Date.now() - 2 * 60 * 1000;
+  await store.append({ action: 'delete_file' });
+  assert.deepEqual(store.loadIndex().segments.map(s => s.count), [2]);
+  assert.equal((await store.verify()).valid, true);
+});
+
+test('verification reports edited and deleted segments', async () => {
+  await rotatingStore(4);
+  const second = path.join(rotationDir, 'audit.000002.log');
+  fs.writeFileSync(second, fs.readFileSync(second, 'utf8').replace('file-1.txt', 'other.txt'));
+
+  let result = await new FileAuditStore(path.join(rotationDir, 'audit.log')).verify();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenLink.reason, 'hash_mismatch');
+  assert.equal(result.brokenLink.seq, 2);
+  assert.equal(result.brokenLink.segment, 'audit.000002.log');
+
+  fs.rmSync(second);
+  result = await new FileAuditStore(path.join(rotationDir, 'audit.log')).verify();
+  assert.equal(result.brokenLink.reason, 'missing_segment');
+  assert.equal(result.brokenLink.seq, 2);
+});
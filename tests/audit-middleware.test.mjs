@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+
+process.env.AUDIT_LOG_FILE = path.join('temp', `audit-middleware-test-${process.pid}.log`);
+const logFile = path.join(process.cwd(), process.env.AUDIT_LOG_FILE);
+
+const { withAudit, setAuditContext, auditOutcome } = await import('../utils/auditMiddleware.js');
+const { listAuditEvents, verifyAuditChain } = await import('../utils/auditLog.js');
+
+function mockRequest(overrides = {}) {
+  return { method: 'POST', url: '/api/move', headers: {}, query: {}, body: {}, ...overrides };
+}
+
+function mockResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.writableFinished = false;
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => {
+    res.body = body;
+    res.writableFinished = true;
+    res.emit('finish');
+    return res;
+  };
+  return res;
+}
+
+test.beforeEach(() => {
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  fs.rmSync(logFile, { force: true });
+});
+test.after(() => {
+  fs.rmSync(logFile, { force: true });
+  fs.rmSync(`${logFile}.index.json`, { force: true });
+});
+
+test('withAudit records actor, target, outcome and request id', async () => {
+  const handler = withAudit(async (req, res) => {
+    req.user = { id: 'user-1', email: 'ops@example.com' };
+    req.userRole = 'operator';
+    setAuditContext(req, { bucket: 'files', path: 'a.txt', destinationPath: 'archive/a.txt' });
+    return res.status(200).json({ success: true });
+  }, { action: 'move_file', resource: 'storage_object' });
+
+  const req = mockRequest({ headers: { 'x-request-id': 'req-123' }, body: { sourcePath: 'raw/a.txt' } });
+  const res = mockResponse();
+  await handler(req, res);
+
+  assert.equal(res.headers['x-request-id'], 'req-123');
+  const [event] = await listAuditEvents();
+  assert.equal(event.action, 'move_file');
+  assert.equal(event.actorUserId, 'user-1');
+  assert.equal(event.actorRole, 'operator');
+  assert.equal(event.requestId, 'req-123');
+  assert.equal(event.bucket, 'files');
+  assert.equal(event.path, 'a.txt');
+  assert.equal(event.destinationPath, 'archive/a.txt');
+  assert.equal(event.status, 'success');
+  assert.equal(event.httpStatus, 200);
+  assert.equal((await verifyAuditChain()).valid, true);
+});
+
+test('withAudit records rejected and failed requests with the error message', async () => {
+  const denied = withAudit((req, res) => res.status(403).json({ success: false, error: 'Insufficient role' }), { action: 'delete_file' });
+  const failed = withAudit((req, res) => res.status(500).json({ success: false, error: 'Storage unavailable' }), { action: 'delete_file' });
+
+  await denied(mockRequest({ method: 'DELETE', query: { path: 'a.txt', bucket: 'files' } }), mockResponse());
+  await failed(mockRequest({ method: 'DELETE' }), mockResponse());
+
+  const [first, second] = await listAuditEvents();
+  assert.equal(first.status, 'denied');
+  assert.equal(first.error, 'Insufficient role');
+  assert.equal(first.path, 'a.txt');
+  assert.equal(second.status, 'error');
+  assert.equal(second.error, 'Storage unavailable');
+  assert.match(second.requestId, /^[0-9a-f-]{36}$/);
+});
+
+test('withAudit skips safe methods unless they are listed', async () => {
+  const byDefault = withAudit((req, res) => res.json({ success: true }), { action: 'delete_file' });
+  const sensitive = withAudit((req, res) => res.json({ success: true }), { action: 'issue_signed_url', methods: ['GET'] });
+  const perMethod = withAudit((req, res) => res.json({ success: true }), { action: { DELETE: 'delete_folder' } });
+
+  const res = mockResponse();
+  await byDefault(mockRequest({ method: 'GET' }), res);
+  await perMethod(mockRequest({ method: 'POST' }), mockResponse());
+  await sensitive(mockRequest({ method: 'GET' }), mockResponse());
+
+  assert.ok(res.headers['x-request-id']);
+  assert.deepEqual((await listAuditEvents()).map(e => e.action), ['issue_signed_url']);
+});
+
+test('withAudit marks requests closed before a response as aborted', async () => {
+  const handler = withAudit((req, res) => { res.emit('close'); }, { action: 'upload_file' });
+  await handler(mockRequest(), mockResponse());
+  assert.equal((await listAuditEvents())[0].status, 'aborted');
+});
+
+test('auditOutcome maps status codes', () => {
+  assert.equal(auditOutcome(201), 'success');
+  assert.equal(auditOutcome(401), 'denied');
+  assert.equal(auditOutcome(409), 'error');
+});
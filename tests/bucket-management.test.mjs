@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+  validateBucketInput,
+  createBucket,
+  updateBucket,
+  deleteBucket,
+  BUCKET_NOT_EMPTY_CODE,
+} = await import('../utils/bucketManagement.js');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+
+test('bucket input is validated and normalized', () => {
+  assert.deepEqual(
+    validateBucketInput({ name: ' media ', public: true, fileSizeLimit: '1048576', allowedMimeTypes: ['Image/*', 'image/*', ' application/pdf '] }),
+    { name: 'media', public: true, fileSizeLimit: 1048576, allowedMimeTypes: ['image/*', 'application/pdf'] }
+  );
+  assert.deepEqual(validateBucketInput({ name: 'a' }), { name: 'a', public: false });
+  assert.deepEqual(validateBucketInput({ fileSizeLimit: null, allowedMimeTypes: [] }, { partial: true }), { fileSizeLimit: null, allowedMimeTypes: null });
+
+  assert.throws(() => validateBucketInput({ name: '../x' }), error => error.statusCode === 400);
+  assert.throws(() => validateBucketInput({ public: 'yes' }, { partial: true }), /public must be/);
+  assert.throws(() => validateBucketInput({ fileSizeLimit: 1.5 }, { partial: true }), /fileSizeLimit/);
+  assert.throws(() => validateBucketInput({ allowedMimeTypes: 'image/png' }, { partial: true }), /must be an array/);
+  assert.throws(() => validateBucketInput({ allowedMimeTypes: ['png'] }, { partial: true }), /Invalid MIME type: png/);
+});
+
+test('creating a taken bucket name is a conflict', async () => {
+  const { supabase } = fakeStorage();
+
+  const created = await createBucket(supabase, validateBucketInput({ name: 'media', fileSizeLimit: 10 }));
+  assert.equal(created.name, 'media');
+  assert.equal(created.fileSizeLimit, 10);
+  assert.equal(created.allowedMimeTypes, null);
+
+  await assert.rejects(createBucket(supabase, validateBucketInput({ name: 'files' })), error => error.statusCode === 409);
+});
+
+test('updates keep the fields they leave out', async () => {
+  const { supabase, calls } = fakeStorage([], { bucketOptions: { media: { public: true, file_size_limit: 100, allowed_mime_types: ['image/*'] } } });
+
+  const updated = await updateBucket(supabase, 'media', validateBucketInput({ public: false }, { partial: true }));
+  assert.deepEqual(calls.updateBucket.at(-1), ['media', { public: false, fileSizeLimit: 100, allowedMimeTypes: ['image/*'] }]);
+  assert.equal(updated.public, false);
+
+  await updateBucket(supabase, 'media', validateBucketInput({ fileSizeLimit: '', allowedMimeTypes: [] }, { partial: true }));
+  assert.deepEqual(calls.updateBucket.at(-1), ['media', { public: false, fileSizeLimit: null, allowedMimeTypes: null }]);
+
+  await assert.rejects(updateBucket(supabase, 'missing', {}), error => error.statusCode === 404);
+});
+
+test('non-empty buckets are only deleted when emptying is asked for', async () => {
+  const { supabase, buckets, calls } = fakeStorage([], {
+    buckets: { empty: [], full: ['a', 'b', 'c'], large: ['a', 'b', 'c', 'd', 'e'] },
+  });
+
+  assert.deepEqual(await deleteBucket(supabase, 'empty'), { name: 'empty', emptied: false });
+  await assert.rejects(deleteBucket(supabase, 'full'), error => error.statusCode === 409 && error.code === BUCKET_NOT_EMPTY_CODE);
+  assert.ok(buckets.has('full'));
+  assert.equal(calls.emptyBucket.length, 0);
+
+  assert.deepEqual(await deleteBucket(supabase, 'full', { empty: true }), { name: 'full', emptied: true });
+  assert.ok(!buckets.has('full'));
+  await assert.rejects(deleteBucket(supabase, 'full'), error => error.statusCode === 404);
+
+  // The storage API may still be removing objects when the delete runs
+  supabase.storage.emptyBucket = async () => ({ data: { message: 'Emptying' }, error: null });
+  await assert.rejects(deleteBucket(supabase, 'large', { empty: true }), /still being emptied/);
+});
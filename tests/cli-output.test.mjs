@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+  EXIT_CODES,
+  errorCode,
+  resultEntry,
+  commandReport,
+  failureReport,
+  resultReport,
+  listEntry,
+} = await import('../utils/cliOutput.mjs');
+
+test('errors are classified by code, HTTP status and message', () => {
+  assert.equal(errorCode(Object.assign(new Error('taken'), { code: 'UPLOAD_CONFLICT' })), 'UPLOAD_CONFLICT');
+  assert.equal(errorCode(Object.assign(new Error('no such file'), { code: 'ENOENT' })), 'NOT_FOUND');
+  assert.equal(errorCode(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })), 'NETWORK_ERROR');
+  assert.equal(errorCode(Object.assign(new Error('disk'), { code: 'ENOSPC' })), 'IO_ERROR');
+  assert.equal(errorCode({ message: 'Bucket not found', statusCode: '404' }), 'NOT_FOUND');
+  assert.equal(errorCode({ message: 'Payload too large', status: 413 }), 'TOO_LARGE');
+  assert.equal(errorCode({ message: 'Bad gateway', status: 502 }), 'SERVER_ERROR');
+  // storage-js keeps the raw response of a failed download
+  assert.equal(errorCode({ message: '{}', originalError: { status: 403 } }), 'FORBIDDEN');
+  assert.equal(errorCode(new TypeError('fetch failed')), 'NETWORK_ERROR');
+  assert.equal(errorCode(new Error('The resource already exists')), 'CONFLICT');
+  assert.equal(errorCode(new Error('Something odd')), 'UNKNOWN');
+  assert.equal(errorCode(null), 'UNKNOWN');
+});
+
+test('per-file results get a status and a structured error', () => {
+  assert.deepEqual(resultEntry({ success: true, path: 'a.txt', size: 3 }, 'uploaded'), { status: 'uploaded', path: 'a.txt', size: 3 });
+  assert.deepEqual(resultEntry({ success: true, skipped: true, path: 'a.txt' }, 'uploaded'), { status: 'skipped', path: 'a.txt' });
+  assert.deepEqual(resultEntry({ success: false, path: 'b.txt', error: 'A file already exists at /b.txt', code: 'UPLOAD_CONFLICT' }, 'uploaded'), {
+    status: 'failed',
+    path: 'b.txt',
+    error: { code: 'UPLOAD_CONFLICT', message: 'A file already exists at /b.txt' },
+  });
+  // Without a code the message decides
+  assert.equal(resultEntry({ success: false, error: 'File not found: c.txt' }, 'uploaded').error.code, 'NOT_FOUND');
+});
+
+test('reports count outcomes and tell partial failures apart from complete ones', () => {
+  const uploaded = { status: 'uploaded', path: 'a' };
+  const skipped = { status: 'skipped', path: 'b' };
+  const failed = { status: 'failed', path: 'c', error: { code: 'NOT_FOUND', message: 'gone' } };
+
+  const complete = commandReport('batch', [uploaded, skipped], { bucket: 'files' });
+  assert.equal(complete.status, 'completed');
+  assert.equal(complete.exitCode, EXIT_CODES.SUCCESS);
+  assert.equal(complete.bucket, 'files');
+  assert.deepEqual(complete.summary, { total: 2, succeeded: 1, skipped: 1, failed: 0 });
+
+  const partial = commandReport('batch', [uploaded, failed]);
+  assert.equal(partial.status, 'partial');
+  assert.equal(partial.exitCode, EXIT_CODES.PARTIAL);
+
+  const none = commandReport('download', [failed]);
+  assert.equal(none.status, 'failed');
+  assert.equal(none.exitCode, EXIT_CODES.FAILURE);
+
+  assert.equal(commandReport('upload', []).exitCode, EXIT_CODES.SUCCESS);
+});
+
+test('command-level results, failures and listings', () => {
+  assert.deepEqual(resultReport('sync', { status: 'planned', actions: [], message: 'Nothing to do' }), {
+    command: 'sync', status: 'planned', exitCode: 0, actions: [], message: 'Nothing to do',
+  });
+  assert.equal(resultReport('transfer', { status: 'partial', failed: 1 }).exitCode, EXIT_CODES.PARTIAL);
+  assert.deepEqual(resultReport('transfer', { status: 'failed', message: 'TARGET_SUPABASE_URL and TARGET_SUPABASE_KEY must be set', code: 'MISSING_CONFIG' }).error, {
+    code: 'MISSING_CONFIG',
+    message: 'TARGET_SUPABASE_URL and TARGET_SUPABASE_KEY must be set',
+  });
+
+  assert.deepEqual(failureReport('list', { message: 'Bucket not found', statusCode: '404' }, { bucket: 'nope' }), {
+    command: 'list', status: 'failed', exitCode: 1, bucket: 'nope', error: { code: 'NOT_FOUND', message: 'Bucket not found' },
+  });
+
+  assert.deepEqual(listEntry({ id: 'x', name: 'a.pdf', updated_at: '2026-01-01T00:00:00Z', metadata: { size: 10, mimetype: 'application/pdf' } }, '/docs/'), {
+    name: 'a.pdf', path: 'docs/a.pdf', type: 'file', size: 10, contentType: 'application/pdf', updatedAt: '2026-01-01T00:00:00Z',
+  });
+  assert.deepEqual(listEntry({ id: null, name: 'img' }), { name: 'img', path: 'img', type: 'folder', size: null, contentType: null, updatedAt: null });
+});
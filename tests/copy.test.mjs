@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const { copyName, copyObjects } = await import('../utils/copyOperations.js');
+const { copyFolder, validateFolderTransfer } = await import('../utils/folderOperations.mjs');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+
+const sorted = (objects) => [...objects.keys()].sort();
+
+test('copyName finds a free duplicate name', () => {
+  assert.equal(copyName('report.pdf', new Set(['report.pdf'])), 'report (copy).pdf');
+  assert.equal(copyName('report.pdf', new Set(['report (copy).pdf'])), 'report (copy 2).pdf');
+  assert.equal(copyName('photos', new Set()), 'photos (copy)');
+  assert.equal(copyName('.env', new Set()), '.env (copy)');
+});
+
+test('copyObjects duplicates into the same folder and copies a selection elsewhere', async () => {
+  const { supabase, buckets } = fakeStorage(['docs/a.txt', 'docs/a (copy).txt', 'docs/b.txt']);
+
+  const duplicate = await copyObjects(supabase, { bucket: 'files', sourcePaths: ['docs/a.txt'], destinationFolder: 'docs' });
+  assert.deepEqual(duplicate.copied, [{ sourcePath: 'docs/a.txt', destinationPath: 'docs/a (copy 2).txt' }]);
+
+  const selection = await copyObjects(supabase, { bucket: 'files', sourcePaths: ['docs/a.txt', 'docs/b.txt'], destinationFolder: 'backup' });
+  assert.equal(selection.copied.length, 2);
+  assert.ok(buckets.get('files').has('backup/a.txt'));
+  assert.ok(buckets.get('files').has('backup/b.txt'));
+});
+
+test('copyObjects applies the conflict policy and copies across buckets', async () => {
+  const { supabase, buckets } = fakeStorage(['a.txt', 'b.txt'], { buckets: { archive: ['a.txt'] } });
+
+  await assert.rejects(
+    copyObjects(supabase, { bucket: 'files', destinationBucket: 'archive', sourcePaths: ['a.txt', 'b.txt'] }),
+    (error) => error.statusCode === 409 && error.conflicts.includes('a.txt'),
+  );
+  assert.deepEqual(sorted(buckets.get('archive')), ['a.txt']);
+
+  const skipped = await copyObjects(supabase, { bucket: 'files', destinationBucket: 'archive', sourcePaths: ['a.txt', 'b.txt'], conflict: 'skip' });
+  assert.deepEqual(skipped.skipped, ['a.txt']);
+  assert.deepEqual(sorted(buckets.get('archive')), ['a.txt', 'b.txt']);
+
+  const overwritten = await copyObjects(supabase, { bucket: 'files', destinationBucket: 'archive', sourcePaths: ['a.txt'], conflict: 'overwrite' });
+  assert.equal(overwritten.copied.length, 1);
+
+  await assert.rejects(copyObjects(supabase, { bucket: 'files', sourcePaths: [] }), /No files selected/);
+});
+
+test('overwrites keep the replaced object as a version in versioned buckets, and a rolled-back copy puts it back', async () => {
+  const previous = process.env.VERSIONED_BUCKETS;
+  process.env.VERSIONED_BUCKETS = 'archive';
+  try {
+    const { supabase, buckets } = fakeStorage({ 'a.txt': 'new a', 'docs/a.txt': 'new a', 'docs/b.txt': 'new b' }, {
+      buckets: { archive: { 'a.txt': 'old a', 'docs/a.txt': 'old docs a' } },
+      fail: (method, source) => method === 'copy' && source === 'docs/b.txt',
+    });
+    const archive = buckets.get('archive');
+
+    const overwritten = await copyObjects(supabase, { bucket: 'files', destinationBucket: 'archive', sourcePaths: ['a.txt'], conflict: 'overwrite' });
+    const { versionId } = overwritten.copied[0];
+    assert.equal(archive.get('a.txt').body.toString(), 'new a');
+    assert.equal(archive.get(`.versions/a.txt/${versionId}`).body.toString(), 'old a');
+
+    const result = await copyFolder(supabase, { bucket: 'files', destinationBucket: 'archive', sourcePath: 'docs', destinationPath: 'docs', conflict: 'overwrite' });
+    assert.equal(result.status, 'rolled_back');
+    assert.equal(archive.get('docs/a.txt').body.toString(), 'old docs a');
+    assert.equal(sorted(archive).filter(objectPath => objectPath.startsWith('.versions/docs/')).length, 0);
+  } finally {
+    if (previous === undefined) delete process.env.VERSIONED_BUCKETS;
+    else process.env.VERSIONED_BUCKETS = previous;
+  }
+});
+
+test('copyFolder copies a prefix and removes the copies when it fails midway', async () => {
+  const paths = ['docs/.folder', 'docs/a.txt', 'docs/2024/b.txt'];
+  const { supabase, buckets } = fakeStorage(paths, { buckets: { archive: [] } });
+
+  const copied = await copyFolder(supabase, { bucket: 'files', destinationBucket: 'archive', sourcePath: 'docs', destinationPath: 'docs' });
+  assert.equal(copied.status, 'completed');
+  assert.equal(copied.copied, 3);
+  assert.deepEqual(sorted(buckets.get('archive')), [...paths].sort());
+  assert.deepEqual(sorted(buckets.get('files')), [...paths].sort());
+
+  const failing = fakeStorage(Array.from({ length: 8 }, (_, i) => `docs/file-${i}.txt`), {
+    fail: (method, source) => method === 'copy' && source === 'docs/file-5.txt',
+  });
+  const result = await copyFolder(failing.supabase, { bucket: 'files', sourcePath: 'docs', destinationPath: 'docs (copy)' });
+  assert.equal(result.status, 'rolled_back');
+  assert.equal(result.rolledBack, result.copied);
+  assert.ok([...failing.objects.keys()].every(objectPath => objectPath.startsWith('docs/')));
+});
+
+test('a folder can be copied, but not moved, into itself', () => {
+  assert.doesNotThrow(() => validateFolderTransfer({ operation: 'copy', bucket: 'files', sourcePath: 'docs', destinationPath: 'docs/backup' }));
+  assert.throws(() => validateFolderTransfer({ operation: 'move', bucket: 'files', sourcePath: 'docs', destinationPath: 'docs/backup' }), /into itself/);
+  assert.doesNotThrow(() => validateFolderTransfer({ operation: 'move', bucket: 'files', destinationBucket: 'archive', sourcePath: 'docs', destinationPath: 'docs' }));
+});
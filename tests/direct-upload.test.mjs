@@ -1,6 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { normalizeScopedObjectKey, createIntentRecord, getIntentRecord, setIdempotentCommit, getIdempotentCommit, __resetDirectUploadStoresForTests } from '../utils/directUpload.mjs';
+import { normalizeScopedObjectKey, createIntentRecord, getIntentRecord, commitIntentRecord, rollBackAbandonedIntents, setIdempotentCommit, getIdempotentCommit, __resetDirectUploadStoresForTests } from '../utils/directUpload.mjs';
+import { retainVersion, revertToVersion, listVersions } from '../utils/objectVersions.mjs';
+import { fakeStorage } from './helpers/fakeStorage.mjs';
 
 const user = { id: 'user-123', app_metadata: { tenant_id: 'tenant-abc' } };
 
@@ -23,3 +25,37 @@ test('replay/idempotency: same key returns same cached response', () => {
   setIdempotentCommit(user.id, 'idem-001', response);
   assert.deepEqual(getIdempotentCommit(user.id, 'idem-001'), response);
 });
+
+test('an overwrite that is never finalized puts the previous object back once it expires', async () => {
+  const storage = fakeStorage({ 'report.txt': 'v1', 'notes.txt': 'n1' });
+  const overwrite = async (objectPath, body, ttlMs) => {
+    const previousVersionId = await retainVersion(storage.supabase, { bucket: 'files', path: objectPath });
+    storage.put(objectPath, body);
+    return createIntentRecord({ userId: user.id, bucket: 'files', objectKey: objectPath, constraints: {}, previousVersionId, ttlMs });
+  };
+
+  const abandoned = await overwrite('report.txt', 'unverified', 0);
+  const finalized = await overwrite('notes.txt', 'n2', 60_000);
+  commitIntentRecord(finalized.intentId);
+  assert.equal(getIntentRecord(abandoned.intentId), null);
+
+  await rollBackAbandonedIntents(storage.supabase, 'someone-else');
+  assert.equal(storage.objects.get('report.txt').body.toString(), 'unverified');
+
+  await rollBackAbandonedIntents(storage.supabase, user.id);
+  assert.equal(storage.objects.get('report.txt').body.toString(), 'v1');
+  assert.equal((await listVersions(storage.supabase, 'files', 'report.txt')).versions.length, 0);
+  assert.equal(storage.objects.get('notes.txt').body.toString(), 'n2');
+  assert.equal((await listVersions(storage.supabase, 'files', 'notes.txt')).versions.length, 1);
+});
+
+test('a failed upload can put the previous object back and keep its version for a retry', async () => {
+  const storage = fakeStorage({ 'report.txt': 'v1' });
+  const id = await retainVersion(storage.supabase, { bucket: 'files', path: 'report.txt' });
+  storage.objects.delete('report.txt');
+
+  await revertToVersion(storage.supabase, { bucket: 'files', path: 'report.txt', id, keepVersion: true });
+  assert.equal(storage.objects.get('report.txt').body.toString(), 'v1');
+  assert.deepEqual((await listVersions(storage.supabase, 'files', 'report.txt')).versions.map(version => version.id), [id]);
+  await assert.rejects(revertToVersion(storage.supabase, { bucket: 'files', path: 'report.txt', id: 'nope' }), { statusCode: 404 });
+});
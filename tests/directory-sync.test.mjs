@@ -0,0 +1,232 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { planSync, syncDirectory, SYNC_STATE_FILE } = await import('../utils/directorySync.mjs');
+const { createFileFilter } = await import('../utils/fileFilters.mjs');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+const { RESUMABLE_UPLOAD_THRESHOLD } = await import('../utils/resumableUpload.mjs');
+
+
+async function tempDir(files = {}, mtime = new Date('2026-01-01T00:00:00Z')) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sync-'));
+  for (const [relativePath, data] of Object.entries(files)) {
+    const fullPath = path.join(dir, relativePath);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, data);
+    await fs.promises.utimes(fullPath, mtime, mtime);
+  }
+  return dir;
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+// Remote objects carry the digest uploads record in their metadata
+const remote = (files) => fakeStorage(Object.fromEntries(Object.entries(files)
+  .map(([objectPath, body]) => [objectPath, { body, metadata: { sha256: sha256(body) } }])));
+const plan = async (options) => (await planSync({ localHash: async () => null, remoteHash: async () => null, ...options })).actions
+  .map(({ path: relativePath, action, reason }) => `${action} ${relativePath} (${reason})`);
+
+test('one-way plans copy missing and changed files and only delete extraneous ones when asked', async () => {
+  const local = new Map([
+    ['new.txt', { size: 3, mtimeMs: 100 }],
+    ['same.txt', { size: 4, mtimeMs: 100 }],
+    ['edited.txt', { size: 4, mtimeMs: 500 }],
+    ['resized.txt', { size: 9, mtimeMs: 100 }],
+  ]);
+  const remote = new Map([
+    ['same.txt', { size: 4, updatedAt: 200 }],
+    ['edited.txt', { size: 4, updatedAt: 200 }],
+    ['resized.txt', { size: 5, updatedAt: 200 }],
+    ['only-remote.txt', { size: 1, updatedAt: 200 }],
+  ]);
+
+  assert.deepEqual(await plan({ local, remote, direction: 'up' }), [
+    'upload edited.txt (changed)',
+    'upload new.txt (missing)',
+    'upload resized.txt (changed)',
+  ]);
+  assert.deepEqual(await plan({ local, remote, direction: 'up', deleteExtraneous: true }), [
+    'upload edited.txt (changed)',
+    'upload new.txt (missing)',
+    'delete-remote only-remote.txt (extraneous)',
+    'upload resized.txt (changed)',
+  ]);
+  assert.deepEqual(await plan({ local, remote, direction: 'down', deleteExtraneous: true }), [
+    'delete-local new.txt (extraneous)',
+    'download only-remote.txt (missing)',
+    'download resized.txt (changed)',
+    'download same.txt (changed)',
+  ]);
+
+  // Recorded state: only files changed since the last run count, whatever their times
+  const state = {
+    'same.txt': { size: 4, mtimeMs: 100, remoteUpdatedAt: 200 },
+    'edited.txt': { size: 4, mtimeMs: 100, remoteUpdatedAt: 200 },
+  };
+  assert.deepEqual(await plan({ local, remote, state, direction: 'down' }), [
+    'download only-remote.txt (missing)',
+    'download resized.txt (changed)',
+  ]);
+});
+
+test('two-way plans follow each side, let the newer side win conflicts and propagate deletes with --delete', async () => {
+  const state = {
+    'local-edit.txt': { size: 1, mtimeMs: 100, remoteUpdatedAt: 100 },
+    'remote-edit.txt': { size: 1, mtimeMs: 100, remoteUpdatedAt: 100 },
+    'both-edit.txt': { size: 1, mtimeMs: 100, remoteUpdatedAt: 100 },
+    'gone-remote.txt': { size: 1, mtimeMs: 100, remoteUpdatedAt: 100 },
+    'gone-local.txt': { size: 1, mtimeMs: 100, remoteUpdatedAt: 100 },
+    'untouched.txt': { size: 1, mtimeMs: 100, remoteUpdatedAt: 100 },
+  };
+  const local = new Map([
+    ['local-edit.txt', { size: 2, mtimeMs: 300 }],
+    ['remote-edit.txt', { size: 1, mtimeMs: 100 }],
+    ['both-edit.txt', { size: 3, mtimeMs: 300 }],
+    ['gone-remote.txt', { size: 1, mtimeMs: 100 }],
+    ['untouched.txt', { size: 1, mtimeMs: 100 }],
+  ]);
+  const remote = new Map([
+    ['local-edit.txt', { size: 1, updatedAt: 100 }],
+    ['remote-edit.txt', { size: 2, updatedAt: 200 }],
+    ['both-edit.txt', { size: 4, updatedAt: 400 }],
+    ['gone-local.txt', { size: 1, updatedAt: 100 }],
+    ['untouched.txt', { size: 1, updatedAt: 100 }],
+  ]);
+
+  assert.deepEqual(await plan({ local, remote, state, direction: 'both' }), [
+    'download both-edit.txt (conflict)',
+    'download gone-local.txt (deleted)',
+    'upload gone-remote.txt (deleted)',
+    'upload local-edit.txt (changed)',
+    'download remote-edit.txt (changed)',
+  ]);
+  assert.deepEqual(await plan({ local, remote, state, direction: 'both', deleteExtraneous: true }), [
+    'download both-edit.txt (conflict)',
+    'delete-remote gone-local.txt (deleted)',
+    'delete-local gone-remote.txt (deleted)',
+    'upload local-edit.txt (changed)',
+    'download remote-edit.txt (changed)',
+  ]);
+
+  // A file edited after its deletion on the other side is kept
+  local.set('gone-remote.txt', { size: 5, mtimeMs: 500 });
+  assert.ok((await plan({ local, remote, state, direction: 'both', deleteExtraneous: true })).includes('upload gone-remote.txt (missing)'));
+});
+
+test('a sync uploads, records its state and does nothing on a repeat run; a dry run changes nothing', async () => {
+  const dir = await tempDir({ 'a.txt': 'alpha', 'docs/b.txt': 'bravo' });
+  const storage = remote({ 'backup/stale.txt': 'old' });
+  const options = { supabase: storage.supabase, localDir: dir, bucket: 'files', prefix: 'backup', useTrash: false };
+
+  const dryRun = await syncDirectory({ ...options, deleteExtraneous: true, dryRun: true });
+  assert.equal(dryRun.status, 'planned');
+  assert.deepEqual(dryRun.actions.map(item => `${item.action} ${item.path}`), ['upload a.txt', 'upload docs/b.txt', 'delete-remote stale.txt']);
+  assert.equal(storage.calls.upload.length + storage.calls.remove.length, 0);
+  assert.equal(fs.existsSync(path.join(dir, SYNC_STATE_FILE)), false);
+
+  const first = await syncDirectory({ ...options, deleteExtraneous: true });
+  assert.equal(first.status, 'completed');
+  assert.equal(first.uploaded, 2);
+  assert.equal(first.deletedRemote, 1);
+  assert.deepEqual(storage.calls.upload.map(([objectPath]) => objectPath).sort(), ['backup/a.txt', 'backup/docs/b.txt']);
+  assert.equal(storage.objects.get('backup/a.txt').metadata.sha256, sha256('alpha'));
+  assert.equal(storage.objects.has('backup/stale.txt'), false);
+
+  const state = JSON.parse(await fs.promises.readFile(path.join(dir, SYNC_STATE_FILE), 'utf8'));
+  assert.deepEqual(Object.keys(state.files).sort(), ['a.txt', 'docs/b.txt']);
+
+  storage.calls.upload = [];
+  const repeat = await syncDirectory({ ...options, checksum: true });
+  assert.equal(repeat.actions.length, 0);
+  assert.equal(repeat.unchanged, 2);
+  assert.equal(storage.calls.upload.length, 0);
+  assert.equal(storage.calls.info.length, 0);
+
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('files above the resumable threshold go over tus with their digest instead of being read whole', async () => {
+  const large = Buffer.alloc(RESUMABLE_UPLOAD_THRESHOLD + 1, 7);
+  const dir = await tempDir({ 'video.bin': large, 'notes.txt': 'small' });
+  const storage = remote({});
+  const tusUploads = [];
+  const uploadLargeFile = async (options) => {
+    tusUploads.push(options);
+    storage.put(options.objectPath, { body: await fs.promises.readFile(options.filePath), metadata: options.metadata });
+    return { path: options.objectPath, size: large.length, resumedFrom: 0 };
+  };
+  const options = { supabase: storage.supabase, localDir: dir, bucket: 'files', prefix: 'media', useTrash: false, uploadLargeFile };
+
+  const result = await syncDirectory({ ...options, project: 'https://example.supabase.co', accessToken: 'service-key' });
+  assert.equal(result.status, 'completed');
+  assert.equal(result.bytes, large.length + 5);
+  assert.deepEqual(storage.calls.upload.map(([objectPath]) => objectPath), ['media/notes.txt']);
+  assert.equal(tusUploads.length, 1);
+  assert.equal(tusUploads[0].objectPath, 'media/video.bin');
+  assert.equal(tusUploads[0].supabaseUrl, 'https://example.supabase.co');
+  assert.equal(tusUploads[0].accessToken, 'service-key');
+  assert.equal(tusUploads[0].upsert, true);
+  assert.equal(storage.objects.get('media/video.bin').metadata.sha256, sha256(large));
+
+  // Without the project's URL and key a large file fails on its own and the rest still syncs
+  const other = await tempDir({ 'video.bin': large, 'notes.txt': 'small' });
+  const partial = await syncDirectory({ ...options, supabase: remote({}).supabase, localDir: other });
+  assert.equal(partial.status, 'partial');
+  assert.match(partial.errors[0].message, /project URL and key/);
+
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await fs.promises.rm(other, { recursive: true, force: true });
+});
+
+test('downloads take the object time, and checksums keep touched but identical files from being re-sent', async () => {
+  const storage = remote({ 'report.csv': 'a,b\n1,2\n', 'img/logo.svg': '<svg/>' });
+  const dir = path.join(await tempDir(), 'mirror');
+  const options = { supabase: storage.supabase, localDir: dir, bucket: 'files', useTrash: false };
+
+  const down = await syncDirectory({ ...options, direction: 'down' });
+  assert.equal(down.downloaded, 2);
+  assert.equal(await fs.promises.readFile(path.join(dir, 'img/logo.svg'), 'utf8'), '<svg/>');
+  const { mtimeMs } = await fs.promises.stat(path.join(dir, 'report.csv'));
+  assert.equal(Math.floor(mtimeMs), Date.parse(storage.objects.get('report.csv').updatedAt));
+
+  // Touch a file without changing it
+  const later = new Date(Date.parse('2027-01-01T00:00:00Z'));
+  await fs.promises.utimes(path.join(dir, 'report.csv'), later, later);
+
+  const checked = await syncDirectory({ ...options, direction: 'up', checksum: true });
+  assert.equal(checked.actions.length, 0);
+  assert.equal(storage.calls.upload.length, 0);
+
+  // Same size, new content: the digests differ
+  await fs.promises.writeFile(path.join(dir, 'report.csv'), 'a,b\n3,4\n');
+  const changed = await syncDirectory({ ...options, direction: 'up', checksum: true });
+  assert.deepEqual(changed.actions.map(item => `${item.action} ${item.path} (${item.reason})`), ['upload report.csv (changed)']);
+  assert.equal(storage.objects.get('report.csv').body.toString(), 'a,b\n3,4\n');
+
+  await fs.promises.rm(path.dirname(dir), { recursive: true, force: true });
+});
+
+test('files a filter leaves out are neither transferred nor deleted on either side', async () => {
+  const dir = await tempDir({ 'a.txt': 'alpha', 'build/out.js': 'x', 'notes.tmp': 'scratch' });
+  const storage = remote({ 'keep.log': 'remote only', 'build/old.js': 'y', 'gone.txt': 'stale' });
+  const filter = createFileFilter({ exclude: ['build/', '*.tmp', '*.log'] });
+  const options = { supabase: storage.supabase, localDir: dir, bucket: 'files', useTrash: false, filter };
+
+  const result = await syncDirectory({ ...options, deleteExtraneous: true });
+  assert.deepEqual(result.actions.map(item => `${item.action} ${item.path}`), ['upload a.txt', 'delete-remote gone.txt']);
+  // build/ is not scanned locally, so only the paths that were looked at count
+  assert.equal(result.filtered, 3);
+  assert.ok(storage.objects.has('keep.log'));
+  assert.ok(storage.objects.has('build/old.js'));
+  assert.ok(fs.existsSync(path.join(dir, 'notes.tmp')));
+
+  // Two-way: filtered remote files are not pulled down either
+  const both = await syncDirectory({ ...options, direction: 'both', deleteExtraneous: true });
+  assert.equal(both.actions.length, 0);
+  assert.equal(fs.existsSync(path.join(dir, 'keep.log')), false);
+
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
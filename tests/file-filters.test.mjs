@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { createFileFilter, loadFileFilter, parseIgnoreRules, parseSize, parseAge, IGNORE_FILE } = await import('../utils/fileFilters.mjs');
+const { scanLocalFiles } = await import('../utils/directorySync.mjs');
+
+const accepted = (filter, paths, stats = { size: 1, mtimeMs: 0 }) => paths.filter(relativePath => filter.accepts(relativePath, stats));
+
+test('ignore rules follow gitignore semantics', () => {
+  const filter = createFileFilter({
+    ignoreRules: parseIgnoreRules([
+      '# build output',
+      'node_modules/',
+      '*.log',
+      '!keep.log',
+      '/dist',
+      'docs/**/*.draft.md',
+      '.*',
+      '!.well-known',
+      'cache/',
+      '!cache/important.txt',
+    ].join('\n')),
+  });
+
+  assert.deepEqual(accepted(filter, [
+    'node_modules/react/index.js',
+    'app/node_modules/x.js',
+    'node_modules',
+    'server.log',
+    'logs/keep.log',
+    'dist/app.js',
+    'src/dist/app.js',
+    'docs/guide.draft.md',
+    'docs/a/b/guide.draft.md',
+    'docs/guide.md',
+    '.env',
+    'config/.secret',
+    '.well-known',
+    'cache/important.txt',
+    'src/index.js',
+  ]), [
+    // A file named like a directory-only pattern is kept
+    'node_modules',
+    'logs/keep.log',
+    'src/dist/app.js',
+    'docs/guide.md',
+    '.well-known',
+    'src/index.js',
+  ]);
+
+  assert.equal(filter.skipsDirectory('app/node_modules'), true);
+  assert.equal(filter.skipsDirectory('src'), false);
+});
+
+test('include patterns, --exclude and size and age limits narrow the selection', () => {
+  const filter = createFileFilter({
+    include: ['*.jpg', 'reports/**'],
+    exclude: ['thumbs/'],
+    ignoreRules: parseIgnoreRules('!thumbs/'),
+  });
+  assert.deepEqual(accepted(filter, ['a.jpg', 'album/b.jpg', 'thumbs/c.jpg', 'notes.txt', 'reports/q1/summary.pdf']), [
+    'a.jpg',
+    'album/b.jpg',
+    'reports/q1/summary.pdf',
+  ]);
+
+  const now = Date.parse('2026-06-01T00:00:00Z');
+  const limited = createFileFilter({
+    minSize: parseSize('1KB'),
+    maxSize: parseSize('1.5MB'),
+    newerThan: parseAge('7d'),
+    olderThan: parseAge('1h'),
+    now: () => now,
+  });
+  const day = 24 * 60 * 60 * 1000;
+  assert.equal(limited.accepts('a', { size: 1024, mtimeMs: now - day }), true);
+  assert.equal(limited.accepts('a', { size: 1023, mtimeMs: now - day }), false);
+  assert.equal(limited.accepts('a', { size: 2 * 1024 * 1024, mtimeMs: now - day }), false);
+  assert.equal(limited.accepts('a', { size: 2048, mtimeMs: now - 8 * day }), false);
+  assert.equal(limited.accepts('a', { size: 2048, mtimeMs: now - 60 * 1000 }), false);
+
+  assert.equal(parseSize('500'), 500);
+  assert.equal(parseSize('2g'), 2 * 1024 ** 3);
+  assert.throws(() => parseSize('lots'), /Invalid size/);
+  assert.throws(() => parseAge('7'), /Invalid age/);
+  assert.throws(() => createFileFilter({ minSize: 10, maxSize: 5 }), /larger than the maximum/);
+});
+
+test('a directory .supabaseignore prunes the scan and leaves itself out', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'filters-'));
+  const files = {
+    [IGNORE_FILE]: 'node_modules/\n*.tmp\n',
+    'index.html': '<html>',
+    'scratch.tmp': 'x',
+    'node_modules/lib/index.js': 'module.exports = {}',
+    'assets/app.css': 'body {}',
+    'assets/huge.bin': 'x'.repeat(4096),
+  };
+  for (const [relativePath, data] of Object.entries(files)) {
+    await fs.promises.mkdir(path.dirname(path.join(dir, relativePath)), { recursive: true });
+    await fs.promises.writeFile(path.join(dir, relativePath), data);
+  }
+
+  const filter = await loadFileFilter(dir, { maxSize: parseSize('1KB') });
+  const scanned = await scanLocalFiles(dir, { filter });
+  assert.deepEqual([...scanned.keys()].sort(), ['assets/app.css', 'index.html']);
+
+  // Without an ignore file only the given patterns apply
+  const empty = await loadFileFilter(path.join(dir, 'assets'), { exclude: ['*.css'] });
+  assert.deepEqual([...(await scanLocalFiles(path.join(dir, 'assets'), { filter: empty })).keys()], ['huge.bin']);
+
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const { toListingEntries, parseListingQuery, paginateListing, getFolderEntries } = await import('../utils/fileListing.js');
+
+function storageItem(name, size, updatedAt) {
+  return { id: `id-${name}`, name, updated_at: updatedAt, created_at: updatedAt, metadata: { size } };
+}
+
+const items = [
+  { id: null, name: 'reports' },
+  { id: null, name: 'archive' },
+  storageItem('.folder', 0, '2024-01-01T00:00:00Z'),
+  storageItem('b-photo.jpg', 3000, '2024-01-03T00:00:00Z'),
+  storageItem('a-notes.txt', 100, '2024-01-05T00:00:00Z'),
+  storageItem('c-video.mp4', 90000, '2024-01-01T00:00:00Z'),
+  storageItem('d-photo.png', 500, '2024-01-04T00:00:00Z'),
+  storageItem('e-data.csv', 700, '2024-01-02T00:00:00Z'),
+];
+const entries = toListingEntries(items, 'docs');
+
+test('toListingEntries separates folders, files and placeholders', () => {
+  assert.equal(entries.length, 7);
+  assert.deepEqual(entries.filter(e => e.isFolder).map(e => e.path), ['docs/reports', 'docs/archive']);
+  assert.equal(entries.find(e => e.name === 'a-notes.txt').sizeFormatted, '100 B');
+});
+
+test('paginateListing pages folders first, then files in sort order, with a cursor', () => {
+  const first = paginateListing(entries, parseListingQuery({ sort: 'size-desc', limit: '3' }));
+  assert.deepEqual(first.folders.map(e => e.name), ['archive', 'reports']);
+  assert.deepEqual(first.files.map(e => e.name), ['c-video.mp4']);
+  assert.equal(first.total, 7);
+  assert.equal(first.totalFiles, 5);
+  assert.ok(first.nextCursor);
+  assert.equal(first.nextOffset, 3);
+
+  const second = paginateListing(entries, parseListingQuery({ sort: 'size-desc', limit: '3', cursor: first.nextCursor }));
+  assert.deepEqual(second.files.map(e => e.name), ['b-photo.jpg', 'e-data.csv', 'd-photo.png']);
+
+  // A file added before the cursor position does not shift the next page
+  const grown = [...entries, ...toListingEntries([storageItem('z-huge.bin', 99999, '2024-01-06T00:00:00Z')], 'docs')];
+  const third = paginateListing(grown, parseListingQuery({ sort: 'size-desc', limit: '3', cursor: second.nextCursor }));
+  assert.deepEqual(third.files.map(e => e.name), ['a-notes.txt']);
+  assert.equal(third.nextCursor, null);
+
+  const byOffset = paginateListing(entries, parseListingQuery({ sort: 'size-desc', limit: '3', offset: '3' }));
+  assert.deepEqual(byOffset.files.map(e => e.name), second.files.map(e => e.name));
+});
+
+test('paginateListing filters by name, category, size and date without folders', () => {
+  const photos = paginateListing(entries, parseListingQuery({ category: 'Image', sort: 'date-desc' }));
+  assert.deepEqual(photos.files.map(e => e.name), ['d-photo.png', 'b-photo.jpg']);
+  assert.equal(photos.folders.length, 0);
+  assert.equal(photos.categoryCounts.Image, 2);
+  assert.equal(photos.categoryCounts.All, 5);
+
+  assert.deepEqual(paginateListing(entries, parseListingQuery({ search: 'PHOTO' })).files.map(e => e.name), ['b-photo.jpg', 'd-photo.png']);
+  assert.deepEqual(paginateListing(entries, parseListingQuery({ minSize: '500', maxSize: '3000' })).files.map(e => e.name), ['b-photo.jpg', 'd-photo.png', 'e-data.csv']);
+  assert.deepEqual(paginateListing(entries, parseListingQuery({ modifiedAfter: '2024-01-03', modifiedBefore: '2024-01-05' })).files.map(e => e.name), ['b-photo.jpg', 'd-photo.png']);
+});
+
+test('parseListingQuery rejects invalid options', () => {
+  assert.throws(() => parseListingQuery({ sort: 'size-sideways' }), /sort must be one of/);
+  assert.throws(() => parseListingQuery({ category: 'Spreadsheets' }), /category must be one of/);
+  assert.throws(() => parseListingQuery({ limit: '5000' }), /limit must be/);
+  assert.throws(() => parseListingQuery({ minSize: '-1' }), /minSize must be/);
+  assert.throws(() => parseListingQuery({ cursor: 'abc', offset: '10' }), /either cursor or offset/);
+
+  const { nextCursor } = paginateListing(entries, parseListingQuery({ sort: 'name-asc', limit: '1' }));
+  assert.throws(() => parseListingQuery({ sort: 'date-desc', cursor: nextCursor }), /different sort order/);
+});
+
+test('getFolderEntries lists past 1000 objects and reuses the snapshot for later pages', async () => {
+  let calls = 0;
+  const objects = Array.from({ length: 2500 }, (_, i) => storageItem(`file-${String(i).padStart(4, '0')}.txt`, i, '2024-01-01T00:00:00Z'));
+  const supabase = {
+    storage: {
+      from: () => ({
+        list: async (folder, { limit, offset }) => {
+          calls += 1;
+          return { data: objects.slice(offset, offset + limit), error: null };
+        },
+      }),
+    },
+  };
+
+  const listed = await getFolderEntries(supabase, { cacheKey: 'test:files:', bucket: 'files', folder: '', refresh: true });
+  assert.equal(listed.length, 2500);
+  assert.equal(calls, 3);
+
+  await getFolderEntries(supabase, { cacheKey: 'test:files:', bucket: 'files', folder: '' });
+  assert.equal(calls, 3);
+  await getFolderEntries(supabase, { cacheKey: 'test:files:', bucket: 'files', folder: '', refresh: true });
+  assert.equal(calls, 6);
+});
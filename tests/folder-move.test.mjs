@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const { listObjectsRecursive, moveFolder, validateFolderTransfer } = await import('../utils/folderOperations.mjs');
+const { StorageJobManager } = await import('../utils/storageJobs.js');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+
+const sorted = (objects) => [...objects.keys()].sort();
+
+test('listObjectsRecursive walks nested folders', async () => {
+  const { supabase } = fakeStorage(['docs/.folder', 'docs/a.txt', 'docs/2024/b.txt', 'docs/2024/q1/c.txt', 'other.txt']);
+  const listed = await listObjectsRecursive(supabase, 'files', 'docs');
+  assert.deepEqual(listed.map(object => object.path).sort(), ['docs/.folder', 'docs/2024/b.txt', 'docs/2024/q1/c.txt', 'docs/a.txt']);
+});
+
+test('moveFolder moves every object under the prefix, including the placeholder', async () => {
+  const { supabase, objects } = fakeStorage(['docs/.folder', 'docs/a.txt', 'docs/2024/b.txt', 'keep.txt']);
+  const progress = [];
+  const result = await moveFolder(supabase, {
+    bucket: 'files',
+    sourcePath: 'docs',
+    destinationPath: 'archive/docs',
+    onProgress: update => progress.push(update),
+  });
+
+  assert.equal(result.status, 'completed');
+  assert.equal(result.moved, 3);
+  assert.deepEqual(sorted(objects), ['archive/docs/.folder', 'archive/docs/2024/b.txt', 'archive/docs/a.txt', 'keep.txt']);
+  assert.equal(progress.at(-1).processed, 3);
+});
+
+test('moveFolder applies the conflict policy before moving anything', async () => {
+  const paths = ['docs/.folder', 'docs/a.txt', 'docs/b.txt', 'archive/.folder', 'archive/a.txt'];
+
+  const failed = fakeStorage(paths);
+  const failResult = await moveFolder(failed.supabase, { bucket: 'files', sourcePath: 'docs', destinationPath: 'archive' });
+  assert.equal(failResult.status, 'failed');
+  assert.deepEqual(failResult.conflicts, ['archive/a.txt']);
+  assert.deepEqual(sorted(failed.objects), [...paths].sort());
+
+  const skipped = fakeStorage(paths);
+  const skipResult = await moveFolder(skipped.supabase, { bucket: 'files', sourcePath: 'docs', destinationPath: 'archive', conflict: 'skip' });
+  assert.equal(skipResult.status, 'completed');
+  assert.equal(skipResult.skipped, 1);
+  assert.deepEqual(sorted(skipped.objects), ['archive/.folder', 'archive/a.txt', 'archive/b.txt', 'docs/.folder', 'docs/a.txt']);
+
+  const overwritten = fakeStorage(paths);
+  const overwriteResult = await moveFolder(overwritten.supabase, { bucket: 'files', sourcePath: 'docs', destinationPath: 'archive', conflict: 'overwrite' });
+  assert.equal(overwriteResult.status, 'completed');
+  assert.deepEqual(sorted(overwritten.objects), ['archive/.folder', 'archive/a.txt', 'archive/b.txt']);
+});
+
+test('moveFolder rolls back on a midway failure, or reports what was left behind', async () => {
+  const paths = Array.from({ length: 10 }, (_, i) => `docs/file-${i}.txt`);
+  const fail = (method, objectPath) => method === 'move' && objectPath === 'docs/file-6.txt';
+
+  const rolledBack = fakeStorage(paths, { fail });
+  const rollbackResult = await moveFolder(rolledBack.supabase, { bucket: 'files', sourcePath: 'docs', destinationPath: 'moved' });
+  assert.equal(rollbackResult.status, 'rolled_back');
+  assert.equal(rollbackResult.failed, 1);
+  assert.equal(rollbackResult.rolledBack, rollbackResult.moved);
+  assert.deepEqual(sorted(rolledBack.objects), [...paths].sort());
+
+  const stopped = fakeStorage(paths, { fail });
+  const stopResult = await moveFolder(stopped.supabase, { bucket: 'files', sourcePath: 'docs', destinationPath: 'moved', onError: 'stop' });
+  assert.equal(stopResult.status, 'partial');
+  assert.equal(stopResult.leftAtDestination.length, stopResult.moved);
+  assert.ok(stopResult.leftAtDestination.every(objectPath => stopped.objects.has(objectPath)));
+  assert.deepEqual(stopResult.errors.map(error => error.path), ['docs/file-6.txt']);
+});
+
+test('validateFolderTransfer rejects moving a folder into itself', () => {
+  assert.throws(() => validateFolderTransfer({ sourcePath: 'docs', destinationPath: 'docs/archive/docs' }), /into itself/);
+  assert.throws(() => validateFolderTransfer({ sourcePath: 'docs', destinationPath: 'docs' }), /the same/);
+  assert.throws(() => validateFolderTransfer({ sourcePath: 'docs', destinationPath: 'x', conflict: 'merge' }), /conflict must be/);
+  assert.doesNotThrow(() => validateFolderTransfer({ sourcePath: 'docs', destinationPath: 'docs-old' }));
+});
+
+test('StorageJobManager tracks progress and scopes jobs to their owner', async () => {
+  const jobs = new StorageJobManager();
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+
+  const job = jobs.start('user-1', { type: 'move_folder', sourcePath: 'a', destinationPath: 'b' }, async (progress) => {
+    progress({ total: 2, processed: 1 });
+    await done;
+    return { status: 'completed', processed: 2, moved: 2, message: 'Moved 2 object(s)' };
+  });
+
+  assert.equal(job.status, 'running');
+  assert.equal(jobs.get(job.id, 'user-1').processed, 1);
+  assert.equal(jobs.get(job.id, 'user-2'), null);
+  assert.equal(jobs.list('user-2').length, 0);
+
+  finish();
+  await new Promise(resolve => setImmediate(resolve));
+  const finished = jobs.get(job.id, 'user-1');
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.moved, 2);
+  assert.ok(finished.finishedAt);
+});
@@ -0,0 +1,177 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { FolderWatcher, WATCH_JOURNAL_FILE } = await import('../utils/folderWatch.mjs');
+
+async function dropDir() {
+  return fs.promises.mkdtemp(path.join(os.tmpdir(), 'watch-'));
+}
+
+async function write(dir, relativePath, data) {
+  const fullPath = path.join(dir, relativePath);
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.promises.writeFile(fullPath, data);
+}
+
+// A watcher driven by a fake clock; uploads are recorded instead of sent
+function watcher(dir, options = {}) {
+  const clock = { now: 0 };
+  const uploads = [];
+  const events = [];
+  const instance = new FolderWatcher({
+    dir,
+    scope: { bucket: 'files', prefix: 'inbox' },
+    settleMs: 2000,
+    retryDelayMs: 60 * 1000,
+    upload: async (fullPath, relativePath) => {
+      uploads.push(`${relativePath}=${await fs.promises.readFile(fullPath, 'utf8')}`);
+      return { success: true, path: `inbox/${relativePath}` };
+    },
+    onEvent: event => events.push(`${event.type} ${event.path}`),
+    now: () => clock.now,
+    ...options,
+  });
+  const scanAt = async (ms) => {
+    clock.now = ms;
+    await instance.scan();
+  };
+  return { instance, clock, uploads, events, scanAt };
+}
+
+test('files are uploaded once they stop changing, and partial downloads are left alone', async () => {
+  const dir = await dropDir();
+  const { uploads, scanAt } = watcher(dir);
+
+  await write(dir, 'report.csv', 'a');
+  await write(dir, 'nested/photo.jpg', 'p');
+  await write(dir, 'video.mp4.part', 'v');
+  await scanAt(0);
+  assert.deepEqual(uploads, []);
+
+  // Still being written: the size changed since the last look
+  await write(dir, 'report.csv', 'ab');
+  await scanAt(2500);
+  assert.deepEqual(uploads, ['nested/photo.jpg=p']);
+
+  await scanAt(4000);
+  assert.deepEqual(uploads, ['nested/photo.jpg=p']);
+  await scanAt(4500);
+  assert.deepEqual(uploads, ['nested/photo.jpg=p', 'report.csv=ab']);
+
+  await scanAt(10000);
+  assert.equal(uploads.length, 2);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('the journal keeps a restarted watcher from uploading twice, but modified files go again', async () => {
+  const dir = await dropDir();
+  await write(dir, 'a.txt', 'one');
+  await write(dir, 'b.txt', 'two');
+
+  const first = watcher(dir);
+  await first.scanAt(0);
+  await first.scanAt(3000);
+  assert.deepEqual(first.uploads, ['a.txt=one', 'b.txt=two']);
+  const journal = JSON.parse(await fs.promises.readFile(path.join(dir, WATCH_JOURNAL_FILE), 'utf8'));
+  assert.equal(journal.files['a.txt'].storagePath, 'inbox/a.txt');
+
+  await write(dir, 'b.txt', 'two, edited');
+  const restarted = watcher(dir);
+  await restarted.scanAt(0);
+  await restarted.scanAt(3000);
+  assert.deepEqual(restarted.uploads, ['b.txt=two, edited']);
+
+  // A journal written for another target does not count
+  const elsewhere = watcher(dir, { scope: { bucket: 'other', prefix: '' } });
+  await elsewhere.scanAt(0);
+  await elsewhere.scanAt(3000);
+  assert.equal(elsewhere.uploads.length, 2);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('uploaded files can be moved or deleted, and an interrupted delete finishes without a second upload', async () => {
+  const dir = await dropDir();
+  const done = path.join(dir, 'done');
+  await write(dir, 'in/x.txt', 'x');
+
+  const moving = watcher(dir, { after: 'move', moveTo: done });
+  await moving.scanAt(0);
+  await moving.scanAt(3000);
+  assert.deepEqual(moving.uploads, ['in/x.txt=x']);
+  assert.equal(await fs.promises.readFile(path.join(done, 'in/x.txt'), 'utf8'), 'x');
+  assert.equal(fs.existsSync(path.join(dir, 'in/x.txt')), false);
+
+  // Files in the move destination inside the watched directory are not picked up again
+  await moving.scanAt(6000);
+  await moving.scanAt(9000);
+  assert.equal(moving.uploads.length, 1);
+
+  // Uploaded and journaled, then the process died before deleting it
+  const other = await dropDir();
+  await write(other, 'y.txt', 'y');
+  const crashed = watcher(other);
+  await crashed.scanAt(0);
+  await crashed.scanAt(3000);
+  const deleting = watcher(other, { after: 'delete' });
+  await deleting.scanAt(0);
+  assert.deepEqual(deleting.uploads, []);
+  assert.deepEqual(deleting.events, ['deleted y.txt']);
+  assert.equal(fs.existsSync(path.join(other, 'y.txt')), false);
+
+  assert.throws(() => new FolderWatcher({ dir, after: 'move', upload: async () => ({}) }), /destination/);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await fs.promises.rm(other, { recursive: true, force: true });
+});
+
+test('files the conflict policy skipped are never deleted or moved, even after a restart', async () => {
+  const dir = await dropDir();
+  await write(dir, 'taken.txt', 'local copy');
+  await write(dir, 'new.txt', 'n');
+  const skipTaken = async (fullPath, relativePath) => (relativePath === 'taken.txt'
+    ? { success: true, skipped: true, path: `inbox/${relativePath}` }
+    : { success: true, path: `inbox/${relativePath}` });
+
+  const deleting = watcher(dir, { after: 'delete', upload: skipTaken });
+  await deleting.scanAt(0);
+  await deleting.scanAt(3000);
+  assert.deepEqual(deleting.events, ['uploaded new.txt', 'deleted new.txt', 'skipped taken.txt']);
+  assert.equal(await fs.promises.readFile(path.join(dir, 'taken.txt'), 'utf8'), 'local copy');
+
+  // The journal remembers the skip, so a restarted watcher neither retries nor removes the file
+  const restarted = watcher(dir, { after: 'move', moveTo: path.join(dir, 'done'), upload: skipTaken });
+  await restarted.scanAt(0);
+  await restarted.scanAt(3000);
+  assert.deepEqual(restarted.events, []);
+  assert.equal(fs.existsSync(path.join(dir, 'taken.txt')), true);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('a failed upload is retried after the retry delay without holding up other files', async () => {
+  const dir = await dropDir();
+  await write(dir, 'bad.bin', 'b');
+  await write(dir, 'good.bin', 'g');
+
+  let failing = true;
+  const { uploads, events, scanAt } = watcher(dir, {
+    upload: async (fullPath, relativePath) => {
+      if (relativePath === 'bad.bin' && failing) return { success: false, error: 'Storage unavailable' };
+      uploads.push(relativePath);
+      return { success: true, path: relativePath };
+    },
+  });
+
+  await scanAt(0);
+  await scanAt(3000);
+  assert.deepEqual(uploads, ['good.bin']);
+  assert.deepEqual(events, ['failed bad.bin', 'uploaded good.bin']);
+
+  failing = false;
+  await scanAt(30 * 1000);
+  assert.deepEqual(uploads, ['good.bin']);
+  await scanAt(63 * 1000);
+  assert.deepEqual(uploads, ['good.bin', 'bad.bin']);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+
+// In-memory stand-in for a Supabase client's storage API, shared by the storage tests.
+//
+// Each bucket maps object paths to { body, contentType, cacheControl, metadata, updatedAt }.
+// Seed a bucket with a list of paths (empty objects) or with path -> contents, where contents
+// is a string or Buffer, a size in bytes, or an object with any of those fields (plus size).
+// Like the storage API, listings show folders with a null id and page with limit and offset,
+// copies, moves and uploads without upsert refuse a taken path, and unknown buckets are 404s.
+//
+// Every call is recorded in calls[method] as its list of arguments. fail(method, path) makes a
+// call fail, and alterUpload(path, body) changes what an upload stores.
+
+const START = Date.parse('2026-03-01T00:00:00Z');
+const METHODS = [
+  'list', 'info', 'download', 'upload', 'update', 'copy', 'move', 'remove', 'createSignedUrl',
+  'getBucket', 'createBucket', 'updateBucket', 'emptyBucket', 'deleteBucket',
+];
+
+// Signed URLs of every fake storage resolve through signedUrlFetch, so projects can be chained
+const signedUrls = new Map();
+
+const notFound = (what) => Object.assign(new Error(`${what} not found`), { status: 404 });
+const alreadyExists = () => Object.assign(new Error('The resource already exists'), { status: 409 });
+
+async function readBody(data) {
+  if (data === undefined || data === null) return Buffer.alloc(0);
+  if (typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return Buffer.from(data);
+  if (data instanceof Blob) return Buffer.from(await data.arrayBuffer());
+  const chunks = [];
+  for await (const chunk of data) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch for URLs from createSignedUrl
+ * @param {string} url - Signed URL
+ * @returns {Promise<Response>}
+ */
+export async function signedUrlFetch(url) {
+  const body = signedUrls.get(url)?.();
+  return body === undefined ? new Response('missing', { status: 404 }) : new Response(body);
+}
+
+/**
+ * Create an in-memory storage
+ * @param {Array<string>|object} objects - Objects of the default bucket
+ * @param {object} options - Options
+ * @param {string} options.bucket - Name of the default bucket (default: files)
+ * @param {object} options.buckets - More buckets: name -> objects
+ * @param {object} options.bucketOptions - Bucket settings: name -> { public, file_size_limit, allowed_mime_types }
+ * @param {function} options.fail - (method, path) => true to make a call fail
+ * @param {function} options.alterUpload - (path, body) => body actually stored
+ * @returns {object} { supabase, buckets, objects, bucketOptions, calls, put }
+ */
+export function fakeStorage(objects = [], {
+  bucket: defaultBucket = 'files',
+  buckets: more = {},
+  bucketOptions: initialOptions = {},
+  fail = () => false,
+  alterUpload = (objectPath, body) => body,
+} = {}) {
+  let clock = START;
+  const buckets = new Map();
+  const bucketOptions = new Map(Object.entries(initialOptions));
+  const calls = Object.fromEntries(METHODS.map(method => [method, []]));
+  const record = (method, args) => calls[method].push(args);
+
+  const toObject = (contents) => {
+    const tick = new Date(clock += 1000).toISOString();
+    if (typeof contents === 'number') return toObject({ size: contents });
+    if (typeof contents === 'string' || Buffer.isBuffer(contents)) return toObject({ body: contents });
+    const { body, size, ...details } = contents || {};
+    return {
+      body: body === undefined ? Buffer.alloc(size || 0) : Buffer.from(body),
+      contentType: 'application/octet-stream',
+      cacheControl: 'max-age=3600',
+      metadata: {},
+      updatedAt: tick,
+      ...details,
+    };
+  };
+
+  const put = (objectPath, contents, bucketName = defaultBucket) => {
+    buckets.get(bucketName).set(objectPath, toObject(contents));
+  };
+
+  const seed = (bucketName, initial) => {
+    buckets.set(bucketName, new Map());
+    const entries = Array.isArray(initial) ? initial.map(objectPath => [objectPath, '']) : Object.entries(initial);
+    entries.forEach(([objectPath, contents]) => put(objectPath, contents, bucketName));
+  };
+  seed(defaultBucket, objects);
+  Object.entries(more).forEach(([bucketName, initial]) => seed(bucketName, initial));
+  Object.keys(initialOptions).filter(bucketName => !buckets.has(bucketName)).forEach(bucketName => seed(bucketName, []));
+
+  const from = (bucketName) => {
+    const stored = () => buckets.get(bucketName);
+    // Wrap each method: record the call, then refuse it for a missing bucket or an injected failure
+    const method = (name, run) => async (...args) => {
+      record(name, args);
+      if (!stored()) return { data: null, error: notFound('Bucket') };
+      const objectPath = Array.isArray(args[0]) ? args[0][0] : args[0];
+      if (fail(name, objectPath)) return { data: null, error: new Error(`Cannot ${name} ${objectPath}`) };
+      return run(...args);
+    };
+
+    const write = async (objectPath, data, options = {}, upsert = Boolean(options.upsert)) => {
+      if (stored().has(objectPath) && !upsert) return { data: null, error: alreadyExists() };
+      stored().set(objectPath, toObject({
+        body: alterUpload(objectPath, await readBody(data)),
+        contentType: options.contentType || 'application/octet-stream',
+        cacheControl: `max-age=${options.cacheControl || 3600}`,
+        metadata: options.metadata || {},
+      }));
+      return { data: { id: `id-${objectPath}`, path: objectPath }, error: null };
+    };
+
+    const copyInto = (target, source, destination) => {
+      if (!stored().has(source)) return { data: null, error: notFound('Object') };
+      if (!target) return { data: null, error: notFound('Bucket') };
+      if (target.has(destination)) return { data: null, error: alreadyExists() };
+      target.set(destination, { ...stored().get(source), updatedAt: new Date(clock += 1000).toISOString() });
+      return { data: { path: destination }, error: null };
+    };
+
+    return {
+      list: method('list', async (folder = '', { limit = 100, offset = 0, search = '' } = {}) => {
+        const prefix = folder ? `${folder}/` : '';
+        const items = new Map();
+        for (const [objectPath, object] of stored()) {
+          if (!objectPath.startsWith(prefix)) continue;
+          const [name, ...rest] = objectPath.slice(prefix.length).split('/');
+          if (!name.toLowerCase().startsWith(search.toLowerCase())) continue;
+          items.set(name, rest.length > 0 ? { id: null, name } : {
+            id: `id-${objectPath}`,
+            name,
+            updated_at: object.updatedAt,
+            created_at: object.updatedAt,
+            metadata: { size: object.body.length, mimetype: object.contentType, cacheControl: object.cacheControl },
+            user_metadata: object.metadata,
+          });
+        }
+        const sorted = [...items.values()].sort((a, b) => a.name.localeCompare(b.name));
+        return { data: sorted.slice(offset, offset + limit), error: null };
+      }),
+      info: method('info', async (objectPath) => {
+        const object = stored().get(objectPath);
+        if (!object) return { data: null, error: notFound('Object') };
+        const { body, updatedAt, ...details } = object;
+        return { data: { name: objectPath, ...details, size: body.length, lastModified: updatedAt }, error: null };
+      }),
+      download: method('download', async (objectPath) => {
+        const object = stored().get(objectPath);
+        return object ? { data: new Blob([object.body]), error: null } : { data: null, error: notFound('Object') };
+      }),
+      upload: method('upload', write),
+      update: method('update', (objectPath, data, options) => write(objectPath, data, options, true)),
+      copy: method('copy', async (source, destination, options) => (
+        copyInto(buckets.get(options?.destinationBucket || bucketName), source, destination)
+      )),
+      move: method('move', async (source, destination, options) => {
+        const result = copyInto(buckets.get(options?.destinationBucket || bucketName), source, destination);
+        if (!result.error) stored().delete(source);
+        return result;
+      }),
+      remove: method('remove', async (paths) => {
+        paths.forEach(objectPath => stored().delete(objectPath));
+        return { data: paths.map(name => ({ name })), error: null };
+      }),
+      createSignedUrl: method('createSignedUrl', async (objectPath) => {
+        const signedUrl = `https://storage.test/${bucketName}/${objectPath}?token=${crypto.randomUUID()}`;
+        signedUrls.set(signedUrl, () => stored()?.get(objectPath)?.body);
+        return { data: { signedUrl }, error: null };
+      }),
+      getPublicUrl: (objectPath) => ({ data: { publicUrl: `https://storage.test/${bucketName}/${objectPath}` } }),
+    };
+  };
+
+  const bucketSummary = (name) => ({
+    id: name,
+    name,
+    public: false,
+    file_size_limit: null,
+    allowed_mime_types: null,
+    ...bucketOptions.get(name),
+  });
+  const settingsOf = (options = {}) => ({
+    public: options.public ?? false,
+    file_size_limit: options.fileSizeLimit ?? null,
+    allowed_mime_types: options.allowedMimeTypes ?? null,
+  });
+
+  const storage = {
+    from,
+    getBucket: async (name) => {
+      record('getBucket', [name]);
+      return buckets.has(name) ? { data: bucketSummary(name), error: null } : { data: null, error: notFound('Bucket') };
+    },
+    createBucket: async (name, options) => {
+      record('createBucket', [name, options]);
+      // The storage API answers a taken name with a 400
+      if (buckets.has(name)) return { data: null, error: Object.assign(new Error('The resource already exists'), { status: 400 }) };
+      buckets.set(name, new Map());
+      bucketOptions.set(name, settingsOf(options));
+      return { data: { name }, error: null };
+    },
+    updateBucket: async (name, options) => {
+      record('updateBucket', [name, options]);
+      if (!buckets.has(name)) return { data: null, error: notFound('Bucket') };
+      bucketOptions.set(name, settingsOf(options));
+      return { data: { message: 'Successfully updated' }, error: null };
+    },
+    emptyBucket: async (name) => {
+      record('emptyBucket', [name]);
+      if (!buckets.has(name)) return { data: null, error: notFound('Bucket') };
+      buckets.get(name).clear();
+      return { data: { message: 'Successfully emptied' }, error: null };
+    },
+    deleteBucket: async (name) => {
+      record('deleteBucket', [name]);
+      if (!buckets.has(name)) return { data: null, error: notFound('Bucket') };
+      if (buckets.get(name).size > 0) return { data: null, error: new Error('The bucket you tried to delete is not empty') };
+      buckets.delete(name);
+      bucketOptions.delete(name);
+      return { data: { message: 'Successfully deleted' }, error: null };
+    },
+  };
+
+  return {
+    supabase: { storage },
+    buckets,
+    objects: buckets.get(defaultBucket),
+    bucketOptions,
+    calls,
+    put,
+  };
+}
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  normalizeSha256,
+  sha256Hex,
+  verifyStoredObject,
+  checksumMetadataHeaders,
+  CHECKSUM_MISMATCH_CODE,
+  SIZE_MISMATCH_CODE,
+} from '../utils/integrity.mjs';
+import { uploadFile } from '../utils/storageOperations.mjs';
+import { fakeStorage, signedUrlFetch } from './helpers/fakeStorage.mjs';
+
+test('normalizeSha256: lowercases digests and rejects malformed values', () => {
+  const digest = sha256Hex(Buffer.from('abc'));
+  assert.equal(normalizeSha256(digest.toUpperCase()), digest);
+  assert.equal(normalizeSha256(''), null);
+  assert.throws(() => normalizeSha256('abc'), /64-character hex/);
+});
+
+test('uploadFile records the digest of the bytes it sends and refuses a mismatch', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'integrity-'));
+  const filePath = path.join(dir, 'report.txt');
+  await fs.promises.writeFile(filePath, 'quarterly numbers');
+  const digest = sha256Hex(Buffer.from('quarterly numbers'));
+
+  const { supabase, calls } = fakeStorage();
+  const result = await uploadFile(supabase, filePath, 'files', 'docs/report.txt', 0);
+  assert.equal(result.success, true);
+  assert.equal(result.sha256, digest);
+  assert.deepEqual(calls.upload[0][2].metadata, { sha256: digest });
+
+  const rejected = await uploadFile(supabase, filePath, 'files', 'docs/report.txt', 0, { expectedSha256: sha256Hex(Buffer.from('x')) });
+  assert.equal(rejected.success, false);
+  assert.equal(rejected.code, CHECKSUM_MISMATCH_CODE);
+  assert.equal(calls.upload.length, 1);
+});
+
+test('verifyStoredObject hashes the stored bytes instead of trusting the recorded digest', async () => {
+  const bytes = Buffer.from('direct upload');
+  const digest = sha256Hex(bytes);
+  const { supabase, objects, calls } = fakeStorage({
+    'good.txt': { body: bytes, metadata: { sha256: digest } },
+    'unrecorded.txt': bytes,
+    'swapped.txt': { body: Buffer.from('upload direct'), metadata: { sha256: digest } },
+    'mislabelled.txt': { body: bytes, metadata: { sha256: sha256Hex(Buffer.from('other')) } },
+    'short.txt': { body: bytes.subarray(1), metadata: { sha256: digest } },
+  });
+  const verify = (objectPath, options) => verifyStoredObject(supabase, 'files', objectPath, { expectedSize: bytes.length, fetchImpl: signedUrlFetch, ...options });
+
+  assert.deepEqual(await verify('good.txt', { expectedSha256: digest }), { valid: true, sha256: digest, size: bytes.length });
+  assert.deepEqual(await verify('unrecorded.txt'), { valid: true, sha256: digest, size: bytes.length });
+  assert.equal((await verify('unrecorded.txt', { expectedSha256: digest })).valid, true);
+
+  // Same size and a matching recorded digest, but different bytes
+  const swapped = await verify('swapped.txt', { expectedSha256: digest });
+  assert.equal(swapped.code, CHECKSUM_MISMATCH_CODE);
+  assert.equal(swapped.actualSha256, sha256Hex(Buffer.from('upload direct')));
+  assert.equal((await verify('mislabelled.txt')).code, CHECKSUM_MISMATCH_CODE);
+
+  // A wrong size fails from the object info, before anything is read back
+  const reads = calls.createSignedUrl.length;
+  assert.equal((await verify('short.txt', { expectedSha256: digest })).code, SIZE_MISMATCH_CODE);
+  assert.equal(calls.createSignedUrl.length, reads);
+
+  // Failing objects are removed so the client can upload them again; nothing is rewritten
+  assert.deepEqual([...objects.keys()], ['good.txt', 'unrecorded.txt']);
+  assert.equal(calls.update.length, 0);
+});
+
+test('checksumMetadataHeaders encodes the digest the way the storage API reads x-metadata', () => {
+  const digest = sha256Hex(Buffer.from('abc'));
+  const { 'x-metadata': header } = checksumMetadataHeaders(digest);
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64').toString('utf8')), { sha256: digest });
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+  retainVersion,
+  listVersions,
+  restoreVersion,
+  diffObjectMetadata,
+  isVersionedBucket,
+  getMaxObjectVersions,
+  VERSIONS_PREFIX,
+} = await import('../utils/objectVersions.mjs');
+const { toListingEntries } = await import('../utils/fileListing.js');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+
+const object = (body, extra = {}) => ({ body, contentType: 'text/plain', cacheControl: 'max-age=3600', metadata: {}, ...extra });
+const overwrite = async (storage, objectPath, body, { now, maxVersions = 10, ...extra } = {}) => {
+  const id = await retainVersion(storage.supabase, { bucket: 'files', path: objectPath, maxVersions, now });
+  storage.put(objectPath, object(body, extra));
+  return id;
+};
+
+test('overwrites keep the previous object as a version with its metadata', async () => {
+  const storage = fakeStorage({ 'report.csv': object('v1', { contentType: 'text/csv', metadata: { sha256: 'aaa' } }) });
+
+  assert.equal(await retainVersion(storage.supabase, { bucket: 'files', path: 'missing.txt' }), null);
+  const first = await overwrite(storage, 'report.csv', 'v2 longer', { now: new Date('2026-05-01T10:00:00Z'), metadata: { sha256: 'bbb' } });
+  await overwrite(storage, 'report.csv', 'v3', { now: new Date('2026-05-02T10:00:00Z'), metadata: { sha256: 'ccc' } });
+
+  const { current, versions } = await listVersions(storage.supabase, 'files', 'report.csv');
+  assert.equal(current.size, 2);
+  assert.equal(versions.length, 2);
+  assert.equal(versions[1].id, first);
+  assert.equal(versions[1].replacedAt, '2026-05-01T10:00:00.000Z');
+  assert.equal(versions[1].contentType, 'text/csv');
+  assert.equal(versions[1].sha256, 'aaa');
+  assert.deepEqual(versions[1].changes, [
+    { field: 'contentType', before: 'text/csv', after: 'text/plain' },
+    { field: 'metadata.sha256', before: 'aaa', after: 'ccc' },
+  ]);
+  assert.deepEqual(versions[0].changes.map(change => change.field), ['size', 'metadata.sha256']);
+});
+
+test('only the newest versions are kept', async () => {
+  const storage = fakeStorage({ 'a.txt': object('0') });
+  const ids = [];
+  for (let i = 1; i <= 4; i++) {
+    ids.push(await overwrite(storage, 'a.txt', String(i), { now: new Date(Date.UTC(2026, 0, i)), maxVersions: 2 }));
+  }
+
+  const { versions } = await listVersions(storage.supabase, 'files', 'a.txt');
+  assert.deepEqual(versions.map(version => version.id), [ids[3], ids[2]]);
+  assert.equal(getMaxObjectVersions({}), 10);
+  assert.equal(getMaxObjectVersions({ MAX_OBJECT_VERSIONS: '3' }), 3);
+  assert.equal(getMaxObjectVersions({ MAX_OBJECT_VERSIONS: '0' }), 10);
+});
+
+test('restoring a version keeps the replaced object as a new version', async () => {
+  const storage = fakeStorage({ 'a.txt': object('old', { metadata: { owner: 'ops' } }) });
+  const oldId = await overwrite(storage, 'a.txt', 'new', { now: new Date('2026-05-01T00:00:00Z') });
+
+  const { restored, retained } = await restoreVersion(storage.supabase, { bucket: 'files', path: 'a.txt', id: oldId });
+  assert.equal(restored, oldId);
+  assert.equal(storage.objects.get('a.txt').body.toString(), 'old');
+  assert.deepEqual(storage.objects.get('a.txt').metadata, { owner: 'ops' });
+  assert.equal(storage.objects.get(`${VERSIONS_PREFIX}/a.txt/${retained}`).body.toString(), 'new');
+
+  await assert.rejects(
+    restoreVersion(storage.supabase, { bucket: 'files', path: 'a.txt', id: '1700000000000-deadbeef' }),
+    error => error.statusCode === 404,
+  );
+  await assert.rejects(
+    restoreVersion(storage.supabase, { bucket: 'files', path: 'a.txt', id: '../b.txt' }),
+    error => error.statusCode === 404,
+  );
+});
+
+test('versioning is opt-in per bucket and versions are hidden from listings', () => {
+  assert.equal(isVersionedBucket('files', {}), false);
+  assert.equal(isVersionedBucket('files', { VERSIONED_BUCKETS: 'docs, files' }), true);
+  assert.equal(isVersionedBucket('media', { VERSIONED_BUCKETS: 'docs,files' }), false);
+  assert.equal(isVersionedBucket('media', { VERSIONED_BUCKETS: '*' }), true);
+
+  assert.deepEqual(diffObjectMetadata(object('x'), object('y')), []);
+  assert.deepEqual(diffObjectMetadata(null, { size: 1, metadata: {} }), [{ field: 'size', before: null, after: 1 }]);
+
+  const entries = toListingEntries([{ id: null, name: VERSIONS_PREFIX }, { id: null, name: 'docs' }], '');
+  assert.deepEqual(entries.map(entry => entry.name), ['docs']);
+});
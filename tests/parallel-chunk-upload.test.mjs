@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { uploadFileParallel } = await import('../utils/parallelChunkUpload.mjs');
+const { ResumableUploadManager } = await import('../utils/resumableUploadServer.js');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+// The app's upload-session routes in front of a real session manager, reached through fetchImpl.
+// failChunk(index, attempt) answers a chunk with a 503 instead.
+async function fakeApp({ failChunk = () => false } = {}) {
+  const baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'parallel-app-'));
+  const manager = new ResumableUploadManager({ baseDir });
+  const storage = fakeStorage([], { bucket: 'media' });
+  const requests = [];
+  const attempts = new Map();
+  const json = (status, body, headers = {}) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+  const fetchImpl = async (url, { method = 'GET', headers = {}, body } = {}) => {
+    const route = new URL(url).pathname;
+    requests.push(`${method} ${route}`);
+    if (route === '/api/csrf') {
+      return json(200, { success: true, token: 'csrf-token', headerName: 'x-csrf-token' }, { 'Set-Cookie': 'csrf_token=csrf-token.1.sig; Path=/; SameSite=Strict' });
+    }
+    assert.equal(headers.Authorization, 'Bearer user-token');
+    assert.equal(headers['x-csrf-token'], 'csrf-token');
+    assert.equal(headers.Cookie, 'csrf_token=csrf-token.1.sig');
+
+    const [, sessionId, action, index] = route.match(/^\/api\/upload-sessions\/([^/]+)(?:\/([a-z]+)(?:\/(\d+))?)?$/) || [];
+    if (sessionId === 'create') {
+      const { bucket, path: storagePath, fileName, totalSize, chunkSize, parallel, conflict } = JSON.parse(body);
+      const session = await manager.createSession({ userId: 'user-1', bucket, storagePath, fileName, totalSize, chunkSize, parallel, conflict });
+      return json(201, { success: true, session, uploadId: session.id });
+    }
+    if (action === 'chunks') {
+      const attempt = attempts.get(index) || 0;
+      attempts.set(index, attempt + 1);
+      if (failChunk(Number(index), attempt)) return json(503, { success: false, error: 'Busy' });
+      const result = await manager.putChunk({ sessionId, userId: 'user-1', index: Number(index), chunk: body, chunkSha256: headers['X-Chunk-Sha256'] });
+      return result.success ? json(200, { success: true }) : json(result.status, { success: false, error: result.error });
+    }
+    if (action === 'complete') {
+      const result = await manager.completeSession({ sessionId, userId: 'user-1', supabase: storage.supabase, maxRetries: 1 });
+      return result.success
+        ? json(200, { success: true, path: result.storagePath, sha256: result.sha256, result: result.result })
+        : json(result.status, { success: false, error: result.error });
+    }
+    if (method === 'DELETE') {
+      const result = await manager.terminateSession({ sessionId, userId: 'user-1' });
+      return json(result.success ? 200 : result.status, { success: result.success });
+    }
+    return json(404, { success: false, error: 'Not found' });
+  };
+
+  return { fetchImpl, manager, storage, requests, attempts, baseDir };
+}
+
+async function tempFile(data) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'parallel-'));
+  const filePath = path.join(dir, 'archive.bin');
+  await fs.promises.writeFile(filePath, data);
+  return { dir, filePath };
+}
+
+const payload = (size) => Buffer.from(Array.from({ length: size }, (_, index) => index % 251));
+
+test('a file goes up in concurrent checksummed chunks through the app and is assembled in order', async () => {
+  const app = await fakeApp({ failChunk: (index, attempt) => index === 1 && attempt === 0 });
+  const data = payload(10000);
+  const { dir, filePath } = await tempFile(data);
+
+  const progress = [];
+  const result = await uploadFileParallel({
+    filePath,
+    appUrl: 'https://uploader.test/',
+    accessToken: 'user-token',
+    bucketName: 'media',
+    objectPath: 'backups/archive.bin',
+    chunkSize: 3000,
+    concurrency: 3,
+    retryDelayMs: 1,
+    fetchImpl: app.fetchImpl,
+    onProgress: bytes => progress.push(bytes),
+  });
+
+  assert.equal(result.path, 'backups/archive.bin');
+  assert.deepEqual(app.storage.objects.get('backups/archive.bin').body, data);
+  assert.equal(app.requests[0], 'GET /api/csrf');
+  assert.equal(app.requests.filter(request => request.startsWith('PUT')).length, 5);
+  assert.equal(app.attempts.get('1'), 2);
+  assert.equal(progress.at(-1), 10000);
+
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await fs.promises.rm(app.baseDir, { recursive: true, force: true });
+});
+
+test('a chunk the server refuses aborts the session, and a skip stores nothing', async () => {
+  const app = await fakeApp({ failChunk: index => index === 2 });
+  const { dir, filePath } = await tempFile(payload(9000));
+  const options = {
+    filePath,
+    appUrl: 'https://uploader.test',
+    accessToken: 'user-token',
+    bucketName: 'media',
+    objectPath: 'archive.bin',
+    chunkSize: 3000,
+    maxRetries: 1,
+    retryDelayMs: 1,
+    fetchImpl: app.fetchImpl,
+  };
+
+  await assert.rejects(uploadFileParallel(options), /Busy/);
+  assert.equal(app.requests.at(-1).split(' ')[0], 'DELETE');
+  assert.equal(app.manager.sessions.size, 0);
+
+  app.storage.put('archive.bin', 'existing');
+  const skipped = await uploadFileParallel({ ...options, conflict: 'skip', fetchImpl: (url, init) => (
+    new URL(url).pathname === '/api/upload-sessions/create'
+      ? Promise.resolve(new Response(JSON.stringify({ success: true, skipped: true, storagePath: 'archive.bin' })))
+      : app.fetchImpl(url, init)
+  ) });
+  assert.deepEqual(skipped, { skipped: true, path: 'archive.bin' });
+  assert.equal(app.storage.objects.get('archive.bin').body.toString(), 'existing');
+
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await fs.promises.rm(app.baseDir, { recursive: true, force: true });
+});
@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const { validateWritablePath, isReservedPath } = await import('../utils/reservedPaths.mjs');
+
+test('writable paths exclude the trash and version history but not look-alikes', () => {
+  for (const objectPath of ['.trash', '.trash/123/a.txt', '.versions/docs/a.txt/456', '.versions']) {
+    assert.equal(isReservedPath(objectPath), true, objectPath);
+    assert.match(validateWritablePath(objectPath).error, /trash and version history/);
+  }
+
+  assert.deepEqual(validateWritablePath('docs/.trash/a.txt'), { valid: true, sanitized: 'docs/.trash/a.txt' });
+  assert.deepEqual(validateWritablePath('.trashcan/a.txt/'), { valid: true, sanitized: '.trashcan/a.txt' });
+  assert.equal(validateWritablePath('../etc/passwd').valid, false);
+});
@@ -0,0 +1,192 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+const { uploadFileResumable, ResumableUploadStore, resumableUploadStore } = await import('../utils/resumableFileUpload.mjs');
+
+// A minimal tus server; uploads maps id -> { length, metadata, data }
+async function tusServer({ onPatch } = {}) {
+  const uploads = new Map();
+  const requests = [];
+  let nextId = 1;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push(`${req.method} ${req.url}`);
+
+      if (req.method === 'POST') {
+        const id = String(nextId++);
+        const metadata = Object.fromEntries(req.headers['upload-metadata'].split(',').map((pair) => {
+          const [key, value] = pair.split(' ');
+          return [key, Buffer.from(value, 'base64').toString('utf8')];
+        }));
+        uploads.set(id, { length: Number(req.headers['upload-length']), metadata, data: Buffer.alloc(0), auth: req.headers.authorization });
+        res.writeHead(201, { Location: `/storage/v1/upload/resumable/${id}` });
+        return res.end();
+      }
+
+      const upload = uploads.get(req.url.split('/').pop());
+      if (!upload) {
+        res.writeHead(404);
+        return res.end();
+      }
+      if (req.method === 'HEAD') {
+        res.writeHead(200, { 'Upload-Offset': upload.data.length, 'Upload-Length': upload.length });
+        return res.end();
+      }
+      if (Number(req.headers['upload-offset']) !== upload.data.length) {
+        res.writeHead(409);
+        return res.end();
+      }
+      const accepted = onPatch ? onPatch(upload, body) : body;
+      upload.data = Buffer.concat([upload.data, accepted]);
+      if (accepted.length < body.length) {
+        res.writeHead(500);
+        return res.end('connection lost');
+      }
+      res.writeHead(204, { 'Upload-Offset': upload.data.length });
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { url, uploads, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+async function tempFile(data) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resumable-'));
+  const filePath = path.join(dir, 'movie.bin');
+  await fs.promises.writeFile(filePath, data);
+  return { dir, filePath, store: new ResumableUploadStore(path.join(dir, 'state.json')) };
+}
+
+const payload = (size) => Buffer.from(Array.from({ length: size }, (_, index) => index % 251));
+
+test('a file is streamed in chunks with its metadata and byte-level progress', async () => {
+  const server = await tusServer();
+  const data = payload(10000);
+  const { dir, filePath, store } = await tempFile(data);
+
+  const progress = [];
+  const result = await uploadFileResumable({
+    filePath,
+    bucketName: 'media',
+    objectPath: 'clips/movie.bin',
+    supabaseUrl: server.url,
+    accessToken: 'service-key',
+    contentType: 'video/mp4',
+    store,
+    chunkSize: 4096,
+    onProgress: bytes => progress.push(bytes),
+  });
+
+  assert.deepEqual(result, { path: 'clips/movie.bin', size: 10000, resumedFrom: 0 });
+  const upload = server.uploads.get('1');
+  assert.ok(upload.data.equals(data));
+  assert.equal(upload.auth, 'Bearer service-key');
+  assert.equal(upload.metadata.bucketName, 'media');
+  assert.equal(upload.metadata.objectName, 'clips/movie.bin');
+  assert.equal(upload.metadata.contentType, 'video/mp4');
+  assert.equal(server.requests.filter(request => request.startsWith('PATCH')).length, 3);
+  assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+  assert.equal(progress.at(-1), 10000);
+  assert.equal(fs.existsSync(store.filePath), false);
+
+  await server.close();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('an interrupted upload resumes from the server offset on the next run', async () => {
+  let patches = 0;
+  const server = await tusServer({
+    // The second chunk never arrives: the server goes away for the rest of this run
+    onPatch: (upload, body) => (++patches === 2 ? body.subarray(0, 0) : body),
+  });
+  const data = payload(12000);
+  const { dir, filePath, store } = await tempFile(data);
+  const options = {
+    filePath, bucketName: 'media', objectPath: 'movie.bin', supabaseUrl: server.url, accessToken: 'key', store, chunkSize: 4096, maxRetries: 0, retryDelayMs: 0,
+  };
+
+  await assert.rejects(uploadFileResumable(options), /Upload failed at byte 4096/);
+  const saved = JSON.parse(await fs.promises.readFile(store.filePath, 'utf8'));
+  assert.match(Object.values(saved.uploads)[0].uploadUrl, /\/upload\/resumable\/1$/);
+
+  // A new process reads the saved URL from disk
+  const result = await uploadFileResumable({ ...options, store: new ResumableUploadStore(store.filePath) });
+  assert.equal(result.resumedFrom, 4096);
+  assert.equal(server.uploads.size, 1);
+  assert.ok(server.uploads.get('1').data.equals(data));
+  assert.equal(fs.existsSync(store.filePath), false);
+
+  await server.close();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('an expired upload or a changed file starts over', async () => {
+  const server = await tusServer({ onPatch: (upload, body) => body.subarray(0, 0) });
+  const { dir, filePath, store } = await tempFile(payload(5000));
+  const options = {
+    filePath, bucketName: 'media', objectPath: 'movie.bin', supabaseUrl: server.url, accessToken: 'key', store, chunkSize: 4096, maxRetries: 0, retryDelayMs: 0,
+  };
+  await assert.rejects(uploadFileResumable(options));
+
+  // The server forgot the upload
+  server.uploads.clear();
+  await assert.rejects(uploadFileResumable({ ...options, store: new ResumableUploadStore(store.filePath) }));
+  assert.equal(server.requests.filter(request => request.startsWith('POST')).length, 2);
+
+  // The file was rewritten: its fingerprint no longer matches the saved upload
+  await fs.promises.writeFile(filePath, payload(6000));
+  await assert.rejects(uploadFileResumable({ ...options, store: new ResumableUploadStore(store.filePath) }));
+  assert.equal(server.requests.filter(request => request.startsWith('POST')).length, 3);
+  assert.equal(server.requests.filter(request => request.startsWith('HEAD')).length, 1);
+
+  await server.close();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('a chunk the server only partly received is continued from its offset after a retry', async () => {
+  let patches = 0;
+  const server = await tusServer({
+    onPatch: (upload, body) => (++patches === 1 ? body.subarray(0, 1000) : body),
+  });
+  const data = payload(6000);
+  const { dir, filePath, store } = await tempFile(data);
+
+  const result = await uploadFileResumable({
+    filePath, bucketName: 'media', objectPath: 'movie.bin', supabaseUrl: server.url, accessToken: 'key', store, chunkSize: 4096, retryDelayMs: 0,
+  });
+
+  assert.equal(result.resumedFrom, 0);
+  assert.ok(server.uploads.get('1').data.equals(data));
+  assert.deepEqual(server.requests.slice(1, 4).map(request => request.split(' ')[0]), ['PATCH', 'HEAD', 'PATCH']);
+
+  await server.close();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('parallel uploads share one store per state file and keep every entry', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resumable-'));
+  const statePath = path.join(dir, 'state.json');
+  const store = resumableUploadStore(statePath);
+  assert.equal(resumableUploadStore(path.relative(process.cwd(), statePath)), store);
+
+  const entry = (index) => ({ uploadUrl: `http://tus.test/${index}`, createdAt: new Date().toISOString() });
+  await Promise.all(Array.from({ length: 20 }, (_, index) => store.set(`upload-${index}`, entry(index))));
+  await Promise.all(Array.from({ length: 10 }, (_, index) => store.delete(`upload-${index}`)));
+
+  const saved = JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+  assert.deepEqual(Object.keys(saved.uploads).sort(), Array.from({ length: 10 }, (_, index) => `upload-${index + 10}`).sort());
+
+  // Separate stores of one file never share a temporary file
+  await Promise.all([1, 2, 3].map(index => new ResumableUploadStore(statePath).set(`other-${index}`, entry(index))));
+  assert.deepEqual(await fs.promises.readdir(dir), ['state.json']);
+});
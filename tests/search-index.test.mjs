@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const {
+  FileSearchIndexStore,
+  parseSearchQuery,
+  searchBucket,
+  indexPaths,
+  indexFolder,
+  unindexPaths,
+  unindexFolder,
+  searchScope,
+} = await import('../utils/searchIndex.js');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+
+const object = (size, updatedAt, metadata = {}) => ({ size, updatedAt, contentType: 'application/octet-stream', metadata });
+const scope = { project: 'https://example.supabase.co', bucket: 'files' };
+
+async function tempStore() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'search-index-'));
+  return { dir, store: new FileSearchIndexStore(dir) };
+}
+
+test('a bucket is crawled once and searched by glob, type, size, date, metadata and folder', async () => {
+  const storage = fakeStorage({
+    'reports/2026/q1.pdf': object(5000, '2026-03-31T00:00:00Z', { owner: 'finance' }),
+    'reports/2026/q2.PDF': object(7000, '2026-06-30T00:00:00Z', { owner: 'ops' }),
+    'reports/.folder': object(0, '2026-01-01T00:00:00Z'),
+    'images/logo.png': object(300, '2026-02-01T00:00:00Z'),
+    'notes.txt': object(10, '2026-01-15T00:00:00Z'),
+    '.trash/abc/notes-old.pdf': object(10, '2026-01-01T00:00:00Z'),
+    '.versions/notes.txt/1': object(10, '2026-01-01T00:00:00Z'),
+  });
+  const { dir, store } = await tempStore();
+  const search = (query) => searchBucket(storage.supabase, scope, parseSearchQuery(query), { store, now: Date.parse('2026-07-01T00:00:00Z') });
+
+  const all = await search({});
+  assert.deepEqual(all.files.map(file => file.path).sort(), ['images/logo.png', 'notes.txt', 'reports/2026/q1.pdf', 'reports/2026/q2.PDF']);
+  const crawlCalls = storage.calls.list.length;
+
+  assert.deepEqual((await search({ q: '*.pdf', sort: 'name-asc' })).files.map(file => file.name), ['q1.pdf', 'q2.PDF']);
+  assert.deepEqual((await search({ q: 'q?.pdf', 'meta.owner': 'ops' })).files.map(file => file.name), ['q2.PDF']);
+  assert.deepEqual((await search({ q: 'LOG' })).files.map(file => file.name), ['logo.png']);
+  assert.deepEqual((await search({ category: 'Image' })).files.map(file => file.name), ['logo.png']);
+  assert.deepEqual((await search({ extension: '.txt,png', sort: 'size-desc' })).files.map(file => file.name), ['logo.png', 'notes.txt']);
+  assert.deepEqual((await search({ minSize: '1000', maxSize: '6000' })).files.map(file => file.name), ['q1.pdf']);
+  assert.deepEqual((await search({ modifiedAfter: '2026-02-01', modifiedBefore: '2026-04-01', sort: 'date-asc' })).files.map(file => file.name), ['logo.png', 'q1.pdf']);
+  assert.deepEqual((await search({ folder: 'reports', 'meta.owner': '*', sort: 'name-asc' })).files.map(file => file.name), ['q1.pdf', 'q2.PDF']);
+
+  const page = await search({ sort: 'name-asc', limit: '3' });
+  assert.equal(page.total, 4);
+  assert.equal(page.nextOffset, 3);
+  assert.equal(page.files[0].sha256, null);
+  assert.equal(storage.calls.list.length, crawlCalls);
+
+  // The index survives a restart
+  const reloaded = await new FileSearchIndexStore(dir).search(scope, parseSearchQuery({ q: 'notes' }));
+  assert.deepEqual(reloaded.files.map(file => file.path), ['notes.txt']);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('uploads, moves and deletes update the index without a re-crawl', async () => {
+  const storage = fakeStorage({
+    'a/one.txt': object(1, '2026-01-01T00:00:00Z'),
+    'a/two.txt': object(2, '2026-01-01T00:00:00Z'),
+    'b/three.txt': object(3, '2026-01-01T00:00:00Z'),
+  });
+  const { dir, store } = await tempStore();
+  const now = Date.parse('2026-01-02T00:00:00Z');
+  const paths = async () => (await searchBucket(storage.supabase, scope, parseSearchQuery({ sort: 'name-asc' }), { store, now })).files.map(file => file.path);
+  await paths();
+
+  storage.put('a/new.txt', object(4, '2026-01-02T00:00:00Z', { owner: 'ops' }));
+  storage.objects.set('b/moved.txt', storage.objects.get('a/one.txt'));
+  storage.objects.delete('a/one.txt');
+  await indexPaths(storage.supabase, scope, ['a/new.txt', 'a/one.txt', 'b/moved.txt'], { store });
+  await unindexPaths(scope, ['b/three.txt'], { store });
+  assert.deepEqual(await paths(), ['b/moved.txt', 'a/new.txt', 'a/two.txt']);
+
+  storage.objects.set('c/two.txt', storage.objects.get('a/two.txt'));
+  storage.objects.delete('a/two.txt');
+  await indexFolder(storage.supabase, scope, 'a', { store });
+  await indexFolder(storage.supabase, scope, 'c', { store });
+  assert.deepEqual(await paths(), ['b/moved.txt', 'a/new.txt', 'c/two.txt']);
+
+  await unindexFolder(scope, 'a', { store });
+  assert.deepEqual(await paths(), ['b/moved.txt', 'c/two.txt']);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('stale, refreshed and broken indexes are rebuilt from storage', async () => {
+  const storage = fakeStorage({ 'x.txt': object(1, '2026-01-01T00:00:00Z') });
+  const { dir, store } = await tempStore();
+  const search = (query, now) => searchBucket(storage.supabase, scope, parseSearchQuery(query), { store, now, maxAgeMs: 60 * 1000 });
+
+  // Updates to a bucket that was never searched are ignored; the first search crawls it
+  await indexPaths(storage.supabase, scope, ['x.txt'], { store });
+  assert.equal(await store.getIndexedAt(scope), null);
+  assert.equal((await search({}, 1000)).total, 1);
+
+  storage.put('cli-upload.txt', object(1, '2026-01-01T00:00:00Z'));
+  assert.equal((await search({}, 30 * 1000)).total, 1);
+  assert.equal((await search({ refresh: 'true' }, 31 * 1000)).total, 2);
+
+  storage.put('dashboard.txt', object(1, '2026-01-01T00:00:00Z'));
+  const result = await search({}, 200 * 1000);
+  assert.equal(result.total, 3);
+  assert.equal(result.indexedAt, new Date(200 * 1000).toISOString());
+
+  // A failed update drops the index instead of leaving it stale
+  const failing = { storage: { from: () => ({ info: async () => ({ data: null, error: new Error('boom') }) }) } };
+  const warn = console.warn;
+  console.warn = () => {};
+  await indexPaths(failing, scope, ['x.txt'], { store });
+  console.warn = warn;
+  assert.equal(await store.getIndexedAt(scope), null);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('keys of one project that may see different objects get separate indexes', async () => {
+  const storage = fakeStorage({ 'x.txt': object(1, '2026-01-01T00:00:00Z') });
+  const { dir, store } = await tempStore();
+  const project = { supabase_url: 'https://example.supabase.co' };
+  const service = searchScope({ ...project, key_fingerprint: 'aaaa' }, 'files');
+  const anon = searchScope({ ...project, key_fingerprint: 'bbbb' }, 'files');
+
+  await searchBucket(storage.supabase, service, parseSearchQuery({}), { store, now: 1000 });
+  assert.equal(await store.getIndexedAt(service), 1000);
+  assert.equal(await store.getIndexedAt(anon), null);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('search queries are validated', () => {
+  const criteria = parseSearchQuery({ q: ' Report*.CSV ', extension: ' .PDF, csv ,', 'meta.owner': 'ops' });
+  assert.equal(criteria.search, 'report*.csv');
+  assert.equal(criteria.glob, true);
+  assert.deepEqual(criteria.extensions, ['pdf', 'csv']);
+  assert.deepEqual(criteria.metadata, { owner: 'ops' });
+  assert.equal(parseSearchQuery({ q: 'report' }).glob, false);
+
+  assert.throws(() => parseSearchQuery({ 'meta.a.b': 'x' }), error => error.statusCode === 400);
+  assert.throws(() => parseSearchQuery({ 'meta.owner': ['a', 'b'] }), error => error.statusCode === 400);
+  assert.throws(() => parseSearchQuery({ cursor: 'abc' }), error => error.statusCode === 400);
+  assert.throws(() => parseSearchQuery({ minSize: '-1' }), error => error.statusCode === 400);
+  assert.throws(() => parseSearchQuery({ category: 'Fonts' }), error => error.statusCode === 400);
+});
@@ -0,0 +1,166 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const { transferObjects, validateTransfer } = await import('../utils/storageTransfer.mjs');
+const { fakeStorage, signedUrlFetch: fetchImpl } = await import('./helpers/fakeStorage.mjs');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const object = (body, extra = {}) => ({ body, contentType: 'text/plain', cacheControl: 'max-age=600', metadata: {}, ...extra });
+
+test('transferObjects streams a prefix to another project with its metadata', async () => {
+  const source = fakeStorage({
+    'docs/a.txt': object('alpha', { metadata: { sha256: sha256('alpha'), owner: 'ops' } }),
+    'docs/2024/b.csv': object('b,c', { contentType: 'text/csv' }),
+    'other.txt': object('not transferred'),
+  });
+  const target = fakeStorage({}, { bucket: 'archive' });
+
+  const progress = [];
+  const result = await transferObjects({
+    source: { client: source.supabase, bucket: 'files', prefix: 'docs' },
+    target: { client: target.supabase, bucket: 'archive', prefix: 'backup' },
+    verify: 'checksum',
+    onProgress: update => progress.push(update),
+    fetchImpl,
+  });
+
+  assert.equal(result.status, 'completed');
+  assert.equal(result.transferred, 2);
+  assert.equal(result.bytes, 8);
+  assert.deepEqual([...target.buckets.get('archive').keys()].sort(), ['backup/2024/b.csv', 'backup/a.txt']);
+
+  const copied = target.buckets.get('archive').get('backup/a.txt');
+  assert.equal(copied.body.toString(), 'alpha');
+  assert.equal(copied.cacheControl, 'max-age=600');
+  assert.deepEqual(copied.metadata, { sha256: sha256('alpha'), owner: 'ops' });
+  assert.equal(target.buckets.get('archive').get('backup/2024/b.csv').contentType, 'text/csv');
+
+  assert.equal(progress[0].total, 2);
+  assert.equal(progress.at(-1).processed, 2);
+  assert.equal(source.buckets.get('files').size, 3);
+  // Uploads stream the download, which fetch only allows half-duplex
+  assert.ok(target.calls.upload.every(([, , options]) => options.duplex === 'half'));
+});
+
+test('transferObjects applies the conflict policy against one listing of the target', async () => {
+  const source = fakeStorage({ 'a.txt': object('new a'), 'b.txt': object('new b') });
+  const target = fakeStorage({ 'in/a.txt': object('old a') });
+  const run = conflict => transferObjects({
+    source: { client: source.supabase, bucket: 'files', paths: ['a.txt', 'b.txt'] },
+    target: { client: target.supabase, bucket: 'files', prefix: 'in' },
+    conflict,
+    fetchImpl,
+  });
+
+  const failed = await run('fail');
+  assert.equal(failed.status, 'failed');
+  assert.deepEqual(failed.conflicts, ['in/a.txt']);
+  assert.equal(target.buckets.get('files').size, 1);
+
+  const skipped = await run('skip');
+  assert.equal(skipped.skipped, 1);
+  assert.equal(target.buckets.get('files').get('in/a.txt').body.toString(), 'old a');
+
+  const overwritten = await run('overwrite');
+  assert.equal(overwritten.transferred, 2);
+  assert.equal(target.buckets.get('files').get('in/a.txt').body.toString(), 'new a');
+});
+
+test('an overwrite keeps the replaced target object as a version in a versioned bucket', async () => {
+  const previous = process.env.VERSIONED_BUCKETS;
+  process.env.VERSIONED_BUCKETS = 'files';
+  try {
+    const source = fakeStorage({ 'a.txt': object('new a') });
+    const target = fakeStorage({ 'in/a.txt': object('old a') });
+    const result = await transferObjects({
+      source: { client: source.supabase, bucket: 'files', paths: ['a.txt'] },
+      target: { client: target.supabase, bucket: 'files', prefix: 'in' },
+      conflict: 'overwrite',
+      fetchImpl,
+    });
+
+    assert.equal(result.transferred, 1);
+    const stored = target.buckets.get('files');
+    assert.equal(stored.get('in/a.txt').body.toString(), 'new a');
+    const versions = [...stored.keys()].filter(objectPath => objectPath.startsWith('.versions/in/a.txt/'));
+    assert.equal(versions.length, 1);
+    assert.equal(stored.get(versions[0]).body.toString(), 'old a');
+  } finally {
+    if (previous === undefined) delete process.env.VERSIONED_BUCKETS;
+    else process.env.VERSIONED_BUCKETS = previous;
+  }
+});
+
+test('objects that fail verification are removed from the target and kept at the source', async () => {
+  const source = fakeStorage({
+    'good.txt': object('good'),
+    'bad.txt': object('bad'),
+    'tampered.txt': object('changed', { metadata: { sha256: sha256('original') } }),
+  });
+  const target = fakeStorage({}, { alterUpload: (objectPath, body) => (objectPath === 'bad.txt' ? body.subarray(0, -1) : body) });
+
+  const result = await transferObjects({
+    source: { client: source.supabase, bucket: 'files', prefix: '' },
+    target: { client: target.supabase, bucket: 'files', prefix: '' },
+    deleteSource: true,
+    fetchImpl,
+  });
+
+  assert.equal(result.status, 'partial');
+  assert.equal(result.transferred, 1);
+  assert.equal(result.deletedFromSource, 1);
+  assert.deepEqual(result.errors.map(error => error.path).sort(), ['bad.txt', 'tampered.txt']);
+  assert.match(result.errors.find(error => error.path === 'bad.txt').message, /target holds 2 bytes, expected 3/);
+  assert.deepEqual([...target.buckets.get('files').keys()], ['good.txt']);
+  assert.deepEqual([...source.buckets.get('files').keys()].sort(), ['bad.txt', 'tampered.txt']);
+});
+
+test('an overwrite that fails verification leaves the existing target object in place', async () => {
+  const source = fakeStorage({ 'report.txt': object('new report'), 'notes.txt': object('new notes') });
+  const target = fakeStorage(
+    { 'report.txt': object('old report'), 'notes.txt': object('old notes') },
+    { alterUpload: (objectPath, body) => (objectPath.endsWith('-report.txt') ? body.subarray(0, 3) : body) },
+  );
+
+  const result = await transferObjects({
+    source: { client: source.supabase, bucket: 'files', prefix: '' },
+    target: { client: target.supabase, bucket: 'files', prefix: '' },
+    conflict: 'overwrite',
+    fetchImpl,
+  });
+
+  assert.equal(result.status, 'partial');
+  assert.deepEqual(result.errors.map(error => error.path), ['report.txt']);
+  assert.deepEqual([...target.objects.keys()].sort(), ['notes.txt', 'report.txt']);
+  assert.equal(target.objects.get('report.txt').body.toString(), 'old report');
+  assert.equal(target.objects.get('notes.txt').body.toString(), 'new notes');
+});
+
+test('selected paths with the same file name are reported as conflicts before anything is transferred', async () => {
+  const source = fakeStorage({ '2024/summary.pdf': object('2024'), '2025/summary.pdf': object('2025'), 'index.txt': object('index') });
+  const target = fakeStorage({});
+
+  const result = await transferObjects({
+    source: { client: source.supabase, bucket: 'files', paths: ['2024/summary.pdf', '2025/summary.pdf', 'index.txt'] },
+    target: { client: target.supabase, bucket: 'files', prefix: 'out' },
+    conflict: 'overwrite',
+    fetchImpl,
+  });
+
+  assert.equal(result.status, 'failed');
+  assert.deepEqual(result.conflicts, ['out/summary.pdf']);
+  assert.match(result.message, /more than one selected object/);
+  assert.equal(target.objects.size, 0);
+});
+
+test('validateTransfer rejects overlapping transfers within one bucket and unknown options', () => {
+  assert.throws(
+    () => validateTransfer({ sameProject: true, source: { bucket: 'files', prefix: 'docs' }, target: { bucket: 'files', prefix: 'docs/backup' } }),
+    /overlap/,
+  );
+  assert.doesNotThrow(() => validateTransfer({ sameProject: true, source: { bucket: 'files', prefix: 'docs' }, target: { bucket: 'files', prefix: 'archive' } }));
+  assert.doesNotThrow(() => validateTransfer({ source: { bucket: 'files', prefix: 'docs' }, target: { bucket: 'files', prefix: 'docs' } }));
+  assert.throws(() => validateTransfer({ source: { bucket: 'files' }, target: { bucket: 'archive' }, verify: 'md5' }), /verify must be one of/);
+});
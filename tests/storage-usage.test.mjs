@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const {
+  scanBucketUsage,
+  folderBreakdown,
+  FileUsageSnapshotStore,
+  recordUsageSnapshot,
+  getBucketUsage,
+  listUsageSnapshots,
+  usageScope,
+} = await import('../utils/storageUsage.js');
+const { enforceStorageQuota } = await import('../utils/quota.js');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+
+const scope = { project: 'https://example.supabase.co', bucket: 'files' };
+const config = { maxAgeMs: 60 * 1000, snapshotIntervalMs: 60 * 60 * 1000, retentionMs: 24 * 60 * 60 * 1000 };
+
+async function tempStore() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'usage-'));
+  return { dir, store: new FileUsageSnapshotStore(dir) };
+}
+
+test('a walk totals folders, file types, the trash and versions', async () => {
+  const { supabase } = fakeStorage({
+    'readme.txt': 10,
+    'docs/a.pdf': 100,
+    'docs/.folder': 0,
+    'docs/2026/b.pdf': 300,
+    'media/clip.mp4': 1000,
+    'media/photo.png': 50,
+    '.trash/123-abcd/old.pdf': 7,
+    '.trash/123-abcd.json': 1,
+    '.versions/readme.txt/1': 5,
+  });
+
+  const usage = await scanBucketUsage(supabase, 'files', { largestLimit: 3 });
+  assert.equal(usage.totalBytes, 1473);
+  assert.equal(usage.objectCount, 9);
+  assert.deepEqual(usage.files, { bytes: 1460, count: 5 });
+  assert.deepEqual(usage.trash, { bytes: 8, count: 2 });
+  assert.deepEqual(usage.versions, { bytes: 5, count: 1 });
+  assert.deepEqual(usage.categories.Document, { bytes: 410, count: 3 });
+  assert.deepEqual(usage.categories.Video, { bytes: 1000, count: 1 });
+  assert.deepEqual(usage.largestFiles.map(file => file.path), ['media/clip.mp4', 'docs/2026/b.pdf', 'docs/a.pdf']);
+
+  const root = folderBreakdown(usage, '');
+  assert.deepEqual(root.totals, { bytes: 1460, count: 5 });
+  assert.deepEqual(root.files, { bytes: 10, count: 1 });
+  assert.deepEqual(root.folders.map(folder => [folder.name, folder.bytes, folder.count]), [['media', 1050, 2], ['docs', 400, 2]]);
+
+  const docs = folderBreakdown(usage, 'docs');
+  assert.deepEqual(docs.files, { bytes: 100, count: 1 });
+  assert.deepEqual(docs.folders.map(folder => folder.path), ['docs/2026']);
+  assert.equal(folderBreakdown(usage, '.trash'), null);
+  assert.equal(folderBreakdown(usage, 'missing'), null);
+});
+
+test('snapshots are recorded at most once per interval and expire after the retention window', async () => {
+  const { dir, store } = await tempStore();
+  const hour = 60 * 60 * 1000;
+  const usageAt = (scannedAt, totalBytes) => ({
+    scannedAt, totalBytes, objectCount: 1, files: { bytes: totalBytes, count: 1 }, trash: { bytes: 0, count: 0 }, versions: { bytes: 0, count: 0 }, categories: {},
+  });
+
+  assert.equal(await recordUsageSnapshot(scope, usageAt(0, 100), { store, config }), true);
+  assert.equal(await recordUsageSnapshot(scope, usageAt(hour / 2, 150), { store, config }), false);
+  assert.equal(await recordUsageSnapshot(scope, usageAt(hour, 200), { store, config }), true);
+  assert.equal(await recordUsageSnapshot({ ...scope, bucket: 'other' }, usageAt(hour, 1), { store, config }), true);
+  assert.deepEqual((await listUsageSnapshots(scope, { store })).map(snapshot => snapshot.totalBytes), [100, 200]);
+  assert.deepEqual((await listUsageSnapshots(scope, { since: hour, store })).map(snapshot => snapshot.totalBytes), [200]);
+
+  // A day later the first snapshot is past retention
+  await recordUsageSnapshot(scope, usageAt(25 * hour, 300), { store, config });
+  const reloaded = new FileUsageSnapshotStore(dir);
+  assert.deepEqual((await listUsageSnapshots(scope, { store: reloaded })).map(snapshot => snapshot.takenAt), [
+    new Date(hour).toISOString(),
+    new Date(25 * hour).toISOString(),
+  ]);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('recent walks are reused until they are too old or a refresh is asked for', async () => {
+  const storage = fakeStorage({ 'a.txt': 1 }, { bucket: 'cached' });
+  const { dir, store } = await tempStore();
+  const cacheScope = { ...scope, bucket: 'cached' };
+  const get = (now, refresh = false) => getBucketUsage(storage.supabase, cacheScope, { store, config, now, refresh });
+
+  const [first, concurrent] = await Promise.all([get(1000), get(1000)]);
+  assert.equal(first, concurrent);
+  assert.equal(storage.calls.list.length, 1);
+
+  storage.put('b.txt', 2);
+  assert.equal((await get(30 * 1000)).totalBytes, 1);
+  assert.equal((await get(31 * 1000, true)).totalBytes, 3);
+  storage.put('c.txt', 4);
+  assert.equal((await get(200 * 1000)).totalBytes, 7);
+  assert.equal(storage.calls.list.length, 3);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('keys of one project that may see different objects are measured separately', async () => {
+  const storage = fakeStorage({ 'a.txt': 1 }, { bucket: 'shared' });
+  const { dir, store } = await tempStore();
+  const project = { supabase_url: 'https://example.supabase.co' };
+  const get = (key_fingerprint) => getBucketUsage(storage.supabase, usageScope({ ...project, key_fingerprint }, 'shared'), { store, config, now: 1000 });
+
+  await get('aaaa');
+  await get('aaaa');
+  await get('bbbb');
+  assert.equal(storage.calls.list.length, 2);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('the storage quota counts every object, however many pages the listing takes', async () => {
+  const sizes = {};
+  for (let i = 0; i < 1500; i++) sizes[`bulk/file-${String(i).padStart(4, '0')}.bin`] = 10;
+  const { supabase } = fakeStorage(sizes);
+  const response = () => ({ statusCode: 200, body: null, status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } });
+
+  const previous = process.env.QUOTA_MAX_STORAGE_BYTES;
+  process.env.QUOTA_MAX_STORAGE_BYTES = '15005';
+  try {
+    assert.equal(await enforceStorageQuota({}, response(), supabase, 'files', 5), true);
+    const res = response();
+    assert.equal(await enforceStorageQuota({}, res, supabase, 'files', 6), false);
+    assert.equal(res.statusCode, 429);
+  } finally {
+    if (previous === undefined) delete process.env.QUOTA_MAX_STORAGE_BYTES;
+    else process.env.QUOTA_MAX_STORAGE_BYTES = previous;
+  }
+});
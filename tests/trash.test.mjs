@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+  trashObjects,
+  trashFolder,
+  listTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeExpiredTrash,
+  getTrashRetentionDays,
+  TRASH_PREFIX,
+} = await import('../utils/trash.mjs');
+const { toListingEntries } = await import('../utils/fileListing.js');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+
+const userPaths = (objects) => [...objects.keys()].filter(objectPath => !objectPath.startsWith(`${TRASH_PREFIX}/`)).sort();
+
+test('deleted files and folders move to the trash and are restored to their original paths', async () => {
+  const { objects, supabase } = fakeStorage(['a.txt', 'docs/.folder', 'docs/b.txt', 'docs/2024/c.txt']);
+
+  const { trashed } = await trashObjects(supabase, { bucket: 'files', paths: ['a.txt'], userId: 'user-1' });
+  const folder = await trashFolder(supabase, { bucket: 'files', folderPath: 'docs', userId: 'user-1' });
+  assert.equal(folder.count, 3);
+  assert.deepEqual(userPaths(objects), []);
+  assert.ok(objects.has(`${TRASH_PREFIX}/${trashed[0].id}/a.txt`));
+
+  const items = await listTrash(supabase, 'files', { retentionDays: 7 });
+  assert.deepEqual(items.map(item => item.originalPath).sort(), ['a.txt', 'docs']);
+  const docs = items.find(item => item.isFolder);
+  assert.equal(docs.deletedBy, 'user-1');
+  assert.equal(new Date(docs.expiresAt) - new Date(docs.deletedAt), 7 * 24 * 60 * 60 * 1000);
+
+  await restoreTrashItem(supabase, { bucket: 'files', id: folder.id });
+  await restoreTrashItem(supabase, { bucket: 'files', id: trashed[0].id });
+  assert.deepEqual(userPaths(objects), ['a.txt', 'docs/.folder', 'docs/2024/c.txt', 'docs/b.txt']);
+  assert.deepEqual([...objects.keys()].filter(objectPath => objectPath.startsWith(TRASH_PREFIX)), []);
+});
+
+test('a folder whose trash manifest cannot be written is moved back', async () => {
+  const { objects, supabase } = fakeStorage(['docs/a.txt', 'docs/2024/b.txt'], {
+    fail: (method, objectPath) => method === 'upload' && objectPath.endsWith('.json'),
+  });
+
+  await assert.rejects(trashFolder(supabase, { bucket: 'files', folderPath: 'docs' }), /Cannot upload/);
+  assert.deepEqual([...objects.keys()].sort(), ['docs/2024/b.txt', 'docs/a.txt']);
+});
+
+test('restoring onto a path that is taken again fails with 409 and keeps the item', async () => {
+  const { objects, supabase, put } = fakeStorage(['a.txt']);
+  const { trashed } = await trashObjects(supabase, { bucket: 'files', paths: ['a.txt'] });
+  put('a.txt', 'new');
+
+  await assert.rejects(restoreTrashItem(supabase, { bucket: 'files', id: trashed[0].id }), error => error.statusCode === 409);
+  assert.equal((await listTrash(supabase, 'files')).length, 1);
+  await assert.rejects(restoreTrashItem(supabase, { bucket: 'files', id: 'not-an-id' }), error => error.statusCode === 404);
+});
+
+test('expired trash items are purged and the rest are kept', async () => {
+  const { objects, supabase } = fakeStorage(['old.txt', 'old/x.txt', 'new.txt']);
+  const day = 24 * 60 * 60 * 1000;
+  const now = new Date('2026-03-31T12:00:00Z');
+
+  await trashObjects(supabase, { bucket: 'files', paths: ['old.txt'], now: new Date(now - 40 * day) });
+  await trashFolder(supabase, { bucket: 'files', folderPath: 'old', now: new Date(now - 31 * day) });
+  const { trashed } = await trashObjects(supabase, { bucket: 'files', paths: ['new.txt'], now: new Date(now - day) });
+
+  const result = await purgeExpiredTrash(supabase, 'files', { retentionDays: 30, now });
+  assert.equal(result.purged.length, 2);
+  assert.equal(result.count, 2);
+  assert.deepEqual((await listTrash(supabase, 'files')).map(item => item.id), [trashed[0].id]);
+
+  assert.equal(await purgeTrashItem(supabase, { bucket: 'files', id: trashed[0].id }), 1);
+  assert.deepEqual([...objects.keys()], []);
+});
+
+test('the trash is configured by TRASH_RETENTION_DAYS and hidden from listings', async () => {
+  assert.equal(getTrashRetentionDays({}), 30);
+  assert.equal(getTrashRetentionDays({ TRASH_RETENTION_DAYS: '7' }), 7);
+  assert.equal(getTrashRetentionDays({ TRASH_RETENTION_DAYS: '0' }), 0);
+  assert.equal(getTrashRetentionDays({ TRASH_RETENTION_DAYS: 'soon' }), 30);
+
+  const { supabase } = fakeStorage(['a.txt']);
+  const { failed } = await trashObjects(supabase, { bucket: 'files', paths: [`${TRASH_PREFIX}/x/a.txt`] });
+  assert.equal(failed.length, 1);
+
+  const entries = toListingEntries([{ id: null, name: TRASH_PREFIX }, { id: null, name: 'docs' }], '');
+  assert.deepEqual(entries.map(entry => entry.name), ['docs']);
+});
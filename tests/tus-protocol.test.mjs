@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseUploadMetadata, parseUploadChecksum, formatUploadExpires } from '../utils/tusProtocol.mjs';
+import { ResumableUploadManager } from '../utils/resumableUploadServer.js';
+
+const b64 = (value) => Buffer.from(value).toString('base64');
+
+test('metadata: decodes base64 pairs, flags and UTF-8 values', () => {
+  const header = `filename ${b64('ภาพ.png')},bucket ${b64('files')},is_confidential`;
+  assert.deepEqual(parseUploadMetadata(header), { filename: 'ภาพ.png', bucket: 'files', is_confidential: '' });
+  assert.deepEqual(parseUploadMetadata(undefined), {});
+});
+
+test('metadata: rejects malformed pairs', () => {
+  assert.throws(() => parseUploadMetadata('filename a b'), /Invalid Upload-Metadata/);
+  assert.throws(() => parseUploadMetadata('filename not*base64'), /Invalid base64/);
+});
+
+test('checksum: converts base64 digest to hex and rejects unknown algorithms', () => {
+  const digest = crypto.createHash('sha1').update('abc').digest();
+  assert.deepEqual(parseUploadChecksum(`sha1 ${digest.toString('base64')}`), { algorithm: 'sha1', value: digest.toString('hex') });
+  assert.equal(parseUploadChecksum(undefined), null);
+  assert.throws(() => parseUploadChecksum('crc32 AAAA'), /Unsupported checksum algorithm/);
+});
+
+test('expiration: formats Upload-Expires as an HTTP date', () => {
+  assert.equal(formatUploadExpires(Date.UTC(2024, 0, 2, 3, 4, 5)), 'Tue, 02 Jan 2024 03:04:05 GMT');
+});
+
+test('manager: verifies tus chunk checksums and terminates sessions', async () => {
+  const baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tus-'));
+  const manager = new ResumableUploadManager({ baseDir });
+  const session = await manager.createSession({
+    userId: 'user-1',
+    bucket: 'files',
+    storagePath: 'docs/tus.txt',
+    fileName: 'tus.txt',
+    totalSize: 6,
+    chunkSize: 6,
+  });
+
+  const mismatch = await manager.appendChunk({
+    sessionId: session.id,
+    userId: 'user-1',
+    offset: 0,
+    chunk: Buffer.from('abc'),
+    chunkChecksum: { algorithm: 'sha1', value: crypto.createHash('sha1').update('xyz').digest('hex') },
+  });
+  assert.equal(mismatch.status, 422);
+
+  const ok = await manager.appendChunk({
+    sessionId: session.id,
+    userId: 'user-1',
+    offset: 0,
+    chunk: Buffer.from('abc'),
+    chunkChecksum: { algorithm: 'sha1', value: crypto.createHash('sha1').update('abc').digest('hex') },
+  });
+  assert.equal(ok.uploadedBytes, 3);
+
+  assert.equal((await manager.terminateSession({ sessionId: session.id, userId: 'other' })).status, 404);
+  assert.equal((await manager.terminateSession({ sessionId: session.id, userId: 'user-1' })).success, true);
+  assert.equal(await manager.getSession(session.id, 'user-1'), null);
+  assert.equal(fs.existsSync(path.join(baseDir, `${session.id}.part`)), false);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const {
+  resolveConflictPolicy,
+  resolveUploadTarget,
+  uniqueUploadName,
+  UPLOAD_CONFLICT_CODE,
+} = await import('../utils/uploadConflicts.mjs');
+const { uploadFile } = await import('../utils/storageOperations.mjs');
+const { fakeStorage } = await import('./helpers/fakeStorage.mjs');
+
+
+test('rename finds a free name(N) from a single prefix listing', async () => {
+  const taken = ['docs/report.pdf', 'docs/report(2).pdf', 'docs/report(3).pdf', 'docs/Report(4).pdf', 'docs/report/old.pdf'];
+  const { supabase, calls } = fakeStorage(taken);
+
+  const target = await resolveUploadTarget(supabase, { bucket: 'files', path: 'docs/report.pdf', conflict: 'rename' });
+  assert.deepEqual(target, { path: 'docs/report(4).pdf', skip: false, exists: true, upsert: false });
+  assert.deepEqual(calls.list.map(([folder, { search }]) => ({ folder, search })), [{ folder: 'docs', search: 'report' }]);
+
+  const free = await resolveUploadTarget(supabase, { bucket: 'files', path: 'notes', conflict: 'rename' });
+  assert.deepEqual(free, { path: 'notes', skip: false, exists: false, upsert: false });
+  assert.equal(uniqueUploadName('archive.tar.gz', new Set(['archive.tar.gz'])), 'archive.tar(2).gz');
+});
+
+test('overwrite, skip and fail apply only when the path is taken', async () => {
+  const { supabase } = fakeStorage(['a.txt']);
+  const resolve = conflict => resolveUploadTarget(supabase, { bucket: 'files', path: 'a.txt', conflict });
+
+  assert.deepEqual(await resolve('overwrite'), { path: 'a.txt', skip: false, exists: true, upsert: true });
+  assert.deepEqual(await resolve('skip'), { path: 'a.txt', skip: true, exists: true, upsert: false });
+  await assert.rejects(resolve('fail'), error => error.statusCode === 409 && error.code === UPLOAD_CONFLICT_CODE);
+  await assert.rejects(resolve('replace'), error => error.statusCode === 400);
+
+  const free = await resolveUploadTarget(supabase, { bucket: 'files', path: 'b.txt', conflict: 'fail' });
+  assert.equal(free.skip, false);
+});
+
+test('the request policy wins over the user setting, which wins over the legacy default', () => {
+  assert.equal(resolveConflictPolicy('skip', { settings: { upload_conflict_policy: 'fail' } }), 'skip');
+  assert.equal(resolveConflictPolicy(undefined, { settings: { upload_conflict_policy: 'fail' } }), 'fail');
+  assert.equal(resolveConflictPolicy(undefined, { settings: { upload_conflict_policy: null } }), 'rename');
+  assert.equal(resolveConflictPolicy('', { customPath: true }), 'overwrite');
+  assert.throws(() => resolveConflictPolicy('merge'), /conflict must be one of/);
+});
+
+test('uploadFile without upsert reports a path taken after the check as a conflict', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'conflicts-'));
+  const filePath = path.join(dir, 'a.txt');
+  await fs.promises.writeFile(filePath, 'new');
+  const { supabase, calls } = fakeStorage(['a.txt']);
+
+  const result = await uploadFile(supabase, filePath, 'files', 'a.txt', 3, { upsert: false });
+  assert.equal(result.success, false);
+  assert.equal(result.code, UPLOAD_CONFLICT_CODE);
+  assert.equal(calls.upload.length, 1);
+
+  const replaced = await uploadFile(supabase, filePath, 'files', 'a.txt', 0);
+  assert.equal(replaced.success, true);
+  assert.equal(calls.upload[1][2].upsert, true);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
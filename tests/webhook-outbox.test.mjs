@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { WebhookOutbox, FileOutboxStore } from '../utils/webhookOutbox.mjs';
+import { emitUploadEvent } from '../utils/eventPipeline.mjs';
+
+const quietLogger = { warn: () => {}, error: () => {} };
+const HOUR = 60 * 60 * 1000;
+
+async function createOutbox(send, options = {}) {
+  const baseDir = options.baseDir || await fs.promises.mkdtemp(path.join(os.tmpdir(), 'webhook-outbox-'));
+  const outbox = new WebhookOutbox({
+    send,
+    store: new FileOutboxStore(baseDir),
+    resolveSecret: () => 'test-secret',
+    maxAttempts: 2,
+    baseDelayMs: 1000,
+    logger: quietLogger,
+    ...options,
+  });
+  return { outbox, baseDir };
+}
+
+const event = (id = crypto.randomUUID()) => ({ id, type: 'upload.completed', timestamp: new Date().toISOString(), data: {} });
+
+test('outbox: events are persisted before delivery and marked delivered', async () => {
+  const sent = [];
+  const { outbox, baseDir } = await createOutbox(async (evt, target) => {
+    sent.push({ evt, target });
+    return { ok: true, status: 200 };
+  });
+
+  const delivery = await outbox.enqueue(event('evt-1'), { endpoint: 'https://example.com/hook' });
+  const persisted = JSON.parse(await fs.promises.readFile(path.join(baseDir, 'outbox.json'), 'utf8'));
+  assert.ok(persisted.deliveries[delivery.id]);
+
+  await outbox.processDue();
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].target.secret, 'test-secret');
+
+  const stored = await outbox.get(delivery.id);
+  assert.equal(stored.status, 'delivered');
+  assert.equal(stored.history.length, 1);
+});
+
+test('outbox: failing deliveries back off, then move to dead letter and can be replayed', async () => {
+  let healthy = false;
+  const { outbox } = await createOutbox(async () => (healthy ? { ok: true, status: 204 } : { ok: false, status: 503, error: 'HTTP 503' }));
+
+  const delivery = await outbox.enqueue(event(), { endpoint: 'https://example.com/hook' });
+  await outbox.processDue();
+
+  let stored = await outbox.get(delivery.id);
+  assert.equal(stored.status, 'pending');
+  assert.equal(stored.attempts, 1);
+  assert.ok(Date.parse(stored.nextAttemptAt) > Date.now());
+
+  await outbox.processDue(Date.now() + HOUR);
+  stored = await outbox.get(delivery.id);
+  assert.equal(stored.status, 'dead');
+  assert.equal(stored.lastError, 'HTTP 503');
+
+  healthy = true;
+  const replayed = await outbox.replay(delivery.id);
+  assert.equal(replayed.success, true);
+  assert.equal((await outbox.replay(delivery.id)).status, 409);
+
+  await outbox.processDue();
+  stored = await outbox.get(delivery.id);
+  assert.equal(stored.status, 'delivered');
+  assert.equal(stored.history.length, 3);
+});
+
+test('outbox: deliveries interrupted by a restart are retried', async () => {
+  const { outbox, baseDir } = await createOutbox(async () => new Promise(() => {}));
+  const delivery = await outbox.enqueue(event(), { endpoint: 'https://example.com/hook' });
+
+  // The first process dies mid-attempt, leaving the record in "delivering"
+  const record = outbox.records.get(delivery.id);
+  record.status = 'delivering';
+  await outbox.store.save(record);
+
+  const sent = [];
+  const { outbox: restarted } = await createOutbox(async (evt) => {
+    sent.push(evt.id);
+    return { ok: true, status: 200 };
+  }, { baseDir });
+
+  await restarted.processDue();
+  assert.deepEqual(sent, [delivery.eventId]);
+  assert.equal((await restarted.get(delivery.id)).status, 'delivered');
+});
+
+test('outbox: list filters by status and paginates with a cursor', async () => {
+  const { outbox } = await createOutbox(async () => ({ ok: false, status: 500 }), { maxAttempts: 1 });
+  for (let i = 0; i < 5; i++) {
+    await outbox.enqueue(event(), { endpoint: 'https://example.com/hook' });
+  }
+  await outbox.processDue();
+
+  const first = await outbox.list({ status: 'dead', limit: 3 });
+  assert.equal(first.deliveries.length, 3);
+  assert.equal(first.counts.dead, 5);
+  assert.ok(first.nextCursor);
+
+  const second = await outbox.list({ status: 'dead', limit: 3, cursor: first.nextCursor });
+  assert.equal(second.deliveries.length, 2);
+  assert.equal(second.nextCursor, null);
+  const ids = new Set([...first.deliveries, ...second.deliveries].map(d => d.id));
+  assert.equal(ids.size, 5);
+
+  await assert.rejects(() => outbox.list({ status: 'bogus' }), /status must be/);
+});
+
+test('outbox: delivered records are pruned after the retention window', async () => {
+  const { outbox } = await createOutbox(async () => ({ ok: true, status: 200 }), { retentionMs: 1000 });
+  const delivery = await outbox.enqueue(event(), { endpoint: 'https://example.com/hook' });
+  await outbox.processDue();
+
+  await outbox.prune(Date.now() + 2000);
+  assert.equal(await outbox.get(delivery.id), null);
+});
+
+test('emitUploadEvent queues into the outbox instead of delivering inline', async () => {
+  const { outbox } = await createOutbox(async () => ({ ok: true, status: 200 }));
+  const result = await emitUploadEvent('upload.started', { path: 'a.txt' }, {
+    endpoint: 'https://example.com/hook',
+    secret: 'test-secret',
+    outbox,
+  });
+
+  assert.equal(result.queued, true);
+  assert.equal((await outbox.get(result.deliveryId)).eventType, 'upload.started');
+  await outbox.processDue();
+});
@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  matchesEventType,
+  subscriptionMatches,
+  scopeEventToSubscription,
+  validateSubscriptionInput,
+} from '../utils/webhookSubscriptions.mjs';
+import { emitStorageEvent } from '../utils/eventPipeline.mjs';
+
+const subscription = (overrides = {}) => ({
+  id: crypto.randomUUID(),
+  userId: 'user-1',
+  url: 'https://example.com/hook',
+  eventTypes: ['*'],
+  bucket: null,
+  prefix: null,
+  enabled: true,
+  ...overrides,
+});
+
+const event = (type, data) => ({ id: 'evt-1', type, timestamp: new Date().toISOString(), data: { userId: 'user-1', bucket: 'files', ...data } });
+
+function recordingOutbox() {
+  const enqueued = [];
+  return {
+    enqueued,
+    async enqueue(evt, target) {
+      enqueued.push({ event: evt, ...target });
+      return { id: `delivery-${enqueued.length}` };
+    },
+  };
+}
+
+test('matchesEventType supports exact types, families and "*"', () => {
+  assert.equal(matchesEventType(['*'], 'file.moved'), true);
+  assert.equal(matchesEventType(['upload.*'], 'upload.completed'), true);
+  assert.equal(matchesEventType(['upload.*'], 'file.deleted'), false);
+  assert.equal(matchesEventType(['file.renamed', 'folder.created'], 'folder.created'), true);
+});
+
+test('subscriptionMatches applies owner, bucket and prefix filters', () => {
+  const moved = event('file.moved', { sourcePath: 'inbox/a.txt', destinationPath: 'reports/2024/a.txt' });
+
+  assert.equal(subscriptionMatches(subscription(), moved), true);
+  assert.equal(subscriptionMatches(subscription({ userId: 'user-2' }), moved), false);
+  assert.equal(subscriptionMatches(subscription({ bucket: 'archive' }), moved), false);
+  assert.equal(subscriptionMatches(subscription({ prefix: 'reports' }), moved), true);
+  assert.equal(subscriptionMatches(subscription({ prefix: 'report' }), moved), false);
+  assert.equal(subscriptionMatches(subscription({ enabled: false }), moved), false);
+});
+
+test('bucket subscriptions receive events from every user in their bucket', () => {
+  const teammate = event('file.moved', { userId: 'user-2', sourcePath: 'inbox/a.txt', destinationPath: 'reports/a.txt' });
+
+  assert.equal(subscriptionMatches(subscription({ scope: 'bucket', bucket: 'files' }), teammate), true);
+  assert.equal(subscriptionMatches(subscription({ scope: 'bucket', bucket: 'archive' }), teammate), false);
+  assert.equal(subscriptionMatches(subscription({ bucket: 'files' }), teammate), false);
+});
+
+test('multi-object events are narrowed to the subscription prefix', () => {
+  const deleted = event('file.deleted', { paths: ['logs/a.log', 'images/b.png', 'logs/c.log'], count: 3 });
+  const scoped = scopeEventToSubscription(subscription({ prefix: 'logs' }), deleted);
+
+  assert.deepEqual(scoped.data.paths, ['logs/a.log', 'logs/c.log']);
+  assert.equal(scoped.data.count, 2);
+  assert.equal(scoped.id, deleted.id);
+});
+
+test('validateSubscriptionInput normalizes fields and rejects bad input', () => {
+  const fields = validateSubscriptionInput({ url: 'https://example.com/hook', eventTypes: ['upload.*', 'file.deleted'], prefix: '/reports/' });
+  assert.deepEqual(fields.eventTypes, ['upload.*', 'file.deleted']);
+  assert.equal(fields.prefix, 'reports');
+
+  assert.deepEqual(validateSubscriptionInput({ url: 'https://example.com/hook' }).eventTypes, ['*']);
+  assert.deepEqual(validateSubscriptionInput({ enabled: false }, { partial: true }), { enabled: false });
+
+  assert.throws(() => validateSubscriptionInput({ url: 'ftp://example.com' }), /http or https/);
+  assert.throws(() => validateSubscriptionInput({ url: 'https://example.com', eventTypes: ['file.archived'] }), /Unknown event type/);
+  assert.throws(() => validateSubscriptionInput({ url: 'https://example.com', secret: 'short' }), /at least 16/);
+
+  assert.equal(validateSubscriptionInput({ url: 'https://example.com/hook' }).scope, 'own');
+  assert.equal(validateSubscriptionInput({ url: 'https://example.com/hook', scope: 'bucket', bucket: 'media' }).scope, 'bucket');
+  assert.throws(() => validateSubscriptionInput({ url: 'https://example.com/hook', scope: 'bucket' }), /needs a bucket/);
+  assert.throws(() => validateSubscriptionInput({ scope: 'bucket', bucket: '' }, { partial: true }), /needs a bucket/);
+  assert.throws(() => validateSubscriptionInput({ url: 'https://example.com/hook', scope: 'team' }), /scope must be one of/);
+});
+
+test('emitStorageEvent fans out to every matching subscription', async () => {
+  const outbox = recordingOutbox();
+  const uploads = subscription({ eventTypes: ['upload.*'] });
+  const logs = subscription({ eventTypes: ['file.deleted'], prefix: 'logs' });
+
+  const result = await emitStorageEvent('file.deleted', {
+    userId: 'user-1',
+    bucket: 'files',
+    paths: ['logs/a.log', 'images/b.png'],
+    count: 2,
+  }, { outbox, subscriptions: [uploads, logs], endpoint: 'https://legacy.example.com', secret: 'legacy-secret' });
+
+  assert.equal(result.queued, true);
+  assert.equal(outbox.enqueued.length, 1);
+  assert.equal(outbox.enqueued[0].subscriptionId, logs.id);
+  assert.deepEqual(outbox.enqueued[0].event.data.paths, ['logs/a.log']);
+});
+
+test('emitStorageEvent keeps sending upload events to WEBHOOK_URL', async () => {
+  const outbox = recordingOutbox();
+  const options = { outbox, subscriptions: [], endpoint: 'https://legacy.example.com', secret: 'legacy-secret' };
+
+  const uploaded = await emitStorageEvent('upload.completed', { userId: 'user-1', path: 'a.txt' }, options);
+  assert.equal(uploaded.queued, true);
+  assert.equal(outbox.enqueued[0].endpoint, 'https://legacy.example.com');
+  assert.equal(outbox.enqueued[0].subscriptionId, null);
+
+  const renamed = await emitStorageEvent('file.renamed', { userId: 'user-1', oldPath: 'a.txt', newPath: 'b.txt' }, options);
+  assert.equal(renamed.skipped, true);
+});
@@ -5,9 +5,23 @@
  * Useful for automation on Hostinger VPS or any Node.js environment
  * 
  * Usage:
- *   node uploadToSupabase.js <file-path> [bucket-name] [storage-path]
- *   node uploadToSupabase.js --batch <file1> <file2> ... [bucket-name] [base-path]
+ *   node uploadToSupabase.js <file-path> [bucket-name] [storage-path] [--conflict rename|overwrite|skip|fail]
+ *   node uploadToSupabase.js --batch <file1> <file2> ... [bucket-name] [base-path] [--conflict rename|overwrite|skip|fail]
  *   node uploadToSupabase.js --download <storage-path> [bucket-name] [local-path]
+ *   node uploadToSupabase.js --verify-audit [audit-log-file]
+ *   node uploadToSupabase.js --purge-trash [bucket-name]
+ *   node uploadToSupabase.js --transfer <bucket>[:prefix] <bucket>[:prefix] [--to-project] [--conflict fail|skip|overwrite] [--verify size|checksum] [--delete-source]
+ *   node uploadToSupabase.js --watch <dir> [bucket-name] [base-path] [--delete-after | --move-to <dir>] [--settle <seconds>] [--interval <seconds>] [--journal <file>] [--conflict rename|overwrite|skip|fail]
+ *   node uploadToSupabase.js --sync <local-dir> <bucket>[:prefix] [--direction up|down|both] [--delete] [--checksum] [--dry-run] [--state <file>]
+ *
+ * Directory uploads, --sync and --watch skip what the directory's .supabaseignore
+ * lists (gitignore syntax) and take [--include <glob>]... [--exclude <glob>]...
+ * [--min-size <size>] [--max-size <size>] [--newer-than <age>] [--older-than <age>].
+ *
+ * Add --json to any command to print one JSON document with its results instead
+ * of the progress output (--watch prints one JSON line per event). Exit codes:
+ * 0 when everything succeeded, 1 when the command or every file failed, 2 when
+ * only some files failed.
  * 
  * Example:
  *   node uploadToSupabase.js ./myfile.pdf documents myfolder/myfile.pdf
@@ -23,7 +37,15 @@ const inquirer = require('inquirer');
 // Configuration from environment variables
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY; // Use service_role key for server-side operations
+// Second project for --transfer --to-project (keys stay out of argv and shell history)
+const TARGET_SUPABASE_URL = process.env.TARGET_SUPABASE_URL;
+const TARGET_SUPABASE_KEY = process.env.TARGET_SUPABASE_KEY;
+// The app and an app user's access token for --parallel, which uploads through the app's upload sessions
+const UPLOADER_APP_URL = process.env.UPLOADER_APP_URL;
+const UPLOADER_ACCESS_TOKEN = process.env.UPLOADER_ACCESS_TOKEN;
 const DEFAULT_BUCKET = process.env.SUPABASE_BUCKET || 'files';
+// What uploads do when the storage path is taken: rename, overwrite, skip or fail
+const DEFAULT_UPLOAD_CONFLICT = process.env.UPLOAD_CONFLICT_POLICY || 'overwrite';
 const MAX_RETRIES = process.env.MAX_RETRIES || 3;
 const RETRY_DELAY_BASE = 1000; // Base delay in milliseconds
 const LOG_FILE = process.env.LOG_FILE || 'supabase-uploader.log';
@@ -55,8 +77,44 @@ if (!ENABLE_EMOJI) {
   console.info = (...args) => originalConsole.info(...args.map(sanitizeCliString));
 }
 
+// --json: stdout carries only the command's JSON document; errors still go to stderr
+const JSON_OUTPUT = process.argv.includes('--json');
+
+if (JSON_OUTPUT) {
+  console.log = () => {};
+  console.info = () => {};
+}
+
+/**
+ * Create a progress bar in the CLI's style (nothing is drawn under --json)
+ * @param {string} format - cli-progress format string
+ * @returns {object} cli-progress SingleBar, or a stand-in with the same methods
+ */
+function createProgressBar(format) {
+  if (JSON_OUTPUT) {
+    return { start: () => {}, update: () => {}, increment: () => {}, stop: () => {} };
+  }
+  return new cliProgress.SingleBar({
+    format: sanitizeCliString(format),
+    barCompleteChar: '\u2588',
+    barIncompleteChar: '\u2591',
+    hideCursor: true
+  });
+}
+
+// Commands that only work on local files and never talk to Supabase
+const OFFLINE_COMMANDS = ['--verify-audit'];
+const isOfflineCommand = OFFLINE_COMMANDS.includes(process.argv.slice(2).find(arg => arg !== '--json'));
+
 // Validate environment variables
-if (!SUPABASE_URL || !SUPABASE_KEY) {
+if ((!SUPABASE_URL || !SUPABASE_KEY) && !isOfflineCommand) {
+  if (JSON_OUTPUT) {
+    process.stdout.write(`${JSON.stringify({
+      status: 'failed',
+      exitCode: 1,
+      error: { code: 'MISSING_CONFIG', message: 'SUPABASE_URL and SUPABASE_KEY must be set' },
+    }, null, 2)}\n`);
+  }
   console.error('❌ Error: Missing required environment variables');
   console.error('Please set SUPABASE_URL and SUPABASE_KEY in your .env file');
   console.error('\nExample .env file:');
@@ -68,7 +126,7 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
 }
 
 // Initialize Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const supabase = isOfflineCommand ? null : createClient(SUPABASE_URL, SUPABASE_KEY);
 
 // Initialize logging
 if (ENABLE_LOGGING) {
@@ -169,9 +227,12 @@ function formatFileSize(bytes) {
  * @param {string} bucketName - Supabase Storage bucket name
  * @param {string} storagePath - Path in the bucket (optional, defaults to filename)
  * @param {boolean} showProgress - Whether to show progress bar (default: true)
- * @returns {Promise<Object>} Upload result
+ * @param {object} options - Upload options
+ * @param {string} options.conflict - 'rename' | 'overwrite' | 'skip' | 'fail' when the path is taken (default: UPLOAD_CONFLICT_POLICY, then overwrite)
+ * @param {boolean} options.parallel - Send files above RESUMABLE_UPLOAD_THRESHOLD through the app in concurrent chunks
+ * @returns {Promise<Object>} Upload result ({ skipped: true } when the conflict policy skipped the file; { success: false, error, code } when it failed)
  */
-async function uploadFile(filePath, bucketName = DEFAULT_BUCKET, storagePath = null, showProgress = true) {
+async function uploadFile(filePath, bucketName = DEFAULT_BUCKET, storagePath = null, showProgress = true, { conflict = DEFAULT_UPLOAD_CONFLICT, parallel = false } = {}) {
   try {
     // Check if file exists
     if (!fs.existsSync(filePath)) {
@@ -182,44 +243,84 @@ async function uploadFile(filePath, bucketName = DEFAULT_BUCKET, storagePath = n
     const stats = fs.statSync(filePath);
     const fileSize = stats.size;
     const fileName = path.basename(filePath);
-    const finalStoragePath = storagePath || fileName;
+
+    const { shouldUseResumableUpload } = await import('./utils/resumableUpload.mjs');
+    if (parallel && shouldUseResumableUpload(fileSize)) {
+      return await uploadFileThroughApp(filePath, bucketName, storagePath || fileName, showProgress, { conflict });
+    }
+
+    // Overwriting needs no lookup; the other policies list the folder once (see utils/uploadConflicts.mjs)
+    const { resolveUploadTarget } = await import('./utils/uploadConflicts.mjs');
+    const target = conflict === 'overwrite'
+      ? { path: storagePath || fileName, skip: false, upsert: true }
+      : await resolveUploadTarget(supabase, { bucket: bucketName, path: storagePath || fileName, conflict });
+
+    if (target.skip) {
+      console.log(`⏭️  Skipped: ${target.path} already exists in ${bucketName}`);
+      logInfo('Upload skipped', { filePath, bucket: bucketName, storagePath: target.path, conflict });
+      return { success: true, skipped: true, path: target.path, size: fileSize };
+    }
+    const finalStoragePath = target.path;
+
+    // In buckets listed in VERSIONED_BUCKETS the object being overwritten is kept as a version
+    const { retainVersion, isVersionedBucket } = await import('./utils/objectVersions.mjs');
+    const versionId = target.upsert && isVersionedBucket(bucketName)
+      ? await retainVersion(supabase, { bucket: bucketName, path: finalStoragePath })
+      : null;
 
     // Create progress bar
     let progressBar;
     if (showProgress && fileSize > 1024) { // Only show progress for files > 1KB
-      progressBar = new cliProgress.SingleBar({
-        format: sanitizeCliString(`📤 Uploading: ${fileName} |{bar}| {percentage}% | {value}/{total} ${formatFileSize(fileSize)} | ETA: {eta}s`),
-        barCompleteChar: '\u2588',
-        barIncompleteChar: '\u2591',
-        hideCursor: true
-      });
+      progressBar = createProgressBar(`📤 Uploading: ${fileName} |{bar}| {percentage}% | {value}/{total} ${formatFileSize(fileSize)} | ETA: {eta}s`);
       progressBar.start(fileSize, 0);
     } else {
       console.log(`📤 Uploading: ${fileName} (${formatFileSize(fileSize)})`);
     }
 
-    // Read file
-    const fileBuffer = fs.readFileSync(filePath);
-    
-    if (progressBar) {
-      progressBar.update(fileSize); // Simulate progress (Supabase doesn't provide streaming progress)
-    }
+    let uploadResult;
+    if (shouldUseResumableUpload(fileSize)) {
+      // Large files are streamed over tus; an interrupted upload continues from where the server got to
+      const { uploadFileResumable } = await import('./utils/resumableFileUpload.mjs');
+      uploadResult = await uploadFileResumable({
+        filePath,
+        bucketName,
+        objectPath: finalStoragePath,
+        supabaseUrl: SUPABASE_URL,
+        accessToken: SUPABASE_KEY,
+        upsert: target.upsert,
+        contentType: getContentType(filePath),
+        maxRetries: parseInt(MAX_RETRIES, 10),
+        onProgress: (bytes) => {
+          if (progressBar) progressBar.update(bytes);
+        },
+      });
+      if (uploadResult.resumedFrom > 0) {
+        logInfo('Upload resumed', { filePath, bucket: bucketName, storagePath: finalStoragePath, offset: uploadResult.resumedFrom });
+      }
+    } else {
+      // Read file
+      const fileBuffer = fs.readFileSync(filePath);
+
+      // Upload file to Supabase Storage with retry logic
+      uploadResult = await retryWithBackoff(async () => {
+        const { data, error } = await supabase.storage
+          .from(bucketName)
+          .upload(finalStoragePath, fileBuffer, {
+            contentType: getContentType(filePath),
+            upsert: target.upsert // Overwrite only when the conflict policy allows it
+          });
+
+        if (error) {
+          throw error;
+        }
 
-    // Upload file to Supabase Storage with retry logic
-    const uploadResult = await retryWithBackoff(async () => {
-      const { data, error } = await supabase.storage
-        .from(bucketName)
-        .upload(finalStoragePath, fileBuffer, {
-          contentType: getContentType(filePath),
-          upsert: true // Overwrite if file exists
-        });
+        return data;
+      }, MAX_RETRIES, `Upload ${fileName}`);
 
-      if (error) {
-        throw error;
+      if (progressBar) {
+        progressBar.update(fileSize); // The client gives no progress for a single request
       }
-
-      return data;
-    }, MAX_RETRIES, `Upload ${fileName}`);
+    }
 
     if (progressBar) {
       progressBar.stop();
@@ -235,13 +336,20 @@ async function uploadFile(filePath, bucketName = DEFAULT_BUCKET, storagePath = n
     console.log(`   Storage Path: ${uploadResult.path}`);
     console.log(`   Public URL: ${urlData.publicUrl}`);
     console.log(`   Size: ${formatFileSize(fileSize)}`);
+    if (uploadResult.resumedFrom > 0) {
+      console.log(`   Resumed at: ${formatFileSize(uploadResult.resumedFrom)}`);
+    }
+    if (versionId) {
+      console.log(`   Previous version: ${versionId}`);
+    }
 
     logSuccess('File uploaded', {
       filePath,
       bucket: bucketName,
       storagePath: uploadResult.path,
       publicUrl: urlData.publicUrl,
-      size: fileSize
+      size: fileSize,
+      previousVersionId: versionId
     });
 
     return {
@@ -249,19 +357,99 @@ async function uploadFile(filePath, bucketName = DEFAULT_BUCKET, storagePath = n
       path: uploadResult.path,
       id: uploadResult.id,
       publicUrl: urlData.publicUrl,
-      size: fileSize
+      size: fileSize,
+      previousVersionId: versionId
     };
 
   } catch (error) {
     console.error(`❌ Upload failed:`, error.message);
     logError('Upload failed', { filePath, bucket: bucketName, error: error.message });
+    const { errorCode } = await import('./utils/cliOutput.mjs');
     return {
       success: false,
-      error: error.message
+      path: storagePath || path.basename(filePath),
+      error: error.message,
+      code: errorCode(error)
     };
   }
 }
 
+/**
+ * Upload a large file through the app's upload-session API in concurrent chunks (--parallel)
+ * The app applies the conflict policy and keeps the previous version, so neither is done here.
+ * Errors are thrown for uploadFile to report.
+ * @param {string} filePath - Local path to the file
+ * @param {string} bucketName - Supabase Storage bucket name
+ * @param {string} storagePath - Path in the bucket
+ * @param {boolean} showProgress - Whether to show progress bar
+ * @param {object} options - Upload options ({ conflict })
+ * @returns {Promise<Object>} Upload result, as from uploadFile
+ */
+async function uploadFileThroughApp(filePath, bucketName, storagePath, showProgress, { conflict }) {
+  const fileName = path.basename(filePath);
+  const fileSize = fs.statSync(filePath).size;
+  const { uploadFileParallel } = await import('./utils/parallelChunkUpload.mjs');
+
+  let progressBar;
+  if (showProgress) {
+    progressBar = createProgressBar(`📤 Uploading: ${fileName} |{bar}| {percentage}% | {value}/{total} ${formatFileSize(fileSize)} | ETA: {eta}s`);
+    progressBar.start(fileSize, 0);
+  } else {
+    console.log(`📤 Uploading: ${fileName} (${formatFileSize(fileSize)}) in parallel chunks`);
+  }
+
+  let uploadResult;
+  try {
+    uploadResult = await uploadFileParallel({
+      filePath,
+      appUrl: UPLOADER_APP_URL,
+      accessToken: UPLOADER_ACCESS_TOKEN,
+      bucketName,
+      objectPath: storagePath,
+      conflict,
+      maxRetries: parseInt(MAX_RETRIES, 10),
+      onProgress: (bytes) => {
+        if (progressBar) progressBar.update(bytes);
+      },
+    });
+  } finally {
+    if (progressBar) progressBar.stop();
+  }
+
+  if (uploadResult.skipped) {
+    console.log(`⏭️  Skipped: ${uploadResult.path} already exists in ${bucketName}`);
+    logInfo('Upload skipped', { filePath, bucket: bucketName, storagePath: uploadResult.path, conflict });
+    return { success: true, skipped: true, path: uploadResult.path, size: fileSize };
+  }
+
+  const { data: urlData } = supabase.storage
+    .from(bucketName)
+    .getPublicUrl(uploadResult.path);
+
+  console.log(`✅ Upload successful!`);
+  console.log(`   Bucket: ${bucketName}`);
+  console.log(`   Storage Path: ${uploadResult.path}`);
+  console.log(`   Public URL: ${urlData.publicUrl}`);
+  console.log(`   Size: ${formatFileSize(fileSize)}`);
+
+  logSuccess('File uploaded', {
+    filePath,
+    bucket: bucketName,
+    storagePath: uploadResult.path,
+    publicUrl: urlData.publicUrl,
+    size: fileSize,
+    sha256: uploadResult.sha256
+  });
+
+  return {
+    success: true,
+    path: uploadResult.path,
+    id: uploadResult.id,
+    publicUrl: urlData.publicUrl,
+    size: fileSize
+  };
+}
+
 /**
  * Run promises concurrently with a limit
  * @param {Array} items - Items to process
@@ -292,22 +480,19 @@ async function mapConcurrent(items, concurrency, fn) {
  * @param {Array<string>} filePaths - Array of local file paths
  * @param {string} bucketName - Supabase Storage bucket name
  * @param {string} baseStoragePath - Base path in bucket (optional)
+ * @param {object} options - Upload options passed to uploadFile ({ conflict, parallel })
  * @returns {Promise<Array>} Array of upload results
  */
-async function uploadMultipleFiles(filePaths, bucketName = DEFAULT_BUCKET, baseStoragePath = '') {
+async function uploadMultipleFiles(filePaths, bucketName = DEFAULT_BUCKET, baseStoragePath = '', options = {}) {
   const totalFiles = filePaths.length;
   
   // Create batch progress bar
-  const batchProgressBar = new cliProgress.SingleBar({
-    format: sanitizeCliString(`📦 Batch Upload |{bar}| {percentage}% | {value}/{total} files | ETA: {eta}s`),
-    barCompleteChar: '\u2588',
-    barIncompleteChar: '\u2591',
-    hideCursor: true
-  });
+  const batchProgressBar = createProgressBar(`📦 Batch Upload |{bar}| {percentage}% | {value}/{total} files | ETA: {eta}s`);
   
   batchProgressBar.start(totalFiles, 0);
 
   let successCount = 0;
+  let skippedCount = 0;
   let failCount = 0;
   let processedCount = 0;
 
@@ -318,9 +503,11 @@ async function uploadMultipleFiles(filePaths, bucketName = DEFAULT_BUCKET, baseS
       ? `${baseStoragePath}/${fileName}`.replace(/\/+/g, '/')
       : fileName;
 
-    const result = await uploadFile(filePath, bucketName, storagePath, false); // Don't show individual progress bars
+    const result = await uploadFile(filePath, bucketName, storagePath, false, options); // Don't show individual progress bars
     
-    if (result.success) {
+    if (result.skipped) {
+      skippedCount++;
+    } else if (result.success) {
       successCount++;
     } else {
       failCount++;
@@ -336,6 +523,9 @@ async function uploadMultipleFiles(filePaths, bucketName = DEFAULT_BUCKET, baseS
   
   console.log(`\n📊 Batch Upload Summary:`);
   console.log(`   ✅ Successful: ${successCount}`);
+  if (skippedCount > 0) {
+    console.log(`   ⏭️  Skipped (already exist): ${skippedCount}`);
+  }
   console.log(`   ❌ Failed: ${failCount}`);
   console.log(`   📁 Total: ${totalFiles}`);
 
@@ -348,40 +538,52 @@ async function uploadMultipleFiles(filePaths, bucketName = DEFAULT_BUCKET, baseS
  * @param {string} bucketName - Supabase Storage bucket name
  * @param {string} baseStoragePath - Base path in bucket (optional)
  * @param {boolean} recursive - Include subdirectories (default: false)
+ * @param {object} options - Upload options passed to uploadFile ({ conflict, parallel }), and which files to take:
+ *   { include, exclude, minSize, maxSize, newerThan, olderThan } on top of the directory's .supabaseignore (see utils/fileFilters.mjs)
  * @returns {Promise<Array>} Array of upload results
  */
-async function uploadDirectory(dirPath, bucketName = DEFAULT_BUCKET, baseStoragePath = '', recursive = false) {
+async function uploadDirectory(dirPath, bucketName = DEFAULT_BUCKET, baseStoragePath = '', recursive = false, options = {}) {
   if (!fs.existsSync(dirPath)) {
     throw new Error(`Directory not found: ${dirPath}`);
   }
 
+  const { include, exclude, minSize, maxSize, newerThan, olderThan, ...uploadOptions } = options;
+  const { loadFileFilter } = await import('./utils/fileFilters.mjs');
+  const filter = await loadFileFilter(dirPath, { include, exclude, minSize, maxSize, newerThan, olderThan });
+
   const files = [];
+  let filteredCount = 0;
   
   function scanDirectory(currentPath, relativePath = '') {
     const items = fs.readdirSync(currentPath);
     
     for (const item of items) {
       const fullPath = path.join(currentPath, item);
+      const itemPath = relativePath ? `${relativePath}/${item}` : item;
       const stat = fs.statSync(fullPath);
       
       if (stat.isFile()) {
+        if (!filter.accepts(itemPath, { size: stat.size, mtimeMs: stat.mtimeMs })) {
+          filteredCount++;
+          continue;
+        }
         files.push({
           fullPath,
-          relativePath: relativePath ? `${relativePath}/${item}` : item
+          relativePath: itemPath
         });
-      } else if (stat.isDirectory() && recursive) {
-        scanDirectory(fullPath, relativePath ? `${relativePath}/${item}` : item);
+      } else if (stat.isDirectory() && recursive && !filter.skipsDirectory(itemPath)) {
+        scanDirectory(fullPath, itemPath);
       }
     }
   }
 
   scanDirectory(dirPath);
 
-  console.log(`📁 Found ${files.length} file(s) in directory`);
+  console.log(`📁 Found ${files.length} file(s) in directory${filteredCount > 0 ? ` (${filteredCount} left out by filters)` : ''}`);
 
   // Use batch upload for directory
   const filePaths = files.map(f => f.fullPath);
-  const results = await uploadMultipleFiles(filePaths, bucketName, baseStoragePath);
+  const results = await uploadMultipleFiles(filePaths, bucketName, baseStoragePath, uploadOptions);
 
   // Map results back with relative paths
   return results.map((result, index) => ({
@@ -443,12 +645,7 @@ async function downloadFile(storagePath, bucketName = DEFAULT_BUCKET, localPath
     }
 
     // Create progress bar
-    const progressBar = new cliProgress.SingleBar({
-      format: sanitizeCliString(`📥 Downloading |{bar}| {percentage}% | {value}/{total} ${formatFileSize(fileSize)} | ETA: {eta}s`),
-      barCompleteChar: '\u2588',
-      barIncompleteChar: '\u2591',
-      hideCursor: true
-    });
+    const progressBar = createProgressBar(`📥 Downloading |{bar}| {percentage}% | {value}/{total} ${formatFileSize(fileSize)} | ETA: {eta}s`);
 
     progressBar.start(fileSize, 0);
 
@@ -504,9 +701,11 @@ async function downloadFile(storagePath, bucketName = DEFAULT_BUCKET, localPath
       console.error(`   Verify bucket '${bucketName}' exists and is accessible`);
     }
 
+    const { errorCode } = await import('./utils/cliOutput.mjs');
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      code: errorCode(error)
     };
   }
 }
@@ -552,12 +751,7 @@ async function downloadMultipleFiles(storagePaths, bucketName = DEFAULT_BUCKET,
   const totalFiles = storagePaths.length;
   
   // Create batch progress bar
-  const batchProgressBar = new cliProgress.SingleBar({
-    format: sanitizeCliString(`📥 Batch Download |{bar}| {percentage}% | {value}/{total} files | ETA: {eta}s`),
-    barCompleteChar: '\u2588',
-    barIncompleteChar: '\u2591',
-    hideCursor: true
-  });
+  const batchProgressBar = createProgressBar(`📥 Batch Download |{bar}| {percentage}% | {value}/{total} files | ETA: {eta}s`);
   
   batchProgressBar.start(totalFiles, 0);
 
@@ -629,9 +823,10 @@ function getContentType(filePath) {
  * @param {string} bucketName - Bucket name
  * @param {string} folderPath - Folder path (optional)
  * @param {number} limit - Max files to fetch (default 1000)
+ * @param {object} options - { rethrow: throw after reporting an error instead of returning [] }
  * @returns {Promise<Array>} List of files
  */
-async function listFiles(bucketName = DEFAULT_BUCKET, folderPath = '', limit = 1000) {
+async function listFiles(bucketName = DEFAULT_BUCKET, folderPath = '', limit = 1000, { rethrow = false } = {}) {
   try {
     // Supabase default limit is 100, so we need to paginate for larger folders
     const allFiles = [];
@@ -673,6 +868,7 @@ async function listFiles(bucketName = DEFAULT_BUCKET, folderPath = '', limit = 1
   } catch (error) {
     console.error(`❌ Error listing files:`, error.message);
     logError('List files failed', { bucket: bucketName, folderPath, error: error.message });
+    if (rethrow) throw error;
     return [];
   }
 }
@@ -681,9 +877,10 @@ async function listFiles(bucketName = DEFAULT_BUCKET, folderPath = '', limit = 1
  * Delete a file from Supabase Storage
  * @param {string} storagePath - Path in bucket
  * @param {string} bucketName - Bucket name
+ * @param {object} options - { rethrow: throw after reporting an error instead of returning false }
  * @returns {Promise<boolean>} Success status
  */
-async function deleteFile(storagePath, bucketName = DEFAULT_BUCKET) {
+async function deleteFile(storagePath, bucketName = DEFAULT_BUCKET, { rethrow = false } = {}) {
   try {
     const result = await retryWithBackoff(async () => {
       const { error } = await supabase.storage
@@ -703,10 +900,303 @@ async function deleteFile(storagePath, bucketName = DEFAULT_BUCKET) {
   } catch (error) {
     console.error(`❌ Delete failed:`, error.message);
     logError('Delete failed', { storagePath, bucket: bucketName, error: error.message });
+    if (rethrow) throw error;
     return false;
   }
 }
 
+/**
+ * Verify the hash chain of the web app's audit log
+ * Walks every rotated segment, or the audit_events table when AUDIT_LOG_STORE=postgres
+ * @param {string} logFile - Audit log path (defaults to AUDIT_LOG_FILE)
+ * @returns {Promise<boolean>} True if the chain is intact
+ */
+async function verifyAuditLog(logFile = null) {
+  const { createAuditStore } = await import('./utils/auditStore.mjs');
+  const file = path.resolve(logFile || process.env.AUDIT_LOG_FILE || 'audit-events.log');
+  const store = createAuditStore(logFile ? 'file' : process.env.AUDIT_LOG_STORE, { file });
+
+  if (!store.exists()) {
+    console.error(`❌ Audit log not found: ${file}`);
+    return false;
+  }
+
+  const result = await store.verify();
+  if (result.valid) {
+    console.log(`✅ Audit chain intact: ${result.checked} records`);
+    if (result.segments) console.log(`   Rotated segments: ${result.segments}`);
+    console.log(`   Last hash: ${result.lastHash || '(empty log)'}`);
+    return true;
+  }
+
+  const { brokenLink } = result;
+  console.error(`❌ Audit chain broken at record ${brokenLink.seq} (${brokenLink.reason})`);
+  console.error(`   ${brokenLink.message}`);
+  if (brokenLink.segment) console.error(`   Segment: ${brokenLink.segment}`);
+  if (brokenLink.timestamp) console.error(`   Timestamp: ${brokenLink.timestamp}`);
+  if (brokenLink.expected !== undefined) {
+    console.error(`   Expected: ${brokenLink.expected || '(empty)'}`);
+    console.error(`   Actual:   ${brokenLink.actual || '(empty)'}`);
+  }
+  console.error(`   Verified records before it: ${result.checked}`);
+  return false;
+}
+
+/**
+ * Permanently remove trash items older than TRASH_RETENTION_DAYS from a bucket
+ * The web app purges expired items when a bucket's trash is used; run this from
+ * cron to enforce retention on buckets nobody opens.
+ * @param {string} bucketName - Bucket name
+ * @returns {Promise<boolean>} Success status
+ */
+async function purgeExpiredTrash(bucketName = DEFAULT_BUCKET) {
+  const { purgeExpiredTrash: purge, getTrashRetentionDays } = await import('./utils/trash.mjs');
+  const retentionDays = getTrashRetentionDays();
+
+  try {
+    const { purged, count } = await purge(supabase, bucketName, { retentionDays });
+    console.log(`✅ Purged ${purged.length} trash item(s) (${count} objects) older than ${retentionDays} day(s) from ${bucketName}`);
+    logSuccess('Trash purged', { bucket: bucketName, retentionDays, items: purged.length, objects: count });
+    return true;
+  } catch (error) {
+    console.error(`❌ Trash purge failed:`, error.message);
+    logError('Trash purge failed', { bucket: bucketName, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Split a "bucket[:prefix]" transfer endpoint
+ * @param {string} value - Endpoint argument
+ * @returns {{bucket: string, prefix: string}}
+ */
+function parseTransferEndpoint(value) {
+  const separator = value.indexOf(':');
+  if (separator === -1) return { bucket: value, prefix: '' };
+  return { bucket: value.slice(0, separator), prefix: value.slice(separator + 1).replace(/^\/+|\/+$/g, '') };
+}
+
+/**
+ * Stream every object under a prefix to another bucket, or to the project in
+ * TARGET_SUPABASE_URL/TARGET_SUPABASE_KEY, keeping content type and metadata
+ * and verifying each object (see utils/storageTransfer.mjs)
+ * @param {object} source - { bucket, prefix }
+ * @param {object} target - { bucket, prefix }
+ * @param {object} options - { toProject, conflict, verify, deleteSource }
+ * @returns {Promise<Object>} Transfer result (status completed | partial | failed, counts and errors; code when it could not run)
+ */
+async function transferObjects(source, target, { toProject = false, conflict = 'fail', verify = 'size', deleteSource = false } = {}) {
+  if (toProject && (!TARGET_SUPABASE_URL || !TARGET_SUPABASE_KEY)) {
+    console.error('❌ Error: --to-project needs TARGET_SUPABASE_URL and TARGET_SUPABASE_KEY in your .env file');
+    return { status: 'failed', message: 'TARGET_SUPABASE_URL and TARGET_SUPABASE_KEY must be set', code: 'MISSING_CONFIG' };
+  }
+
+  const { transferObjects: runTransfer } = await import('./utils/storageTransfer.mjs');
+  const targetClient = toProject ? createClient(TARGET_SUPABASE_URL, TARGET_SUPABASE_KEY) : supabase;
+  const targetLabel = `${toProject ? `${TARGET_SUPABASE_URL} ` : ''}${target.bucket}:/${target.prefix}`;
+
+  console.log(sanitizeCliString(`🔁 Transferring ${source.bucket}:/${source.prefix} → ${targetLabel}`));
+
+  const progressBar = createProgressBar(`🔁 Transfer |{bar}| {percentage}% | {value}/{total} objects | {size}`);
+  let started = false;
+
+  try {
+    const result = await runTransfer({
+      source: { client: supabase, ...source },
+      target: { client: targetClient, ...target },
+      sameProject: !toProject || TARGET_SUPABASE_URL === SUPABASE_URL,
+      conflict,
+      verify,
+      deleteSource,
+      onProgress: (progress) => {
+        if (progress.total !== undefined && !started) {
+          progressBar.start(progress.total, 0, { size: formatFileSize(0) });
+          started = true;
+        } else if (started && progress.processed !== undefined) {
+          progressBar.update(progress.processed, { size: formatFileSize(progress.bytes) });
+        }
+      },
+    });
+    if (started) progressBar.stop();
+
+    const icon = { completed: '✅', partial: '⚠️', failed: '❌' }[result.status] || 'ℹ️';
+    console.log(sanitizeCliString(`\n${icon} ${result.message}`));
+    console.log(`   Bytes: ${formatFileSize(result.bytes)}`);
+    if (result.conflicts.length > 0 && conflict === 'fail') {
+      console.log(`   Conflicts: ${result.conflicts.slice(0, 10).join(', ')}${result.conflicts.length > 10 ? ', …' : ''}`);
+    }
+    result.errors.forEach(({ path: objectPath, message }) => console.error(`   ${objectPath}: ${message}`));
+
+    const log = result.status === 'completed' ? logSuccess : logError;
+    log('Transfer finished', {
+      source,
+      target: { ...target, project: toProject ? TARGET_SUPABASE_URL : SUPABASE_URL },
+      status: result.status,
+      transferred: result.transferred,
+      skipped: result.skipped,
+      failed: result.failed,
+      bytes: result.bytes,
+    });
+    return result;
+  } catch (error) {
+    if (started) progressBar.stop();
+    console.error(sanitizeCliString(`❌ Transfer failed: ${error.message}`));
+    logError('Transfer failed', { source, target, error: error.message });
+    const { errorCode } = await import('./utils/cliOutput.mjs');
+    return { status: 'failed', message: error.message, code: errorCode(error) };
+  }
+}
+
+/**
+ * Mirror a local directory with a bucket prefix, transferring only what changed
+ * since the last run (see utils/directorySync.mjs)
+ * @param {string} localDir - Local directory
+ * @param {object} endpoint - { bucket, prefix }
+ * @param {object} options - { direction, deleteExtraneous, checksum, dryRun, statePath }, and file filters
+ *   ({ include, exclude, minSize, maxSize, newerThan, olderThan }) on top of the directory's .supabaseignore
+ * @returns {Promise<Object>} Sync result (status completed | planned | partial | failed, actions and counts; code when it could not run)
+ */
+async function syncDirectory(localDir, endpoint, { direction = 'up', deleteExtraneous = false, checksum = false, dryRun = false, statePath = null, ...filterOptions } = {}) {
+  const { syncDirectory: runSync } = await import('./utils/directorySync.mjs');
+  const { loadFileFilter } = await import('./utils/fileFilters.mjs');
+  const arrow = { up: '→', down: '←', both: '↔' }[direction] || '→';
+
+  console.log(sanitizeCliString(`🔄 Syncing ${localDir} ${arrow} ${endpoint.bucket}:/${endpoint.prefix}${dryRun ? ' (dry run)' : ''}`));
+
+  const progressBar = createProgressBar(`🔄 Sync |{bar}| {percentage}% | {value}/{total} changes | {size}`);
+  let started = false;
+
+  try {
+    const result = await runSync({
+      supabase,
+      localDir,
+      ...endpoint,
+      direction,
+      deleteExtraneous,
+      checksum,
+      dryRun,
+      statePath,
+      project: SUPABASE_URL,
+      accessToken: SUPABASE_KEY,
+      maxRetries: MAX_RETRIES,
+      filter: await loadFileFilter(localDir, filterOptions),
+      onProgress: (progress) => {
+        if (progress.total !== undefined && !started && progress.total > 0) {
+          progressBar.start(progress.total, 0, { size: formatFileSize(0) });
+          started = true;
+        } else if (started && progress.processed !== undefined) {
+          progressBar.update(progress.processed, { size: formatFileSize(progress.bytes) });
+        }
+      },
+    });
+    if (started) progressBar.stop();
+
+    if (dryRun) {
+      const labels = { upload: '↑ upload', download: '↓ download', 'delete-remote': '✗ delete from bucket', 'delete-local': '✗ delete locally' };
+      result.actions.forEach(({ path: relativePath, action, reason, size }) => {
+        console.log(sanitizeCliString(`   ${labels[action]} ${relativePath} (${formatFileSize(size)}, ${reason})`));
+      });
+    }
+    if (result.extraneous.length > 0) {
+      console.log(`   Not in the source (kept, use --delete to remove): ${result.extraneous.length}`);
+    }
+    if (result.filtered > 0) {
+      console.log(`   Left out by filters: ${result.filtered}`);
+    }
+
+    const icon = { completed: '✅', planned: '📝', partial: '⚠️', failed: '❌' }[result.status] || 'ℹ️';
+    console.log(sanitizeCliString(`\n${icon} ${result.message}`));
+    if (!dryRun) console.log(`   Bytes: ${formatFileSize(result.bytes)}`);
+    result.errors.forEach(({ path: relativePath, message }) => console.error(`   ${relativePath}: ${message}`));
+
+    const log = result.status === 'completed' || result.status === 'planned' ? logSuccess : logError;
+    log('Sync finished', {
+      localDir,
+      ...endpoint,
+      direction,
+      dryRun,
+      status: result.status,
+      uploaded: result.uploaded,
+      downloaded: result.downloaded,
+      deletedRemote: result.deletedRemote,
+      deletedLocal: result.deletedLocal,
+      unchanged: result.unchanged,
+      failed: result.failed,
+    });
+    return result;
+  } catch (error) {
+    if (started) progressBar.stop();
+    console.error(sanitizeCliString(`❌ Sync failed: ${error.message}`));
+    logError('Sync failed', { localDir, ...endpoint, direction, error: error.message });
+    const { errorCode } = await import('./utils/cliOutput.mjs');
+    return { status: 'failed', message: error.message, code: errorCode(error) };
+  }
+}
+
+/**
+ * Watch a directory and upload new and modified files once they stop changing
+ * (see utils/folderWatch.mjs). Runs until SIGINT or SIGTERM.
+ * @param {string} dirPath - Directory to watch
+ * @param {string} bucketName - Bucket name
+ * @param {string} baseStoragePath - Base path in bucket (optional)
+ * @param {object} options - { after: keep|delete|move, moveTo, settleSeconds, intervalSeconds, journalPath, conflict, parallel }, and file
+ *   filters ({ include, exclude, minSize, maxSize, newerThan, olderThan }) on top of the directory's .supabaseignore
+ * @returns {Promise<FolderWatcher>} The running watcher
+ */
+async function watchDirectory(dirPath, bucketName = DEFAULT_BUCKET, baseStoragePath = '', { after = 'keep', moveTo = null, settleSeconds = 2, intervalSeconds = 10, journalPath = null, conflict, parallel, ...filterOptions } = {}) {
+  const { FolderWatcher } = await import('./utils/folderWatch.mjs');
+  const { loadFileFilter } = await import('./utils/fileFilters.mjs');
+  const prefix = (baseStoragePath || '').replace(/^\/+|\/+$/g, '');
+  // --json: a watch never finishes, so each event is printed as one JSON line
+  const emitJson = (event, fields) => {
+    if (JSON_OUTPUT) process.stdout.write(`${JSON.stringify({ event, ...fields, time: new Date().toISOString() })}\n`);
+  };
+
+  const watcher = new FolderWatcher({
+    dir: dirPath,
+    scope: { bucket: bucketName, prefix },
+    after,
+    moveTo,
+    journalPath,
+    settleMs: settleSeconds * 1000,
+    intervalMs: intervalSeconds * 1000,
+    filter: await loadFileFilter(dirPath, filterOptions),
+    // Relative paths are kept, so nested drop folders keep their layout in the bucket
+    upload: (fullPath, relativePath) => uploadFile(fullPath, bucketName, prefix ? `${prefix}/${relativePath}` : relativePath, false, { conflict, parallel }),
+    onEvent: ({ type, ...fields }) => {
+      const { path: relativePath, destination, message } = fields;
+      emitJson(type, fields);
+      if (type === 'moved') {
+        console.log(`📦 Moved ${relativePath} to ${destination}`);
+        logInfo('Watched file moved', { path: relativePath, destination });
+      } else if (type === 'deleted') {
+        console.log(`🗑️  Deleted local ${relativePath}`);
+        logInfo('Watched file deleted', { path: relativePath });
+      } else if (type === 'failed' || type === 'error') {
+        console.error(`❌ ${relativePath ? `${relativePath}: ` : ''}${message}`);
+        logError('Watch failure', { dir: dirPath, path: relativePath, error: message });
+      }
+    },
+  });
+
+  console.log(`👀 Watching ${path.resolve(dirPath)} → ${bucketName}:/${prefix} (Ctrl+C to stop)`);
+  logInfo('Watch started', { dir: dirPath, bucket: bucketName, prefix, after, moveTo });
+  await watcher.start();
+  emitJson('started', { dir: path.resolve(dirPath), bucket: bucketName, prefix });
+
+  const shutdown = async (signal) => {
+    console.log(`\n👋 ${signal} received, stopping after the current upload...`);
+    await watcher.stop();
+    logInfo('Watch stopped', { dir: dirPath, signal });
+    emitJson('stopped', { signal });
+    process.exit(0);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+  return watcher;
+}
+
 /**
  * Interactive CLI mode
  */
@@ -847,12 +1337,41 @@ async function interactiveMode() {
   }
 }
 
+/**
+ * End a command: print its report under --json, then exit with its exit code
+ * Callers return right after; under --json the exit waits for stdout to drain.
+ * @param {object} report - Report built with utils/cliOutput.mjs
+ */
+function finish(report) {
+  if (JSON_OUTPUT) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`, () => process.exit(report.exitCode));
+  } else {
+    process.exit(report.exitCode);
+  }
+}
+
+/**
+ * Reject a command line (exit code 1)
+ * @param {string} command - Command name
+ * @param {string} message - What is wrong with it
+ */
+function usageError(command, message) {
+  console.error(`❌ Error: ${message}`);
+  finish({ command, status: 'failed', exitCode: 1, error: { code: 'INVALID_ARGUMENTS', message } });
+}
+
 // Main execution
 async function main() {
   const args = process.argv.slice(2);
+  if (JSON_OUTPUT) {
+    args.splice(args.indexOf('--json'), 1);
+  }
 
   // Handle interactive mode
   if (args.length === 0 || args[0] === '--interactive' || args[0] === '-i') {
+    if (JSON_OUTPUT) {
+      return usageError('interactive', '--json needs a command; interactive mode has no JSON output');
+    }
     await interactiveMode();
     return;
   }
@@ -864,14 +1383,27 @@ async function main() {
     console.log('    node uploadToSupabase.js --interactive');
     console.log('    node uploadToSupabase.js -i');
     console.log('  Upload:');
-    console.log('    node uploadToSupabase.js <file-path> [bucket-name] [storage-path]');
-    console.log('    node uploadToSupabase.js --batch <file1> <file2> ... [bucket-name] [base-path]');
+    console.log('    node uploadToSupabase.js <file-path> [bucket-name] [storage-path] [--conflict rename|overwrite|skip|fail]');
+    console.log('    node uploadToSupabase.js --batch <file1> <file2> ... [bucket-name] [base-path] [--conflict rename|overwrite|skip|fail]');
+    console.log('    node uploadToSupabase.js --watch <dir> [bucket-name] [base-path] [--delete-after | --move-to <dir>] [--settle <seconds>] [--interval <seconds>] [--journal <file>]');
     console.log('  Download:');
     console.log('    node uploadToSupabase.js --download <storage-path> [bucket-name] [local-path]');
     console.log('    node uploadToSupabase.js --download-batch <path1> <path2> ... [bucket-name] [local-dir]');
     console.log('  Other:');
     console.log('    node uploadToSupabase.js --list [bucket-name] [folder-path]');
     console.log('    node uploadToSupabase.js --delete <storage-path> [bucket-name]');
+    console.log('    node uploadToSupabase.js --verify-audit [audit-log-file]');
+    console.log('    node uploadToSupabase.js --purge-trash [bucket-name]');
+    console.log('  Transfer (between buckets, or to TARGET_SUPABASE_URL with --to-project):');
+    console.log('    node uploadToSupabase.js --transfer <bucket>[:prefix] <bucket>[:prefix] [--to-project] [--conflict fail|skip|overwrite] [--verify size|checksum] [--delete-source]');
+    console.log('  Sync (mirror a directory with a bucket prefix; only changes are sent):');
+    console.log('    node uploadToSupabase.js --sync <local-dir> <bucket>[:prefix] [--direction up|down|both] [--delete] [--checksum] [--dry-run] [--state <file>]');
+    console.log('  Filters (directory uploads, --sync and --watch; also read from .supabaseignore):');
+    console.log('    [--include <glob>]... [--exclude <glob>]... [--min-size 10KB] [--max-size 100MB] [--newer-than 7d] [--older-than 1h]');
+    console.log('  Parallel (uploads, --batch and --watch; files above 6MB go through UPLOADER_APP_URL in concurrent chunks):');
+    console.log('    [--parallel]');
+    console.log('  Scripting:');
+    console.log('    Add --json to any command for a JSON result on stdout; exit code 2 means some files failed');
     console.log('\nExamples:');
     console.log('  node uploadToSupabase.js ./document.pdf');
     console.log('  node uploadToSupabase.js ./document.pdf documents');
@@ -879,34 +1411,203 @@ async function main() {
     console.log('  node uploadToSupabase.js --download images/photo.jpg images ./downloads/');
     console.log('  node uploadToSupabase.js --list');
     console.log('  node uploadToSupabase.js --delete myfolder/document.pdf');
+    console.log('  node uploadToSupabase.js --transfer files:reports archive:2024/reports --to-project --verify checksum');
+    console.log('  node uploadToSupabase.js --watch ./outbox reports incoming --move-to ./sent');
+    console.log('  node uploadToSupabase.js --sync ./backups files:backups --delete --dry-run');
+    console.log('  node uploadToSupabase.js --batch a.csv b.csv exports --json');
+    console.log("  node uploadToSupabase.js ./site web --exclude node_modules/ --exclude '*.map' --max-size 50MB");
     process.exit(0);
   }
 
+  const { commandReport, failureReport, resultReport, resultEntry, listEntry, errorCode } = await import('./utils/cliOutput.mjs');
+  const command = args[0].startsWith('--') ? args[0].slice(2) : 'upload';
+  // Per-file entries name the local file localPath and the object path, whichever way the file went
+  const uploadEntry = (bucket) => ({ filePath: localPath, ...result }) => resultEntry({ localPath, bucket, ...result }, 'uploaded');
+  const downloadEntry = (bucket) => ({ storagePath, ...result }) => resultEntry({ path: storagePath, bucket, ...result }, 'downloaded');
+
+  // --conflict picks the upload conflict policy (--transfer reads its own)
+  const uploadOptions = {};
+  if (args[0] !== '--transfer' && args.includes('--conflict')) {
+    const index = args.indexOf('--conflict');
+    const { UPLOAD_CONFLICT_POLICIES } = await import('./utils/uploadConflicts.mjs');
+    if (!UPLOAD_CONFLICT_POLICIES.includes(args[index + 1])) {
+      return usageError(command, `--conflict must be one of: ${UPLOAD_CONFLICT_POLICIES.join(', ')}`);
+    }
+    uploadOptions.conflict = args[index + 1];
+    args.splice(index, 2);
+  }
+
+  // --parallel sends large uploads through the app in concurrent chunks (needs UPLOADER_APP_URL and UPLOADER_ACCESS_TOKEN)
+  if (args.includes('--parallel')) {
+    if (!['upload', 'batch', 'watch'].includes(command)) {
+      return usageError(command, '--parallel only applies to uploads, --batch and --watch');
+    }
+    if (!UPLOADER_APP_URL || !UPLOADER_ACCESS_TOKEN) {
+      return usageError(command, '--parallel needs UPLOADER_APP_URL and UPLOADER_ACCESS_TOKEN');
+    }
+    uploadOptions.parallel = true;
+    args.splice(args.indexOf('--parallel'), 1);
+  }
+
+  // File filters for directory uploads, --sync and --watch; --include and --exclude can be repeated
+  const filterOptions = {};
+  const { parseSize, parseAge, createFileFilter } = await import('./utils/fileFilters.mjs');
+  const filterFlags = {
+    '--include': (value) => { filterOptions.include = [...(filterOptions.include || []), value]; },
+    '--exclude': (value) => { filterOptions.exclude = [...(filterOptions.exclude || []), value]; },
+    '--min-size': (value) => { filterOptions.minSize = parseSize(value); },
+    '--max-size': (value) => { filterOptions.maxSize = parseSize(value); },
+    '--newer-than': (value) => { filterOptions.newerThan = parseAge(value); },
+    '--older-than': (value) => { filterOptions.olderThan = parseAge(value); },
+  };
+  for (let index = 1; index < args.length;) {
+    if (!filterFlags[args[index]]) {
+      index++;
+      continue;
+    }
+    const [name, value] = args.splice(index, 2);
+    if (value === undefined) {
+      return usageError(command, `${name} needs a value`);
+    }
+    try {
+      filterFlags[name](value);
+    } catch (error) {
+      return usageError(command, `${name}: ${error.message}`);
+    }
+  }
+  try {
+    createFileFilter(filterOptions);
+  } catch (error) {
+    return usageError(command, error.message);
+  }
+  const hasFilters = Object.keys(filterOptions).length > 0;
+  if (hasFilters && !['upload', 'sync', 'watch'].includes(command)) {
+    return usageError(command, 'File filters only apply to directory uploads, --sync and --watch');
+  }
+
   // Handle list command
   if (args[0] === '--list') {
     const bucketName = args[1] || DEFAULT_BUCKET;
     const folderPath = args[2] || '';
-    await listFiles(bucketName, folderPath);
+    try {
+      const files = await listFiles(bucketName, folderPath, 1000, { rethrow: true });
+      return finish({
+        ...resultReport(command, { status: 'completed' }),
+        bucket: bucketName,
+        folder: folderPath,
+        count: files.length,
+        files: files.map(file => listEntry(file, folderPath)),
+      });
+    } catch (error) {
+      return finish(failureReport(command, error, { bucket: bucketName, folder: folderPath }));
+    }
+  }
+
+  // Handle audit log verification
+  if (args[0] === '--verify-audit') {
+    const valid = await verifyAuditLog(args[1] || null);
+    return finish(resultReport(command, { status: valid ? 'completed' : 'failed' }));
+  }
+
+  // Handle expired trash purge
+  if (args[0] === '--purge-trash') {
+    const bucketName = args[1] || DEFAULT_BUCKET;
+    const ok = await purgeExpiredTrash(bucketName);
+    return finish(resultReport(command, { status: ok ? 'completed' : 'failed', bucket: bucketName }));
+  }
+
+  // Handle transfer command
+  if (args[0] === '--transfer') {
+    const endpoints = args.slice(1).filter((arg, index, all) => !arg.startsWith('--') && !['--conflict', '--verify'].includes(all[index - 1]));
+    if (endpoints.length !== 2) {
+      return usageError(command, 'Source and target required, e.g. --transfer files:docs archive:docs');
+    }
+    const optionValue = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+    const result = await transferObjects(parseTransferEndpoint(endpoints[0]), parseTransferEndpoint(endpoints[1]), {
+      toProject: args.includes('--to-project'),
+      conflict: optionValue('--conflict', 'fail'),
+      verify: optionValue('--verify', 'size'),
+      deleteSource: args.includes('--delete-source'),
+    });
+    return finish(resultReport(command, result));
+  }
+
+  // Handle sync command
+  if (args[0] === '--sync') {
+    const valueOptions = ['--direction', '--state'];
+    const positional = args.slice(1).filter((arg, index, all) => !arg.startsWith('--') && !valueOptions.includes(all[index - 1]));
+    if (positional.length !== 2) {
+      return usageError(command, 'Local directory and bucket required, e.g. --sync ./backups files:backups');
+    }
+    const optionValue = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+    const result = await syncDirectory(positional[0], parseTransferEndpoint(positional[1]), {
+      direction: optionValue('--direction', 'up'),
+      deleteExtraneous: args.includes('--delete'),
+      checksum: args.includes('--checksum'),
+      dryRun: args.includes('--dry-run'),
+      statePath: optionValue('--state', null),
+      ...filterOptions,
+    });
+    return finish(resultReport(command, result));
+  }
+
+  // Handle watch command
+  if (args[0] === '--watch') {
+    const valueOptions = ['--move-to', '--settle', '--interval', '--journal'];
+    const positional = args.slice(1).filter((arg, index, all) => !arg.startsWith('--') && !valueOptions.includes(all[index - 1]));
+    if (!positional[0]) {
+      return usageError(command, 'Directory required, e.g. --watch ./outbox');
+    }
+    const optionValue = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+    const settleSeconds = Number(optionValue('--settle', 2));
+    const intervalSeconds = Number(optionValue('--interval', 10));
+    for (const [name, value] of [['--settle', settleSeconds], ['--interval', intervalSeconds]]) {
+      if (!Number.isFinite(value) || value <= 0) {
+        return usageError(command, `${name} must be a positive number of seconds`);
+      }
+    }
+    const moveTo = optionValue('--move-to', null);
+    if (moveTo && args.includes('--delete-after')) {
+      return usageError(command, 'Use either --move-to or --delete-after');
+    }
+    try {
+      await watchDirectory(positional[0], positional[1] || DEFAULT_BUCKET, positional[2] || '', {
+        after: moveTo ? 'move' : args.includes('--delete-after') ? 'delete' : 'keep',
+        moveTo,
+        settleSeconds,
+        intervalSeconds,
+        journalPath: optionValue('--journal', null),
+        ...uploadOptions,
+        ...filterOptions,
+      });
+    } catch (error) {
+      console.error(`❌ Watch failed: ${error.message}`);
+      return finish(failureReport(command, error, { dir: positional[0] }));
+    }
     return;
   }
 
   // Handle delete command
   if (args[0] === '--delete') {
     if (!args[1]) {
-      console.error('❌ Error: Storage path required for delete');
-      process.exit(1);
+      return usageError(command, 'Storage path required for delete');
     }
     const storagePath = args[1];
     const bucketName = args[2] || DEFAULT_BUCKET;
-    await deleteFile(storagePath, bucketName);
-    return;
+    let result;
+    try {
+      await deleteFile(storagePath, bucketName, { rethrow: true });
+      result = { success: true };
+    } catch (error) {
+      result = { success: false, error: error.message, code: errorCode(error) };
+    }
+    return finish(commandReport(command, [resultEntry({ path: storagePath, bucket: bucketName, ...result }, 'deleted')], { bucket: bucketName }));
   }
 
   // Handle batch upload
   if (args[0] === '--batch') {
     if (args.length < 2) {
-      console.error('❌ Error: At least one file path required for batch upload');
-      process.exit(1);
+      return usageError(command, 'At least one file path required for batch upload');
     }
     
     // Find where bucket name starts (first arg that doesn't look like a file path)
@@ -927,15 +1628,14 @@ async function main() {
     const filePaths = args.slice(1, bucketIndex);
     const bucketName = bucketIndex < args.length ? args[bucketIndex] : DEFAULT_BUCKET;
     
-    await uploadMultipleFiles(filePaths, bucketName, basePath);
-    return;
+    const results = await uploadMultipleFiles(filePaths, bucketName, basePath, uploadOptions);
+    return finish(commandReport(command, results.map(uploadEntry(bucketName)), { bucket: bucketName }));
   }
 
   // Handle batch download
   if (args[0] === '--download-batch') {
     if (args.length < 2) {
-      console.error('❌ Error: At least one storage path required for batch download');
-      process.exit(1);
+      return usageError(command, 'At least one storage path required for batch download');
     }
     
     // Similar logic to batch upload
@@ -954,15 +1654,14 @@ async function main() {
     const storagePaths = args.slice(1, bucketIndex);
     const bucketName = bucketIndex < args.length ? args[bucketIndex] : DEFAULT_BUCKET;
     
-    await downloadMultipleFiles(storagePaths, bucketName, localDir);
-    return;
+    const results = await downloadMultipleFiles(storagePaths, bucketName, localDir);
+    return finish(commandReport(command, results.map(downloadEntry(bucketName)), { bucket: bucketName }));
   }
 
   // Handle single download
   if (args[0] === '--download') {
     if (!args[1]) {
-      console.error('❌ Error: Storage path required for download');
-      process.exit(1);
+      return usageError(command, 'Storage path required for download');
     }
     const storagePath = args[1];
     
@@ -982,8 +1681,8 @@ async function main() {
       }
     }
     
-    await downloadFile(storagePath, bucketName, localPath);
-    return;
+    const result = await downloadFile(storagePath, bucketName, localPath);
+    return finish(commandReport(command, [downloadEntry(bucketName)({ storagePath, ...result })], { bucket: bucketName }));
   }
 
   // Handle single upload
@@ -991,21 +1690,25 @@ async function main() {
   const bucketName = args[1] || DEFAULT_BUCKET;
   const storagePath = args[2] || null;
 
-  // Check if it's a directory
-  const stat = fs.statSync(filePath);
-  if (stat.isDirectory()) {
+  // Check if it's a directory (a missing path is reported by uploadFile)
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
     console.log(`📁 Uploading directory: ${filePath}`);
-    await uploadDirectory(filePath, bucketName, storagePath, true);
-  } else {
-    await uploadFile(filePath, bucketName, storagePath);
+    const results = await uploadDirectory(filePath, bucketName, storagePath, true, { ...uploadOptions, ...filterOptions });
+    return finish(commandReport(command, results.map(uploadEntry(bucketName)), { bucket: bucketName }));
+  }
+  if (hasFilters) {
+    return usageError(command, 'File filters only apply to directory uploads, --sync and --watch');
   }
+  const result = await uploadFile(filePath, bucketName, storagePath, true, uploadOptions);
+  return finish(commandReport(command, [uploadEntry(bucketName)({ filePath, ...result })], { bucket: bucketName }));
 }
 
 // Run if executed directly
 if (require.main === module) {
-  main().catch(error => {
+  main().catch(async (error) => {
     console.error('❌ Fatal error:', error);
-    process.exit(1);
+    const { failureReport } = await import('./utils/cliOutput.mjs');
+    finish(failureReport(null, error));
   });
 }
 
@@ -1018,6 +1721,11 @@ module.exports = {
   downloadMultipleFiles,
   listFiles,
   deleteFile,
+  purgeExpiredTrash,
+  transferObjects,
+  syncDirectory,
+  watchDirectory,
+  verifyAuditLog,
   retryWithBackoff,
   interactiveMode,
   logInfo,
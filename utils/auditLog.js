@@ -1,33 +1,111 @@
-import fs from 'fs';
 import path from 'path';
-import crypto from 'crypto';
+import { createAuditStore, FileAuditStore } from './auditStore.mjs';
+import { httpError } from './errors.mjs';
 
 const filePath = () => path.join(process.cwd(), process.env.AUDIT_LOG_FILE || 'audit-events.log');
-const hash = (payload, prev = '') => crypto.createHash('sha256').update(`${prev}:${JSON.stringify(payload)}`).digest('hex');
 
-function lastHash(p) {
-  if (!fs.existsSync(p)) return '';
-  const lines = fs.readFileSync(p, 'utf8').trim().split('\n').filter(Boolean);
-  if (!lines.length) return '';
-  try { return JSON.parse(lines[lines.length - 1]).hash || ''; } catch { return ''; }
+const MAX_PAGE_SIZE = 1000;
+
+export const AUDIT_CSV_COLUMNS = ['seq', 'timestamp', 'requestId', 'actorUserId', 'actorEmail', 'actorRole', 'method', 'endpoint', 'action', 'resource', 'bucket', 'path', 'bytes', 'status', 'httpStatus', 'error', 'previousHash', 'hash'];
+
+// One store per configuration; tests and the CLI switch AUDIT_LOG_FILE at runtime
+let store = null;
+let storeKey = null;
+function getStore() {
+  const key = `${process.env.AUDIT_LOG_STORE || 'file'}:${filePath()}`;
+  if (storeKey !== key) { store = createAuditStore(process.env.AUDIT_LOG_STORE, { file: filePath() }); storeKey = key; }
+  return store;
+}
+
+function parseTime(value, name) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw httpError(`${name} must be an ISO 8601 date or timestamp`, 400);
+  return time;
 }
 
-export function appendAuditEvent(event) {
-  const p = filePath();
-  const payload = { timestamp: new Date().toISOString(), ...event };
-  const previousHash = lastHash(p);
-  const record = { ...payload, previousHash, hash: hash(payload, previousHash) };
-  fs.appendFileSync(p, `${JSON.stringify(record)}\n`);
-  return record;
+const encodeCursor = (seq) => Buffer.from(String(seq)).toString('base64url');
+function decodeCursor(cursor) {
+  const seq = Number(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  if (!Number.isInteger(seq) || seq < 1) throw httpError('Invalid cursor', 400);
+  return seq;
+}
+
+const text = (value) => (value ? String(value) : null);
+const scanFilters = (filters) => ({
+  actorUserId: text(filters.actorUserId),
+  action: text(filters.action),
+  method: text(filters.method),
+  from: parseTime(filters.from, 'from'),
+  to: parseTime(filters.to, 'to'),
+});
+
+/**
+ * Append an event to the chain
+ * @param {object} event - Event fields (a `timestamp` is added unless given)
+ * @returns {Promise<object>} The stored record with its `seq`
+ */
+export async function appendAuditEvent(event) {
+  return getStore().append({ timestamp: new Date().toISOString(), ...event });
 }
 
 export function buildAuditEventFromRequest(req, partial = {}) {
-  return { actorUserId: req.user?.id || null, actorEmail: req.user?.email || null, actorRole: req.userRole || null, method: req.method, endpoint: req.url, ...partial };
+  return { actorUserId: req.user?.id || null, actorEmail: req.user?.email || null, actorRole: req.userRole || null, method: req.method, endpoint: req.url, requestId: req.requestId || null, ...partial };
 }
 
-export function queryAuditEvents(filters = {}) {
-  const p = filePath();
-  if (!fs.existsSync(p)) return [];
-  const rows = fs.readFileSync(p, 'utf8').split('\n').filter(Boolean).map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
-  return rows.filter(r => (!filters.actorUserId || r.actorUserId === filters.actorUserId) && (!filters.action || r.action === filters.action) && (!filters.method || r.method === filters.method)).slice(-(Number(filters.limit) || 100));
+/**
+ * Matching audit events in chronological order
+ * `from` is inclusive and `to` exclusive; both accept ISO dates or timestamps.
+ * @param {object} filters - { actorUserId, action, method, from, to }
+ * @returns {Promise<object[]>} Records with their `seq`
+ */
+export async function listAuditEvents(filters = {}) {
+  return getStore().scan({ ...scanFilters(filters), order: 'asc' });
+}
+
+/**
+ * One page of audit events, newest first
+ * @param {object} filters - listAuditEvents filters plus `limit` (max 1000) and `cursor` (from a previous page)
+ * @returns {Promise<{events: object[], nextCursor: string|null}>}
+ */
+export async function queryAuditEvents(filters = {}) {
+  const limit = Math.min(Math.max(Number(filters.limit) || 100, 1), MAX_PAGE_SIZE);
+  const before = filters.cursor ? decodeCursor(filters.cursor) : null;
+  const matching = await getStore().scan({ ...scanFilters(filters), before, order: 'desc', limit: limit + 1 });
+  const events = matching.slice(0, limit);
+  return { events, nextCursor: matching.length > limit ? encodeCursor(events[events.length - 1].seq) : null };
+}
+
+/**
+ * Walk the hash chain, across rotated segments, and report the first broken link
+ * A link is broken when a record is not JSON, when its previousHash does not match the
+ * previous record's hash (records removed, inserted or reordered), or when its hash does
+ * not match its contents (record edited). A rotated segment that was deleted is reported as
+ * `missing_segment`. Truncating the newest records is only detectable against a lastHash
+ * recorded elsewhere.
+ * @param {object} options - { file } to verify a file log other than the configured store
+ * @returns {Promise<{valid: boolean, checked: number, lastHash: string, brokenLink: object|null}>}
+ */
+export async function verifyAuditChain({ file } = {}) {
+  return (file ? new FileAuditStore(file) : getStore()).verify();
+}
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize audit events for export
+ * @param {object[]} events - Records from listAuditEvents
+ * @param {'csv'|'ndjson'} format - Export format
+ * @returns {string}
+ */
+export function formatAuditExport(events, format) {
+  if (format === 'ndjson') return events.map(e => `${JSON.stringify(e)}\n`).join('');
+  if (format === 'csv') return [AUDIT_CSV_COLUMNS.join(','), ...events.map(e => AUDIT_CSV_COLUMNS.map(c => csvCell(e[c])).join(','))].join('\r\n') + '\r\n';
+  throw httpError('format must be csv or ndjson', 400);
 }
@@ -0,0 +1,122 @@
+/**
+ * Audit middleware for API routes
+ * Records one hash-chained audit event per mutating or sensitive request once
+ * the response has been sent, including requests rejected by withAuth
+ */
+import crypto from 'crypto';
+import { appendAuditEvent, buildAuditEventFromRequest } from './auditLog.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Get the request id, reusing a well-formed X-Request-Id from the client or proxy
+ *
+ * @param {object} req - Next.js API request
+ * @returns {string}
+ */
+export function getRequestId(req) {
+  if (!req.requestId) {
+    const incoming = req.headers?.['x-request-id'];
+    req.requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  }
+  return req.requestId;
+}
+
+/**
+ * Add details to the audit event of the current request
+ * Handlers call this with resolved values (default bucket, sanitized paths, counts)
+ * so the event records what was actually touched rather than the raw input.
+ *
+ * @param {object} req - Next.js API request
+ * @param {object} fields - Fields to merge into the event
+ */
+export function setAuditContext(req, fields) {
+  req.audit = { ...(req.audit || {}), ...fields };
+}
+
+/**
+ * Map an HTTP status to an audit outcome
+ *
+ * @param {number} statusCode - Response status
+ * @returns {'success'|'denied'|'error'}
+ */
+export function auditOutcome(statusCode) {
+  if (statusCode < 400) return 'success';
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return 'error';
+}
+
+// Bucket and path from the request, used until the handler provides resolved values
+function requestTarget(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const source = { ...req.query, ...body };
+  const target = {};
+  if (typeof source.bucket === 'string') target.bucket = source.bucket;
+  const targetPath = source.path || source.sourcePath || source.oldPath || source.objectKey;
+  if (typeof targetPath === 'string') target.path = targetPath;
+  return target;
+}
+
+/**
+ * Higher-order function that audits an API handler
+ * Wrap it around withAuth so rejected requests are recorded too.
+ *
+ * @param {function} handler - The API route handler (usually already wrapped with withAuth)
+ * @param {object} options - Options
+ * @param {string|object} options.action - Action name, or a map of method -> action name
+ * @param {string} options.resource - Resource type (storage_object, user_settings, ...)
+ * @param {string[]} options.methods - Methods to audit (default: everything except GET/HEAD/OPTIONS)
+ * @returns {function} Wrapped handler
+ *
+ * @example
+ * export default withAudit(withAuth(handler), { action: 'move_file', resource: 'storage_object' });
+ *
+ * // Sensitive reads are audited by listing their methods
+ * export default withAudit(withAuth(handler), { action: 'issue_signed_url', resource: 'storage_object', methods: ['GET'] });
+ */
+export function withAudit(handler, options = {}) {
+  const { action, resource = null, methods = null } = options;
+
+  return async (req, res) => {
+    const method = req.method?.toUpperCase();
+    res.setHeader('X-Request-Id', getRequestId(req));
+
+    const audited = methods ? methods.includes(method) : !SAFE_METHODS.includes(method);
+    const actionName = typeof action === 'object' && action !== null ? action[method] : action;
+    if (!audited || !actionName) {
+      return handler(req, res);
+    }
+
+    // Capture the error message of failed responses
+    let errorMessage = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && body.success === false) errorMessage = body.error || null;
+      return json(body);
+    };
+
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+
+      const finished = res.writableFinished !== false;
+      appendAuditEvent(buildAuditEventFromRequest(req, {
+        action: actionName,
+        resource,
+        ...requestTarget(req),
+        httpStatus: res.statusCode,
+        status: finished ? auditOutcome(res.statusCode) : 'aborted',
+        ...(errorMessage ? { error: errorMessage } : {}),
+        ...req.audit,
+      })).catch((error) => {
+        console.error('[Audit] Failed to record audit event:', error.message);
+      });
+    };
+
+    res.once('finish', record);
+    res.once('close', record);
+    return handler(req, res);
+  };
+}
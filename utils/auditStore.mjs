@@ -0,0 +1,503 @@
+/**
+ * Audit Log Stores
+ * Append-only, hash-chained storage for audit events
+ *
+ * Every record carries the hash of the record before it, so the chain can be
+ * verified end-to-end. Records are numbered by `seq`, their 1-based position
+ * in the chain. Two backends are available, selected with AUDIT_LOG_STORE:
+ * - file (default): AUDIT_LOG_FILE, rotated into numbered segments by size and
+ *   age, with an index of the segments so queries only read the ones they need
+ * - postgres: the audit_events table in the auth Supabase project
+ *   (see database/audit_events.sql)
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getAuthClientServer } from './authSupabaseClient.mjs';
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_AGE_HOURS = 24;
+const PAGE_SIZE = 1000;
+const MAX_APPEND_ATTEMPTS = 5;
+
+export const hashRecord = (payload, prev = '') => crypto.createHash('sha256').update(`${prev}:${JSON.stringify(payload)}`).digest('hex');
+
+const defaultFile = () => path.join(process.cwd(), process.env.AUDIT_LOG_FILE || 'audit-events.log');
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function createRecord(payload, previousHash) {
+  const record = { ...payload, previousHash, hash: hashRecord(payload, previousHash) };
+  return { record, line: JSON.stringify(record) };
+}
+
+/**
+ * Check one serialized record against the chain
+ * @param {string} line - Serialized record
+ * @param {number} seq - Its position in the chain
+ * @param {string} previousHash - Hash of the record before it
+ * @returns {{hash: string}|{brokenLink: object}}
+ */
+export function checkChainLink(line, seq, previousHash) {
+  let record;
+  try { record = JSON.parse(line); } catch { return { brokenLink: { seq, reason: 'unparseable', message: `Record ${seq} is not valid JSON` } }; }
+
+  const { previousHash: recordedPrevious, hash: recordedHash, ...payload } = record;
+  if (recordedPrevious !== previousHash) {
+    return { brokenLink: { seq, reason: 'previous_hash_mismatch', message: `Record ${seq} does not follow record ${seq - 1}`, timestamp: record.timestamp, expected: previousHash, actual: recordedPrevious ?? null } };
+  }
+  const computed = hashRecord(payload, recordedPrevious);
+  if (computed !== recordedHash) {
+    return { brokenLink: { seq, reason: 'hash_mismatch', message: `Record ${seq} was modified after it was written`, timestamp: record.timestamp, expected: computed, actual: recordedHash ?? null } };
+  }
+  return { hash: recordedHash };
+}
+
+/**
+ * Check a record against scan filters
+ * @param {object} record - Audit record
+ * @param {object} filters - { actorUserId, action, method, from, to } with from/to in epoch ms
+ * @returns {boolean}
+ */
+export function matchesAuditFilters(record, filters) {
+  if (filters.actorUserId && record.actorUserId !== filters.actorUserId) return false;
+  if (filters.action && record.action !== filters.action) return false;
+  if (filters.method && record.method !== filters.method) return false;
+  const time = Date.parse(record.timestamp);
+  if (filters.from != null && !(time >= filters.from)) return false;
+  if (filters.to != null && !(time < filters.to)) return false;
+  return true;
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+}
+
+function writeJsonAtomic(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempPath = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+  fs.renameSync(tempPath, file);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// What the index knows about a run of records: enough to skip it in queries and to continue the chain
+function summarize(lines, firstSeq, previousHash) {
+  const summary = { firstSeq, lastSeq: firstSeq + lines.length - 1, count: lines.length, firstPreviousHash: previousHash, lastHash: previousHash, minTimestamp: null, maxTimestamp: null, actions: [], actorUserIds: [] };
+  lines.forEach(line => { try { addToSummary(summary, JSON.parse(line)); } catch { /* counted, but not indexed */ } });
+  return summary;
+}
+
+function addToSummary(summary, record) {
+  const time = Date.parse(record.timestamp);
+  if (!Number.isNaN(time)) {
+    summary.minTimestamp = summary.minTimestamp === null ? time : Math.min(summary.minTimestamp, time);
+    summary.maxTimestamp = summary.maxTimestamp === null ? time : Math.max(summary.maxTimestamp, time);
+  }
+  if (record.action && !summary.actions.includes(record.action)) summary.actions.push(record.action);
+  if (record.actorUserId && !summary.actorUserIds.includes(record.actorUserId)) summary.actorUserIds.push(record.actorUserId);
+  if (record.hash) summary.lastHash = record.hash;
+}
+
+// Whether a segment can hold records matching the filters
+function segmentMayMatch(segment, filters) {
+  if (!segment.count) return false;
+  if (filters.before != null && segment.firstSeq >= filters.before) return false;
+  if (filters.from != null && segment.maxTimestamp !== null && segment.maxTimestamp < filters.from) return false;
+  if (filters.to != null && segment.minTimestamp !== null && segment.minTimestamp >= filters.to) return false;
+  if (filters.action && !segment.actions.includes(filters.action)) return false;
+  if (filters.actorUserId && !segment.actorUserIds.includes(filters.actorUserId)) return false;
+  return true;
+}
+
+/**
+ * File audit store with rotation
+ * Appends go to the active file. Once it reaches maxBytes, or has been open for
+ * maxAgeMs, it is renamed to a numbered segment (audit-events.000001.log, ...)
+ * and its summary (seq range, time range, actions, actors, last hash) is added
+ * to the index (audit-events.log.index.json). The next record continues the
+ * chain from the segment's last hash, so appends never re-read old segments.
+ * Assumes a single writing process, like the other file stores.
+ */
+export class FileAuditStore {
+  /**
+   * @param {string} file - Active log file
+   * @param {object} options - Rotation options
+   * @param {number} options.maxBytes - Rotate once the active file reaches this size (0 disables)
+   * @param {number} options.maxAgeMs - Rotate once the active file is this old (0 disables)
+   */
+  constructor(file = defaultFile(), {
+    maxBytes = envNumber('AUDIT_LOG_MAX_BYTES', DEFAULT_MAX_BYTES),
+    maxAgeMs = envNumber('AUDIT_LOG_MAX_AGE_HOURS', DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000,
+  } = {}) {
+    const { dir, name, ext } = path.parse(file);
+    this.file = file;
+    this.dir = dir;
+    this.indexPath = `${file}.index.json`;
+    this.segmentName = (number) => `${name}.${String(number).padStart(6, '0')}${ext}`;
+    this.segmentPattern = new RegExp(`^${escapeRegExp(name)}\\.(\\d{6,})${escapeRegExp(ext)}$`);
+    this.maxBytes = maxBytes;
+    this.maxAgeMs = maxAgeMs;
+    this.index = null;
+    this.active = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.file) || this.loadIndex().segments.length > 0;
+  }
+
+  loadIndex() {
+    if (this.index) return this.index;
+
+    let index = null;
+    try {
+      index = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('Rebuilding unreadable audit index:', error.message);
+    }
+
+    // Segments on disk that the index does not list (lost index, crash during rotation)
+    const onDisk = this.segmentFiles();
+    const listed = new Set((index?.segments || []).map(segment => segment.file));
+    if (!index || onDisk.some(file => !listed.has(file))) {
+      index = this.rebuildIndex(onDisk, index?.activeSince ?? null);
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  segmentFiles() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => this.segmentPattern.test(file))
+      .sort((a, b) => Number(a.match(this.segmentPattern)[1]) - Number(b.match(this.segmentPattern)[1]));
+  }
+
+  /**
+   * Rebuild the index by reading every segment
+   * @param {string[]} files - Segment files in chain order
+   * @param {number|null} activeSince - When the active file was started
+   * @returns {object} Index
+   */
+  rebuildIndex(files = this.segmentFiles(), activeSince = null) {
+    const segments = [];
+    let firstSeq = 1;
+    let previousHash = '';
+
+    for (const file of files) {
+      const filePath = path.join(this.dir, file);
+      const lines = readLines(filePath);
+      const summary = summarize(lines, firstSeq, previousHash);
+      segments.push({ file, number: Number(file.match(this.segmentPattern)[1]), ...summary, bytes: fs.statSync(filePath).size, closedAt: null });
+      firstSeq = summary.lastSeq + 1;
+      previousHash = summary.lastHash;
+    }
+
+    const index = { version: 1, activeSince, segments };
+    if (segments.length) writeJsonAtomic(this.indexPath, index);
+    return index;
+  }
+
+  // Summary of the active file, re-read only when it changed on disk behind our back
+  activeState() {
+    const { segments } = this.loadIndex();
+    const last = segments[segments.length - 1];
+    const firstSeq = last ? last.lastSeq + 1 : 1;
+    const previousHash = last ? last.lastHash : '';
+
+    let stat = null;
+    try { stat = fs.statSync(this.file); } catch { /* no active file yet */ }
+
+    const cached = this.active;
+    if (cached && cached.summary.firstSeq === firstSeq && cached.size === (stat?.size ?? 0) && cached.mtimeMs === (stat?.mtimeMs ?? 0)) {
+      return cached;
+    }
+
+    const lines = stat ? readLines(this.file) : [];
+    this.active = { size: stat?.size ?? 0, mtimeMs: stat?.mtimeMs ?? 0, summary: summarize(lines, firstSeq, previousHash) };
+    return this.active;
+  }
+
+  shouldRotate(active, now = Date.now()) {
+    if (!active.summary.count) return false;
+    if (this.maxBytes > 0 && active.size >= this.maxBytes) return true;
+    const since = this.loadIndex().activeSince;
+    return this.maxAgeMs > 0 && since !== null && now - since >= this.maxAgeMs;
+  }
+
+  /**
+   * Close the active file as a new segment
+   * @returns {object|null} The segment, or null when the active file is empty
+   */
+  rotate() {
+    const active = this.activeState();
+    if (!active.summary.count) return null;
+
+    const index = this.loadIndex();
+    const last = index.segments[index.segments.length - 1];
+    const number = last ? last.number + 1 : 1;
+    const file = this.segmentName(number);
+
+    fs.renameSync(this.file, path.join(this.dir, file));
+    const segment = { file, number, ...active.summary, bytes: active.size, closedAt: new Date().toISOString() };
+    index.segments.push(segment);
+    index.activeSince = null;
+    writeJsonAtomic(this.indexPath, index);
+    this.active = null;
+    return segment;
+  }
+
+  async append(payload) {
+    let active = this.activeState();
+    if (this.shouldRotate(active)) {
+      this.rotate();
+      active = this.activeState();
+    }
+
+    const { summary } = active;
+    const seq = summary.lastSeq + 1;
+    const { record, line } = createRecord(payload, summary.lastHash);
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.file, `${line}\n`);
+
+    const index = this.loadIndex();
+    if (!summary.count || index.activeSince === null) {
+      index.activeSince = Date.now();
+      writeJsonAtomic(this.indexPath, index);
+    }
+
+    const stat = fs.statSync(this.file);
+    summary.lastSeq = seq;
+    summary.count += 1;
+    addToSummary(summary, record);
+    active.size = stat.size;
+    active.mtimeMs = stat.mtimeMs;
+    return { seq, ...record };
+  }
+
+  sources() {
+    const segments = this.loadIndex().segments.map(segment => ({ ...segment, path: path.join(this.dir, segment.file) }));
+    return [...segments, { ...this.activeState().summary, file: path.basename(this.file), path: this.file }];
+  }
+
+  /**
+   * Matching records, reading only the segments the index says can match
+   * @param {object} filters - { actorUserId, action, method, from, to, before, order: 'asc'|'desc', limit }
+   * @returns {Promise<object[]>} Records with their `seq`
+   */
+  async scan(filters = {}) {
+    const descending = filters.order === 'desc';
+    const sources = this.sources().filter(source => segmentMayMatch(source, filters));
+    if (descending) sources.reverse();
+
+    const results = [];
+    for (const source of sources) {
+      const rows = readLines(source.path)
+        .map((line, i) => { try { return { seq: source.firstSeq + i, ...JSON.parse(line) }; } catch { return null; } })
+        .filter(row => row && (filters.before == null || row.seq < filters.before) && matchesAuditFilters(row, filters));
+      if (descending) rows.reverse();
+      results.push(...rows);
+      if (filters.limit && results.length >= filters.limit) return results.slice(0, filters.limit);
+    }
+    return results;
+  }
+
+  /**
+   * Walk the chain across every segment and the active file
+   * @returns {Promise<{valid: boolean, checked: number, lastHash: string, segments: number, brokenLink: object|null}>}
+   */
+  async verify() {
+    const sources = this.sources();
+    const segments = sources.length - 1;
+    let previousHash = '';
+    let seq = 0;
+
+    for (const source of sources) {
+      const isActive = source.path === this.file;
+      if (!isActive && !fs.existsSync(source.path)) {
+        return { valid: false, checked: seq, lastHash: previousHash, segments, brokenLink: { seq: seq + 1, reason: 'missing_segment', message: `Segment ${source.file} is missing`, segment: source.file } };
+      }
+
+      for (const line of readLines(source.path)) {
+        seq += 1;
+        const link = checkChainLink(line, seq, previousHash);
+        if (link.brokenLink) {
+          return { valid: false, checked: seq - 1, lastHash: previousHash, segments, brokenLink: { ...link.brokenLink, segment: source.file } };
+        }
+        previousHash = link.hash;
+      }
+    }
+
+    return { valid: true, checked: seq, lastHash: previousHash, segments, brokenLink: null };
+  }
+}
+
+const toRow = (seq, record, line) => {
+  const time = Date.parse(record.timestamp);
+  return {
+    seq,
+    timestamp: Number.isNaN(time) ? null : new Date(time).toISOString(),
+    actor_user_id: record.actorUserId || null,
+    action: record.action || null,
+    method: record.method || null,
+    record: line,
+    previous_hash: record.previousHash,
+    hash: record.hash,
+  };
+};
+
+const fromRow = (row) => ({ seq: Number(row.seq), ...JSON.parse(row.record) });
+
+/**
+ * Postgres audit store backed by the audit_events table
+ * The exact serialized record is stored so hashes can be recomputed; seq is the
+ * primary key, so concurrent writers cannot fork the chain: the loser of a race
+ * re-reads the tail and retries.
+ */
+export class PostgresAuditStore {
+  constructor(client = null) {
+    this.client = client;
+    this.tail = null;
+    this.appendQueue = Promise.resolve();
+  }
+
+  exists() {
+    return true;
+  }
+
+  getClient() {
+    if (!this.client) this.client = getAuthClientServer();
+    return this.client;
+  }
+
+  async fetchTail() {
+    const { data, error } = await this.getClient()
+      .from('audit_events')
+      .select('seq, hash')
+      .order('seq', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? { seq: Number(data.seq), hash: data.hash } : { seq: 0, hash: '' };
+  }
+
+  append(payload) {
+    const next = this.appendQueue.then(() => this.insert(payload));
+    this.appendQueue = next.catch(() => {});
+    return next;
+  }
+
+  async insert(payload) {
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const tail = this.tail || await this.fetchTail();
+      const seq = tail.seq + 1;
+      const { record, line } = createRecord(payload, tail.hash);
+
+      const { error } = await this.getClient()
+        .from('audit_events')
+        .insert(toRow(seq, record, line));
+
+      if (!error) {
+        this.tail = { seq, hash: record.hash };
+        return { seq, ...record };
+      }
+
+      this.tail = null;
+      if (error.code !== '23505') throw error;
+    }
+
+    throw new Error('Failed to append audit event: the chain kept moving (too many concurrent writers)');
+  }
+
+  /**
+   * Matching records, paged from the database in seq order
+   * @param {object} filters - { actorUserId, action, method, from, to, before, order: 'asc'|'desc', limit }
+   * @returns {Promise<object[]>} Records with their `seq`
+   */
+  async scan(filters = {}) {
+    const ascending = filters.order !== 'desc';
+    const results = [];
+    let last = null;
+
+    while (true) {
+      const pageSize = filters.limit ? Math.min(PAGE_SIZE, filters.limit - results.length) : PAGE_SIZE;
+      let query = this.getClient().from('audit_events').select('seq, record');
+      if (filters.actorUserId) query = query.eq('actor_user_id', filters.actorUserId);
+      if (filters.action) query = query.eq('action', filters.action);
+      if (filters.method) query = query.eq('method', filters.method);
+      if (filters.from != null) query = query.gte('timestamp', new Date(filters.from).toISOString());
+      if (filters.to != null) query = query.lt('timestamp', new Date(filters.to).toISOString());
+      if (filters.before != null) query = query.lt('seq', filters.before);
+      if (last !== null) query = ascending ? query.gt('seq', last) : query.lt('seq', last);
+
+      const { data, error } = await query.order('seq', { ascending }).limit(pageSize);
+      if (error) throw error;
+
+      results.push(...(data || []).map(fromRow));
+      if ((data || []).length < pageSize || (filters.limit && results.length >= filters.limit)) return results;
+      last = Number(data[data.length - 1].seq);
+    }
+  }
+
+  /**
+   * Walk the chain in seq order, one page at a time
+   * @returns {Promise<{valid: boolean, checked: number, lastHash: string, brokenLink: object|null}>}
+   */
+  async verify() {
+    let previousHash = '';
+    let seq = 0;
+
+    while (true) {
+      const { data, error } = await this.getClient()
+        .from('audit_events')
+        .select('seq, record')
+        .gt('seq', seq)
+        .order('seq', { ascending: true })
+        .limit(PAGE_SIZE);
+
+      if (error) throw error;
+
+      for (const row of data || []) {
+        const rowSeq = Number(row.seq);
+        if (rowSeq !== seq + 1) {
+          return { valid: false, checked: seq, lastHash: previousHash, brokenLink: { seq: seq + 1, reason: 'missing_record', message: `Records ${seq + 1} to ${rowSeq - 1} are missing` } };
+        }
+        const link = checkChainLink(row.record, rowSeq, previousHash);
+        if (link.brokenLink) return { valid: false, checked: seq, lastHash: previousHash, brokenLink: link.brokenLink };
+        previousHash = link.hash;
+        seq = rowSeq;
+      }
+
+      if ((data || []).length < PAGE_SIZE) return { valid: true, checked: seq, lastHash: previousHash, brokenLink: null };
+    }
+  }
+}
+
+/**
+ * Create the audit store configured for this deployment
+ * @param {string} kind - 'file' or 'postgres' (defaults to AUDIT_LOG_STORE, then 'file')
+ * @param {object} options - Store options
+ * @param {string} options.file - Active log file for the file store (defaults to AUDIT_LOG_FILE)
+ * @returns {FileAuditStore|PostgresAuditStore}
+ */
+export function createAuditStore(kind = process.env.AUDIT_LOG_STORE, { file } = {}) {
+  const normalized = String(kind || 'file').trim().toLowerCase();
+
+  if (normalized === 'postgres') {
+    return new PostgresAuditStore();
+  }
+
+  if (normalized !== 'file') {
+    throw new Error(`Unknown AUDIT_LOG_STORE: ${kind}`);
+  }
+
+  return new FileAuditStore(file || defaultFile());
+}
@@ -3,7 +3,7 @@
  * Verifies user session before allowing access to protected endpoints
  * Includes CSRF protection for state-changing operations
  */
-import { getAuthClientServer } from './authSupabaseClient.js';
+import { getAuthClientServer } from './authSupabaseClient.mjs';
 import { sendError } from './apiHelpers.js';
 import { validateCsrfRequest, getCsrfSecret, CSRF_CONFIG } from './csrf.js';
 import { getUserRole, hasRole } from './rbac.js';
@@ -0,0 +1,189 @@
+/**
+ * Bucket Management
+ * Create, update and delete storage buckets in the user's project
+ *
+ * A bucket is only deleted when it holds no objects (trashed files and stored
+ * versions count), unless the caller asks for it to be emptied first.
+ */
+import { validateBucketName } from './security.mjs';
+import { httpError, isAlreadyExistsError, isNotFoundError } from './errors.mjs';
+
+export const MAX_ALLOWED_MIME_TYPES = 50;
+export const BUCKET_NOT_EMPTY_CODE = 'BUCKET_NOT_EMPTY';
+
+const MIME_TYPE_PATTERN = /^[\w.+-]+\/(\*|[\w.+-]+)$/;
+
+const isNotEmpty = (error) => /not empty/i.test(error?.message || '');
+
+/**
+ * Client-facing bucket fields
+ * @param {object} bucket - Bucket from listBuckets/getBucket
+ * @returns {object}
+ */
+export const toBucketSummary = (bucket) => ({
+  name: bucket.name,
+  id: bucket.id,
+  public: bucket.public,
+  fileSizeLimit: bucket.file_size_limit ?? null,
+  allowedMimeTypes: bucket.allowed_mime_types?.length ? bucket.allowed_mime_types : null,
+  createdAt: bucket.created_at,
+  updatedAt: bucket.updated_at,
+});
+
+/**
+ * Validate and normalize bucket fields from a request body
+ * fileSizeLimit is in bytes; null (or an empty value) removes the limit, as an
+ * empty allowedMimeTypes list allows every type.
+ *
+ * @param {object} input - { name, public, fileSizeLimit, allowedMimeTypes }
+ * @param {object} options - Validation options
+ * @param {boolean} options.partial - Only validate the fields that are present (updates)
+ * @returns {object} Normalized fields
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+export function validateBucketInput(input = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : input.name;
+    const bucketValidation = validateBucketName(name);
+    if (!bucketValidation.valid) throw httpError(bucketValidation.error, 400);
+    fields.name = name;
+  }
+
+  if (input.public !== undefined || !partial) {
+    if (input.public !== undefined && typeof input.public !== 'boolean') {
+      throw httpError('public must be true or false', 400);
+    }
+    fields.public = input.public ?? false;
+  }
+
+  if (input.fileSizeLimit !== undefined) {
+    if (input.fileSizeLimit === null || input.fileSizeLimit === '') {
+      fields.fileSizeLimit = null;
+    } else {
+      const limit = Number(input.fileSizeLimit);
+      if (!Number.isSafeInteger(limit) || limit <= 0) {
+        throw httpError('fileSizeLimit must be a positive number of bytes', 400);
+      }
+      fields.fileSizeLimit = limit;
+    }
+  }
+
+  if (input.allowedMimeTypes !== undefined) {
+    const types = input.allowedMimeTypes ?? [];
+    if (!Array.isArray(types)) {
+      throw httpError('allowedMimeTypes must be an array', 400);
+    }
+    const normalized = [...new Set(types.map(type => String(type).trim().toLowerCase()).filter(Boolean))];
+    const invalid = normalized.find(type => !MIME_TYPE_PATTERN.test(type));
+    if (invalid) {
+      throw httpError(`Invalid MIME type: ${invalid}`, 400);
+    }
+    if (normalized.length > MAX_ALLOWED_MIME_TYPES) {
+      throw httpError(`At most ${MAX_ALLOWED_MIME_TYPES} MIME types can be allowed`, 400);
+    }
+    fields.allowedMimeTypes = normalized.length > 0 ? normalized : null;
+  }
+
+  return fields;
+}
+
+async function getBucketOrThrow(supabase, name) {
+  const { data, error } = await supabase.storage.getBucket(name);
+  if (error) {
+    if (isNotFoundError(error)) throw httpError(`Bucket "${name}" not found`, 404);
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Check whether a bucket holds any object
+ * @param {object} supabase - Supabase client
+ * @param {string} name - Bucket name
+ * @returns {Promise<boolean>}
+ */
+export async function isBucketEmpty(supabase, name) {
+  const { data, error } = await supabase.storage.from(name).list('', { limit: 1 });
+  if (error) throw error;
+  return (data || []).length === 0;
+}
+
+/**
+ * Create a bucket
+ * @param {object} supabase - Supabase client
+ * @param {object} fields - Fields from validateBucketInput
+ * @returns {Promise<object>} The created bucket (summary)
+ * @throws {Error} With statusCode 409 when the name is taken
+ */
+export async function createBucket(supabase, fields) {
+  const { error } = await supabase.storage.createBucket(fields.name, {
+    public: fields.public,
+    fileSizeLimit: fields.fileSizeLimit ?? null,
+    allowedMimeTypes: fields.allowedMimeTypes ?? null,
+  });
+  if (error) {
+    if (isAlreadyExistsError(error)) throw httpError(`Bucket "${fields.name}" already exists`, 409);
+    throw error;
+  }
+  return toBucketSummary(await getBucketOrThrow(supabase, fields.name));
+}
+
+/**
+ * Update a bucket's visibility, file size limit or allowed MIME types
+ * Fields left out keep their current value.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} name - Bucket name
+ * @param {object} fields - Fields from validateBucketInput({ partial: true })
+ * @returns {Promise<object>} The updated bucket (summary)
+ * @throws {Error} With statusCode 404 for an unknown bucket
+ */
+export async function updateBucket(supabase, name, fields) {
+  const current = await getBucketOrThrow(supabase, name);
+  const { error } = await supabase.storage.updateBucket(name, {
+    public: fields.public ?? current.public,
+    fileSizeLimit: fields.fileSizeLimit !== undefined ? fields.fileSizeLimit : (current.file_size_limit ?? null),
+    allowedMimeTypes: fields.allowedMimeTypes !== undefined ? fields.allowedMimeTypes : (current.allowed_mime_types ?? null),
+  });
+  if (error) throw error;
+  return toBucketSummary(await getBucketOrThrow(supabase, name));
+}
+
+/**
+ * Delete a bucket
+ * @param {object} supabase - Supabase client
+ * @param {string} name - Bucket name
+ * @param {object} options - Options
+ * @param {boolean} options.empty - Remove every object first instead of refusing a non-empty bucket
+ * @returns {Promise<{name: string, emptied: boolean}>}
+ * @throws {Error} With statusCode 404 for an unknown bucket and 409 (code BUCKET_NOT_EMPTY) for one with objects
+ */
+export async function deleteBucket(supabase, name, { empty = false } = {}) {
+  await getBucketOrThrow(supabase, name);
+
+  const wasEmpty = await isBucketEmpty(supabase, name);
+  if (!wasEmpty) {
+    if (!empty) {
+      throw httpError(`Bucket "${name}" is not empty`, 409, { code: BUCKET_NOT_EMPTY_CODE });
+    }
+    const { error } = await supabase.storage.emptyBucket(name);
+    if (error) throw error;
+  }
+
+  const { error } = await supabase.storage.deleteBucket(name);
+  if (error) {
+    // Large buckets are emptied in the background by the storage API
+    if (isNotEmpty(error)) {
+      throw httpError(
+        empty ? `Bucket "${name}" is still being emptied; try again shortly` : `Bucket "${name}" is not empty`,
+        409,
+        { code: BUCKET_NOT_EMPTY_CODE }
+      );
+    }
+    throw error;
+  }
+
+  return { name, emptied: !wasEmpty };
+}
@@ -0,0 +1,158 @@
+/**
+ * CLI Output
+ * Machine-readable results for uploadToSupabase.js --json: one JSON document
+ * per command, a status and error code per file, and an exit code that tells
+ * a partial failure apart from a complete one
+ *
+ * Exit codes (also used without --json):
+ * - 0: everything succeeded or was skipped
+ * - 1: the command failed, or every file in it did
+ * - 2: some files failed and others succeeded
+ */
+
+export const EXIT_CODES = { SUCCESS: 0, FAILURE: 1, PARTIAL: 2 };
+
+const HTTP_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'TOO_LARGE',
+  429: 'RATE_LIMITED',
+};
+
+const FILE_SYSTEM_ERROR_CODES = {
+  ENOENT: 'NOT_FOUND',
+  EACCES: 'FORBIDDEN',
+  EPERM: 'FORBIDDEN',
+  EISDIR: 'BAD_REQUEST',
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Classify an error for scripts
+ * Application codes (e.g. UPLOAD_CONFLICT) are kept; system and HTTP errors are
+ * mapped onto a small set: NOT_FOUND, CONFLICT, FORBIDDEN, UNAUTHORIZED,
+ * BAD_REQUEST, TOO_LARGE, RATE_LIMITED, SERVER_ERROR, NETWORK_ERROR, IO_ERROR.
+ * @param {Error|object} error - Error from Supabase, Node or this repo's utils
+ * @returns {string} Error code (UNKNOWN when nothing identifies it)
+ */
+export function errorCode(error) {
+  if (!error) return 'UNKNOWN';
+
+  const { code } = error;
+  if (typeof code === 'string' && code) {
+    if (NETWORK_ERROR_CODES.includes(code)) return 'NETWORK_ERROR';
+    if (FILE_SYSTEM_ERROR_CODES[code]) return FILE_SYSTEM_ERROR_CODES[code];
+    if (/^E[A-Z]+$/.test(code)) return 'IO_ERROR';
+    return code;
+  }
+
+  // Storage API errors carry statusCode as a string and fetch-style errors status as a number;
+  // storage-js wraps responses it could not parse (e.g. a failed download) as originalError
+  const status = Number(error.statusCode ?? error.status ?? error.originalError?.status);
+  if (HTTP_ERROR_CODES[status]) return HTTP_ERROR_CODES[status];
+  if (status >= 500) return 'SERVER_ERROR';
+
+  const message = String(error.message || error);
+  if (/already exists/i.test(message)) return 'CONFLICT';
+  if (/not found|does not exist/i.test(message)) return 'NOT_FOUND';
+  if (/fetch failed|network|socket hang up/i.test(message)) return 'NETWORK_ERROR';
+  if (/permission|forbidden|unauthorized/i.test(message)) return 'FORBIDDEN';
+  return 'UNKNOWN';
+}
+
+/**
+ * Exit code for a command-level status
+ * @param {string} status - completed | planned | partial | failed
+ * @returns {number}
+ */
+export function statusExitCode(status) {
+  if (status === 'completed' || status === 'planned') return EXIT_CODES.SUCCESS;
+  return status === 'partial' ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Turn a CLI result ({ success, skipped, error, code, ...fields }) into a report entry
+ * @param {object} result - Result of uploadFile, downloadFile, ...
+ * @param {string} doneStatus - Status when it succeeded, e.g. 'uploaded'
+ * @returns {object} { status, ...fields, error?: { code, message } }
+ */
+export function resultEntry({ success, skipped, error, code, ...fields }, doneStatus) {
+  if (!success) {
+    return { status: 'failed', ...fields, error: { code: code || errorCode({ message: error }), message: error || 'Unknown error' } };
+  }
+  return { status: skipped ? 'skipped' : doneStatus, ...fields };
+}
+
+/**
+ * Report for a command that works file by file
+ * @param {string} command - Command name
+ * @param {Array<object>} results - Entries from resultEntry
+ * @param {object} extra - Fields describing the command (bucket, ...)
+ * @returns {object} { command, status, exitCode, ...extra, summary, results }
+ */
+export function commandReport(command, results, extra = {}) {
+  const failed = results.filter(entry => entry.status === 'failed').length;
+  const skipped = results.filter(entry => entry.status === 'skipped').length;
+  const status = failed === 0 ? 'completed' : failed === results.length ? 'failed' : 'partial';
+
+  return {
+    command,
+    status,
+    exitCode: statusExitCode(status),
+    ...extra,
+    summary: { total: results.length, succeeded: results.length - failed - skipped, skipped, failed },
+    results,
+  };
+}
+
+/**
+ * Report for a command that failed as a whole
+ * @param {string} command - Command name
+ * @param {Error|object} error - What went wrong
+ * @param {object} extra - Fields describing the command
+ * @returns {object} { command, status: 'failed', exitCode, ...extra, error: { code, message } }
+ */
+export function failureReport(command, error, extra = {}) {
+  return {
+    command,
+    status: 'failed',
+    exitCode: EXIT_CODES.FAILURE,
+    ...extra,
+    error: { code: errorCode(error), message: error?.message || String(error) },
+  };
+}
+
+/**
+ * Report entry for one item of a bucket listing
+ * @param {object} item - Item from storage list()
+ * @param {string} folderPath - Folder that was listed
+ * @returns {object} { name, path, type, size, contentType, updatedAt }
+ */
+export function listEntry(item, folderPath = '') {
+  const folder = folderPath.replace(/^\/+|\/+$/g, '');
+  const isFolder = item.id === null;
+  return {
+    name: item.name,
+    path: folder ? `${folder}/${item.name}` : item.name,
+    type: isFolder ? 'folder' : 'file',
+    size: isFolder ? null : (item.metadata?.size ?? 0),
+    contentType: isFolder ? null : item.metadata?.mimetype || null,
+    updatedAt: item.updated_at || null,
+  };
+}
+
+/**
+ * Report for a command whose util already returns a result with a status
+ * @param {string} command - Command name
+ * @param {object} result - { status, message?, code?, ...fields }; code marks a failure to run at all
+ * @returns {object} { command, status, exitCode, ...fields, error?: { code, message } }
+ */
+export function resultReport(command, { status, code, ...fields }) {
+  const report = { command, status, exitCode: statusExitCode(status), ...fields };
+  if (code) report.error = { code, message: fields.message || 'Unknown error' };
+  return report;
+}
@@ -0,0 +1,123 @@
+/**
+ * Copy Operations
+ * Copying single objects and selections into a folder, within a bucket or into
+ * another bucket of the same project. Whole folders are copied object by object
+ * with copyFolder (folderOperations.mjs), which runs as a job.
+ *
+ * Copying an object into its own folder duplicates it under a free
+ * "name (copy).ext" name instead of conflicting with itself.
+ */
+import path from 'path';
+import { listFiles, copyFile } from './storageOperations.mjs';
+import { FOLDER_CONFLICT_POLICIES } from './folderOperations.mjs';
+import { retainVersion, isVersionedBucket } from './objectVersions.mjs';
+import { httpError } from './errors.mjs';
+
+export const MAX_COPY_SELECTION = 1000;
+
+/**
+ * Free name for a duplicate
+ * @param {string} name - Original file or folder name
+ * @param {Set<string>} taken - Names already used in the folder
+ * @returns {string} "name (copy).ext", then "name (copy 2).ext", ...
+ */
+export function copyName(name, taken) {
+  const lastDotIndex = name.lastIndexOf('.');
+  const base = lastDotIndex > 0 ? name.substring(0, lastDotIndex) : name;
+  const extension = lastDotIndex > 0 ? name.substring(lastDotIndex) : '';
+
+  for (let counter = 1; ; counter++) {
+    const candidate = `${base} (copy${counter > 1 ? ` ${counter}` : ''})${extension}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+const folderOf = (objectPath) => {
+  const directory = path.posix.dirname(objectPath);
+  return directory === '.' ? '' : directory;
+};
+
+/**
+ * Copy objects into a folder
+ * Conflicts are checked against one listing of the destination folder before
+ * anything is copied:
+ * - fail: nothing is copied and a 409 error lists the conflicts (error.conflicts)
+ * - skip: conflicting objects are not copied
+ * - overwrite: the destination object is removed first, after it is kept as a
+ *   version in a bucket listed in VERSIONED_BUCKETS
+ *
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - Options
+ * @param {string} options.bucket - Source bucket name
+ * @param {string} options.destinationBucket - Destination bucket name (defaults to the source bucket)
+ * @param {string[]} options.sourcePaths - Objects to copy
+ * @param {string} options.destinationFolder - Folder to copy into ('' for the bucket root)
+ * @param {string} options.conflict - 'fail' | 'skip' | 'overwrite'
+ * @returns {Promise<{copied: Array<{sourcePath: string, destinationPath: string, versionId?: string}>, skipped: string[], failed: Array<{path: string, message: string}>}>}
+ * @throws {Error} With statusCode 400 on invalid input or 409 on conflicts with conflict 'fail'
+ */
+export async function copyObjects(supabase, {
+  bucket,
+  destinationBucket = bucket,
+  sourcePaths,
+  destinationFolder = '',
+  conflict = 'fail',
+}) {
+  if (!Array.isArray(sourcePaths) || sourcePaths.length === 0) throw httpError('No files selected', 400);
+  if (sourcePaths.length > MAX_COPY_SELECTION) {
+    throw httpError(`At most ${MAX_COPY_SELECTION} files can be copied at once`, 400);
+  }
+  if (!FOLDER_CONFLICT_POLICIES.includes(conflict)) {
+    throw httpError(`conflict must be one of: ${FOLDER_CONFLICT_POLICIES.join(', ')}`, 400);
+  }
+
+  const taken = new Set(
+    (await listFiles(supabase, destinationBucket, destinationFolder))
+      .filter(item => item.id !== null)
+      .map(item => item.name),
+  );
+
+  const plan = [];
+  const conflicts = [];
+  for (const sourcePath of [...new Set(sourcePaths)]) {
+    let name = path.posix.basename(sourcePath);
+    const duplicate = destinationBucket === bucket && folderOf(sourcePath) === destinationFolder;
+    const exists = !duplicate && taken.has(name);
+
+    if (duplicate) name = copyName(name, taken);
+    taken.add(name);
+
+    const destinationPath = destinationFolder ? `${destinationFolder}/${name}` : name;
+    if (exists) conflicts.push(destinationPath);
+    plan.push({ sourcePath, destinationPath, exists });
+  }
+
+  if (conflicts.length > 0 && conflict === 'fail') {
+    throw httpError(`${conflicts.length} file(s) already exist at the destination; nothing was copied`, 409, { conflicts });
+  }
+
+  const result = { copied: [], skipped: [], failed: [] };
+  for (const item of plan) {
+    if (item.exists && conflict === 'skip') {
+      result.skipped.push(item.sourcePath);
+      continue;
+    }
+
+    try {
+      let versionId = null;
+      if (item.exists) {
+        if (isVersionedBucket(destinationBucket)) {
+          versionId = await retainVersion(supabase, { bucket: destinationBucket, path: item.destinationPath });
+        }
+        const { error } = await supabase.storage.from(destinationBucket).remove([item.destinationPath]);
+        if (error) throw error;
+      }
+      await copyFile(supabase, item.sourcePath, item.destinationPath, bucket, destinationBucket);
+      result.copied.push({ sourcePath: item.sourcePath, destinationPath: item.destinationPath, ...(versionId ? { versionId } : {}) });
+    } catch (error) {
+      result.failed.push({ path: item.sourcePath, message: error.message || 'Copy failed' });
+    }
+  }
+
+  return result;
+}
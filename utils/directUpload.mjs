@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { revertToVersion } from './objectVersions.mjs';
 const DEFAULT_TTL_MS = 15 * 60 * 1000;
 const intentStore = new Map();
 const idempotencyStore = new Map();
@@ -26,9 +27,12 @@ export function assertScopedObjectKey(user, objectKey) {
   return prefix;
 }
 
-export function createIntentRecord({ userId, bucket, objectKey, constraints, ttlMs = DEFAULT_TTL_MS }) {
+// An overwrite intent keeps the object it replaces as a version until its upload is verified
+const isPendingOverwrite = (intent) => intent.state === 'pending' && Boolean(intent.previousVersionId);
+
+export function createIntentRecord({ userId, bucket, objectKey, constraints, previousVersionId = null, ttlMs = DEFAULT_TTL_MS }) {
   const now = Date.now();
-  const intent = { intentId: crypto.randomUUID(), userId, bucket, objectKey, constraints, state: 'pending', createdAt: now, expiresAt: now + ttlMs };
+  const intent = { intentId: crypto.randomUUID(), userId, bucket, objectKey, constraints, previousVersionId, state: 'pending', createdAt: now, expiresAt: now + ttlMs };
   intentStore.set(intent.intentId, intent);
   return intent;
 }
@@ -36,7 +40,11 @@ export function createIntentRecord({ userId, bucket, objectKey, constraints, ttl
 export function getIntentRecord(intentId) {
   const intent = intentStore.get(intentId);
   if (!intent) return null;
-  if (intent.expiresAt <= Date.now()) { intentStore.delete(intentId); return null; }
+  if (intent.expiresAt <= Date.now()) {
+    // Expired overwrites stay until rollBackAbandonedIntents puts the previous object back
+    if (!isPendingOverwrite(intent)) intentStore.delete(intentId);
+    return null;
+  }
   return intent;
 }
 
@@ -44,9 +52,35 @@ export function commitIntentRecord(intentId) {
   const intent = getIntentRecord(intentId);
   if (!intent) throw new Error('Intent not found or expired');
   if (intent.state !== 'committed') { intent.state = 'committed'; intent.committedAt = Date.now(); intentStore.set(intentId, intent); }
+  // Older pending uploads of the same object are superseded: the versions they kept stay in the history
+  for (const other of intentStore.values()) {
+    if (other !== intent && isPendingOverwrite(other) && other.bucket === intent.bucket && other.objectKey === intent.objectKey) other.previousVersionId = null;
+  }
   return intent;
 }
 
+export function takeAbandonedIntents(userId, now = Date.now()) {
+  const abandoned = [];
+  for (const [intentId, intent] of intentStore) {
+    if (intent.userId !== userId || intent.expiresAt > now || !isPendingOverwrite(intent)) continue;
+    intentStore.delete(intentId);
+    abandoned.push(intent);
+  }
+  return abandoned;
+}
+
+// The uploads of expired overwrite intents were never verified, so the objects they replaced go back.
+// Intents live in memory, so this runs on the user's next intent or finalize request with their client.
+export async function rollBackAbandonedIntents(supabase, userId) {
+  for (const intent of takeAbandonedIntents(userId)) {
+    try {
+      await revertToVersion(supabase, { bucket: intent.bucket, path: intent.objectKey, id: intent.previousVersionId });
+    } catch (error) {
+      console.warn(`Could not put back ${intent.objectKey} after an abandoned upload:`, error.message);
+    }
+  }
+}
+
 export function getIdempotentCommit(userId, idempotencyKey) {
   const key = `${userId}:${idempotencyKey}`;
   const entry = idempotencyStore.get(key);
@@ -0,0 +1,605 @@
+/**
+ * Directory Sync
+ * Mirroring a local directory with a bucket prefix, in either direction or both
+ *
+ * Each run lists both sides, compares them with the state file left by the
+ * previous run and only transfers what changed. The state records, per file,
+ * the size and modification time last seen on each side (and the SHA-256 when
+ * it was computed), so a run where nothing changed needs one listing, one local
+ * scan and no hashing.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { listFiles, downloadFile, retryWithBackoff, getContentType } from './storageOperations.mjs';
+import { FOLDER_PLACEHOLDER } from './folderOperations.mjs';
+import { CHECKSUM_METADATA_KEY, sha256File, sha256Hex, readStoredChecksum } from './integrity.mjs';
+import { TRASH_PREFIX, isTrashPath, trashObjects, getTrashRetentionDays } from './trash.mjs';
+import { VERSIONS_PREFIX, isVersionPath, isVersionedBucket, retainVersion } from './objectVersions.mjs';
+import { shouldUseResumableUpload } from './resumableUpload.mjs';
+import { uploadFileResumable } from './resumableFileUpload.mjs';
+import { httpError } from './errors.mjs';
+
+export const SYNC_DIRECTIONS = ['up', 'down', 'both'];
+export const SYNC_STATE_FILE = '.supabase-sync.json';
+
+const SYNC_STATE_VERSION = 1;
+const SYNC_CONCURRENCY = 3;
+const REMOVE_BATCH_SIZE = 1000;
+// Downloads are written next to their target under this suffix, then renamed
+const TEMP_SUFFIX = '.supabase-sync-tmp';
+
+const trimSlashes = (value) => String(value || '').replace(/^\/+|\/+$/g, '');
+const joinPath = (prefix, name) => (prefix ? `${prefix}/${name}` : name);
+
+/**
+ * Validate sync options before touching either side
+ * @param {object} options - { localDir, bucket, prefix, direction }
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+export function validateSync({ localDir, bucket, prefix = '', direction = 'up' }) {
+  if (!localDir) throw httpError('Local directory is required', 400);
+  if (!bucket) throw httpError('Bucket is required', 400);
+  if (!SYNC_DIRECTIONS.includes(direction)) {
+    throw httpError(`direction must be one of: ${SYNC_DIRECTIONS.join(', ')}`, 400);
+  }
+  const cleanPrefix = trimSlashes(prefix);
+  if (isTrashPath(cleanPrefix) || isVersionPath(cleanPrefix)) {
+    throw httpError('Cannot sync the trash or version history', 400);
+  }
+  if (cleanPrefix.split('/').includes('..')) throw httpError('Invalid prefix', 400);
+}
+
+/**
+ * Every regular file under a directory, keyed by its "/"-separated relative path
+ * Symbolic links are not followed, and files removed while scanning are left out.
+ * @param {string} root - Directory to scan
+ * @param {object} options - { exclude: absolute paths of files or directories to leave out, filter: from utils/fileFilters.mjs }
+ * @returns {Promise<Map<string, {size: number, mtimeMs: number}>>}
+ */
+export async function scanLocalFiles(root, { exclude = [], filter = null } = {}) {
+  const files = new Map();
+  const skipped = new Set(exclude.filter(Boolean).map(file => path.resolve(file)));
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relativeDir = pending.shift();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(root, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' && relativeDir) continue;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const relativePath = joinPath(relativeDir, entry.name);
+      const fullPath = path.join(root, relativePath);
+      if (skipped.has(fullPath)) continue;
+      if (entry.isDirectory()) {
+        if (!filter || !filter.skipsDirectory(relativePath)) pending.push(relativePath);
+      } else if (entry.isFile() && !entry.name.endsWith(TEMP_SUFFIX)) {
+        try {
+          const stats = await fs.promises.stat(fullPath);
+          const file = { size: stats.size, mtimeMs: Math.floor(stats.mtimeMs) };
+          if (!filter || filter.accepts(relativePath, file)) files.set(relativePath, file);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Every object under a prefix, keyed by its path relative to the prefix
+ * Folder placeholders are skipped, and so are the trash and version history
+ * when syncing a whole bucket.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucket - Bucket name
+ * @param {string} prefix - Prefix ('' for the bucket root)
+ * @returns {Promise<Map<string, {size: number, updatedAt: number}>>}
+ */
+export async function listRemoteFiles(supabase, bucket, prefix = '') {
+  const files = new Map();
+  const root = trimSlashes(prefix);
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relativeDir = pending.shift();
+    const items = await listFiles(supabase, bucket, relativeDir ? joinPath(root, relativeDir) : root);
+
+    for (const item of items) {
+      const relativePath = joinPath(relativeDir, item.name);
+      // In Supabase, folders have id: null
+      if (item.id === null) {
+        if (!root && !relativeDir && (item.name === TRASH_PREFIX || item.name === VERSIONS_PREFIX)) continue;
+        pending.push(relativePath);
+      } else if (item.name !== FOLDER_PLACEHOLDER) {
+        files.set(relativePath, {
+          size: item.metadata?.size || 0,
+          updatedAt: Date.parse(item.updated_at || item.created_at) || 0,
+        });
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read the state left by the previous run
+ * State written for another project, bucket or prefix is ignored.
+ * @param {string} statePath - State file
+ * @param {object} scope - { project, bucket, prefix }
+ * @returns {Promise<object>} Entries by relative path (empty on the first run)
+ */
+export async function loadSyncState(statePath, { project = '', bucket, prefix = '' }) {
+  try {
+    const state = JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+    const sameScope = state.version === SYNC_STATE_VERSION
+      && state.project === project
+      && state.bucket === bucket
+      && state.prefix === trimSlashes(prefix);
+    return sameScope && state.files && typeof state.files === 'object' ? state.files : {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable sync state ${statePath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Write the state file atomically
+ * @param {string} statePath - State file
+ * @param {object} scope - { project, bucket, prefix }
+ * @param {object} files - Entries by relative path
+ * @param {Date} now - Sync time
+ */
+export async function saveSyncState(statePath, { project = '', bucket, prefix = '' }, files, now = new Date()) {
+  const state = {
+    version: SYNC_STATE_VERSION,
+    project,
+    bucket,
+    prefix: trimSlashes(prefix),
+    syncedAt: now.toISOString(),
+    files,
+  };
+  await fs.promises.mkdir(path.dirname(statePath), { recursive: true });
+  const tempFile = `${statePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(state));
+  await fs.promises.rename(tempFile, statePath);
+}
+
+const stateEntry = (local, remote, sha256 = null) => ({
+  size: local.size,
+  mtimeMs: local.mtimeMs,
+  remoteUpdatedAt: remote.updatedAt,
+  ...(sha256 && { sha256 }),
+});
+
+/**
+ * Work out what a sync has to do
+ *
+ * A side has changed when its size or modification time differs from the state
+ * entry (every file counts as changed on the first run). Files present on both
+ * sides are compared by size and, with checksum, by the local SHA-256 against
+ * the digest recorded on the object; when neither settles it, the newer side
+ * is taken to be the changed one.
+ * - up: the bucket follows the directory; remote-only files are extraneous
+ * - down: the directory follows the bucket; local-only files are extraneous
+ * - both: changes flow both ways. A file changed on both sides is a conflict
+ *   and the newer side wins. A file removed from one side since the last run
+ *   is removed from the other with deleteExtraneous, and restored without it.
+ * Extraneous files are only deleted with deleteExtraneous.
+ *
+ * @param {object} options - Options
+ * @param {Map} options.local - From scanLocalFiles
+ * @param {Map} options.remote - From listRemoteFiles
+ * @param {object} options.state - From loadSyncState
+ * @param {string} options.direction - 'up' | 'down' | 'both'
+ * @param {boolean} options.deleteExtraneous - Delete files missing from the source side
+ * @param {boolean} options.checksum - Compare content digests of same-sized files
+ * @param {function} options.localHash - (relativePath) => Promise<string>
+ * @param {function} options.remoteHash - (relativePath) => Promise<string|null>
+ * @returns {Promise<{actions: Array<{path: string, action: string, reason: string, size: number}>, inSync: object, extraneous: string[]}>}
+ *   actions are 'upload' | 'download' | 'delete-remote' | 'delete-local'; inSync holds state entries for files needing nothing
+ */
+export async function planSync({
+  local,
+  remote,
+  state = {},
+  direction = 'up',
+  deleteExtraneous = false,
+  checksum = false,
+  localHash,
+  remoteHash,
+}) {
+  const actions = [];
+  const inSync = {};
+  const extraneous = [];
+  const paths = [...new Set([...local.keys(), ...remote.keys()])].sort();
+
+  const add = (relativePath, action, reason) => {
+    const size = action === 'upload' ? local.get(relativePath).size : remote.get(relativePath)?.size || 0;
+    actions.push({ path: relativePath, action, reason, size });
+  };
+
+  for (const relativePath of paths) {
+    const l = local.get(relativePath);
+    const r = remote.get(relativePath);
+    const s = state[relativePath];
+    const localChanged = !s || !l || l.size !== s.size || l.mtimeMs !== s.mtimeMs;
+    const remoteChanged = !s || !r || r.size !== s.size || r.updatedAt !== s.remoteUpdatedAt;
+
+    if (l && !r) {
+      if (direction === 'down') {
+        if (deleteExtraneous) add(relativePath, 'delete-local', 'extraneous');
+        else extraneous.push(relativePath);
+      } else if (direction === 'both' && s && !localChanged) {
+        add(relativePath, deleteExtraneous ? 'delete-local' : 'upload', 'deleted');
+      } else {
+        add(relativePath, 'upload', 'missing');
+      }
+      continue;
+    }
+
+    if (r && !l) {
+      if (direction === 'up') {
+        if (deleteExtraneous) add(relativePath, 'delete-remote', 'extraneous');
+        else extraneous.push(relativePath);
+      } else if (direction === 'both' && s && !remoteChanged) {
+        add(relativePath, deleteExtraneous ? 'delete-remote' : 'download', 'deleted');
+      } else {
+        add(relativePath, 'download', 'missing');
+      }
+      continue;
+    }
+
+    if (!localChanged && !remoteChanged) {
+      inSync[relativePath] = s;
+      continue;
+    }
+
+    // true: same content, false: different, null: same size but no digest to compare
+    let same = l.size === r.size ? null : false;
+    let sha256 = null;
+    if (same === null && checksum) {
+      sha256 = !localChanged && s.sha256 ? s.sha256 : await localHash(relativePath);
+      const stored = await remoteHash(relativePath);
+      if (stored) same = stored === sha256;
+    }
+    if (same === true) {
+      inSync[relativePath] = stateEntry(l, r, sha256);
+      continue;
+    }
+
+    const localNewer = l.mtimeMs > r.updatedAt;
+    if (direction === 'up') {
+      if (same === false || (s ? localChanged : localNewer)) add(relativePath, 'upload', 'changed');
+      else inSync[relativePath] = stateEntry(l, r, sha256);
+    } else if (direction === 'down') {
+      if (same === false || (s ? remoteChanged : r.updatedAt > l.mtimeMs)) add(relativePath, 'download', 'changed');
+      else inSync[relativePath] = stateEntry(l, r, sha256);
+    } else if (s && localChanged !== remoteChanged) {
+      add(relativePath, localChanged ? 'upload' : 'download', 'changed');
+    } else if (same === null && l.mtimeMs === r.updatedAt) {
+      inSync[relativePath] = stateEntry(l, r, sha256);
+    } else {
+      add(relativePath, localNewer ? 'upload' : 'download', s ? 'conflict' : 'changed');
+    }
+  }
+
+  return { actions, inSync, extraneous };
+}
+
+// Resolve a relative path inside the local root, refusing anything that escapes it
+function localPathOf(root, relativePath) {
+  const fullPath = path.resolve(root, relativePath);
+  if (!fullPath.startsWith(`${root}${path.sep}`)) throw new Error('Path escapes the local directory');
+  return fullPath;
+}
+
+async function uploadOne(supabase, bucket, remotePath, fullPath, { exists, maxRetries, project, accessToken, uploadLargeFile }) {
+  const { size } = await fs.promises.stat(fullPath);
+
+  // Large files are hashed and sent from disk over tus (resuming an interrupted run) instead of read into memory
+  if (shouldUseResumableUpload(size)) {
+    if (!project || !accessToken) throw new Error('Files this large need the project URL and key to upload over tus');
+    const sha256 = await sha256File(fullPath);
+    if (exists && isVersionedBucket(bucket)) {
+      await retainVersion(supabase, { bucket, path: remotePath });
+    }
+    const sent = await uploadLargeFile({
+      filePath: fullPath,
+      bucketName: bucket,
+      objectPath: remotePath,
+      supabaseUrl: project,
+      accessToken,
+      upsert: true,
+      contentType: getContentType(fullPath),
+      metadata: { [CHECKSUM_METADATA_KEY]: sha256 },
+      maxRetries: Number(maxRetries),
+    });
+    return { size: sent.size, sha256 };
+  }
+
+  const data = await fs.promises.readFile(fullPath);
+  const sha256 = sha256Hex(data);
+
+  // In buckets listed in VERSIONED_BUCKETS the object being overwritten is kept as a version
+  if (exists && isVersionedBucket(bucket)) {
+    await retainVersion(supabase, { bucket, path: remotePath });
+  }
+
+  await retryWithBackoff(async () => {
+    const { error } = await supabase.storage.from(bucket).upload(remotePath, data, {
+      contentType: getContentType(fullPath),
+      upsert: true,
+      metadata: { [CHECKSUM_METADATA_KEY]: sha256 },
+    });
+    if (error) throw error;
+  }, maxRetries);
+
+  return { size: data.length, sha256 };
+}
+
+async function downloadOne(supabase, bucket, remotePath, fullPath, { updatedAt, maxRetries }) {
+  const data = await downloadFile(supabase, remotePath, bucket, maxRetries);
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+  // Write beside the target and rename, so an interrupted run never leaves half a file
+  const tempFile = `${fullPath}.${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+  await fs.promises.writeFile(tempFile, data);
+  await fs.promises.rename(tempFile, fullPath);
+
+  // Matching the object's time keeps the file from looking newer than the bucket copy
+  if (updatedAt) await fs.promises.utimes(fullPath, new Date(updatedAt), new Date(updatedAt));
+  const stats = await fs.promises.stat(fullPath);
+  return { size: data.length, sha256: sha256Hex(data), local: { size: stats.size, mtimeMs: Math.floor(stats.mtimeMs) } };
+}
+
+// Remove now-empty directories between a deleted file and the root
+async function pruneEmptyDirectories(root, fullPath) {
+  let dir = path.dirname(fullPath);
+  while (dir.startsWith(`${root}${path.sep}`)) {
+    try {
+      await fs.promises.rmdir(dir);
+    } catch {
+      return;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Sync a local directory with a bucket prefix
+ *
+ * Transfers run a few at a time; a failure does not stop the others. Files
+ * deleted from the bucket go to the trash unless TRASH_RETENTION_DAYS is 0.
+ * The state file is written after every non-dry run with the files that ended
+ * up in sync; a file whose transfer failed keeps its previous entry, so the
+ * next run tries it again. The default state file lives in the synced
+ * directory and is never synced itself.
+ *
+ * A filter leaves files out on both sides: a path it rejects locally or in
+ * the bucket is neither transferred nor deleted anywhere, and keeps its state.
+ *
+ * @param {object} options - Options
+ * @param {SupabaseClient} options.supabase - Supabase client instance
+ * @param {string} options.localDir - Local directory
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.prefix - Prefix in the bucket ('' for the whole bucket)
+ * @param {string} options.direction - 'up' | 'down' | 'both' (see planSync)
+ * @param {boolean} options.deleteExtraneous - Delete files missing from the source side
+ * @param {boolean} options.checksum - Compare SHA-256 digests of same-sized files
+ * @param {boolean} options.dryRun - Only plan; change nothing and keep the state file
+ * @param {string} options.statePath - State file (defaults to .supabase-sync.json in localDir)
+ * @param {string} options.project - Storage project URL, recorded in the state and used for tus uploads
+ * @param {string} options.accessToken - Key of the project, for files above RESUMABLE_UPLOAD_THRESHOLD (sent over tus)
+ * @param {boolean} options.useTrash - Move deleted objects to the trash (defaults to TRASH_RETENTION_DAYS > 0)
+ * @param {number} options.maxRetries - Retries per upload or download
+ * @param {object} options.filter - Files to consider (from utils/fileFilters.mjs; default: all)
+ * @param {function} options.onProgress - Called with { total }, then { processed, uploaded, downloaded, deleted, failed, bytes }
+ * @param {function} options.uploadLargeFile - tus upload of one file (override for tests; default: uploadFileResumable)
+ * @returns {Promise<object>} Outcome ({ status, actions, extraneous, unchanged, filtered, uploaded, downloaded, deletedRemote, deletedLocal, failed, bytes, errors, message })
+ */
+export async function syncDirectory({
+  supabase,
+  localDir,
+  bucket,
+  prefix = '',
+  direction = 'up',
+  deleteExtraneous = false,
+  checksum = false,
+  dryRun = false,
+  statePath = null,
+  project = '',
+  accessToken = null,
+  useTrash = getTrashRetentionDays() > 0,
+  maxRetries = 3,
+  filter = null,
+  onProgress = () => {},
+  uploadLargeFile = uploadFileResumable,
+}) {
+  validateSync({ localDir, bucket, prefix, direction });
+
+  const root = path.resolve(localDir);
+  const remotePrefix = trimSlashes(prefix);
+  const scope = { project, bucket, prefix: remotePrefix };
+  const stateFile = path.resolve(statePath || path.join(root, SYNC_STATE_FILE));
+
+  if (!fs.existsSync(root)) {
+    if (direction !== 'down') throw httpError(`Local directory not found: ${localDir}`, 404);
+    if (!dryRun) await fs.promises.mkdir(root, { recursive: true });
+  } else if (!fs.statSync(root).isDirectory()) {
+    throw httpError(`Not a directory: ${localDir}`, 400);
+  }
+
+  const state = await loadSyncState(stateFile, scope);
+  // Excluded directories are not even scanned; files are filtered below, once both sides are known
+  const pruning = filter && { skipsDirectory: filter.skipsDirectory, accepts: () => true };
+  const local = fs.existsSync(root) ? await scanLocalFiles(root, { exclude: [stateFile], filter: pruning }) : new Map();
+  const remote = await listRemoteFiles(supabase, bucket, remotePrefix);
+
+  // A path filtered out on either side is out of the comparison on both, so --delete cannot touch it
+  const filtered = {};
+  if (filter) {
+    for (const [relativePath, file] of local) {
+      if (filter.accepts(relativePath, file)) continue;
+      local.delete(relativePath);
+      filtered[relativePath] = state[relativePath];
+    }
+    for (const [relativePath, object] of remote) {
+      if (!(relativePath in filtered) && filter.accepts(relativePath, { size: object.size, mtimeMs: object.updatedAt })) continue;
+      remote.delete(relativePath);
+      local.delete(relativePath);
+      filtered[relativePath] = state[relativePath];
+    }
+  }
+
+  const { actions, inSync, extraneous } = await planSync({
+    local,
+    remote,
+    state,
+    direction,
+    deleteExtraneous,
+    checksum,
+    localHash: relativePath => sha256File(localPathOf(root, relativePath)),
+    remoteHash: relativePath => readStoredChecksum(supabase, bucket, joinPath(remotePrefix, relativePath)).catch(() => null),
+  });
+
+  const outcome = {
+    actions,
+    extraneous,
+    unchanged: Object.keys(inSync).length,
+    filtered: Object.keys(filtered).length,
+    uploaded: 0,
+    downloaded: 0,
+    deletedRemote: 0,
+    deletedLocal: 0,
+    failed: 0,
+    bytes: 0,
+    errors: [],
+  };
+
+  if (dryRun) {
+    return { ...outcome, status: 'planned', message: `Dry run: ${actions.length} change(s) planned, ${outcome.unchanged} file(s) unchanged` };
+  }
+
+  // Filtered files keep what the last run recorded, for when the filter changes again
+  const files = { ...inSync };
+  for (const [relativePath, entry] of Object.entries(filtered)) {
+    if (entry) files[relativePath] = entry;
+  }
+  const fail = (item, error) => {
+    outcome.failed += 1;
+    outcome.errors.push({ path: item.path, message: error.message || `${item.action} failed` });
+    if (state[item.path]) files[item.path] = state[item.path];
+  };
+
+  onProgress({ total: actions.length });
+  let processed = 0;
+  const progress = () => {
+    processed += 1;
+    onProgress({
+      processed,
+      uploaded: outcome.uploaded,
+      downloaded: outcome.downloaded,
+      deleted: outcome.deletedRemote + outcome.deletedLocal,
+      failed: outcome.failed,
+      bytes: outcome.bytes,
+    });
+  };
+
+  // Uploads and downloads first, a few at a time
+  const transfers = actions.filter(item => item.action === 'upload' || item.action === 'download');
+  const uploaded = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < transfers.length) {
+      const item = transfers[next++];
+      const remotePath = joinPath(remotePrefix, item.path);
+      try {
+        const fullPath = localPathOf(root, item.path);
+        if (item.action === 'upload') {
+          const sent = await uploadOne(supabase, bucket, remotePath, fullPath, {
+            exists: remote.has(item.path),
+            maxRetries,
+            project,
+            accessToken,
+            uploadLargeFile,
+          });
+          uploaded.set(item.path, sent.sha256);
+          outcome.uploaded += 1;
+          outcome.bytes += sent.size;
+        } else {
+          const { updatedAt } = remote.get(item.path);
+          const received = await downloadOne(supabase, bucket, remotePath, fullPath, { updatedAt, maxRetries });
+          files[item.path] = stateEntry(received.local, { updatedAt }, received.sha256);
+          outcome.downloaded += 1;
+          outcome.bytes += received.size;
+        }
+      } catch (error) {
+        fail(item, error);
+      }
+      progress();
+    }
+  };
+  await Promise.all(Array.from({ length: SYNC_CONCURRENCY }, worker));
+
+  // Then deletions: bucket objects in batches (or to the trash), local files one by one
+  const remoteDeletes = actions.filter(item => item.action === 'delete-remote');
+  if (remoteDeletes.length > 0) {
+    const byPath = new Map(remoteDeletes.map(item => [joinPath(remotePrefix, item.path), item]));
+    if (useTrash) {
+      const { trashed, failed } = await trashObjects(supabase, { bucket, paths: [...byPath.keys()] });
+      outcome.deletedRemote += trashed.length;
+      failed.forEach(({ path: remotePath, message }) => fail(byPath.get(remotePath), { message }));
+    } else {
+      const remotePaths = [...byPath.keys()];
+      for (let i = 0; i < remotePaths.length; i += REMOVE_BATCH_SIZE) {
+        const batch = remotePaths.slice(i, i + REMOVE_BATCH_SIZE);
+        const { error } = await supabase.storage.from(bucket).remove(batch);
+        if (error) batch.forEach(remotePath => fail(byPath.get(remotePath), error));
+        else outcome.deletedRemote += batch.length;
+      }
+    }
+    remoteDeletes.forEach(progress);
+  }
+
+  for (const item of actions.filter(action => action.action === 'delete-local')) {
+    try {
+      const fullPath = localPathOf(root, item.path);
+      await fs.promises.unlink(fullPath);
+      await pruneEmptyDirectories(root, fullPath);
+      outcome.deletedLocal += 1;
+    } catch (error) {
+      fail(item, error);
+    }
+    progress();
+  }
+
+  // Upload times are only known from a fresh listing
+  if (uploaded.size > 0) {
+    const listed = await listRemoteFiles(supabase, bucket, remotePrefix);
+    for (const [relativePath, sha256] of uploaded) {
+      if (listed.has(relativePath)) files[relativePath] = stateEntry(local.get(relativePath), listed.get(relativePath), sha256);
+    }
+  }
+
+  await saveSyncState(stateFile, scope, files);
+
+  const changed = outcome.uploaded + outcome.downloaded + outcome.deletedRemote + outcome.deletedLocal;
+  const summary = [`Uploaded ${outcome.uploaded}`, `downloaded ${outcome.downloaded}`];
+  if (outcome.deletedRemote > 0) summary.push(`deleted ${outcome.deletedRemote} from the bucket`);
+  if (outcome.deletedLocal > 0) summary.push(`deleted ${outcome.deletedLocal} locally`);
+  summary.push(`${outcome.unchanged} unchanged`);
+  if (outcome.failed > 0) summary.push(`${outcome.failed} failed`);
+
+  let status = 'completed';
+  if (outcome.failed > 0) status = changed > 0 ? 'partial' : 'failed';
+
+  return { ...outcome, status, message: summary.join('; ') };
+}
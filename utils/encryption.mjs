@@ -132,6 +132,18 @@ export function maskApiKey(apiKey) {
   return `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}`;
 }
 
+/**
+ * Short fingerprint of a storage key, safe to keep in scopes and logs
+ * Two keys for one project can see different objects, so data derived from
+ * what a key can list is keyed by project URL and fingerprint.
+ *
+ * @param {string} key - Supabase API key
+ * @returns {string} First 16 hex characters of its SHA-256
+ */
+export function keyFingerprint(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 16);
+}
+
 /**
  * Validate encryption key format
  * @param {string} key - The key to validate
@@ -97,6 +97,10 @@ const OPTIONAL_ENV_VARS = {
     description: 'Log file path',
     default: 'supabase-uploader.log',
   },
+  RESUMABLE_UPLOAD_STATE_FILE: {
+    description: 'Where the CLI keeps upload URLs of unfinished large uploads',
+    default: '.supabase-resumable-uploads.json',
+  },
   ENABLE_LOGGING: {
     description: 'Enable file logging',
     default: 'true',
@@ -129,6 +133,60 @@ const OPTIONAL_ENV_VARS = {
     description: 'Comma-separated object key scope templates (supports {userId})',
     default: '{userId}/',
   },
+  RESUMABLE_SESSION_STORE: {
+    description: 'Persistence backend for resumable upload sessions',
+    default: 'file',
+    validate: (value) => ['file', 'postgres'].includes(value.toLowerCase()),
+    errorMessage: 'Must be file or postgres',
+  },
+  WEBHOOK_OUTBOX_STORE: {
+    description: 'Persistence backend for the webhook delivery outbox',
+    default: 'file',
+    validate: (value) => ['file', 'postgres'].includes(value.toLowerCase()),
+    errorMessage: 'Must be file or postgres',
+  },
+  WEBHOOK_OUTBOX_RETENTION_DAYS: {
+    description: 'Days to keep delivered webhook records in the delivery history',
+    default: '7',
+    validate: (value) => Number.isInteger(Number(value)) && Number(value) > 0,
+    errorMessage: 'Must be a positive integer',
+  },
+  SEARCH_INDEX_STORE: {
+    description: 'Persistence backend for the bucket search index',
+    default: 'file',
+    validate: (value) => ['file', 'postgres'].includes(value.toLowerCase()),
+    errorMessage: 'Must be file or postgres',
+  },
+  SEARCH_INDEX_MAX_AGE_MINUTES: {
+    description: 'Minutes before a bucket search index is re-crawled',
+    default: '60',
+    validate: (value) => Number.isInteger(Number(value)) && Number(value) > 0,
+    errorMessage: 'Must be a positive integer',
+  },
+  USAGE_SNAPSHOT_STORE: {
+    description: 'Persistence backend for storage usage snapshots',
+    default: 'file',
+    validate: (value) => ['file', 'postgres'].includes(value.toLowerCase()),
+    errorMessage: 'Must be file or postgres',
+  },
+  USAGE_MAX_AGE_MINUTES: {
+    description: 'Minutes a bucket usage measurement is reused by the Usage tab',
+    default: '15',
+    validate: (value) => Number.isInteger(Number(value)) && Number(value) > 0,
+    errorMessage: 'Must be a positive integer',
+  },
+  USAGE_SNAPSHOT_INTERVAL_MINUTES: {
+    description: 'Minimum minutes between two usage snapshots of a bucket',
+    default: '60',
+    validate: (value) => Number.isInteger(Number(value)) && Number(value) > 0,
+    errorMessage: 'Must be a positive integer',
+  },
+  USAGE_SNAPSHOT_RETENTION_DAYS: {
+    description: 'Days usage snapshots are kept',
+    default: '90',
+    validate: (value) => Number.isInteger(Number(value)) && Number(value) > 0,
+    errorMessage: 'Must be a positive integer',
+  },
 };
 
 /**
@@ -0,0 +1,42 @@
+/**
+ * Errors
+ * Helpers for the errors utils throw: an Error carrying the HTTP status an API
+ * route should answer with (sendError(res, error.message, error.statusCode)),
+ * and checks on errors from the storage API
+ */
+
+/**
+ * Create an Error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status (left unset when falsy)
+ * @param {object} extra - Fields to attach, e.g. { code, path }
+ * @returns {Error}
+ */
+export function httpError(message, statusCode, extra = {}) {
+  const error = new Error(message);
+  if (statusCode) error.statusCode = statusCode;
+  return Object.assign(error, extra);
+}
+
+/**
+ * HTTP status of an error (storage errors carry statusCode as a string, fetch-style errors status)
+ * @param {Error|object} error - Error
+ * @returns {number|null}
+ */
+export const errorStatus = (error) => Number(error?.statusCode || error?.status) || null;
+
+/**
+ * Whether a storage error means the object or bucket does not exist
+ * @param {Error|object} error - Error
+ * @returns {boolean}
+ */
+export const isNotFoundError = (error) => errorStatus(error) === 404 || /not found/i.test(error?.message || '');
+
+/**
+ * Whether a storage error means the object or bucket already exists
+ * (for uploads, that someone else created it between the conflict check and the upload)
+ * @param {Error|object|string} error - Error or message
+ * @returns {boolean}
+ */
+export const isAlreadyExistsError = (error) =>
+  errorStatus(error) === 409 || /already exists|duplicate/i.test(typeof error === 'string' ? error : error?.message || '');
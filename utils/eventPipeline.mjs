@@ -1,4 +1,11 @@
 import crypto from 'crypto';
+import { WebhookOutbox } from './webhookOutbox.mjs';
+import {
+  getActiveSubscriptions,
+  getSubscriptionSecret,
+  subscriptionMatches,
+  scopeEventToSubscription,
+} from './webhookSubscriptions.mjs';
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 export function createWebhookSignature({ secret, timestamp, payload }) {
@@ -10,25 +17,32 @@ export function verifyWebhookSignature({ secret, timestamp, payload, signature }
   return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
 }
 
+// Single signed POST; never throws
+export async function sendWebhook(event, { endpoint, secret, timeoutMs = 10000, fetchImpl = fetch }) {
+  const payload = JSON.stringify(event);
+  const startedAt = Date.now();
+  try {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = createWebhookSignature({ secret, timestamp, payload });
+    const response = await fetchImpl(endpoint, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-webhook-timestamp': timestamp, 'x-webhook-signature': signature },
+      body: payload,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}`, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message, durationMs: Date.now() - startedAt };
+  }
+}
+
 export async function deliverWebhook(event, options) {
   const { endpoint, secret, maxRetries = 3, baseDelayMs = 500, timeoutMs = 10000, fetchImpl = fetch, logger = console } = options;
-  const payload = JSON.stringify(event);
 
   for (let attempts = 1; attempts <= maxRetries; attempts++) {
-    try {
-      const timestamp = Math.floor(Date.now() / 1000).toString();
-      const signature = createWebhookSignature({ secret, timestamp, payload });
-      const response = await fetchImpl(endpoint, {
-        method: 'POST',
-        headers: { 'content-type': 'application/json', 'x-webhook-timestamp': timestamp, 'x-webhook-signature': signature },
-        body: payload,
-        signal: AbortSignal.timeout(timeoutMs),
-      });
-      if (response.ok) return { delivered: true, attempts };
-      logger.warn?.(`[Webhook] attempt ${attempts} failed status=${response.status}`);
-    } catch (error) {
-      logger.warn?.(`[Webhook] attempt failed: ${error.message}`);
-    }
+    const outcome = await sendWebhook(event, { endpoint, secret, timeoutMs, fetchImpl });
+    if (outcome.ok) return { delivered: true, attempts };
+    logger.warn?.(outcome.status ? `[Webhook] attempt ${attempts} failed status=${outcome.status}` : `[Webhook] attempt failed: ${outcome.error}`);
     if (attempts < maxRetries) await sleep(baseDelayMs * (2 ** (attempts - 1)));
     if (attempts === maxRetries) {
       logger.error?.(`[Webhook] Retry exhausted for event ${event.id}`);
@@ -37,11 +51,42 @@ export async function deliverWebhook(event, options) {
   }
 }
 
-export async function emitUploadEvent(type, data, options = {}) {
+let outboxSingleton = null;
+
+// Shared outbox for this server process; the background worker starts on first use
+export function getWebhookOutbox() {
+  if (!outboxSingleton) {
+    outboxSingleton = new WebhookOutbox({
+      send: sendWebhook,
+      resolveSecret: (record) => (record.subscriptionId ? getSubscriptionSecret(record.subscriptionId) : process.env.WEBHOOK_SECRET),
+      maxAttempts: Number(process.env.WEBHOOK_MAX_RETRIES || 3),
+      baseDelayMs: Number(process.env.WEBHOOK_BASE_DELAY_MS || 500),
+      timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+      retentionMs: Number(process.env.WEBHOOK_OUTBOX_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000,
+    });
+    outboxSingleton.start();
+  }
+  return outboxSingleton;
+}
+
+// The WEBHOOK_URL endpoint from the environment predates subscriptions and only receives upload events
+function getEnvironmentTarget(options) {
   const endpoint = options.endpoint || process.env.WEBHOOK_URL;
   const secret = options.secret || process.env.WEBHOOK_SECRET;
-  if (!endpoint || !secret) return { delivered: false, skipped: true };
+  if (!endpoint || !secret) return null;
+  return { id: null, url: endpoint, eventTypes: ['upload.*'] };
+}
 
+/**
+ * Queue an event for every endpoint that wants it
+ * Events are written to the outbox and delivered in the background, so callers never wait on an endpoint.
+ * @param {string} type - Event type (see WEBHOOK_EVENT_TYPES)
+ * @param {object} data - Event data; userId, bucket and path fields drive subscription filters
+ * @param {object} options - { endpoint, secret, subscriptions, outbox, logger } (overrides for tests)
+ * @returns {Promise<{delivered: boolean, queued?: boolean, skipped?: boolean, deliveryId?: string, deliveryIds?: string[]}>}
+ */
+export async function emitStorageEvent(type, data, options = {}) {
+  const logger = options.logger || console;
   const event = {
     id: crypto.randomUUID(),
     type,
@@ -49,13 +94,38 @@ export async function emitUploadEvent(type, data, options = {}) {
     data,
   };
 
-  return deliverWebhook(event, {
-    endpoint,
-    secret,
-    maxRetries: Number(options.maxRetries || process.env.WEBHOOK_MAX_RETRIES || 3),
-    baseDelayMs: Number(options.baseDelayMs || process.env.WEBHOOK_BASE_DELAY_MS || 500),
-    timeoutMs: Number(options.timeoutMs || process.env.WEBHOOK_TIMEOUT_MS || 10000),
-    logger: options.logger || console,
-    fetchImpl: options.fetchImpl || fetch,
-  });
+  let subscriptions = options.subscriptions;
+  if (!subscriptions) {
+    try {
+      subscriptions = await getActiveSubscriptions(data?.userId, data?.bucket);
+    } catch (error) {
+      logger.warn?.(`[Webhook] Could not load subscriptions for event ${event.id}: ${error.message}`);
+      subscriptions = [];
+    }
+  }
+
+  const environmentTarget = getEnvironmentTarget(options);
+  const targets = [
+    ...(environmentTarget && subscriptionMatches(environmentTarget, event) ? [environmentTarget] : []),
+    ...subscriptions.filter(subscription => subscriptionMatches(subscription, event)),
+  ];
+  if (targets.length === 0) return { delivered: false, skipped: true };
+
+  try {
+    const outbox = options.outbox || getWebhookOutbox();
+    const deliveryIds = [];
+    for (const target of targets) {
+      const delivery = await outbox.enqueue(scopeEventToSubscription(target, event), {
+        endpoint: target.url,
+        subscriptionId: target.id,
+      });
+      deliveryIds.push(delivery.id);
+    }
+    return { delivered: false, queued: true, deliveryId: deliveryIds[0], deliveryIds };
+  } catch (error) {
+    logger.error?.(`[Webhook] Failed to queue event ${event.id}: ${error.message}`);
+    return { delivered: false, queued: false, error: error.message };
+  }
 }
+
+export const emitUploadEvent = emitStorageEvent;
@@ -0,0 +1,210 @@
+/**
+ * File Filters
+ * Which local files a directory upload, sync or watch considers: include and
+ * exclude globs, a .supabaseignore file, and size and age limits
+ *
+ * .supabaseignore (at the root of the directory) and --exclude patterns follow
+ * gitignore rules: "#" comments, "!" to re-include, a trailing "/" for
+ * directories only, a leading or inner "/" to anchor the pattern to the root,
+ * otherwise it matches at any depth; "*", "?", "[...]" and "**" work as in git.
+ * As in git, a file inside an excluded directory cannot be re-included.
+ * --exclude patterns come after the file's, so they win.
+ *
+ * --include patterns use the same syntax; when there are any, a file must
+ * match at least one of them.
+ */
+import fs from 'fs';
+import path from 'path';
+import { httpError } from './errors.mjs';
+
+export const IGNORE_FILE = '.supabaseignore';
+
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3, t: 1024 ** 4, tb: 1024 ** 4 };
+const AGE_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a size such as "500", "10KB" or "1.5G" (units are powers of 1024)
+ * @param {string|number} value - Size
+ * @returns {number} Bytes
+ * @throws {Error} With statusCode 400 when it is not a size
+ */
+export function parseSize(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+  const unit = match ? SIZE_UNITS[(match[2] || 'b').toLowerCase()] : undefined;
+  if (!unit) throw httpError(`Invalid size: ${value} (use e.g. 500, 10KB, 5MB, 1GB)`, 400);
+  return Math.round(Number(match[1]) * unit);
+}
+
+/**
+ * Parse an age such as "90s", "30m", "12h", "7d" or "2w"
+ * @param {string} value - Age
+ * @returns {number} Milliseconds
+ * @throws {Error} With statusCode 400 when it is not an age
+ */
+export function parseAge(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([smhdw])\s*$/i.exec(String(value));
+  if (!match) throw httpError(`Invalid age: ${value} (use e.g. 30m, 12h, 7d, 2w)`, 400);
+  return Math.round(Number(match[1]) * AGE_UNITS[match[2].toLowerCase()]);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Translate one glob (without its anchoring "/" or trailing "/") into a regular expression body
+function globSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+      i += 1;
+      if (atStart && glob[i + 1] === '/') {
+        // "**/" matches zero or more directories
+        source += '(?:.*/)?';
+        i += 1;
+      } else if (atStart && atEnd) {
+        source += '.*';
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let set = glob.slice(i + 1, close);
+        if (set[0] === '!') set = `^${set.slice(1)}`;
+        source += `[${set.replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+/**
+ * Compile gitignore-style lines into rules
+ * @param {string|Array<string>} lines - Contents of an ignore file, or patterns
+ * @returns {Array<{negate: boolean, dirOnly: boolean, regex: RegExp}>}
+ */
+export function parseIgnoreRules(lines) {
+  const rules = [];
+  const list = Array.isArray(lines) ? lines : String(lines || '').split(/\r?\n/);
+
+  for (const line of list) {
+    // Trailing spaces are dropped unless escaped
+    let pattern = String(line).replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) continue;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    else if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) pattern = pattern.slice(1);
+
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\/+/, '');
+    if (!pattern) continue;
+
+    const body = globSource(pattern);
+    rules.push({
+      negate,
+      dirOnly,
+      regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`),
+    });
+  }
+  return rules;
+}
+
+// Whether the last rule matching a path ignores it (undefined when none matches)
+function lastMatch(rules, relativePath, isDirectory) {
+  let ignored;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+/**
+ * Build a filter from patterns and limits
+ * @param {object} options - Options
+ * @param {Array<string>} options.include - Globs a file must match one of (none: every file)
+ * @param {Array<string>} options.exclude - gitignore-style patterns, applied after ignoreRules
+ * @param {Array<object>} options.ignoreRules - Rules from parseIgnoreRules (e.g. a .supabaseignore)
+ * @param {number} options.minSize - Smallest size in bytes
+ * @param {number} options.maxSize - Largest size in bytes
+ * @param {number} options.newerThan - Only files modified less than this many ms ago
+ * @param {number} options.olderThan - Only files modified more than this many ms ago
+ * @param {function} options.now - Clock (defaults to Date.now; read on every check)
+ * @returns {{skipsDirectory: function(string): boolean, accepts: function(string, object): boolean}}
+ */
+export function createFileFilter({
+  include = [],
+  exclude = [],
+  ignoreRules = [],
+  minSize = null,
+  maxSize = null,
+  newerThan = null,
+  olderThan = null,
+  now = Date.now,
+} = {}) {
+  const rules = [...ignoreRules, ...parseIgnoreRules(exclude)];
+  const includeRules = parseIgnoreRules(include).filter(rule => !rule.negate);
+  if (minSize !== null && maxSize !== null && minSize > maxSize) {
+    throw httpError('The minimum size is larger than the maximum size', 400);
+  }
+
+  const skipsDirectory = (relativeDir) => lastMatch(rules, relativeDir, true) === true;
+
+  const ignored = (relativePath) => {
+    // A file inside an excluded directory stays excluded, whatever comes later
+    const parts = relativePath.split('/');
+    for (let depth = 1; depth < parts.length; depth++) {
+      if (skipsDirectory(parts.slice(0, depth).join('/'))) return true;
+    }
+    return lastMatch(rules, relativePath, false) === true;
+  };
+
+  const accepts = (relativePath, { size, mtimeMs } = {}) => {
+    if (ignored(relativePath)) return false;
+    if (includeRules.length > 0 && !includeRules.some(rule => rule.regex.test(relativePath))) return false;
+    if (minSize !== null && size < minSize) return false;
+    if (maxSize !== null && size > maxSize) return false;
+    if (newerThan !== null && now() - mtimeMs > newerThan) return false;
+    if (olderThan !== null && now() - mtimeMs < olderThan) return false;
+    return true;
+  };
+
+  return { skipsDirectory, accepts };
+}
+
+/**
+ * Build the filter for a directory: its .supabaseignore, then the given patterns and limits
+ * The ignore file itself is left out unless it re-includes itself.
+ * @param {string} root - Directory
+ * @param {object} options - createFileFilter options, plus ignoreFile (false to skip .supabaseignore)
+ * @returns {Promise<object>} Filter from createFileFilter
+ */
+export async function loadFileFilter(root, { ignoreFile = true, ...options } = {}) {
+  let text = '';
+  if (ignoreFile) {
+    try {
+      text = await fs.promises.readFile(path.join(root, IGNORE_FILE), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+  }
+  return createFileFilter({
+    ...options,
+    ignoreRules: parseIgnoreRules([`/${IGNORE_FILE}`, ...String(text).split(/\r?\n/)]),
+  });
+}
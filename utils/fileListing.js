@@ -0,0 +1,246 @@
+/**
+ * File Listing
+ * Server-side sorting, filtering and pagination of folder listings for /api/files
+ *
+ * Supabase Storage can only sort by name or date and cannot filter by size or
+ * category, so a folder is listed in full and kept as a short-lived snapshot.
+ * Pages are cut from the snapshot with a keyset cursor (the last entry of the
+ * previous page), which stays correct if the folder is re-listed in between.
+ * Folders always come before files.
+ */
+import { listFiles } from './storageOperations.mjs';
+import { formatFileSize, getFileCategory, FILE_CATEGORIES, SORT_OPTIONS } from './clientHelpers.js';
+import { CHECKSUM_METADATA_KEY } from './integrity.mjs';
+import { TRASH_PREFIX } from './trash.mjs';
+import { VERSIONS_PREFIX } from './objectVersions.mjs';
+import { httpError } from './errors.mjs';
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+export const DEFAULT_SORT = 'name-asc';
+
+const SNAPSHOT_TTL_MS = 60 * 1000;
+const MAX_SNAPSHOTS = 50;
+
+// cacheKey -> { expiresAt, entries }
+const snapshots = new Map();
+
+/**
+ * Turn a raw storage listing into folder and file entries
+ * @param {Array} items - Items from listFiles
+ * @param {string} folderPath - Listed folder
+ * @returns {Array<object>} Entries ({ name, path, isFolder, size, updatedAt, ... })
+ */
+export function toListingEntries(items, folderPath = '') {
+  const entries = [];
+
+  items.forEach(item => {
+    const entryPath = folderPath ? `${folderPath}/${item.name}` : item.name;
+
+    // In Supabase, folders have id: null
+    if (item.id === null) {
+      // The trash and version history have their own views
+      if (!folderPath && (item.name === TRASH_PREFIX || item.name === VERSIONS_PREFIX)) return;
+      entries.push({
+        name: item.name,
+        isFolder: true,
+        path: entryPath,
+        updatedAt: item.updated_at,
+        createdAt: item.created_at,
+      });
+    } else if (item.name !== '.folder') {
+      // Skip .folder placeholder files
+      entries.push({
+        name: item.name,
+        isFolder: false,
+        size: item.metadata?.size || 0,
+        sizeFormatted: formatFileSize(item.metadata?.size || 0),
+        updatedAt: item.updated_at,
+        createdAt: item.created_at,
+        path: entryPath,
+        // SHA-256 recorded at upload time (null for objects uploaded before checksums existed)
+        sha256: item.user_metadata?.[CHECKSUM_METADATA_KEY] || null,
+      });
+    }
+  });
+
+  return entries;
+}
+
+const parseBytes = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const bytes = Number(value);
+  if (!Number.isFinite(bytes) || bytes < 0) throw httpError(`${name} must be a non-negative number of bytes`, 400);
+  return bytes;
+};
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw httpError(`${name} must be an ISO 8601 date or timestamp`, 400);
+  return time;
+};
+
+const encodeCursor = (entry, sort) => Buffer.from(JSON.stringify({
+  sort,
+  isFolder: entry.isFolder,
+  name: entry.name,
+  size: entry.size || 0,
+  updatedAt: entry.updatedAt || null,
+})).toString('base64url');
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw httpError('Invalid cursor', 400);
+  }
+  if (!decoded || typeof decoded.name !== 'string') throw httpError('Invalid cursor', 400);
+  if (decoded.sort !== sort) throw httpError('Cursor was issued for a different sort order', 400);
+  return decoded;
+}
+
+/**
+ * Validate listing options from a query string
+ * @param {object} query - { sort, search, category, minSize, maxSize, modifiedAfter, modifiedBefore, limit, cursor, offset }
+ * @returns {object} Normalized options
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+export function parseListingQuery(query = {}) {
+  const sort = query.sort || DEFAULT_SORT;
+  if (!SORT_OPTIONS.some(option => option.value === sort)) {
+    throw httpError(`sort must be one of: ${SORT_OPTIONS.map(option => option.value).join(', ')}`, 400);
+  }
+
+  const category = query.category || 'All';
+  if (!FILE_CATEGORIES.includes(category)) {
+    throw httpError(`category must be one of: ${FILE_CATEGORIES.join(', ')}`, 400);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw httpError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, 400);
+  }
+
+  const offset = query.offset === undefined ? null : Number(query.offset);
+  if (offset !== null && (!Number.isInteger(offset) || offset < 0)) {
+    throw httpError('offset must be a non-negative integer', 400);
+  }
+  if (offset !== null && query.cursor) {
+    throw httpError('Use either cursor or offset, not both', 400);
+  }
+
+  return {
+    sort,
+    category,
+    search: String(query.search || '').trim().toLowerCase(),
+    minSize: parseBytes(query.minSize, 'minSize'),
+    maxSize: parseBytes(query.maxSize, 'maxSize'),
+    modifiedAfter: parseDate(query.modifiedAfter, 'modifiedAfter'),
+    modifiedBefore: parseDate(query.modifiedBefore, 'modifiedBefore'),
+    limit,
+    offset,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null,
+  };
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+// Total order for a sort option: folders first, then the sort field, then name
+function compareEntries(a, b, sort) {
+  if (a.isFolder !== b.isFolder) return a.isFolder ? -1 : 1;
+
+  const [field, direction] = sort.split('-');
+  let comparison = 0;
+  if (field === 'date') comparison = (Date.parse(a.updatedAt) || 0) - (Date.parse(b.updatedAt) || 0);
+  if (field === 'size') comparison = (a.size || 0) - (b.size || 0);
+  if (field === 'name') comparison = byName(a, b);
+
+  if (direction === 'desc') comparison = -comparison;
+  return comparison || byName(a, b);
+}
+
+function matchesFilters(entry, options) {
+  const filtering = options.search || options.category !== 'All' || options.minSize !== null || options.maxSize !== null
+    || options.modifiedAfter !== null || options.modifiedBefore !== null;
+
+  // Folders are only listed when browsing, not when filtering
+  if (entry.isFolder) return !filtering;
+
+  if (options.search && !entry.name.toLowerCase().includes(options.search)) return false;
+  if (options.category !== 'All' && getFileCategory(entry.name) !== options.category) return false;
+  if (options.minSize !== null && entry.size < options.minSize) return false;
+  if (options.maxSize !== null && entry.size > options.maxSize) return false;
+
+  const modified = Date.parse(entry.updatedAt);
+  if (options.modifiedAfter !== null && !(modified >= options.modifiedAfter)) return false;
+  if (options.modifiedBefore !== null && !(modified < options.modifiedBefore)) return false;
+  return true;
+}
+
+/**
+ * Sort, filter and cut one page out of a folder listing
+ * Category counts cover every file in the folder, so filter badges stay stable.
+ * @param {Array<object>} entries - Entries from toListingEntries
+ * @param {object} options - Options from parseListingQuery
+ * @returns {{folders: object[], files: object[], total: number, matchingFiles: number, totalFiles: number, categoryCounts: object, nextCursor: string|null, nextOffset: number|null}}
+ */
+export function paginateListing(entries, options) {
+  const matching = entries
+    .filter(entry => matchesFilters(entry, options))
+    .sort((a, b) => compareEntries(a, b, options.sort));
+
+  let start = options.offset || 0;
+  if (options.cursor) {
+    const index = matching.findIndex(entry => compareEntries(entry, options.cursor, options.sort) > 0);
+    start = index === -1 ? matching.length : index;
+  }
+
+  const page = matching.slice(start, start + options.limit);
+  const hasMore = start + page.length < matching.length;
+
+  const categoryCounts = { All: 0 };
+  entries.forEach(entry => {
+    if (entry.isFolder) return;
+    const category = getFileCategory(entry.name);
+    categoryCounts.All += 1;
+    categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+  });
+
+  return {
+    folders: page.filter(entry => entry.isFolder),
+    files: page.filter(entry => !entry.isFolder),
+    total: matching.length,
+    matchingFiles: matching.filter(entry => !entry.isFolder).length,
+    totalFiles: categoryCounts.All,
+    categoryCounts,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], options.sort) : null,
+    nextOffset: hasMore ? start + page.length : null,
+  };
+}
+
+/**
+ * Folder entries, from a snapshot when one is fresh
+ * The first page of a listing (no cursor or offset) should pass refresh so it
+ * reflects the latest changes; later pages reuse that snapshot.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - Options
+ * @param {string} options.cacheKey - Snapshot key (user, bucket and folder)
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.folder - Folder path
+ * @param {boolean} options.refresh - Ignore an existing snapshot
+ * @returns {Promise<Array<object>>}
+ */
+export async function getFolderEntries(supabase, { cacheKey, bucket, folder, refresh = false }) {
+  const cached = snapshots.get(cacheKey);
+  if (!refresh && cached && cached.expiresAt > Date.now()) return cached.entries;
+
+  const entries = toListingEntries(await listFiles(supabase, bucket, folder), folder);
+  snapshots.delete(cacheKey);
+  snapshots.set(cacheKey, { expiresAt: Date.now() + SNAPSHOT_TTL_MS, entries });
+
+  // Maps iterate in insertion order, so the first key is the oldest snapshot
+  if (snapshots.size > MAX_SNAPSHOTS) snapshots.delete(snapshots.keys().next().value);
+  return entries;
+}
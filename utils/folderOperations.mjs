@@ -0,0 +1,315 @@
+/**
+ * Folder Operations
+ * Prefix-level storage operations: listing every object under a folder and
+ * moving (or renaming) or copying a folder object by object
+ *
+ * Supabase Storage has no folders, only object paths, so moving a folder means
+ * moving every object under its prefix, including the .folder placeholder that
+ * /api/folders creates. Objects are moved and copied with the native operations,
+ * which also work across buckets of the same project.
+ */
+import { listFiles, copyFile } from './storageOperations.mjs';
+import { retainVersion, revertToVersion, isVersionedBucket } from './objectVersions.mjs';
+import { httpError } from './errors.mjs';
+
+export const FOLDER_PLACEHOLDER = '.folder';
+export const FOLDER_CONFLICT_POLICIES = ['fail', 'skip', 'overwrite'];
+export const FOLDER_ERROR_POLICIES = ['rollback', 'stop'];
+
+const TRANSFER_CONCURRENCY = 4;
+
+// Per-operation object actions, the undo used by a rollback, and wording
+const OPERATIONS = {
+  move: {
+    run: async (supabase, item) => {
+      const { error } = await supabase.storage.from(item.bucket)
+        .move(item.from, item.to, item.destinationBucket !== item.bucket ? { destinationBucket: item.destinationBucket } : undefined);
+      if (error) throw error;
+    },
+    undo: async (supabase, item) => {
+      const { error } = await supabase.storage.from(item.destinationBucket)
+        .move(item.to, item.from, item.destinationBucket !== item.bucket ? { destinationBucket: item.bucket } : undefined);
+      if (error) throw error;
+    },
+    counter: 'moved',
+    verb: 'Moved',
+    noun: 'Move',
+    undone: 'moved back',
+  },
+  copy: {
+    run: async (supabase, item) => {
+      await copyFile(supabase, item.from, item.to, item.bucket, item.destinationBucket);
+    },
+    undo: async (supabase, item) => {
+      const { error } = await supabase.storage.from(item.destinationBucket).remove([item.to]);
+      if (error) throw error;
+    },
+    counter: 'copied',
+    verb: 'Copied',
+    noun: 'Copy',
+    undone: 'removed again',
+  },
+};
+
+// Put the destination object an overwrite replaced back from its version
+const putBackReplaced = (supabase, item) =>
+  revertToVersion(supabase, { bucket: item.destinationBucket, path: item.to, id: item.versionId });
+
+const isPlaceholder = (objectPath) => objectPath.split('/').pop() === FOLDER_PLACEHOLDER;
+
+/**
+ * List every object under a folder, at any depth
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucketName - Bucket name
+ * @param {string} folderPath - Folder path ('' for the bucket root)
+ * @returns {Promise<Array<{path: string, size: number}>>} Objects, including .folder placeholders
+ */
+export async function listObjectsRecursive(supabase, bucketName, folderPath) {
+  const objects = [];
+  const pending = [folderPath];
+
+  while (pending.length > 0) {
+    const current = pending.shift();
+    const items = await listFiles(supabase, bucketName, current);
+
+    for (const item of items) {
+      const itemPath = current ? `${current}/${item.name}` : item.name;
+      // In Supabase, folders have id: null
+      if (item.id === null) {
+        pending.push(itemPath);
+      } else {
+        objects.push({ path: itemPath, size: item.metadata?.size || 0 });
+      }
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Validate a folder move or copy before starting it
+ * A folder can be copied into itself (the source is listed before anything is
+ * copied) but not moved into itself.
+ * @param {object} options - { operation, bucket, destinationBucket, sourcePath, destinationPath, conflict, onError }
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+export function validateFolderTransfer({
+  operation = 'move',
+  bucket,
+  destinationBucket = bucket,
+  sourcePath,
+  destinationPath,
+  conflict = 'fail',
+  onError = 'rollback',
+}) {
+  if (!sourcePath) throw httpError('Source folder is required', 400);
+  const sameBucket = destinationBucket === bucket;
+  if (sameBucket && sourcePath === destinationPath) throw httpError('Source and destination are the same', 400);
+  if (sameBucket && operation === 'move' && destinationPath.startsWith(`${sourcePath}/`)) {
+    throw httpError('A folder cannot be moved into itself', 400);
+  }
+  if (!FOLDER_CONFLICT_POLICIES.includes(conflict)) {
+    throw httpError(`conflict must be one of: ${FOLDER_CONFLICT_POLICIES.join(', ')}`, 400);
+  }
+  if (!FOLDER_ERROR_POLICIES.includes(onError)) {
+    throw httpError(`onError must be one of: ${FOLDER_ERROR_POLICIES.join(', ')}`, 400);
+  }
+}
+
+/**
+ * Move or copy every object under a folder to a new prefix
+ *
+ * Destination conflicts are found before anything is transferred:
+ * - fail: nothing is transferred and the conflicting paths are reported
+ * - skip: conflicting objects are left alone
+ * - overwrite: the destination object is removed first. In a bucket listed in VERSIONED_BUCKETS
+ *   it is kept as a version, and put back when its replacement fails or is rolled back;
+ *   elsewhere it is lost.
+ * A .folder placeholder that already exists at the destination is never a conflict.
+ *
+ * When an object fails midway, in-flight transfers finish and then, with onError
+ * 'rollback', transferred objects are moved back (or the copies removed); with
+ * 'stop' (or when the rollback itself fails) the job ends 'partial' and reports
+ * which objects were left at the destination.
+ *
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - Options
+ * @param {string} options.operation - 'move' | 'copy'
+ * @param {string} options.bucket - Source bucket name
+ * @param {string} options.destinationBucket - Destination bucket name (defaults to the source bucket)
+ * @param {string} options.sourcePath - Folder to transfer
+ * @param {string} options.destinationPath - Destination folder path
+ * @param {string} options.conflict - 'fail' | 'skip' | 'overwrite'
+ * @param {string} options.onError - 'rollback' | 'stop'
+ * @param {function} options.onProgress - Called with { total, processed, moved|copied, skipped, failed }
+ * @returns {Promise<object>} Outcome ({ status, total, moved|copied, skipped, failed, rolledBack, conflicts, errors, leftAtDestination, message })
+ */
+export async function transferFolder(supabase, {
+  operation = 'move',
+  bucket,
+  destinationBucket = bucket,
+  sourcePath,
+  destinationPath,
+  conflict = 'fail',
+  onError = 'rollback',
+  onProgress = () => {},
+}) {
+  validateFolderTransfer({ operation, bucket, destinationBucket, sourcePath, destinationPath, conflict, onError });
+  const { run, undo, counter, verb, noun, undone } = OPERATIONS[operation];
+
+  const objects = await listObjectsRecursive(supabase, bucket, sourcePath);
+  if (objects.length === 0) throw httpError('Folder is empty or does not exist', 404);
+
+  const existing = new Set(
+    (await listObjectsRecursive(supabase, destinationBucket, destinationPath))
+      .map(object => object.path.slice(destinationPath.length + 1)),
+  );
+
+  const plan = objects.map(object => {
+    const relativePath = object.path.slice(sourcePath.length + 1);
+    return {
+      bucket,
+      destinationBucket,
+      from: object.path,
+      to: `${destinationPath}/${relativePath}`,
+      exists: existing.has(relativePath),
+    };
+  });
+
+  const conflicts = plan.filter(item => item.exists && !isPlaceholder(item.from)).map(item => item.to);
+  const outcome = {
+    total: plan.length,
+    processed: 0,
+    [counter]: 0,
+    skipped: 0,
+    failed: 0,
+    rolledBack: 0,
+    conflicts,
+    errors: [],
+    leftAtDestination: [],
+  };
+
+  if (conflicts.length > 0 && conflict === 'fail') {
+    return {
+      ...outcome,
+      status: 'failed',
+      message: `${conflicts.length} object(s) already exist at the destination; nothing was ${verb.toLowerCase()}`,
+    };
+  }
+
+  onProgress({ total: outcome.total });
+
+  // Placeholders already at the destination, and skipped conflicts, stay where they are
+  const pending = [];
+  const leftInSource = [];
+  for (const item of plan) {
+    if (item.exists && (isPlaceholder(item.from) || conflict === 'skip')) {
+      leftInSource.push(item.from);
+      if (!isPlaceholder(item.from)) outcome.skipped += 1;
+      outcome.processed += 1;
+    } else {
+      pending.push(item);
+    }
+  }
+
+  const done = [];
+  let next = 0;
+  let stopped = false;
+
+  const worker = async () => {
+    while (!stopped && next < pending.length) {
+      const item = pending[next++];
+      try {
+        if (item.exists) {
+          if (isVersionedBucket(destinationBucket)) {
+            item.versionId = await retainVersion(supabase, { bucket: destinationBucket, path: item.to });
+          }
+          const { error } = await supabase.storage.from(destinationBucket).remove([item.to]);
+          if (error) throw error;
+        }
+        await run(supabase, item);
+        done.push(item);
+        outcome[counter] += 1;
+      } catch (error) {
+        if (item.versionId) await putBackReplaced(supabase, item).catch(() => {});
+        stopped = true;
+        outcome.failed += 1;
+        outcome.errors.push({ path: item.from, message: error.message || `${noun} failed` });
+      }
+      outcome.processed += 1;
+      onProgress({ processed: outcome.processed, [counter]: outcome[counter], skipped: outcome.skipped, failed: outcome.failed });
+    }
+  };
+
+  await Promise.all(Array.from({ length: TRANSFER_CONCURRENCY }, worker));
+
+  if (!stopped) {
+    // Placeholders left behind would keep an otherwise empty source folder visible
+    const placeholders = leftInSource.filter(isPlaceholder);
+    if (operation === 'move' && placeholders.length > 0 && outcome.skipped === 0) {
+      await supabase.storage.from(bucket).remove(placeholders);
+    }
+    return {
+      ...outcome,
+      status: 'completed',
+      message: outcome.skipped > 0
+        ? `${verb} ${outcome[counter]} object(s); skipped ${outcome.skipped} that already existed`
+        : `${verb} ${outcome[counter]} object(s)`,
+    };
+  }
+
+  if (onError === 'rollback') {
+    const stranded = [];
+    for (const item of [...done].reverse()) {
+      try {
+        await undo(supabase, item);
+        if (item.versionId) await putBackReplaced(supabase, item);
+        outcome.rolledBack += 1;
+      } catch (error) {
+        stranded.push(item.to);
+        outcome.errors.push({ path: item.to, message: `Rollback failed: ${error.message || `${noun} failed`}` });
+      }
+    }
+
+    if (stranded.length === 0) {
+      return {
+        ...outcome,
+        status: 'rolled_back',
+        message: `${noun} failed; ${outcome.rolledBack} object(s) were ${undone}`,
+      };
+    }
+    return {
+      ...outcome,
+      status: 'partial',
+      leftAtDestination: stranded,
+      message: `${noun} failed and ${stranded.length} object(s) could not be ${undone}`,
+    };
+  }
+
+  return {
+    ...outcome,
+    status: 'partial',
+    leftAtDestination: done.map(item => item.to),
+    message: `${noun} stopped after an error; ${done.length} object(s) are at the destination and ${pending.length - done.length} were not ${verb.toLowerCase()}`,
+  };
+}
+
+/**
+ * Move (or rename) a folder; see transferFolder
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - transferFolder options without operation
+ * @returns {Promise<object>} Outcome
+ */
+export function moveFolder(supabase, options) {
+  return transferFolder(supabase, { ...options, operation: 'move' });
+}
+
+/**
+ * Copy a folder; see transferFolder
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - transferFolder options without operation
+ * @returns {Promise<object>} Outcome
+ */
+export function copyFolder(supabase, options) {
+  return transferFolder(supabase, { ...options, operation: 'copy' });
+}
@@ -0,0 +1,322 @@
+/**
+ * Folder Watch
+ * Continuous ingestion of a drop directory: files that appear or change are
+ * uploaded once they stop changing, then optionally moved away or deleted
+ *
+ * A file is ready when two scans at least settleMs apart saw the same size and
+ * modification time, so files still being written are left alone. Uploaded
+ * files are recorded in a journal next to them (size, modification time and
+ * storage path), which lets a restarted watcher skip what it already sent and
+ * finish a move or delete that was interrupted. Files the conflict policy
+ * skipped are recorded too, but never moved or deleted.
+ */
+import fs from 'fs';
+import path from 'path';
+import { scanLocalFiles } from './directorySync.mjs';
+import { httpError } from './errors.mjs';
+
+export const WATCH_JOURNAL_FILE = '.supabase-watch.json';
+export const WATCH_AFTER_ACTIONS = ['keep', 'delete', 'move'];
+
+const WATCH_JOURNAL_VERSION = 1;
+const DEFAULT_SETTLE_MS = 2000;
+const DEFAULT_INTERVAL_MS = 10 * 1000;
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+// Names that writers use while a file is incomplete
+const PARTIAL_FILE_PATTERN = /(\.(tmp|part|partial|crdownload|download|swp)|~)$/i;
+
+/**
+ * Check whether a file name marks an incomplete write
+ * @param {string} name - File name or relative path
+ * @returns {boolean}
+ */
+export const isPartialFile = (name) => PARTIAL_FILE_PATTERN.test(name);
+
+/**
+ * Watch a directory and upload what lands in it
+ */
+export class FolderWatcher {
+  /**
+   * @param {object} options - Options
+   * @param {string} options.dir - Directory to watch
+   * @param {function} options.upload - (fullPath, relativePath) => Promise<{success, skipped?, path?, error?}>
+   * @param {string} options.after - 'keep' | 'delete' | 'move' once a file is uploaded (not when it was skipped)
+   * @param {string} options.moveTo - Destination directory for 'move' (relative paths are kept)
+   * @param {string} options.journalPath - Journal file (defaults to .supabase-watch.json in dir)
+   * @param {object} options.scope - { bucket, prefix }; a journal written for another target is ignored
+   * @param {number} options.settleMs - How long a file must stay unchanged before it is uploaded
+   * @param {number} options.intervalMs - Rescan interval (changes are also picked up from fs.watch where available)
+   * @param {number} options.retryDelayMs - Wait before retrying a failed upload
+   * @param {object} options.filter - Files to pick up (from utils/fileFilters.mjs; default: all)
+   * @param {function} options.onEvent - Called with { type: 'uploaded' | 'skipped' | 'failed' | 'deleted' | 'moved' | 'error', path, ... }
+   * @param {function} options.now - Clock (defaults to Date.now)
+   */
+  constructor({
+    dir,
+    upload,
+    after = 'keep',
+    moveTo = null,
+    journalPath = null,
+    scope = {},
+    settleMs = DEFAULT_SETTLE_MS,
+    intervalMs = DEFAULT_INTERVAL_MS,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    filter = null,
+    onEvent = () => {},
+    now = Date.now,
+  }) {
+    if (!dir) throw httpError('Directory to watch is required', 400);
+    if (!WATCH_AFTER_ACTIONS.includes(after)) {
+      throw httpError(`after must be one of: ${WATCH_AFTER_ACTIONS.join(', ')}`, 400);
+    }
+    if (after === 'move' && !moveTo) throw httpError('A destination directory is required to move uploaded files', 400);
+
+    this.dir = path.resolve(dir);
+    this.upload = upload;
+    this.after = after;
+    this.moveTo = moveTo ? path.resolve(moveTo) : null;
+    if (this.moveTo === this.dir) throw httpError('Uploaded files cannot be moved into the watched directory itself', 400);
+    this.journalPath = path.resolve(journalPath || path.join(this.dir, WATCH_JOURNAL_FILE));
+    this.scope = { bucket: scope.bucket || '', prefix: scope.prefix || '' };
+    this.settleMs = settleMs;
+    this.intervalMs = intervalMs;
+    this.retryDelayMs = retryDelayMs;
+    this.filter = filter;
+    this.onEvent = onEvent;
+    this.now = now;
+
+    this.journal = null;
+    // relative path -> { size, mtimeMs, since, retryAt } for files seen but not uploaded yet
+    this.pending = new Map();
+    this.running = null;
+    this.dirty = false;
+    this.timer = null;
+    this.interval = null;
+    this.watcher = null;
+    this.stopped = false;
+  }
+
+  async loadJournal() {
+    if (this.journal) return this.journal;
+    this.journal = {};
+    try {
+      const parsed = JSON.parse(await fs.promises.readFile(this.journalPath, 'utf8'));
+      const sameScope = parsed.version === WATCH_JOURNAL_VERSION
+        && parsed.bucket === this.scope.bucket
+        && parsed.prefix === this.scope.prefix;
+      if (sameScope && parsed.files && typeof parsed.files === 'object') this.journal = parsed.files;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable watch journal ${this.journalPath}:`, error.message);
+    }
+    return this.journal;
+  }
+
+  async saveJournal() {
+    const tempPath = `${this.journalPath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.journalPath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify({
+      version: WATCH_JOURNAL_VERSION,
+      ...this.scope,
+      files: this.journal,
+    }));
+    await fs.promises.rename(tempPath, this.journalPath);
+  }
+
+  /**
+   * Look at the directory once and upload every file that is ready
+   * Concurrent calls are folded into one more pass after the running one.
+   * @returns {Promise<void>}
+   */
+  async scan() {
+    if (this.running) {
+      this.dirty = true;
+      return this.running;
+    }
+    this.running = (async () => {
+      do {
+        this.dirty = false;
+        try {
+          await this.scanOnce();
+        } catch (error) {
+          this.onEvent({ type: 'error', message: error.message });
+        }
+      } while (this.dirty && !this.stopped);
+    })();
+    try {
+      await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async scanOnce() {
+    const journal = await this.loadJournal();
+    const now = this.now();
+    const files = await scanLocalFiles(this.dir, {
+      exclude: [this.journalPath, `${this.journalPath}.${process.pid}.tmp`, this.moveTo],
+      filter: this.filter,
+    });
+
+    // Forget files that went away, by us or anyone else
+    let journalChanged = false;
+    for (const relativePath of Object.keys(journal)) {
+      if (!files.has(relativePath)) {
+        delete journal[relativePath];
+        journalChanged = true;
+      }
+    }
+    for (const relativePath of this.pending.keys()) {
+      if (!files.has(relativePath)) this.pending.delete(relativePath);
+    }
+    if (journalChanged) await this.saveJournal();
+
+    const ready = [];
+    for (const [relativePath, file] of files) {
+      if (isPartialFile(relativePath)) continue;
+
+      const done = journal[relativePath];
+      if (done && done.size === file.size && done.mtimeMs === file.mtimeMs) {
+        // Uploaded before a restart, but never moved or deleted
+        if (this.after !== 'keep' && !done.skipped) ready.push({ relativePath, file, uploaded: done });
+        continue;
+      }
+
+      const seen = this.pending.get(relativePath);
+      if (!seen || seen.size !== file.size || seen.mtimeMs !== file.mtimeMs) {
+        this.pending.set(relativePath, { ...file, since: now, retryAt: 0 });
+        continue;
+      }
+      if (now - seen.since >= this.settleMs && now >= seen.retryAt) ready.push({ relativePath, file });
+    }
+
+    ready.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    for (const item of ready) {
+      if (this.stopped) break;
+      await this.ingest(item, now);
+    }
+
+    // Come back when the next waiting file has settled or may be retried
+    if (this.pending.size > 0) {
+      const dueAt = Math.min(...[...this.pending.values()].map(seen => Math.max(seen.since + this.settleMs, seen.retryAt)));
+      this.schedule(Math.max(dueAt - this.now(), 0));
+    }
+  }
+
+  async ingest({ relativePath, file, uploaded }, now) {
+    const fullPath = path.join(this.dir, relativePath);
+
+    if (!uploaded) {
+      let result;
+      try {
+        result = await this.upload(fullPath, relativePath);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      if (!result.success) {
+        this.pending.set(relativePath, { ...file, since: this.pending.get(relativePath)?.since ?? now, retryAt: now + this.retryDelayMs });
+        this.onEvent({ type: 'failed', path: relativePath, message: result.error || 'Upload failed' });
+        return;
+      }
+
+      this.pending.delete(relativePath);
+      this.journal[relativePath] = {
+        size: file.size,
+        mtimeMs: file.mtimeMs,
+        storagePath: result.path || null,
+        uploadedAt: new Date(now).toISOString(),
+        ...(result.skipped ? { skipped: true } : {}),
+      };
+      await this.saveJournal();
+      this.onEvent({ type: result.skipped ? 'skipped' : 'uploaded', path: relativePath, storagePath: result.path, size: file.size });
+
+      // The conflict policy kept the bucket's object, so this file is the only copy of its contents
+      if (result.skipped) return;
+    }
+
+    if (this.after === 'keep') return;
+    try {
+      if (this.after === 'delete') {
+        await fs.promises.unlink(fullPath);
+        this.onEvent({ type: 'deleted', path: relativePath });
+      } else {
+        const destination = path.join(this.moveTo, relativePath);
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+        await moveFile(fullPath, destination);
+        this.onEvent({ type: 'moved', path: relativePath, destination });
+      }
+      delete this.journal[relativePath];
+      await this.saveJournal();
+    } catch (error) {
+      // The journal entry stays, so the next scan tries again without uploading twice
+      this.onEvent({ type: 'failed', path: relativePath, message: `Uploaded, but could not ${this.after} it: ${error.message}` });
+    }
+  }
+
+  /**
+   * Run a scan after a delay, unless one is already due sooner
+   * @param {number} delayMs - Delay
+   */
+  schedule(delayMs) {
+    // Only a started watcher runs on timers; scan() can always be called directly
+    if (this.stopped || !this.interval) return;
+    const dueAt = this.now() + delayMs;
+    if (this.timer && this.timer.dueAt <= dueAt) return;
+    if (this.timer) clearTimeout(this.timer.handle);
+    this.timer = {
+      dueAt,
+      handle: setTimeout(() => {
+        this.timer = null;
+        this.scan();
+      }, delayMs),
+    };
+  }
+
+  /**
+   * Scan now, then on every change notification and every intervalMs
+   * @returns {Promise<void>} Resolves after the first scan
+   */
+  async start() {
+    const stats = await fs.promises.stat(this.dir).catch(() => null);
+    if (!stats || !stats.isDirectory()) throw httpError(`Directory not found: ${this.dir}`, 404);
+
+    try {
+      this.watcher = fs.watch(this.dir, { recursive: true }, () => this.schedule(this.settleMs));
+      this.watcher.on('error', () => {
+        this.watcher.close();
+        this.watcher = null;
+      });
+    } catch {
+      // Recursive watching is not available on every platform and Node version; the interval still finds everything
+      this.watcher = null;
+    }
+    this.interval = setInterval(() => this.schedule(0), this.intervalMs);
+    await this.scan();
+  }
+
+  /**
+   * Stop watching; an upload in progress is allowed to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.timer) clearTimeout(this.timer.handle);
+    if (this.interval) clearInterval(this.interval);
+    if (this.watcher) this.watcher.close();
+    this.timer = null;
+    this.interval = null;
+    this.watcher = null;
+    if (this.running) await this.running;
+  }
+}
+
+// rename, falling back to copy and delete across filesystems
+async function moveFile(source, destination) {
+  try {
+    await fs.promises.rename(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(source, destination);
+    await fs.promises.unlink(source);
+  }
+}
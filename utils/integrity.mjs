@@ -0,0 +1,197 @@
+/**
+ * Upload Integrity
+ * SHA-256 digests for uploaded objects: computed on the bytes sent to storage or
+ * read back from it, recorded as object metadata and compared against client-declared digests
+ */
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Key of the digest in the object's user metadata
+export const CHECKSUM_METADATA_KEY = 'sha256';
+
+// Error code returned when a digest does not match
+export const CHECKSUM_MISMATCH_CODE = 'CHECKSUM_MISMATCH';
+
+// Error code for direct uploads whose size is not the declared one
+export const SIZE_MISMATCH_CODE = 'SIZE_MISMATCH';
+
+// Lifetime of the signed URLs objects are read back through
+const SIGNED_URL_TTL_SECONDS = 300;
+
+/**
+ * Check that a value is a hex SHA-256 digest
+ * @param {string} value - Candidate digest
+ * @returns {boolean} True if valid
+ */
+export function isValidSha256(value) {
+  return typeof value === 'string' && /^[a-f0-9]{64}$/i.test(value);
+}
+
+/**
+ * Normalize an optional client-supplied digest
+ * @param {string} value - Digest or empty
+ * @returns {string|null} Lowercase hex digest, or null when absent
+ * @throws {Error} If a value is present but is not a SHA-256 hex digest
+ */
+export function normalizeSha256(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!isValidSha256(value)) {
+    throw new Error('sha256 must be a 64-character hex digest');
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Hash a buffer
+ * @param {Buffer|Uint8Array} data - Bytes to hash
+ * @returns {string} Hex SHA-256
+ */
+export function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash a local file without loading it into memory
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Build an error result for a digest mismatch
+ * @param {string} expected - Declared digest
+ * @param {string} actual - Computed digest
+ * @returns {{error: string, code: string, expectedSha256: string, actualSha256: string}}
+ */
+export function checksumMismatch(expected, actual) {
+  return {
+    error: `SHA-256 mismatch: expected ${expected}, got ${actual}`,
+    code: CHECKSUM_MISMATCH_CODE,
+    expectedSha256: expected,
+    actualSha256: actual,
+  };
+}
+
+/**
+ * Read the digest recorded in an object's metadata
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucketName - Bucket name
+ * @param {string} storagePath - Path in bucket
+ * @returns {Promise<string|null>} Recorded digest, or null when the object has none
+ */
+export async function readStoredChecksum(supabase, bucketName, storagePath) {
+  const { data, error } = await supabase.storage.from(bucketName).info(storagePath);
+  if (error) throw new Error(error.message || 'Failed to read object metadata');
+
+  const recorded = data?.metadata?.[CHECKSUM_METADATA_KEY];
+  return isValidSha256(recorded) ? recorded.toLowerCase() : null;
+}
+
+/**
+ * Metadata header that records a digest on an upload straight to storage
+ * The storage API reads x-metadata as base64-encoded JSON (multipart uploads send a metadata field instead)
+ * @param {string} sha256 - Hex digest
+ * @returns {{'x-metadata': string}}
+ */
+export function checksumMetadataHeaders(sha256) {
+  return { 'x-metadata': Buffer.from(JSON.stringify({ [CHECKSUM_METADATA_KEY]: sha256 })).toString('base64') };
+}
+
+/**
+ * Stream an object's bytes through a signed URL
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucketName - Bucket name
+ * @param {string} storagePath - Path in bucket
+ * @param {function} fetchImpl - fetch implementation
+ * @returns {Promise<ReadableStream>} Response body
+ */
+export async function openObjectStream(supabase, bucketName, storagePath, fetchImpl = fetch) {
+  const { data, error } = await supabase.storage.from(bucketName).createSignedUrl(storagePath, SIGNED_URL_TTL_SECONDS);
+  if (error) throw new Error(error.message || 'Failed to sign object URL');
+
+  const response = await fetchImpl(data.signedUrl);
+  if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+  return response.body;
+}
+
+/**
+ * Pass-through stream that hashes and counts the bytes flowing through it
+ * @returns {{stream: TransformStream, digest: function(): {sha256: string, size: number}}}
+ */
+export function measuringStream() {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const stream = new TransformStream({
+    transform(chunk, controller) {
+      hash.update(chunk);
+      size += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+  });
+  return { stream, digest: () => ({ sha256: hash.digest('hex'), size }) };
+}
+
+/**
+ * Hash a stored object by streaming it, without holding it in memory
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucketName - Bucket name
+ * @param {string} storagePath - Path in bucket
+ * @param {function} fetchImpl - fetch implementation
+ * @returns {Promise<{sha256: string, size: number}>}
+ */
+export async function hashStoredObject(supabase, bucketName, storagePath, fetchImpl = fetch) {
+  const body = await openObjectStream(supabase, bucketName, storagePath, fetchImpl);
+  const { stream, digest } = measuringStream();
+  const reader = body.pipeThrough(stream).getReader();
+  while (!(await reader.read()).done) { /* drain */ }
+  return digest();
+}
+
+/**
+ * Verify an object that was uploaded straight to storage
+ * The server never saw these bytes, so it reads the object back and hashes it; the size is
+ * checked against the object info first so a short or oversized upload is not downloaded.
+ * A digest the upload recorded as metadata must match too, since listings report it.
+ * A failing object is removed so the client can upload it again under the same key.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucketName - Bucket name
+ * @param {string} storagePath - Path in bucket
+ * @param {object} options - Verification options
+ * @param {string} options.expectedSha256 - Digest declared by the client (optional)
+ * @param {number} options.expectedSize - Size declared by the client (optional)
+ * @param {function} options.fetchImpl - fetch implementation
+ * @returns {Promise<{valid: boolean, sha256: string|null, size: number, error?: string, code?: string}>}
+ */
+export async function verifyStoredObject(supabase, bucketName, storagePath, { expectedSha256 = null, expectedSize = null, fetchImpl = fetch } = {}) {
+  const { data, error } = await supabase.storage.from(bucketName).info(storagePath);
+  if (error) throw new Error(error.message || 'Failed to read object metadata');
+
+  const recorded = data?.metadata?.[CHECKSUM_METADATA_KEY];
+  let size = Number(data?.size);
+  let sha256 = null;
+  let failure = null;
+  if (expectedSize !== null && size !== expectedSize) {
+    failure = { error: `Size mismatch: expected ${expectedSize} bytes, got ${size}`, code: SIZE_MISMATCH_CODE };
+  } else {
+    ({ sha256, size } = await hashStoredObject(supabase, bucketName, storagePath, fetchImpl));
+    if (expectedSha256 && sha256 !== expectedSha256) {
+      failure = checksumMismatch(expectedSha256, sha256);
+    } else if (isValidSha256(recorded) && recorded.toLowerCase() !== sha256) {
+      failure = checksumMismatch(recorded.toLowerCase(), sha256);
+    }
+  }
+
+  if (failure) {
+    await supabase.storage.from(bucketName).remove([storagePath]);
+    return { valid: false, sha256, size, ...failure };
+  }
+  return { valid: true, sha256, size };
+}
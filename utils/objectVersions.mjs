@@ -0,0 +1,229 @@
+/**
+ * Object Versions
+ * Opt-in version history for overwritten objects: in buckets listed in
+ * VERSIONED_BUCKETS, the object at a path is copied aside before an upload
+ * replaces it, and can later be downloaded, compared or restored
+ *
+ * Versions of "<path>" are kept at ".versions/<path>/<id>". A copy keeps the
+ * object's content type, cache control and metadata, so a version can be
+ * compared with the current object and restored exactly. Ids start with the
+ * time the version was replaced, so they sort oldest first.
+ */
+import crypto from 'crypto';
+import { listFiles } from './storageOperations.mjs';
+import { CHECKSUM_METADATA_KEY } from './integrity.mjs';
+import { httpError, isNotFoundError } from './errors.mjs';
+
+export const VERSIONS_PREFIX = '.versions';
+export const DEFAULT_MAX_OBJECT_VERSIONS = 10;
+
+const VERSION_ID_PATTERN = /^(\d{13})-[0-9a-f]{8}$/;
+const INFO_CONCURRENCY = 8;
+
+/**
+ * Check whether a bucket keeps versions, from VERSIONED_BUCKETS
+ * A comma-separated list of bucket names, or "*" for every bucket.
+ * @param {string} bucket - Bucket name
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {boolean}
+ */
+export function isVersionedBucket(bucket, env = process.env) {
+  const buckets = String(env.VERSIONED_BUCKETS || '').split(',').map(name => name.trim()).filter(Boolean);
+  return buckets.includes('*') || buckets.includes(bucket);
+}
+
+/**
+ * Versions kept per object, from MAX_OBJECT_VERSIONS
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {number} At least 1
+ */
+export function getMaxObjectVersions(env = process.env) {
+  const value = Number(env.MAX_OBJECT_VERSIONS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_OBJECT_VERSIONS;
+}
+
+/**
+ * Check whether a path is the versions prefix or inside it
+ * @param {string} objectPath - Storage path
+ * @returns {boolean}
+ */
+export const isVersionPath = (objectPath) =>
+  objectPath === VERSIONS_PREFIX || String(objectPath).startsWith(`${VERSIONS_PREFIX}/`);
+
+export const isValidVersionId = (id) => typeof id === 'string' && VERSION_ID_PATTERN.test(id);
+
+/**
+ * Storage path of one version of an object
+ * @param {string} objectPath - Object path
+ * @param {string} id - Version id
+ * @returns {string}
+ */
+export const versionPath = (objectPath, id) => `${VERSIONS_PREFIX}/${objectPath}/${id}`;
+
+const newVersionId = (now) => `${now.getTime()}-${crypto.randomBytes(4).toString('hex')}`;
+const replacedAtOf = (id) => new Date(Number(id.split('-')[0]));
+
+async function listVersionIds(supabase, bucket, objectPath) {
+  return (await listFiles(supabase, bucket, `${VERSIONS_PREFIX}/${objectPath}`))
+    .filter(item => item.id !== null && isValidVersionId(item.name))
+    .map(item => item.name)
+    .sort();
+}
+
+async function objectDetails(supabase, bucket, objectPath) {
+  const { data, error } = await supabase.storage.from(bucket).info(objectPath);
+  if (error) {
+    if (isNotFoundError(error)) return null;
+    throw error;
+  }
+  return {
+    size: data.size ?? null,
+    contentType: data.contentType || null,
+    cacheControl: data.cacheControl || null,
+    etag: data.etag || null,
+    lastModified: data.lastModified || null,
+    metadata: data.metadata || {},
+  };
+}
+
+/**
+ * Differences between two objects' details
+ * Compares size, content type, cache control and every metadata key.
+ * @param {object|null} before - Details of the older object
+ * @param {object|null} after - Details of the newer object
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+ */
+export function diffObjectMetadata(before, after) {
+  const fields = {
+    size: [before?.size, after?.size],
+    contentType: [before?.contentType, after?.contentType],
+    cacheControl: [before?.cacheControl, after?.cacheControl],
+  };
+  const keys = new Set([...Object.keys(before?.metadata || {}), ...Object.keys(after?.metadata || {})]);
+  for (const key of [...keys].sort()) {
+    fields[`metadata.${key}`] = [before?.metadata?.[key], after?.metadata?.[key]];
+  }
+
+  return Object.entries(fields)
+    .filter(([, [a, b]]) => JSON.stringify(a ?? null) !== JSON.stringify(b ?? null))
+    .map(([field, [a, b]]) => ({ field, before: a ?? null, after: b ?? null }));
+}
+
+/**
+ * Keep the object at a path as a version before it is overwritten
+ * Does nothing when there is no object yet. The oldest versions beyond
+ * MAX_OBJECT_VERSIONS are removed.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - Options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.path - Object about to be overwritten
+ * @param {number} options.maxVersions - Versions to keep
+ * @param {Date} options.now - Replacement time
+ * @returns {Promise<string|null>} New version id, or null if nothing was there
+ */
+export async function retainVersion(supabase, { bucket, path: objectPath, maxVersions = getMaxObjectVersions(), now = new Date() }) {
+  if (isVersionPath(objectPath)) throw httpError('Versions cannot be versioned', 400);
+
+  const id = newVersionId(now);
+  const { error } = await supabase.storage.from(bucket).copy(objectPath, versionPath(objectPath, id));
+  if (error) {
+    if (isNotFoundError(error)) return null;
+    throw error;
+  }
+
+  const ids = await listVersionIds(supabase, bucket, objectPath);
+  const expired = ids.slice(0, Math.max(0, ids.length - maxVersions));
+  if (expired.length > 0) {
+    const { error: removeError } = await supabase.storage.from(bucket).remove(expired.map(old => versionPath(objectPath, old)));
+    if (removeError) console.warn(`Could not prune versions of ${objectPath}:`, removeError.message);
+  }
+  return id;
+}
+
+/**
+ * List the versions of an object, newest first
+ * Each version carries its details and how the object changed after it was
+ * replaced (changes, compared with the current object).
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucket - Bucket name
+ * @param {string} objectPath - Object path
+ * @returns {Promise<{current: object|null, versions: Array<object>}>}
+ */
+export async function listVersions(supabase, bucket, objectPath) {
+  const ids = (await listVersionIds(supabase, bucket, objectPath)).reverse();
+  const current = await objectDetails(supabase, bucket, objectPath);
+
+  const versions = [];
+  for (let i = 0; i < ids.length; i += INFO_CONCURRENCY) {
+    versions.push(...await Promise.all(ids.slice(i, i + INFO_CONCURRENCY).map(async (id) => {
+      const details = await objectDetails(supabase, bucket, versionPath(objectPath, id));
+      return {
+        id,
+        replacedAt: replacedAtOf(id).toISOString(),
+        ...details,
+        sha256: details?.metadata?.[CHECKSUM_METADATA_KEY] || null,
+        changes: diffObjectMetadata(details, current),
+      };
+    })));
+  }
+
+  return { current, versions };
+}
+
+/**
+ * Make a version the current object again
+ * The object being replaced is kept as a version first, so a restore can be
+ * undone like any other overwrite.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - { bucket, path, id, maxVersions, now }
+ * @returns {Promise<{restored: string, retained: string|null}>} Restored version id and the id the replaced object was kept under
+ * @throws {Error} With statusCode 404 for an unknown version
+ */
+export async function restoreVersion(supabase, { bucket, path: objectPath, id, maxVersions = getMaxObjectVersions(), now = new Date() }) {
+  if (!isValidVersionId(id)) throw httpError('Version not found', 404);
+  if (!await objectDetails(supabase, bucket, versionPath(objectPath, id))) throw httpError('Version not found', 404);
+
+  // Copies do not overwrite, so the current object is kept aside and removed first.
+  // One extra version is allowed so the one being restored cannot be pruned here.
+  const retained = await retainVersion(supabase, { bucket, path: objectPath, maxVersions: maxVersions + 1, now });
+  if (retained) {
+    const { error } = await supabase.storage.from(bucket).remove([objectPath]);
+    if (error) throw error;
+  }
+
+  const { error } = await supabase.storage.from(bucket).copy(versionPath(objectPath, id), objectPath);
+  if (error) {
+    // Put the replaced object back so the path is not left empty
+    if (retained) await supabase.storage.from(bucket).copy(versionPath(objectPath, retained), objectPath);
+    throw error;
+  }
+  return { restored: id, retained };
+}
+
+/**
+ * Put a version back at its path, discarding whatever is there now
+ * Undoes an overwrite that did not go through, such as a direct upload that
+ * failed verification or was never finalized. Unlike restoreVersion, the
+ * discarded object is not kept.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - Options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.path - Object path
+ * @param {string} options.id - Version to put back
+ * @param {boolean} options.keepVersion - Copy the version instead of moving it out of the history
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 404 for an unknown version
+ */
+export async function revertToVersion(supabase, { bucket, path: objectPath, id, keepVersion = false }) {
+  if (!isValidVersionId(id)) throw httpError('Version not found', 404);
+  if (!await objectDetails(supabase, bucket, versionPath(objectPath, id))) throw httpError('Version not found', 404);
+
+  const storage = supabase.storage.from(bucket);
+  const { error: removeError } = await storage.remove([objectPath]);
+  if (removeError && !isNotFoundError(removeError)) throw removeError;
+
+  const { error } = keepVersion
+    ? await storage.copy(versionPath(objectPath, id), objectPath)
+    : await storage.move(versionPath(objectPath, id), objectPath);
+  if (error) throw error;
+}
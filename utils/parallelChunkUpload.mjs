@@ -0,0 +1,171 @@
+/**
+ * Parallel chunk uploads for the CLI
+ * Sends a large file to the app's upload-session API in parallel mode: chunks go out concurrently,
+ * each with its SHA-256, and the server assembles them on complete. The server applies the
+ * conflict policy and keeps the previous version in VERSIONED_BUCKETS, as for browser uploads.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { httpError } from './errors.mjs';
+
+// Same chunking as the web UI (see uploadFileInChunks in utils/uploadHelpers.js)
+export const PARALLEL_CHUNK_SIZE = 5 * 1024 * 1024;
+export const PARALLEL_CHUNK_CONCURRENCY = 4;
+const RETRY_DELAY_BASE = 1000;
+
+// Chunk indexes from the server's inclusive [first, last] missing ranges
+const chunkIndexes = (ranges) => ranges
+  .flatMap(([first, last]) => Array.from({ length: last - first + 1 }, (_, offset) => first + offset));
+
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Sign in to the app: a Bearer token, plus the CSRF token and cookie the state-changing routes check
+ * @param {string} appUrl - Base URL of the app
+ * @param {string} accessToken - Access token of an app user
+ * @param {function} fetchImpl - fetch
+ * @returns {Promise<function>} (route, init) => Promise<Response>
+ */
+async function appSession(appUrl, accessToken, fetchImpl) {
+  const base = appUrl.replace(/\/+$/, '');
+  const auth = { Authorization: `Bearer ${accessToken}` };
+
+  const response = await fetchImpl(`${base}/api/csrf`, { headers: auth });
+  const data = await readJson(response);
+  if (!response.ok || !data.token) {
+    throw httpError(data.error || `Could not get a CSRF token from ${base} (HTTP ${response.status})`, response.status);
+  }
+  const cookie = (response.headers.get('set-cookie') || '').split(';')[0];
+
+  return (route, { headers = {}, ...init } = {}) => fetchImpl(`${base}${route}`, {
+    ...init,
+    headers: { ...auth, [data.headerName]: data.token, Cookie: cookie, ...headers },
+  });
+}
+
+/**
+ * Upload a file through the app in concurrent chunks
+ * @param {object} options - Upload options
+ * @param {string} options.filePath - Local file
+ * @param {string} options.appUrl - Base URL of the app (UPLOADER_APP_URL)
+ * @param {string} options.accessToken - Access token of an app user (UPLOADER_ACCESS_TOKEN)
+ * @param {string} options.bucketName - Target bucket
+ * @param {string} options.objectPath - Path in the bucket
+ * @param {string} options.conflict - 'rename' | 'overwrite' | 'skip' | 'fail' when the path is taken
+ * @param {number} options.chunkSize - Bytes per chunk (default: PARALLEL_CHUNK_SIZE)
+ * @param {number} options.concurrency - Chunks in flight (default: PARALLEL_CHUNK_CONCURRENCY)
+ * @param {number} options.maxRetries - Retries per chunk after a network error, 429 or 5xx
+ * @param {number} options.retryDelayMs - First retry delay, doubled on each attempt
+ * @param {function} options.fetchImpl - fetch
+ * @param {function} options.onProgress - (bytesSent, totalBytes) => void
+ * @returns {Promise<object>} { path, id, sha256 }, or { skipped: true, path } when the conflict policy skipped it
+ */
+export async function uploadFileParallel({
+  filePath,
+  appUrl,
+  accessToken,
+  bucketName,
+  objectPath,
+  conflict = 'overwrite',
+  chunkSize = PARALLEL_CHUNK_SIZE,
+  concurrency = PARALLEL_CHUNK_CONCURRENCY,
+  maxRetries = 3,
+  retryDelayMs = RETRY_DELAY_BASE,
+  fetchImpl = fetch,
+  onProgress = () => {},
+}) {
+  const { size } = await fs.promises.stat(filePath);
+  const request = await appSession(appUrl, accessToken, fetchImpl);
+
+  const createResponse = await request('/api/upload-sessions/create', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      bucket: bucketName,
+      path: objectPath,
+      fileName: path.basename(filePath),
+      totalSize: size,
+      chunkSize,
+      parallel: true,
+      conflict,
+    }),
+  });
+  const created = await readJson(createResponse);
+  if (!createResponse.ok || !created.success) {
+    throw httpError(created.error || `Failed to create upload session (HTTP ${createResponse.status})`, createResponse.status, created.code ? { code: created.code } : {});
+  }
+  if (created.skipped) {
+    return { skipped: true, path: created.storagePath };
+  }
+
+  const sessionId = created.uploadId;
+  const pending = chunkIndexes(created.session.missingRanges);
+  let sentBytes = 0;
+  onProgress(0, size);
+
+  const handle = await fs.promises.open(filePath, 'r');
+  const putChunk = async (index) => {
+    const start = index * chunkSize;
+    const chunk = Buffer.alloc(Math.min(chunkSize, size - start));
+    const { bytesRead } = await handle.read(chunk, 0, chunk.length, start);
+    if (bytesRead !== chunk.length) throw httpError('The file changed while it was being uploaded', 400);
+    const checksum = crypto.createHash('sha256').update(chunk).digest('hex');
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      try {
+        response = await request(`/api/upload-sessions/${sessionId}/chunks/${index}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Sha256': checksum },
+          body: chunk,
+        });
+      } catch (error) {
+        if (attempt >= maxRetries) throw error;
+      }
+
+      if (response?.ok) break;
+
+      const retryable = !response || response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= maxRetries) {
+        const data = response ? await readJson(response) : {};
+        throw httpError(data.error || `Chunk ${index} failed`, response?.status);
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** attempt));
+    }
+
+    sentBytes += chunk.length;
+    onProgress(sentBytes, size);
+  };
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      await putChunk(pending.shift());
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+  } catch (error) {
+    pending.length = 0;
+    // Abort the session so its chunks do not linger on the server until expiry
+    await request(`/api/upload-sessions/${sessionId}`, { method: 'DELETE' }).catch(() => {});
+    throw error;
+  } finally {
+    await handle.close();
+  }
+
+  const completeResponse = await request(`/api/upload-sessions/${sessionId}/complete`, { method: 'POST' });
+  const completed = await readJson(completeResponse);
+  if (!completeResponse.ok || !completed.success) {
+    throw httpError(completed.error || `Failed to complete upload (HTTP ${completeResponse.status})`, completeResponse.status, completed.code ? { code: completed.code } : {});
+  }
+
+  return { path: completed.path, id: completed.result?.id, sha256: completed.sha256 };
+}
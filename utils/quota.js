@@ -1,4 +1,5 @@
 import { sendError } from './apiHelpers.js';
+import { measureBucketUsage } from './storageUsage.js';
 
 const windows = new Map();
 const n = (v, d) => { const x = Number(v); return Number.isFinite(x) && x > 0 ? x : d; };
@@ -31,17 +32,10 @@ export function enforceBandwidthQuota(req, res, bytes = 0) {
   return true;
 }
 
-async function usage(supabase, bucket, folder = '') {
-  const { data, error } = await supabase.storage.from(bucket).list(folder, { limit: 1000, offset: 0 });
-  if (error) throw error;
-  let total = 0;
-  for (const i of data || []) total += i.id === null ? await usage(supabase, bucket, folder ? `${folder}/${i.name}` : i.name) : (i.metadata?.size || 0);
-  return total;
-}
-
-export async function enforceStorageQuota(req, res, supabase, bucket, incoming = 0) {
+// Usage walks are kept and recorded by storageUsage when the caller passes the bucket's scope
+export async function enforceStorageQuota(req, res, supabase, bucket, incoming = 0, scope = null) {
   const c = quotaConfig();
-  const used = await usage(supabase, bucket);
+  const { totalBytes: used } = await measureBucketUsage(supabase, scope, bucket);
   if (used + (Number(incoming) || 0) > c.maxStorageBytes) { sendError(res, 'Storage quota exceeded', 429); return false; }
   return true;
 }
@@ -0,0 +1,31 @@
+/**
+ * Reserved Paths
+ * The trash (trash.mjs) and version history (objectVersions.mjs) are ordinary folders
+ * at the root of each bucket. Only those modules write there, so every route that writes
+ * an object path validates it here instead of with validateStoragePath alone.
+ */
+import { validateStoragePath } from './security.mjs';
+import { isTrashPath } from './trash.mjs';
+import { isVersionPath } from './objectVersions.mjs';
+
+/**
+ * Whether a path is the trash, the version history or inside one of them
+ * @param {string} objectPath - Path in the bucket, without leading slash
+ * @returns {boolean}
+ */
+export const isReservedPath = (objectPath) => isTrashPath(objectPath) || isVersionPath(objectPath);
+
+/**
+ * Validate and sanitize a path an object is written to, moved to or moved from
+ * @param {string} path - Storage path to validate
+ * @returns {{valid: boolean, error?: string, sanitized?: string}}
+ */
+export function validateWritablePath(path) {
+  const validation = validateStoragePath(path);
+  if (!validation.valid) return validation;
+
+  if (isReservedPath(validation.sanitized)) {
+    return { valid: false, error: 'The trash and version history cannot be changed directly' };
+  }
+  return validation;
+}
@@ -0,0 +1,349 @@
+/**
+ * Resumable File Upload (Node)
+ * Streams a local file to Supabase Storage over tus, one chunk in memory at a
+ * time, and remembers each upload URL so an interrupted upload continues from
+ * the server's offset on the next run
+ *
+ * The browser client in resumableUpload.mjs works on File objects through XHR;
+ * this is its counterpart for the CLI. Both send the same Upload-Metadata and
+ * TUS_CHUNK_SIZE chunks, which Supabase requires for every chunk but the last.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { TUS_CHUNK_SIZE, getTusEndpoint, buildTusMetadata } from './resumableUpload.mjs';
+import { TUS_VERSION, TUS_CONTENT_TYPE } from './tusProtocol.mjs';
+import { httpError } from './errors.mjs';
+
+export const RESUMABLE_STATE_FILE = '.supabase-resumable-uploads.json';
+
+// Supabase keeps an unfinished tus upload for 24 hours
+const UPLOAD_URL_TTL_MS = 24 * 60 * 60 * 1000;
+// Chunks are written to the socket in slices so progress moves with the bytes sent
+const WRITE_SLICE_SIZE = 256 * 1024;
+const RETRY_DELAY_BASE = 1000;
+
+const defaultStatePath = () => process.env.RESUMABLE_UPLOAD_STATE_FILE || RESUMABLE_STATE_FILE;
+
+/**
+ * Upload URLs of unfinished uploads, by fingerprint, in one JSON document
+ * Entries older than a day are dropped: the server has forgotten them by then.
+ * Uploads in one process share the store of a state file (see resumableUploadStore),
+ * whose writes go one at a time; each write renames its own temporary file into place.
+ */
+export class ResumableUploadStore {
+  /**
+   * @param {string} filePath - State file (defaults to RESUMABLE_UPLOAD_STATE_FILE, then .supabase-resumable-uploads.json)
+   */
+  constructor(filePath = defaultStatePath()) {
+    this.filePath = path.resolve(filePath);
+    this.uploads = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Concurrent callers wait for the same read instead of seeing an empty store
+  load(now = Date.now()) {
+    if (!this.loading) this.loading = this.read(now);
+    return this.loading;
+  }
+
+  async read(now) {
+    const uploads = {};
+    try {
+      const parsed = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      for (const [fingerprint, entry] of Object.entries(parsed.uploads || {})) {
+        if (now - Date.parse(entry.createdAt) < UPLOAD_URL_TTL_MS) uploads[fingerprint] = entry;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable resumable upload state ${this.filePath}:`, error.message);
+    }
+    this.uploads = uploads;
+    return uploads;
+  }
+
+  async get(fingerprint) {
+    return (await this.load())[fingerprint] || null;
+  }
+
+  async set(fingerprint, entry) {
+    (await this.load())[fingerprint] = entry;
+    return this.flush();
+  }
+
+  async delete(fingerprint) {
+    const uploads = await this.load();
+    if (!uploads[fingerprint]) return;
+    delete uploads[fingerprint];
+    return this.flush();
+  }
+
+  flush() {
+    const write = async () => {
+      if (Object.keys(this.uploads).length === 0) {
+        await fs.promises.rm(this.filePath, { force: true });
+        return;
+      }
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      try {
+        await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, uploads: this.uploads }));
+        await fs.promises.rename(tempPath, this.filePath);
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+}
+
+// One store per state file, shared by every upload in the process
+const stores = new Map();
+
+/**
+ * The shared store of a state file
+ * Parallel uploads (the CLI runs several at once) must use one store: separate
+ * stores of the same file would each write their own copy and drop the others' entries.
+ * @param {string} filePath - State file (defaults as in ResumableUploadStore)
+ * @returns {ResumableUploadStore}
+ */
+export function resumableUploadStore(filePath = defaultStatePath()) {
+  const resolved = path.resolve(filePath);
+  if (!stores.has(resolved)) stores.set(resolved, new ResumableUploadStore(resolved));
+  return stores.get(resolved);
+}
+
+/**
+ * Identify an upload: the same file, unchanged, going to the same place
+ * @param {object} options - { endpoint, bucketName, objectPath, filePath, size, mtimeMs }
+ * @returns {string} Hex digest
+ */
+export function uploadFingerprint({ endpoint, bucketName, objectPath, filePath, size, mtimeMs }) {
+  return crypto.createHash('sha256')
+    .update([endpoint, bucketName, objectPath, path.resolve(filePath), size, Math.floor(mtimeMs)].join('\n'))
+    .digest('hex');
+}
+
+/**
+ * Make one tus request
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {object} headers - Request headers
+ * @param {Buffer} body - Request body (optional)
+ * @param {function} onBytes - Called with the number of body bytes written so far
+ * @returns {Promise<{status: number, headers: object, body: string}>}
+ */
+function tusRequest(method, url, headers, body = null, onBytes = () => {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const request = transport.request(target, {
+      method,
+      headers: { 'Tus-Resumable': TUS_VERSION, ...headers, 'Content-Length': body ? body.length : 0 },
+    }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks).toString('utf8'),
+      }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+
+    if (!body) {
+      request.end();
+      return;
+    }
+
+    // Wait for each slice to be flushed before writing the next, so progress tracks the socket
+    let written = 0;
+    const writeNext = () => {
+      if (written >= body.length) {
+        request.end();
+        return;
+      }
+      const slice = body.subarray(written, written + WRITE_SLICE_SIZE);
+      request.write(slice, (error) => {
+        if (error) return;
+        written += slice.length;
+        onBytes(written);
+        writeNext();
+      });
+    };
+    writeNext();
+  });
+}
+
+const describe = (response) => {
+  const detail = response.body ? `: ${response.body.slice(0, 200)}` : '';
+  return `${response.status}${detail}`;
+};
+
+/**
+ * Upload a local file over tus, resuming an earlier attempt when there is one
+ *
+ * The upload URL is saved as soon as the server creates it, under a fingerprint
+ * of the endpoint, target and file (path, size and modification time), so a
+ * later call for the same unchanged file asks the server how far it got and
+ * sends only the rest. A changed file or an expired upload starts over. Failed
+ * requests are retried with exponential backoff after re-reading the server's
+ * offset; the saved URL outlives a final failure so the next run can resume.
+ *
+ * @param {object} options - Options
+ * @param {string} options.filePath - Local file
+ * @param {string} options.bucketName - Bucket name
+ * @param {string} options.objectPath - Path in the bucket
+ * @param {string} options.supabaseUrl - Supabase project URL
+ * @param {string} options.accessToken - Service role key or user access token
+ * @param {boolean} options.upsert - Overwrite an existing object (default: true)
+ * @param {string} options.contentType - Content type
+ * @param {object} options.metadata - User metadata recorded on the object
+ * @param {ResumableUploadStore} options.store - Where upload URLs are kept (default: the shared store of the state file)
+ * @param {number} options.chunkSize - Bytes per PATCH (default TUS_CHUNK_SIZE)
+ * @param {number} options.maxRetries - Retries per request
+ * @param {number} options.retryDelayMs - First retry delay (doubles each attempt)
+ * @param {function} options.onProgress - Called with (bytesUploaded, bytesTotal)
+ * @returns {Promise<{path: string, size: number, resumedFrom: number}>} resumedFrom is the offset the server already had
+ * @throws {Error} With statusCode 409 when the object exists and upsert is off
+ */
+export async function uploadFileResumable({
+  filePath,
+  bucketName,
+  objectPath,
+  supabaseUrl,
+  accessToken,
+  upsert = true,
+  contentType = 'application/octet-stream',
+  metadata = {},
+  store = resumableUploadStore(),
+  chunkSize = TUS_CHUNK_SIZE,
+  maxRetries = 3,
+  retryDelayMs = RETRY_DELAY_BASE,
+  onProgress = () => {},
+}) {
+  const stats = await fs.promises.stat(filePath);
+  const size = stats.size;
+  const endpoint = getTusEndpoint(supabaseUrl);
+  const fingerprint = uploadFingerprint({ endpoint, bucketName, objectPath, filePath, size, mtimeMs: stats.mtimeMs });
+  const auth = { Authorization: `Bearer ${accessToken}`, apikey: accessToken };
+
+  // Where the server is for a saved upload URL, or null when it has to start over
+  const serverOffset = async (uploadUrl) => {
+    const response = await tusRequest('HEAD', uploadUrl, auth);
+    if (response.status === 404 || response.status === 410 || response.status === 403) return null;
+    if (response.status !== 200) throw httpError(`Could not read upload offset: ${describe(response)}`, response.status);
+    const length = Number(response.headers['upload-length']);
+    if (Number.isFinite(length) && length !== size) return null;
+    return Number(response.headers['upload-offset']) || 0;
+  };
+
+  const create = async () => {
+    const response = await tusRequest('POST', endpoint, {
+      ...auth,
+      'Upload-Length': String(size),
+      'Upload-Metadata': buildTusMetadata({ bucketName, objectPath, contentType, customMetadata: metadata }),
+      ...(upsert && { 'x-upsert': 'true' }),
+    });
+    if (response.status === 409) {
+      throw httpError(`A file already exists at /${objectPath}`, 409);
+    }
+    if (response.status !== 201 || !response.headers.location) {
+      throw httpError(`Failed to create upload: ${describe(response)}`, response.status);
+    }
+    return new URL(response.headers.location, endpoint).toString();
+  };
+
+  // Network errors and 5xx answers are retried; errors say so themselves otherwise
+  const withRetries = async (fn) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        const retryable = error.retryable ?? (!error.statusCode || error.statusCode >= 500);
+        if (!retryable || attempt >= maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * Math.pow(2, attempt)));
+      }
+    }
+  };
+
+  let uploadUrl = null;
+  let offset = 0;
+  const saved = await store.get(fingerprint);
+  if (saved) {
+    const resumed = await withRetries(() => serverOffset(saved.uploadUrl));
+    if (resumed === null) {
+      await store.delete(fingerprint);
+    } else {
+      uploadUrl = saved.uploadUrl;
+      offset = resumed;
+    }
+  }
+  if (!uploadUrl) {
+    uploadUrl = await withRetries(create);
+    // Saved outside the retries: a failed write must not create a second upload
+    try {
+      await store.set(fingerprint, { uploadUrl, bucketName, objectPath, filePath: path.resolve(filePath), size, createdAt: new Date().toISOString() });
+    } catch (error) {
+      console.warn(`Could not save the upload URL of ${filePath}; an interrupted upload will start over:`, error.message);
+    }
+  }
+
+  const resumedFrom = offset;
+  onProgress(offset, size);
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    let resync = false;
+    while (offset < size) {
+      await withRetries(async () => {
+        // After a failure the server may hold part of the chunk; ask where to continue
+        if (resync) {
+          const current = await serverOffset(uploadUrl);
+          if (current === null) throw httpError('The upload expired on the server; run again to start over', 410);
+          offset = current;
+          resync = false;
+          if (offset >= size) return;
+        }
+
+        const length = Math.min(chunkSize, size - offset);
+        const chunk = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(chunk, 0, length, offset);
+        if (bytesRead !== length) throw httpError('The file changed while it was being uploaded', 400);
+
+        const start = offset;
+        let response;
+        try {
+          response = await tusRequest('PATCH', uploadUrl, {
+            ...auth,
+            'Upload-Offset': String(start),
+            'Content-Type': TUS_CONTENT_TYPE,
+          }, chunk, written => onProgress(start + written, size));
+        } catch (error) {
+          resync = true;
+          throw error;
+        }
+
+        if (response.status !== 204) {
+          resync = true;
+          // 409: the server is at another offset than we thought
+          throw httpError(`Upload failed at byte ${start}: ${describe(response)}`, response.status, {
+            retryable: response.status === 409 || response.status >= 500,
+          });
+        }
+        offset = Number(response.headers['upload-offset']) || start + length;
+        onProgress(offset, size);
+      });
+    }
+  } finally {
+    await handle.close();
+  }
+
+  await store.delete(fingerprint);
+  return { path: objectPath, size, resumedFrom };
+}
@@ -0,0 +1,197 @@
+/**
+ * Resumable Session Stores
+ * Persist resumable upload session metadata so sessions survive restarts and deploys
+ *
+ * Two backends are available, selected with RESUMABLE_SESSION_STORE:
+ * - file (default): a JSON document next to the .part files
+ * - postgres: the upload_sessions table in the auth Supabase project
+ *   (see database/upload_sessions.sql)
+ */
+import fs from 'fs';
+import path from 'path';
+import { getAuthClientServer } from './authSupabaseClient.mjs';
+
+export const SESSION_STORE_FILE = 'sessions.json';
+
+/**
+ * JSON-on-disk session store
+ * Keeps an in-memory copy and rewrites the document atomically (temp file + rename)
+ */
+export class FileSessionStore {
+  /**
+   * @param {string} baseDir - Directory holding the sessions document
+   */
+  constructor(baseDir) {
+    this.filePath = path.join(baseDir, SESSION_STORE_FILE);
+    this.records = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load every persisted session
+   * @returns {Promise<Array<object>>} Persisted sessions
+   */
+  async load() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      this.records = new Map(Object.entries(parsed.sessions || {}));
+    } catch (error) {
+      console.warn('Ignoring unreadable resumable session store:', error.message);
+      this.records = new Map();
+    }
+
+    return [...this.records.values()];
+  }
+
+  /**
+   * Insert or update a session
+   * @param {object} session - Session record
+   * @returns {Promise<void>}
+   */
+  async save(session) {
+    this.records.set(session.id, { ...session });
+    return this.flush();
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    if (!this.records.delete(sessionId)) return;
+    return this.flush();
+  }
+
+  flush() {
+    const write = async () => {
+      const document = JSON.stringify({ version: 1, sessions: Object.fromEntries(this.records) });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, document);
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    const next = this.writeQueue.then(write);
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+const toRow = (session) => ({
+  id: session.id,
+  user_id: session.userId,
+  bucket: session.bucket,
+  storage_path: session.storagePath,
+  file_name: session.fileName,
+  total_size: session.totalSize,
+  chunk_size: session.chunkSize,
+  uploaded_bytes: session.uploadedBytes,
+  file_sha256: session.fileSha256,
+  upload_metadata: session.uploadMetadata || null,
+  conflict: session.conflict || 'overwrite',
+  mode: session.mode || 'sequential',
+  chunk_count: session.chunkCount,
+  received_chunks: session.receivedChunks || null,
+  temp_file_path: session.tempFilePath,
+  instance_id: session.instanceId || null,
+  status: session.status,
+  created_at: new Date(session.createdAt).toISOString(),
+  last_activity_at: new Date(session.lastActivityAt).toISOString(),
+  expires_at: new Date(session.expiresAt).toISOString(),
+});
+
+const fromRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  bucket: row.bucket,
+  storagePath: row.storage_path,
+  fileName: row.file_name,
+  totalSize: Number(row.total_size),
+  chunkSize: Number(row.chunk_size),
+  uploadedBytes: Number(row.uploaded_bytes),
+  fileSha256: row.file_sha256,
+  uploadMetadata: row.upload_metadata,
+  conflict: row.conflict || 'overwrite',
+  mode: row.mode || 'sequential',
+  chunkCount: Number(row.chunk_count) || Math.ceil(Number(row.total_size) / Number(row.chunk_size)),
+  receivedChunks: row.received_chunks,
+  tempFilePath: row.temp_file_path,
+  instanceId: row.instance_id,
+  status: row.status,
+  createdAt: Date.parse(row.created_at),
+  lastActivityAt: Date.parse(row.last_activity_at),
+  expiresAt: Date.parse(row.expires_at),
+});
+
+/**
+ * Postgres session store backed by the upload_sessions table
+ * Uses the service-role auth client, like user settings
+ */
+export class PostgresSessionStore {
+  /**
+   * @param {SupabaseClient} client - Optional client (defaults to the auth server client)
+   */
+  constructor(client = null) {
+    this.client = client;
+  }
+
+  getClient() {
+    if (!this.client) this.client = getAuthClientServer();
+    return this.client;
+  }
+
+  async load() {
+    const { data, error } = await this.getClient()
+      .from('upload_sessions')
+      .select('*');
+
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  }
+
+  async save(session) {
+    const { error } = await this.getClient()
+      .from('upload_sessions')
+      .upsert(toRow(session), { onConflict: 'id' });
+
+    if (error) throw error;
+  }
+
+  async delete(sessionId) {
+    const { error } = await this.getClient()
+      .from('upload_sessions')
+      .delete()
+      .eq('id', sessionId);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Create the session store configured for this deployment
+ * @param {string} kind - 'file' or 'postgres' (defaults to RESUMABLE_SESSION_STORE, then 'file')
+ * @param {object} options - Store options
+ * @param {string} options.baseDir - Directory for the file store
+ * @returns {FileSessionStore|PostgresSessionStore}
+ */
+export function createSessionStore(kind = process.env.RESUMABLE_SESSION_STORE, { baseDir } = {}) {
+  const normalized = String(kind || 'file').trim().toLowerCase();
+
+  if (normalized === 'postgres') {
+    return new PostgresSessionStore();
+  }
+
+  if (normalized !== 'file') {
+    throw new Error(`Unknown RESUMABLE_SESSION_STORE: ${kind}`);
+  }
+
+  return new FileSessionStore(baseDir);
+}
@@ -57,11 +57,6 @@ export function getTusEndpoint(supabaseUrl) {
   return `https://${projectId}.storage.supabase.co/storage/v1/upload/resumable`;
 }
 
-/**
- * Get content type based on file extension
- * @param {string} fileName - File name with extension
- * @returns {string} MIME type
- */
 /**
  * Encode a string to base64, handling UTF-8 characters properly
  * btoa() only accepts Latin-1 characters, so we need to encode UTF-8 first
@@ -79,6 +74,34 @@ function utf8ToBase64(str) {
   return btoa(binary);
 }
 
+/**
+ * Build the Upload-Metadata header Supabase expects when creating a tus upload
+ * Shared by the browser client below and the CLI (resumableFileUpload.mjs).
+ * @param {object} options - { bucketName, objectPath, contentType, cacheControl, customMetadata }
+ * @returns {string} Comma-separated "key base64value" pairs
+ */
+export function buildTusMetadata({ bucketName, objectPath, contentType, cacheControl = '3600', customMetadata = {} }) {
+  // Use utf8ToBase64 to handle non-ASCII characters (Thai, Chinese, etc.)
+  const metadata = [
+    `bucketName ${utf8ToBase64(bucketName)}`,
+    `objectName ${utf8ToBase64(objectPath)}`,
+    `contentType ${utf8ToBase64(contentType)}`,
+    `cacheControl ${utf8ToBase64(cacheControl)}`,
+  ];
+
+  // Add custom metadata if provided
+  if (Object.keys(customMetadata).length > 0) {
+    metadata.push(`metadata ${utf8ToBase64(JSON.stringify(customMetadata))}`);
+  }
+
+  return metadata.join(',');
+}
+
+/**
+ * Get content type based on file extension
+ * @param {string} fileName - File name with extension
+ * @returns {string} MIME type
+ */
 function getContentType(fileName) {
   const ext = fileName.split('.').pop()?.toLowerCase() || '';
   const contentTypes = {
@@ -213,20 +236,7 @@ export function createResumableUpload(options) {
       xhr.setRequestHeader('Upload-Length', file.size.toString());
 
       // Metadata (base64 encoded key-value pairs)
-      // Use utf8ToBase64 to handle non-ASCII characters (Thai, Chinese, etc.)
-      const metadata = [
-        `bucketName ${utf8ToBase64(bucketName)}`,
-        `objectName ${utf8ToBase64(objectPath)}`,
-        `contentType ${utf8ToBase64(contentType)}`,
-        `cacheControl ${utf8ToBase64('3600')}`,
-      ];
-
-      // Add custom metadata if provided
-      if (Object.keys(customMetadata).length > 0) {
-        metadata.push(`metadata ${utf8ToBase64(JSON.stringify(customMetadata))}`);
-      }
-
-      xhr.setRequestHeader('Upload-Metadata', metadata.join(','));
+      xhr.setRequestHeader('Upload-Metadata', buildTusMetadata({ bucketName, objectPath, contentType, customMetadata }));
 
       // Upsert header
       if (upsert) {
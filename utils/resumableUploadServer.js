@@ -1,24 +1,297 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import crypto from 'crypto';
 import { getTempDir } from './serverHelpers.js';
-import { uploadFile } from './storageOperations.js';
-import { validateFileType } from './security.js';
+import { uploadFile } from './storageOperations.mjs';
+import { validateBucketName, validateStoragePath, validateFilename, validateFileType } from './security.mjs';
+import { createSessionStore } from './resumableSessionStore.js';
+import { sha256File, normalizeSha256, checksumMismatch } from './integrity.mjs';
+import { UPLOAD_CONFLICT_POLICIES, UPLOAD_CONFLICT_CODE } from './uploadConflicts.mjs';
+import { retainVersion, isVersionedBucket } from './objectVersions.mjs';
+import { httpError } from './errors.mjs';
 
 const DEFAULT_EXPIRY_SECONDS = 60 * 60; // 1 hour
 const MAX_EXPIRY_SECONDS = 24 * 60 * 60; // 24 hours
 export const MAX_APPEND_CHUNK_BYTES = Number(process.env.RESUMABLE_APPEND_MAX_BYTES || (6 * 1024 * 1024));
+export const MAX_UPLOAD_BYTES = Number(process.env.RESUMABLE_MAX_UPLOAD_BYTES || (5 * 1024 * 1024 * 1024));
+
+// Parallel sessions track received chunks in a bitmap (bit i = chunk i), stored base64-encoded
+// so it round-trips through both session stores unchanged. The decoded bitmap is kept per session
+// object and updated in place; a rehydrated session decodes it again on first use.
+export const MAX_PARALLEL_CHUNKS = 10000;
+const chunkBitmaps = new WeakMap();
+
+function chunkBitmap(session) {
+  let bits = chunkBitmaps.get(session);
+  if (!bits) {
+    bits = Buffer.alloc(Math.ceil(session.chunkCount / 8));
+    Buffer.from(session.receivedChunks || '', 'base64').copy(bits);
+    chunkBitmaps.set(session, bits);
+  }
+  return bits;
+}
+
+function hasChunk(session, index) {
+  return (chunkBitmap(session)[index >> 3] & (1 << (index & 7))) !== 0;
+}
+
+function setChunkBit(session, index, received) {
+  const bits = chunkBitmap(session);
+  if (received) {
+    bits[index >> 3] |= 1 << (index & 7);
+  } else {
+    bits[index >> 3] &= ~(1 << (index & 7));
+  }
+  session.receivedChunks = bits.toString('base64');
+}
+
+function expectedChunkLength(session, index) {
+  return Math.min(session.chunkSize, session.totalSize - index * session.chunkSize);
+}
+
+// Missing chunks as inclusive [first, last] index ranges, so the answer stays small for any chunk count
+function listMissingRanges(session) {
+  const ranges = [];
+  for (let index = 0; index < session.chunkCount; index++) {
+    if (hasChunk(session, index)) continue;
+    const last = ranges.at(-1);
+    if (last && last[1] === index - 1) {
+      last[1] = index;
+    } else {
+      ranges.push([index, index]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Read a raw request body, refusing anything larger than maxBytes
+ * Oversize payloads are rejected from Content-Length before any bytes are read when possible
+ * @param {IncomingMessage} req - Request with bodyParser disabled
+ * @param {object} options - Options
+ * @param {number} options.maxBytes - Maximum body size (defaults to MAX_APPEND_CHUNK_BYTES)
+ * @returns {Promise<Buffer>} Body bytes
+ * @throws {Error} With statusCode 413 when the body is too large
+ */
+export async function readRequestBodyWithLimit(req, { maxBytes = MAX_APPEND_CHUNK_BYTES } = {}) {
+  const tooLarge = () => httpError(`Chunk exceeds maximum size (${maxBytes} bytes)`, 413);
+
+  const contentLength = Number(req.headers['content-length']);
+  if (Number.isFinite(contentLength) && contentLength > maxBytes) {
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of req) {
+    const normalized = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    total += normalized.length;
+    if (total > maxBytes) {
+      throw tooLarge();
+    }
+    chunks.push(normalized);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read at most maxBytes of a request body and leave the rest unread
+ * For clients that send a whole file in one request (tus PATCH): the bytes read are stored,
+ * and the client continues from the offset it is answered with. The request is paused, not
+ * destroyed, so the response can still be sent; answer it with Connection: close.
+ * @param {IncomingMessage} req - Request with bodyParser disabled
+ * @param {object} options - Options
+ * @param {number} options.maxBytes - Most bytes to read (defaults to MAX_APPEND_CHUNK_BYTES)
+ * @returns {Promise<{body: Buffer, truncated: boolean}>} The bytes read, and whether more were sent
+ */
+export function readRequestBodyPrefix(req, { maxBytes = MAX_APPEND_CHUNK_BYTES } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+
+    const finish = (truncated) => {
+      req.off('data', onData);
+      req.off('end', onEnd);
+      req.off('error', reject);
+      resolve({ body: Buffer.concat(chunks), truncated });
+    };
+    const onData = (chunk) => {
+      const normalized = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      if (total + normalized.length > maxBytes) {
+        chunks.push(normalized.subarray(0, maxBytes - total));
+        req.pause();
+        finish(true);
+        return;
+      }
+      total += normalized.length;
+      chunks.push(normalized);
+    };
+    const onEnd = () => finish(false);
 
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Server-side resumable upload sessions
+ * Single engine behind /api/upload-sessions/* and /api/tus: bytes are appended to a
+ * .part file under temp/resumable-sessions, one append at a time per session, and the
+ * assembled file is uploaded to Supabase Storage on completion.
+ *
+ * The bytes stay on this instance's disk, so each session records the instance that
+ * created it (RESUMABLE_INSTANCE_ID, default the hostname) and is only served there.
+ */
 export class ResumableUploadManager {
-  constructor() {
+  constructor({ baseDir, store, instanceId } = {}) {
     this.sessions = new Map();
     this.sessionLocks = new Map();
+    this.baseDir = baseDir || null;
+    this.store = store || null;
+    this.instanceId = instanceId || process.env.RESUMABLE_INSTANCE_ID || os.hostname();
+    this.ready = null;
   }
 
   async init() {
-    const tempDir = await getTempDir();
-    this.baseDir = path.join(tempDir, 'resumable-sessions');
+    if (!this.ready) {
+      this.ready = this.rehydrate().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  // Load persisted sessions and line each .part file up with its recorded
+  // uploadedBytes, so clients can resume from the offset they were last given.
+  // A shared store (postgres) also holds other instances' sessions: those are left alone.
+  async rehydrate() {
+    if (!this.baseDir) {
+      const tempDir = await getTempDir();
+      this.baseDir = path.join(tempDir, 'resumable-sessions');
+    }
     await fs.promises.mkdir(this.baseDir, { recursive: true });
+    this.store = this.store || createSessionStore(undefined, { baseDir: this.baseDir });
+
+    const persisted = await this.store.load();
+    const now = Date.now();
+    const foreign = [];
+
+    for (const session of persisted) {
+      if (this.sessions.has(session.id)) continue;
+
+      // Sessions from before instance ids were recorded belong to whoever boots first
+      if (session.instanceId && session.instanceId !== this.instanceId) {
+        foreign.push(session);
+        continue;
+      }
+
+      if (session.expiresAt <= now || session.status === 'completed') {
+        await this.deleteSessionFiles(session);
+        await this.store.delete(session.id);
+        continue;
+      }
+
+      const reconciled = session.mode === 'parallel'
+        ? await this.reconcileChunkFiles(session)
+        : await this.reconcilePartFile(session);
+      if (!reconciled) {
+        await this.store.delete(session.id);
+        continue;
+      }
+
+      // A finalize interrupted by the restart never reached storage; let the client retry it.
+      session.status = 'active';
+      this.sessions.set(session.id, session);
+      await this.store.save(session);
+    }
+
+    await this.removeOrphanedPartFiles(foreign);
+  }
+
+  async reconcilePartFile(session) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(session.tempFilePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    if (stats.size > session.uploadedBytes) {
+      // Bytes past the last acknowledged append belong to a write that never completed.
+      await fs.promises.truncate(session.tempFilePath, session.uploadedBytes);
+    } else if (stats.size < session.uploadedBytes) {
+      session.uploadedBytes = stats.size;
+    }
+
+    return true;
+  }
+
+  // Keep only the chunks whose file is present and complete; the client re-sends the rest.
+  async reconcileChunkFiles(session) {
+    const dir = this.chunkDir(session);
+    let entries;
+    try {
+      entries = new Set(await fs.promises.readdir(dir));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    session.uploadedBytes = 0;
+    for (let index = 0; index < session.chunkCount; index++) {
+      if (!hasChunk(session, index)) continue;
+
+      const name = `${index}.chunk`;
+      const stats = entries.has(name) ? await fs.promises.stat(path.join(dir, name)) : null;
+      if (stats?.size === expectedChunkLength(session, index)) {
+        session.uploadedBytes += stats.size;
+      } else {
+        setChunkBit(session, index, false);
+      }
+    }
+
+    return true;
+  }
+
+  // Other instances' sessions count as known, in case several instances share one temp directory
+  async removeOrphanedPartFiles(foreign = []) {
+    const known = new Set();
+    for (const session of [...this.sessions.values(), ...foreign]) {
+      known.add(path.basename(session.tempFilePath));
+      known.add(path.basename(this.chunkDir(session)));
+    }
+    const entries = await fs.promises.readdir(this.baseDir);
+
+    for (const entry of entries) {
+      if ((entry.endsWith('.part') || entry.endsWith('.chunks')) && !known.has(entry)) {
+        await fs.promises.rm(path.join(this.baseDir, entry), { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  chunkDir(session) {
+    return session.tempFilePath.replace(/\.part$/, '.chunks');
+  }
+
+  async persist(session) {
+    try {
+      await this.store.save(session);
+    } catch (error) {
+      console.warn('Failed persisting resumable session:', error.message);
+    }
+  }
+
+  async forget(session) {
+    this.sessions.delete(session.id);
+    try {
+      await this.store.delete(session.id);
+    } catch (error) {
+      console.warn('Failed removing persisted resumable session:', error.message);
+    }
   }
 
   async withSessionLock(sessionId, fn) {
@@ -38,53 +311,102 @@ export class ResumableUploadManager {
     for (const [id, session] of this.sessions.entries()) {
       if (session.expiresAt <= now) {
         await this.deleteSessionFiles(session);
-        this.sessions.delete(id);
+        await this.forget(session);
       }
     }
   }
 
-  async createSession({ userId, bucket, storagePath, totalSize, chunkSize, fileName, fileSha256, expiresInSeconds }) {
-    if (!this.baseDir) await this.init();
+  async createSession({ userId, bucket, storagePath, totalSize, chunkSize, fileName, fileSha256, uploadMetadata, expiresInSeconds, parallel = false, conflict = 'overwrite' }) {
+    await this.init();
     await this.cleanupExpiredSessions();
 
+    const bucketValidation = validateBucketName(bucket);
+    if (!bucketValidation.valid) {
+      throw httpError(bucketValidation.error, 400);
+    }
+
+    const pathValidation = validateStoragePath(storagePath || fileName);
+    if (!pathValidation.valid) {
+      throw httpError(pathValidation.error, 400);
+    }
+
+    const fileNameValidation = validateFilename(fileName || pathValidation.sanitized.split('/').pop());
+    if (!fileNameValidation.valid) {
+      throw httpError(fileNameValidation.error, 400);
+    }
+
     if (!Number.isInteger(totalSize) || totalSize <= 0) {
-      throw new Error('totalSize must be a positive integer');
+      throw httpError('totalSize must be a positive integer', 400);
+    }
+
+    if (totalSize > MAX_UPLOAD_BYTES) {
+      throw httpError(`totalSize exceeds maximum upload size (${MAX_UPLOAD_BYTES} bytes)`, 413);
     }
 
     if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
-      throw new Error('chunkSize must be a positive integer');
+      throw httpError('chunkSize must be a positive integer', 400);
+    }
+
+    let expectedSha256;
+    try {
+      expectedSha256 = normalizeSha256(fileSha256);
+    } catch (error) {
+      throw httpError(error.message, 400);
+    }
+
+    if (!UPLOAD_CONFLICT_POLICIES.includes(conflict)) {
+      throw httpError(`conflict must be one of: ${UPLOAD_CONFLICT_POLICIES.join(', ')}`, 400);
+    }
+
+    if (parallel && chunkSize > MAX_APPEND_CHUNK_BYTES) {
+      throw httpError(`chunkSize exceeds maximum chunk size (${MAX_APPEND_CHUNK_BYTES} bytes)`, 400);
+    }
+
+    if (parallel && Math.ceil(totalSize / chunkSize) > MAX_PARALLEL_CHUNKS) {
+      throw httpError(`chunkSize is too small: a parallel upload may have at most ${MAX_PARALLEL_CHUNKS} chunks`, 400);
     }
 
     const ttlSeconds = Math.min(Math.max(Number(expiresInSeconds) || DEFAULT_EXPIRY_SECONDS, 60), MAX_EXPIRY_SECONDS);
     const id = crypto.randomUUID();
     const tempFilePath = path.join(this.baseDir, `${id}.part`);
 
-    await fs.promises.writeFile(tempFilePath, Buffer.alloc(0));
-
     const now = Date.now();
     const session = {
       id,
       userId,
-      bucket,
-      storagePath,
-      fileName,
+      bucket: bucket.trim(),
+      storagePath: pathValidation.sanitized,
+      fileName: fileNameValidation.sanitized,
       totalSize,
       chunkSize,
       uploadedBytes: 0,
-      fileSha256: fileSha256 || null,
+      fileSha256: expectedSha256,
+      uploadMetadata: uploadMetadata || null,
+      conflict,
+      mode: parallel ? 'parallel' : 'sequential',
+      chunkCount: Math.ceil(totalSize / chunkSize),
+      receivedChunks: null,
       tempFilePath,
+      instanceId: this.instanceId,
       status: 'active',
       createdAt: now,
       lastActivityAt: now,
       expiresAt: now + ttlSeconds * 1000,
     };
 
+    if (session.mode === 'parallel') {
+      await fs.promises.mkdir(this.chunkDir(session), { recursive: true });
+    } else {
+      await fs.promises.writeFile(tempFilePath, Buffer.alloc(0));
+    }
+
     this.sessions.set(id, session);
+    await this.store.save(session);
     return this.serialize(session);
   }
 
   async getSession(sessionId, userId) {
-    if (!this.baseDir) await this.init();
+    await this.init();
     await this.cleanupExpiredSessions();
 
     const session = this.sessions.get(sessionId);
@@ -93,14 +415,14 @@ export class ResumableUploadManager {
 
     if (session.expiresAt <= Date.now()) {
       await this.deleteSessionFiles(session);
-      this.sessions.delete(sessionId);
+      await this.forget(session);
       return null;
     }
 
     return this.serialize(session);
   }
 
-  async appendChunk({ sessionId, userId, offset, chunk, chunkSha256 }) {
+  async appendChunk({ sessionId, userId, offset, chunk, chunkSha256, chunkChecksum }) {
     if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
       throw new Error('chunk payload is required');
     }
@@ -109,6 +431,8 @@ export class ResumableUploadManager {
       return { error: `Chunk exceeds maximum size (${MAX_APPEND_CHUNK_BYTES} bytes)`, status: 413 };
     }
 
+    await this.init();
+
     return this.withSessionLock(sessionId, async () => {
       const session = this.sessions.get(sessionId);
       if (!session || session.userId !== userId) {
@@ -117,7 +441,7 @@ export class ResumableUploadManager {
 
       if (session.expiresAt <= Date.now()) {
         await this.deleteSessionFiles(session);
-        this.sessions.delete(sessionId);
+        await this.forget(session);
         return { error: 'Upload session expired', status: 410 };
       }
 
@@ -125,6 +449,10 @@ export class ResumableUploadManager {
         return { error: `Session is ${session.status}`, status: 409 };
       }
 
+      if (session.mode === 'parallel') {
+        return { error: 'Session accepts indexed chunks only', status: 409 };
+      }
+
       if (offset !== session.uploadedBytes) {
         return {
           error: 'Offset mismatch',
@@ -134,9 +462,10 @@ export class ResumableUploadManager {
         };
       }
 
-      if (chunkSha256) {
-        const actual = crypto.createHash('sha256').update(chunk).digest('hex');
-        if (actual !== chunkSha256) {
+      const checksum = chunkChecksum || (chunkSha256 ? { algorithm: 'sha256', value: chunkSha256 } : null);
+      if (checksum) {
+        const actual = crypto.createHash(checksum.algorithm).update(chunk).digest('hex');
+        if (actual !== String(checksum.value).toLowerCase()) {
           return { error: 'Chunk checksum mismatch', status: 422 };
         }
       }
@@ -149,6 +478,7 @@ export class ResumableUploadManager {
 
       session.uploadedBytes += chunk.length;
       session.lastActivityAt = Date.now();
+      await this.persist(session);
 
       return {
         success: true,
@@ -159,7 +489,104 @@ export class ResumableUploadManager {
     });
   }
 
+  /**
+   * Store one chunk of a parallel session by index
+   * Chunks may arrive in any order and re-sending a chunk replaces it
+   * @param {object} params - Chunk parameters
+   * @param {string} params.sessionId - Session ID
+   * @param {string} params.userId - Owner of the session
+   * @param {number} params.index - Zero-based chunk index
+   * @param {Buffer} params.chunk - Chunk bytes
+   * @param {string} params.chunkSha256 - Hex SHA-256 of the chunk
+   * @returns {Promise<object>} Result with the updated session, or error and status
+   */
+  async putChunk({ sessionId, userId, index, chunk, chunkSha256 }) {
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+      throw new Error('chunk payload is required');
+    }
+
+    if (chunk.length > MAX_APPEND_CHUNK_BYTES) {
+      return { error: `Chunk exceeds maximum size (${MAX_APPEND_CHUNK_BYTES} bytes)`, status: 413 };
+    }
+
+    if (!chunkSha256) {
+      return { error: 'Chunk SHA-256 is required', status: 400 };
+    }
+
+    await this.init();
+
+    return this.withSessionLock(sessionId, async () => {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.userId !== userId) {
+        return { error: 'Session not found', status: 404 };
+      }
+
+      if (session.expiresAt <= Date.now()) {
+        await this.deleteSessionFiles(session);
+        await this.forget(session);
+        return { error: 'Upload session expired', status: 410 };
+      }
+
+      if (session.status !== 'active') {
+        return { error: `Session is ${session.status}`, status: 409 };
+      }
+
+      if (session.mode !== 'parallel') {
+        return { error: 'Session accepts sequential appends only', status: 409 };
+      }
+
+      if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+        return { error: `Chunk index must be between 0 and ${session.chunkCount - 1}`, status: 400 };
+      }
+
+      const expectedLength = expectedChunkLength(session, index);
+      if (chunk.length !== expectedLength) {
+        return { error: `Chunk ${index} must be ${expectedLength} bytes`, status: 400 };
+      }
+
+      const actual = crypto.createHash('sha256').update(chunk).digest('hex');
+      if (actual !== String(chunkSha256).toLowerCase()) {
+        return { error: 'Chunk checksum mismatch', status: 422 };
+      }
+
+      // Write then rename, so a chunk file is either absent or complete after a crash.
+      const chunkPath = path.join(this.chunkDir(session), `${index}.chunk`);
+      const partialPath = `${chunkPath}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(partialPath, chunk);
+      await fs.promises.rename(partialPath, chunkPath);
+
+      if (!hasChunk(session, index)) {
+        setChunkBit(session, index, true);
+        session.uploadedBytes += chunk.length;
+      }
+      session.lastActivityAt = Date.now();
+      await this.persist(session);
+
+      return {
+        success: true,
+        session: this.serialize(session),
+        index,
+        uploadedBytes: session.uploadedBytes,
+        completed: session.uploadedBytes === session.totalSize,
+      };
+    });
+  }
+
+  async assembleChunks(session) {
+    const dir = this.chunkDir(session);
+    const output = await fs.promises.open(session.tempFilePath, 'w');
+    try {
+      for (let index = 0; index < session.chunkCount; index++) {
+        await output.write(await fs.promises.readFile(path.join(dir, `${index}.chunk`)));
+      }
+    } finally {
+      await output.close();
+    }
+  }
+
   async completeSession({ sessionId, userId, supabase, maxRetries = 3 }) {
+    await this.init();
+
     return this.withSessionLock(sessionId, async () => {
       const session = this.sessions.get(sessionId);
       if (!session || session.userId !== userId) {
@@ -168,7 +595,7 @@ export class ResumableUploadManager {
 
       if (session.expiresAt <= Date.now()) {
         await this.deleteSessionFiles(session);
-        this.sessions.delete(sessionId);
+        await this.forget(session);
         return { error: 'Upload session expired', status: 410 };
       }
 
@@ -178,40 +605,71 @@ export class ResumableUploadManager {
           status: 409,
           uploadedBytes: session.uploadedBytes,
           totalSize: session.totalSize,
+          missingRanges: session.mode === 'parallel' ? listMissingRanges(session) : undefined,
         };
       }
 
+      if (session.mode === 'parallel') {
+        await this.assembleChunks(session);
+      }
+
       // Enforce the same file-type validation policy as normal upload endpoint.
       const fileTypeValidation = await validateFileType(session.tempFilePath, session.fileName || session.storagePath);
       if (!fileTypeValidation.valid) {
         return { error: fileTypeValidation.error || 'Invalid file type', status: 400 };
       }
 
+      // Catch a corrupt assembly before spending an upload on it
       if (session.fileSha256) {
-        const actualHash = await this.hashFile(session.tempFilePath);
+        const actualHash = await sha256File(session.tempFilePath);
         if (actualHash !== session.fileSha256) {
-          return { error: 'Final file checksum mismatch', status: 422 };
+          return { ...checksumMismatch(session.fileSha256, actualHash), status: 422 };
         }
       }
 
       session.status = 'finalizing';
+      await this.persist(session);
+
+      // Sessions from before conflict policies always overwrote
+      const upsert = (session.conflict || 'overwrite') === 'overwrite';
+      if (upsert && isVersionedBucket(session.bucket)) {
+        try {
+          await retainVersion(supabase, { bucket: session.bucket, path: session.storagePath });
+        } catch (error) {
+          session.status = 'active';
+          await this.persist(session);
+          return { error: `Could not keep the previous version: ${error.message}`, status: 502 };
+        }
+      }
 
       const result = await uploadFile(
         supabase,
         session.tempFilePath,
         session.bucket,
         session.storagePath,
-        maxRetries
+        maxRetries,
+        { expectedSha256: session.fileSha256, upsert }
       );
 
+      // The path was taken while the bytes were arriving; the policy forbids replacing it
+      if (result?.code === UPLOAD_CONFLICT_CODE) {
+        await this.deleteSessionFiles(session);
+        await this.forget(session);
+        return { ...result, status: 409 };
+      }
+
       if (!result?.success) {
         session.status = 'active';
+        await this.persist(session);
+        if (result?.code) {
+          return { ...result, status: 422 };
+        }
         return { error: result?.error || 'Finalize upload failed', status: 502 };
       }
 
       session.status = 'completed';
       await this.deleteSessionFiles(session);
-      this.sessions.delete(sessionId);
+      await this.forget(session);
 
       return {
         success: true,
@@ -219,11 +677,31 @@ export class ResumableUploadManager {
         storagePath: session.storagePath,
         bucket: session.bucket,
         uploadedBytes: session.totalSize,
+        sha256: result.sha256,
         result,
       };
     });
   }
 
+  async terminateSession({ sessionId, userId }) {
+    await this.init();
+
+    return this.withSessionLock(sessionId, async () => {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.userId !== userId) {
+        return { error: 'Session not found', status: 404 };
+      }
+
+      if (session.status === 'finalizing') {
+        return { error: 'Session is finalizing', status: 409 };
+      }
+
+      await this.deleteSessionFiles(session);
+      await this.forget(session);
+      return { success: true, sessionId };
+    });
+  }
+
   async deleteSessionFiles(session) {
     if (!session?.tempFilePath) return;
     try {
@@ -233,16 +711,12 @@ export class ResumableUploadManager {
         console.warn('Failed deleting resumable temp file:', error.message);
       }
     }
-  }
 
-  async hashFile(filePath) {
-    return new Promise((resolve, reject) => {
-      const hash = crypto.createHash('sha256');
-      const stream = fs.createReadStream(filePath);
-      stream.on('data', chunk => hash.update(chunk));
-      stream.on('error', reject);
-      stream.on('end', () => resolve(hash.digest('hex')));
-    });
+    if (session.mode === 'parallel') {
+      await fs.promises.rm(this.chunkDir(session), { recursive: true, force: true }).catch((error) => {
+        console.warn('Failed deleting resumable chunk directory:', error.message);
+      });
+    }
   }
 
   serialize(session) {
@@ -254,6 +728,11 @@ export class ResumableUploadManager {
       totalSize: session.totalSize,
       chunkSize: session.chunkSize,
       uploadedBytes: session.uploadedBytes,
+      uploadMetadata: session.uploadMetadata || null,
+      conflict: session.conflict || 'overwrite',
+      mode: session.mode || 'sequential',
+      chunkCount: session.chunkCount,
+      ...(session.mode === 'parallel' ? { missingRanges: listMissingRanges(session) } : {}),
       status: session.status,
       createdAt: session.createdAt,
       lastActivityAt: session.lastActivityAt,
@@ -0,0 +1,619 @@
+/**
+ * Search Index
+ * Recursive search across a bucket by name, extension, category, size, date
+ * and custom metadata for /api/search
+ *
+ * Storage lists one folder at a time, so each bucket is crawled into an index
+ * on its first search. The routes that change objects (upload, move, rename,
+ * copy, delete, restore) then update the affected paths or folders, so
+ * searches stay current without re-crawling. Changes made outside the app
+ * (the CLI, the Supabase dashboard) are picked up when the index is older than
+ * SEARCH_INDEX_MAX_AGE_MINUTES, or on demand with refresh=true.
+ *
+ * Two backends are available, selected with SEARCH_INDEX_STORE:
+ * - file (default): a JSON document in temp/search-index
+ * - postgres: the search_index_entries and search_index_buckets tables in the
+ *   auth Supabase project (see database/search_index.sql)
+ */
+import fs from 'fs';
+import path from 'path';
+import { getAuthClientServer } from './authSupabaseClient.mjs';
+import { listFiles } from './storageOperations.mjs';
+import { formatFileSize, getFileCategory } from './clientHelpers.js';
+import { parseListingQuery, paginateListing } from './fileListing.js';
+import { CHECKSUM_METADATA_KEY } from './integrity.mjs';
+import { TRASH_PREFIX } from './trash.mjs';
+import { VERSIONS_PREFIX } from './objectVersions.mjs';
+import { httpError, isNotFoundError } from './errors.mjs';
+
+export const SEARCH_INDEX_FILE = 'index.json';
+export const DEFAULT_SEARCH_INDEX_MAX_AGE_MINUTES = 60;
+
+const INFO_CONCURRENCY = 8;
+const WRITE_BATCH_SIZE = 500;
+const METADATA_FILTER_PREFIX = 'meta.';
+const METADATA_KEY_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Max age of a bucket's index before the next search re-crawls it
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {number} Milliseconds
+ */
+export function getSearchIndexMaxAgeMs(env = process.env) {
+  const minutes = Number(env.SEARCH_INDEX_MAX_AGE_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_SEARCH_INDEX_MAX_AGE_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Index scope for a bucket in the user's storage project
+ * Indexes are shared by everyone using the same project with the same key: another
+ * key may be limited by policies to other objects, so it gets an index of its own.
+ * @param {object} settings - Storage settings (supabase_url, key_fingerprint)
+ * @param {string} bucket - Bucket name
+ * @returns {{project: string, bucket: string}}
+ */
+export const searchScope = (settings, bucket) => ({ project: `${settings.supabase_url}#${settings.key_fingerprint}`, bucket });
+
+const scopeKey = (scope) => `${scope.project}|${scope.bucket}`;
+
+/**
+ * Build an index entry for one object
+ * @param {string} objectPath - Object path
+ * @param {object} details - { size, contentType, createdAt, updatedAt, metadata }
+ * @returns {object} Entry in the shape of a /api/files listing entry, plus search fields
+ */
+export function toIndexEntry(objectPath, { size = 0, contentType = null, createdAt = null, updatedAt = null, metadata = {} } = {}) {
+  const lastSlashIndex = objectPath.lastIndexOf('/');
+  const name = objectPath.substring(lastSlashIndex + 1);
+  const lastDotIndex = name.lastIndexOf('.');
+  const userMetadata = metadata || {};
+
+  return {
+    name,
+    path: objectPath,
+    folder: lastSlashIndex > -1 ? objectPath.substring(0, lastSlashIndex) : '',
+    isFolder: false,
+    extension: lastDotIndex > 0 ? name.substring(lastDotIndex + 1).toLowerCase() : '',
+    category: getFileCategory(name),
+    size: size || 0,
+    sizeFormatted: formatFileSize(size || 0),
+    contentType,
+    createdAt,
+    updatedAt,
+    metadata: userMetadata,
+    sha256: userMetadata[CHECKSUM_METADATA_KEY] || null,
+  };
+}
+
+const entryFromListItem = (objectPath, item) => toIndexEntry(objectPath, {
+  size: item.metadata?.size,
+  contentType: item.metadata?.mimetype || null,
+  createdAt: item.created_at || null,
+  updatedAt: item.updated_at || null,
+  metadata: item.user_metadata,
+});
+
+/**
+ * Crawl a folder into index entries, at any depth
+ * The trash, version history and .folder placeholders are left out.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucket - Bucket name
+ * @param {string} folder - Folder path ('' for the whole bucket)
+ * @returns {Promise<Array<object>>} Entries
+ */
+export async function crawlFolder(supabase, bucket, folder = '') {
+  const entries = [];
+  const pending = [folder];
+
+  while (pending.length > 0) {
+    const current = pending.shift();
+    for (const item of await listFiles(supabase, bucket, current)) {
+      const itemPath = current ? `${current}/${item.name}` : item.name;
+      // In Supabase, folders have id: null
+      if (item.id === null) {
+        if (!current && (item.name === TRASH_PREFIX || item.name === VERSIONS_PREFIX)) continue;
+        pending.push(itemPath);
+      } else if (item.name !== '.folder') {
+        entries.push(entryFromListItem(itemPath, item));
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Case-insensitive matcher for a name glob (* any run of characters, ? one character)
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const source = [...glob].map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Validate search options from a query string
+ * Takes the /api/files listing options (sort, category, minSize, maxSize,
+ * modifiedAfter, modifiedBefore, limit, offset) plus:
+ * - q: name substring, or a glob when it contains * or ?
+ * - extension: comma-separated extensions
+ * - folder: only search under this folder
+ * - meta.<key>=<value>: custom metadata equals value (* for any value)
+ * @param {object} query - Query string
+ * @returns {object} Normalized criteria
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+export function parseSearchQuery(query = {}) {
+  if (query.cursor) throw httpError('Search results are paged with offset', 400);
+  const options = parseListingQuery({ ...query, search: query.q });
+
+  const extensions = String(query.extension || '')
+    .split(',')
+    .map(extension => extension.trim().replace(/^\./, '').toLowerCase())
+    .filter(Boolean);
+
+  const metadata = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (!key.startsWith(METADATA_FILTER_PREFIX)) continue;
+    const metadataKey = key.slice(METADATA_FILTER_PREFIX.length);
+    if (!METADATA_KEY_PATTERN.test(metadataKey)) throw httpError(`Invalid metadata key: ${metadataKey}`, 400);
+    if (Array.isArray(value)) throw httpError(`Give ${key} once`, 400);
+    metadata[metadataKey] = String(value);
+  }
+
+  return {
+    ...options,
+    glob: /[*?]/.test(options.search),
+    extensions,
+    metadata,
+    folder: String(query.folder || '').replace(/^\/+|\/+$/g, ''),
+    refresh: query.refresh === 'true',
+  };
+}
+
+function matchesCriteria(entry, criteria, nameMatcher) {
+  if (criteria.folder && !entry.path.startsWith(`${criteria.folder}/`)) return false;
+  if (nameMatcher && !nameMatcher.test(entry.name)) return false;
+  if (criteria.extensions.length > 0 && !criteria.extensions.includes(entry.extension)) return false;
+
+  return Object.entries(criteria.metadata).every(([key, value]) => {
+    const actual = entry.metadata?.[key];
+    if (actual === undefined || actual === null) return false;
+    return value === '*' || String(actual) === value;
+  });
+}
+
+/**
+ * Search entries in memory
+ * @param {Array<object>} entries - Index entries
+ * @param {object} criteria - Criteria from parseSearchQuery
+ * @returns {{files: object[], total: number, nextOffset: number|null}}
+ */
+export function searchEntries(entries, criteria) {
+  const nameMatcher = criteria.glob ? globToRegExp(criteria.search) : null;
+  const matching = entries.filter(entry => matchesCriteria(entry, criteria, nameMatcher));
+  const { files, matchingFiles, nextOffset } = paginateListing(matching, {
+    ...criteria,
+    search: criteria.glob ? '' : criteria.search,
+    cursor: null,
+  });
+  return { files, total: matchingFiles, nextOffset };
+}
+
+const inFolder = (entryPath, folder) => !folder || entryPath.startsWith(`${folder}/`);
+
+/**
+ * JSON-on-disk search index
+ * Keeps every indexed bucket in memory and rewrites the document atomically
+ * (temp file + rename), one write at a time
+ */
+export class FileSearchIndexStore {
+  /**
+   * @param {string} baseDir - Directory holding the index document
+   */
+  constructor(baseDir) {
+    this.filePath = path.join(baseDir, SEARCH_INDEX_FILE);
+    this.buckets = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.buckets) return this.buckets;
+    if (!this.loading) {
+      this.loading = (async () => {
+        const buckets = new Map();
+        try {
+          const parsed = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+          for (const [key, bucket] of Object.entries(parsed.buckets || {})) {
+            buckets.set(key, { indexedAt: bucket.indexedAt, entries: new Map(bucket.entries.map(entry => [entry.path, entry])) });
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.warn('Ignoring unreadable search index:', error.message);
+        }
+        this.buckets = buckets;
+        return buckets;
+      })();
+    }
+    return this.loading;
+  }
+
+  async getIndexedAt(scope) {
+    return (await this.load()).get(scopeKey(scope))?.indexedAt ?? null;
+  }
+
+  async replaceBucket(scope, entries, indexedAt) {
+    (await this.load()).set(scopeKey(scope), { indexedAt, entries: new Map(entries.map(entry => [entry.path, entry])) });
+    return this.flush();
+  }
+
+  async replaceFolder(scope, folder, entries) {
+    const bucket = (await this.load()).get(scopeKey(scope));
+    if (!bucket) return;
+    for (const entryPath of [...bucket.entries.keys()]) {
+      if (inFolder(entryPath, folder)) bucket.entries.delete(entryPath);
+    }
+    entries.forEach(entry => bucket.entries.set(entry.path, entry));
+    return this.flush();
+  }
+
+  async upsert(scope, entries) {
+    const bucket = (await this.load()).get(scopeKey(scope));
+    if (!bucket || entries.length === 0) return;
+    entries.forEach(entry => bucket.entries.set(entry.path, entry));
+    return this.flush();
+  }
+
+  async remove(scope, paths) {
+    const bucket = (await this.load()).get(scopeKey(scope));
+    if (!bucket) return;
+    if (!paths.map(entryPath => bucket.entries.delete(entryPath)).some(Boolean)) return;
+    return this.flush();
+  }
+
+  async invalidate(scope) {
+    if (!(await this.load()).delete(scopeKey(scope))) return;
+    return this.flush();
+  }
+
+  async search(scope, criteria) {
+    const bucket = (await this.load()).get(scopeKey(scope));
+    return searchEntries(bucket ? [...bucket.entries.values()] : [], criteria);
+  }
+
+  flush() {
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const buckets = {};
+      for (const [key, bucket] of this.buckets) {
+        buckets[key] = { indexedAt: bucket.indexedAt, entries: [...bucket.entries.values()] };
+      }
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, buckets }));
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    const next = this.writeQueue.then(write);
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+const toRow = (scope, entry) => ({
+  project: scope.project,
+  bucket: scope.bucket,
+  path: entry.path,
+  name: entry.name,
+  extension: entry.extension,
+  category: entry.category,
+  size: entry.size,
+  content_type: entry.contentType,
+  created_at: entry.createdAt,
+  updated_at: entry.updatedAt,
+  metadata: entry.metadata || {},
+});
+
+const fromRow = (row) => toIndexEntry(row.path, {
+  size: Number(row.size),
+  contentType: row.content_type,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  metadata: row.metadata,
+});
+
+// Escape LIKE wildcards so they match literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const SORT_COLUMNS = { name: 'name', date: 'updated_at', size: 'size' };
+
+/**
+ * Postgres search index backed by the search_index_entries and search_index_buckets tables
+ * Filters and paging run in the database. Uses the service-role auth client, like user settings
+ */
+export class PostgresSearchIndexStore {
+  /**
+   * @param {SupabaseClient} client - Optional client (defaults to the auth server client)
+   */
+  constructor(client = null) {
+    this.client = client;
+  }
+
+  getClient() {
+    if (!this.client) this.client = getAuthClientServer();
+    return this.client;
+  }
+
+  entries() {
+    return this.getClient().from('search_index_entries');
+  }
+
+  async getIndexedAt(scope) {
+    const { data, error } = await this.getClient()
+      .from('search_index_buckets')
+      .select('indexed_at')
+      .eq('project', scope.project)
+      .eq('bucket', scope.bucket)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? Date.parse(data.indexed_at) : null;
+  }
+
+  async writeEntries(scope, entries) {
+    for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+      const { error } = await this.entries()
+        .upsert(entries.slice(i, i + WRITE_BATCH_SIZE).map(entry => toRow(scope, entry)), { onConflict: 'project,bucket,path' });
+      if (error) throw error;
+    }
+  }
+
+  async replaceBucket(scope, entries, indexedAt) {
+    const { error } = await this.entries().delete().eq('project', scope.project).eq('bucket', scope.bucket);
+    if (error) throw error;
+    await this.writeEntries(scope, entries);
+
+    const { error: bucketError } = await this.getClient()
+      .from('search_index_buckets')
+      .upsert({ project: scope.project, bucket: scope.bucket, indexed_at: new Date(indexedAt).toISOString() }, { onConflict: 'project,bucket' });
+    if (bucketError) throw bucketError;
+  }
+
+  async replaceFolder(scope, folder, entries) {
+    let query = this.entries().delete().eq('project', scope.project).eq('bucket', scope.bucket);
+    if (folder) query = query.like('path', `${escapeLike(folder)}/%`);
+    const { error } = await query;
+    if (error) throw error;
+    await this.writeEntries(scope, entries);
+  }
+
+  async upsert(scope, entries) {
+    await this.writeEntries(scope, entries);
+  }
+
+  async remove(scope, paths) {
+    for (let i = 0; i < paths.length; i += WRITE_BATCH_SIZE) {
+      const { error } = await this.entries()
+        .delete()
+        .eq('project', scope.project)
+        .eq('bucket', scope.bucket)
+        .in('path', paths.slice(i, i + WRITE_BATCH_SIZE));
+      if (error) throw error;
+    }
+  }
+
+  async invalidate(scope) {
+    const { error } = await this.getClient()
+      .from('search_index_buckets')
+      .delete()
+      .eq('project', scope.project)
+      .eq('bucket', scope.bucket);
+    if (error) throw error;
+  }
+
+  async search(scope, criteria) {
+    let query = this.entries()
+      .select('*', { count: 'exact' })
+      .eq('project', scope.project)
+      .eq('bucket', scope.bucket);
+
+    if (criteria.folder) query = query.like('path', `${escapeLike(criteria.folder)}/%`);
+    if (criteria.search) {
+      const pattern = criteria.glob
+        ? escapeLike(criteria.search).replace(/\*/g, '%').replace(/\?/g, '_')
+        : `%${escapeLike(criteria.search)}%`;
+      query = query.ilike('name', pattern);
+    }
+    if (criteria.extensions.length > 0) query = query.in('extension', criteria.extensions);
+    if (criteria.category !== 'All') query = query.eq('category', criteria.category);
+    if (criteria.minSize !== null) query = query.gte('size', criteria.minSize);
+    if (criteria.maxSize !== null) query = query.lte('size', criteria.maxSize);
+    if (criteria.modifiedAfter !== null) query = query.gte('updated_at', new Date(criteria.modifiedAfter).toISOString());
+    if (criteria.modifiedBefore !== null) query = query.lt('updated_at', new Date(criteria.modifiedBefore).toISOString());
+    for (const [key, value] of Object.entries(criteria.metadata)) {
+      query = value === '*' ? query.not(`metadata->>${key}`, 'is', null) : query.eq(`metadata->>${key}`, value);
+    }
+
+    const [field, direction] = criteria.sort.split('-');
+    const offset = criteria.offset || 0;
+    const { data, error, count } = await query
+      .order(SORT_COLUMNS[field], { ascending: direction === 'asc' })
+      .order('path', { ascending: true })
+      .range(offset, offset + criteria.limit - 1);
+
+    if (error) throw error;
+    const files = (data || []).map(fromRow);
+    const total = count ?? files.length;
+    return { files, total, nextOffset: offset + files.length < total ? offset + files.length : null };
+  }
+}
+
+/**
+ * Create the search index store configured for this deployment
+ * @param {string} kind - 'file' or 'postgres' (defaults to SEARCH_INDEX_STORE, then 'file')
+ * @param {object} options - Store options
+ * @param {string} options.baseDir - Directory for the file store
+ * @returns {FileSearchIndexStore|PostgresSearchIndexStore}
+ */
+export function createSearchIndexStore(kind = process.env.SEARCH_INDEX_STORE, { baseDir } = {}) {
+  const normalized = String(kind || 'file').trim().toLowerCase();
+
+  if (normalized === 'postgres') {
+    return new PostgresSearchIndexStore();
+  }
+
+  if (normalized !== 'file') {
+    throw new Error(`Unknown SEARCH_INDEX_STORE: ${kind}`);
+  }
+
+  return new FileSearchIndexStore(baseDir || path.join(process.cwd(), 'temp', 'search-index'));
+}
+
+let storeSingleton = null;
+
+// Shared index store for this server process
+export function getSearchIndexStore() {
+  if (!storeSingleton) storeSingleton = createSearchIndexStore();
+  return storeSingleton;
+}
+
+// scopeKey -> in-flight crawl, so concurrent searches share one crawl
+const crawls = new Map();
+
+/**
+ * Search a bucket, crawling it first when it has no index or the index is too old
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} scope - Scope from searchScope
+ * @param {object} criteria - Criteria from parseSearchQuery
+ * @param {object} options - { store, maxAgeMs, now } (overrides for tests)
+ * @returns {Promise<{files: object[], total: number, nextOffset: number|null, indexedAt: string}>}
+ */
+export async function searchBucket(supabase, scope, criteria, {
+  store = getSearchIndexStore(),
+  maxAgeMs = getSearchIndexMaxAgeMs(),
+  now = Date.now(),
+} = {}) {
+  let indexedAt = await store.getIndexedAt(scope);
+
+  if (criteria.refresh || indexedAt === null || now - indexedAt > maxAgeMs) {
+    const key = scopeKey(scope);
+    if (!crawls.has(key)) {
+      const crawl = (async () => {
+        const entries = await crawlFolder(supabase, scope.bucket);
+        await store.replaceBucket(scope, entries, now);
+        return now;
+      })();
+      crawls.set(key, crawl);
+      crawl.finally(() => crawls.delete(key)).catch(() => {});
+    }
+    indexedAt = await crawls.get(key);
+  }
+
+  return { ...(await store.search(scope, criteria)), indexedAt: new Date(indexedAt).toISOString() };
+}
+
+// Apply a change to an indexed bucket. A failed update drops the bucket's index
+// so the next search re-crawls it instead of returning stale results.
+async function updateIndex(scope, store, update) {
+  try {
+    if (await store.getIndexedAt(scope) === null) return;
+    await update();
+  } catch (error) {
+    console.warn(`Search index update failed for ${scope.bucket}:`, error.message);
+    try {
+      await store.invalidate(scope);
+    } catch (invalidateError) {
+      console.warn('Could not drop the search index:', invalidateError.message);
+    }
+  }
+}
+
+/**
+ * Re-read objects into the index after they were written or removed
+ * Paths that no longer exist are dropped. Never throws.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} scope - Scope from searchScope
+ * @param {string[]} paths - Object paths
+ * @param {object} options - { store }
+ * @returns {Promise<void>}
+ */
+export async function indexPaths(supabase, scope, paths, { store = getSearchIndexStore() } = {}) {
+  await updateIndex(scope, store, async () => {
+    const found = [];
+    const missing = [];
+    for (let i = 0; i < paths.length; i += INFO_CONCURRENCY) {
+      await Promise.all(paths.slice(i, i + INFO_CONCURRENCY).map(async (objectPath) => {
+        const { data, error } = await supabase.storage.from(scope.bucket).info(objectPath);
+        if (error) {
+          if (!isNotFoundError(error)) throw error;
+          missing.push(objectPath);
+          return;
+        }
+        found.push(toIndexEntry(objectPath, {
+          size: data.size,
+          contentType: data.contentType || null,
+          createdAt: data.createdAt || null,
+          updatedAt: data.lastModified || data.updatedAt || null,
+          metadata: data.metadata,
+        }));
+      }));
+    }
+    await store.upsert(scope, found);
+    await store.remove(scope, missing);
+  });
+}
+
+/**
+ * Re-crawl a folder into the index after objects under it changed. Never throws.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} scope - Scope from searchScope
+ * @param {string} folder - Folder path
+ * @param {object} options - { store }
+ * @returns {Promise<void>}
+ */
+export async function indexFolder(supabase, scope, folder, { store = getSearchIndexStore() } = {}) {
+  await updateIndex(scope, store, async () => {
+    await store.replaceFolder(scope, folder, await crawlFolder(supabase, scope.bucket, folder));
+  });
+}
+
+/**
+ * Drop deleted objects from the index. Never throws.
+ * @param {object} scope - Scope from searchScope
+ * @param {string[]} paths - Object paths
+ * @param {object} options - { store }
+ * @returns {Promise<void>}
+ */
+export async function unindexPaths(scope, paths, { store = getSearchIndexStore() } = {}) {
+  await updateIndex(scope, store, () => store.remove(scope, paths));
+}
+
+/**
+ * Drop a deleted folder from the index. Never throws.
+ * @param {object} scope - Scope from searchScope
+ * @param {string} folder - Folder path
+ * @param {object} options - { store }
+ * @returns {Promise<void>}
+ */
+export async function unindexFolder(scope, folder, { store = getSearchIndexStore() } = {}) {
+  await updateIndex(scope, store, () => store.replaceFolder(scope, folder, []));
+}
+
+/**
+ * Drop a bucket's index so the next search re-crawls it
+ * For changes too broad to apply entry by entry. Never throws.
+ * @param {object} scope - Scope from searchScope
+ * @param {object} options - { store }
+ * @returns {Promise<void>}
+ */
+export async function invalidateSearchIndex(scope, { store = getSearchIndexStore() } = {}) {
+  try {
+    await store.invalidate(scope);
+  } catch (error) {
+    console.warn(`Could not drop the search index for ${scope.bucket}:`, error.message);
+  }
+}
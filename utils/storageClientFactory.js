@@ -6,6 +6,8 @@
 import { createClient } from '@supabase/supabase-js';
 import { verifySession } from './authMiddleware.js';
 import { getUserSettingsWithKey } from './userSettings.js';
+import { getConnectionWithKey } from './storageConnections.js';
+import { keyFingerprint } from './encryption.mjs';
 
 /**
  * LRU Cache Configuration
@@ -244,8 +246,10 @@ export async function createStorageClient(req) {
       client: cachedClient,
       settings: {
         supabase_url: settings.supabase_url,
+        key_fingerprint: keyFingerprint(settings.supabase_key),
         default_bucket: settings.default_bucket,
         max_retries: settings.max_retries,
+        upload_conflict_policy: settings.upload_conflict_policy,
       },
     };
   }
@@ -262,12 +266,53 @@ export async function createStorageClient(req) {
     client,
     settings: {
       supabase_url: settings.supabase_url,
+      key_fingerprint: keyFingerprint(settings.supabase_key),
       default_bucket: settings.default_bucket,
       max_retries: settings.max_retries,
+      upload_conflict_policy: settings.upload_conflict_policy,
     },
   };
 }
 
+/**
+ * Create a Supabase storage client for one of the user's saved storage connections
+ * Used as the target (or source) of cross-project transfers
+ *
+ * @param {object} req - Next.js API request with user attached
+ * @param {string} connectionId - Connection UUID (see storageConnections.js)
+ * @returns {Promise<{client: SupabaseClient, connection: {id: string, name: string, supabase_url: string, key_fingerprint: string}}>}
+ * @throws {Error} With statusCode 404 if the connection does not exist
+ */
+export async function createConnectionStorageClient(req, connectionId) {
+  const userId = req.user.id;
+  const connection = await getConnectionWithKey(userId, connectionId);
+
+  if (!connection) {
+    const error = new Error('Storage connection not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const summary = {
+    id: connection.id,
+    name: connection.name,
+    supabase_url: connection.supabase_url,
+    key_fingerprint: keyFingerprint(connection.supabase_key),
+  };
+
+  // Keyed per connection so two connections to the same project never share a client
+  const cacheKey = clientCache.generateKey(userId, `${connection.supabase_url}#${connection.id}`);
+  const cachedClient = clientCache.get(cacheKey);
+  if (cachedClient) {
+    return { client: cachedClient, connection: summary };
+  }
+
+  const client = createClient(connection.supabase_url, connection.supabase_key);
+  clientCache.set(cacheKey, client, { supabase_url: connection.supabase_url });
+
+  return { client, connection: summary };
+}
+
 /**
  * Create a storage client and handle common errors
  * Returns a standardized error response if something goes wrong
@@ -0,0 +1,177 @@
+/**
+ * Storage Connections
+ * Extra Supabase projects a user can transfer objects to or from, stored in the
+ * central Supabase database next to the user's own project in user_settings
+ *
+ * Service keys are encrypted at rest and only decrypted server-side to build a
+ * storage client; clients only ever see a masked hint.
+ */
+import { getAuthClientServer } from './authSupabaseClient.mjs';
+import { encryptApiKey, decryptApiKey, maskApiKey } from './encryption.mjs';
+import { validateSupabaseCredentials } from './userSettings.js';
+import { httpError } from './errors.mjs';
+
+export const MAX_CONNECTIONS_PER_USER = 10;
+
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Validate connection fields
+ *
+ * @param {object} input - { name, supabase_url, supabase_key }
+ * @returns {{name: string, supabaseUrl: string, supabaseKey: string}} Normalized fields
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+export function validateConnectionInput(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) throw httpError('name is required', 400);
+  if (name.length > MAX_NAME_LENGTH) throw httpError(`name must be at most ${MAX_NAME_LENGTH} characters`, 400);
+
+  const supabaseUrl = String(input.supabase_url || '').trim().replace(/\/+$/, '');
+  let parsed;
+  try {
+    parsed = new URL(supabaseUrl);
+  } catch {
+    throw httpError('supabase_url must be a valid URL', 400);
+  }
+  if (parsed.protocol !== 'https:' && parsed.hostname !== 'localhost' && parsed.hostname !== '127.0.0.1') {
+    throw httpError('supabase_url must use https', 400);
+  }
+
+  const supabaseKey = String(input.supabase_key || '').trim();
+  if (!supabaseKey) throw httpError('supabase_key is required', 400);
+
+  return { name, supabaseUrl, supabaseKey };
+}
+
+// Client-safe version: the key is only ever shown as a hint
+const toClient = (row) => {
+  let keyHint = null;
+  try {
+    keyHint = maskApiKey(decryptApiKey(row.supabase_key_encrypted));
+  } catch (error) {
+    console.error('Failed to decrypt connection key:', error.message);
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    supabaseUrl: row.supabase_url,
+    keyHint,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+/**
+ * List a user's connections (client-safe)
+ *
+ * @param {string} userId - The user's UUID
+ * @returns {Promise<object[]>}
+ */
+export async function listConnections(userId) {
+  if (!userId) {
+    throw new Error('userId is required');
+  }
+
+  const { data, error } = await getAuthClientServer()
+    .from('storage_connections')
+    .select('*')
+    .eq('user_id', userId)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(toClient);
+}
+
+/**
+ * Create a connection after checking that the credentials can list buckets
+ *
+ * @param {string} userId - The user's UUID
+ * @param {object} input - { name, supabase_url, supabase_key }
+ * @returns {Promise<object>} Client-safe connection
+ */
+export async function createConnection(userId, input) {
+  if (!userId) {
+    throw new Error('userId is required');
+  }
+
+  const { name, supabaseUrl, supabaseKey } = validateConnectionInput(input);
+  const supabase = getAuthClientServer();
+
+  const { count, error: countError } = await supabase
+    .from('storage_connections')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (countError) throw countError;
+  if (count >= MAX_CONNECTIONS_PER_USER) {
+    throw httpError(`A user can have at most ${MAX_CONNECTIONS_PER_USER} storage connections`, 400);
+  }
+
+  const check = await validateSupabaseCredentials(supabaseUrl, supabaseKey);
+  if (!check.valid) {
+    throw httpError(`Could not connect: ${check.error}`, 400);
+  }
+
+  const { data, error } = await supabase
+    .from('storage_connections')
+    .insert({
+      user_id: userId,
+      name,
+      supabase_url: supabaseUrl,
+      supabase_key_encrypted: encryptApiKey(supabaseKey),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') throw httpError(`A connection named "${name}" already exists`, 400);
+    throw error;
+  }
+  return toClient(data);
+}
+
+/**
+ * Delete a connection owned by the user
+ *
+ * @param {string} userId - The user's UUID
+ * @param {string} connectionId - Connection UUID
+ * @returns {Promise<boolean>} True if a connection was deleted
+ */
+export async function deleteConnection(userId, connectionId) {
+  const { data, error } = await getAuthClientServer()
+    .from('storage_connections')
+    .delete()
+    .eq('id', connectionId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Connection with its decrypted key (server-side only)
+ *
+ * @param {string} userId - The user's UUID
+ * @param {string} connectionId - Connection UUID
+ * @returns {Promise<{id: string, name: string, supabase_url: string, supabase_key: string}|null>} Null when not found
+ */
+export async function getConnectionWithKey(userId, connectionId) {
+  const { data, error } = await getAuthClientServer()
+    .from('storage_connections')
+    .select('*')
+    .eq('id', connectionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return {
+    id: data.id,
+    name: data.name,
+    supabase_url: data.supabase_url,
+    supabase_key: decryptApiKey(data.supabase_key_encrypted),
+  };
+}
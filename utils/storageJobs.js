@@ -0,0 +1,127 @@
+/**
+ * Storage Jobs
+ * Tracks long-running storage operations (folder moves, renames and copies) so clients
+ * can start them, return immediately and poll for progress
+ *
+ * Jobs run in the server process and are kept in memory: they do not survive a
+ * restart, and finished jobs are forgotten after JOB_RETENTION_MS.
+ */
+import crypto from 'crypto';
+import { httpError } from './errors.mjs';
+
+export const JOB_STATUSES = ['running', 'completed', 'failed', 'rolled_back', 'partial'];
+export const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'rolled_back', 'partial'];
+
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const MAX_RUNNING_JOBS_PER_USER = 3;
+const MAX_REPORTED_ITEMS = 100;
+
+// Client-safe copy; long path lists are cut down to keep polling responses small
+const toClient = (job) => ({
+  ...job,
+  conflicts: job.conflicts.slice(0, MAX_REPORTED_ITEMS),
+  errors: job.errors.slice(0, MAX_REPORTED_ITEMS),
+  leftAtDestination: job.leftAtDestination.slice(0, MAX_REPORTED_ITEMS),
+});
+
+/**
+ * In-memory job tracker
+ */
+export class StorageJobManager {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  prune(now = Date.now()) {
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_RETENTION_MS) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Start a job
+   * The runner gets a `progress(fields)` callback to update the job as it goes and
+   * resolves with the final fields (status, counts, errors). A runner that throws
+   * marks the job failed with the error message.
+   *
+   * @param {string} userId - Owner
+   * @param {object} fields - Job description ({ type, bucket, sourcePath, destinationPath, ... })
+   * @param {function} runner - async (progress) => finalFields
+   * @returns {object} The job as first recorded (client-safe)
+   * @throws {Error} With statusCode 429 when the user already has too many running jobs
+   */
+  start(userId, fields, runner) {
+    this.prune();
+
+    const running = [...this.jobs.values()].filter(job => job.userId === userId && job.status === 'running');
+    if (running.length >= MAX_RUNNING_JOBS_PER_USER) {
+      throw httpError(`At most ${MAX_RUNNING_JOBS_PER_USER} jobs can run at once; wait for one to finish`, 429);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      ...fields,
+      status: 'running',
+      total: 0,
+      processed: 0,
+      skipped: 0,
+      failed: 0,
+      rolledBack: 0,
+      conflicts: [],
+      errors: [],
+      leftAtDestination: [],
+      message: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+
+    const progress = (update) => {
+      Object.assign(job, update, { updatedAt: new Date().toISOString() });
+    };
+
+    runner(progress)
+      .then(result => progress(result))
+      .catch((error) => {
+        console.error(`[Jobs] ${job.type} job ${job.id} failed:`, error);
+        progress({ status: 'failed', message: error.message || 'Job failed' });
+      })
+      .finally(() => {
+        if (!TERMINAL_JOB_STATUSES.includes(job.status)) job.status = 'failed';
+        job.finishedAt = new Date().toISOString();
+      });
+
+    return toClient(job);
+  }
+
+  /**
+   * Get a job owned by the user
+   * @param {string} jobId - Job id
+   * @param {string} userId - Owner
+   * @returns {object|null} Client-safe job
+   */
+  get(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    return job && job.userId === userId ? toClient(job) : null;
+  }
+
+  /**
+   * List the user's jobs, newest first
+   * @param {string} userId - Owner
+   * @returns {object[]} Client-safe jobs
+   */
+  list(userId) {
+    this.prune();
+    return [...this.jobs.values()]
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(toClient);
+  }
+}
+
+export const storageJobManager = new StorageJobManager();
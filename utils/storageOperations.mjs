@@ -5,6 +5,9 @@
  */
 import fs from 'fs';
 import path from 'path';
+import { CHECKSUM_METADATA_KEY, sha256Hex, checksumMismatch } from './integrity.mjs';
+import { UPLOAD_CONFLICT_CODE } from './uploadConflicts.mjs';
+import { isAlreadyExistsError } from './errors.mjs';
 
 /**
  * Format file size for display
@@ -170,9 +173,12 @@ async function streamToBuffer(stream) {
  * @param {string} bucketName - Bucket name
  * @param {string} storagePath - Path in bucket
  * @param {number} maxRetries - Max retry attempts
- * @returns {Promise<Object>} Upload result
+ * @param {object} options - Upload options
+ * @param {string} options.expectedSha256 - Refuse to upload unless the bytes hash to this digest
+ * @param {boolean} options.upsert - Replace an existing object (otherwise fails with code UPLOAD_CONFLICT)
+ * @returns {Promise<Object>} Upload result (includes the SHA-256 recorded as object metadata)
  */
-export async function uploadFile(supabase, filePath, bucketName, storagePath, maxRetries = 3) {
+export async function uploadFile(supabase, filePath, bucketName, storagePath, maxRetries = 3, { expectedSha256 = null, upsert = true } = {}) {
   try {
     if (!fs.existsSync(filePath)) {
       throw new Error(`File not found: ${filePath}`);
@@ -200,20 +206,40 @@ export async function uploadFile(supabase, filePath, bucketName, storagePath, ma
       fileData = fs.readFileSync(filePath);
     }
 
+    // Hash the exact bytes being sent, so the recorded digest describes the stored object
+    const sha256 = sha256Hex(fileData);
+    if (expectedSha256 && sha256 !== expectedSha256) {
+      return { success: false, ...checksumMismatch(expectedSha256, sha256) };
+    }
+
     const uploadResult = await retryWithBackoff(async () => {
       const { data, error } = await supabase.storage
         .from(bucketName)
         .upload(finalStoragePath, fileData, {
           contentType: getContentType(filePath),
-          upsert: true,
+          upsert,
+          metadata: { [CHECKSUM_METADATA_KEY]: sha256 },
           // Duplex is required for streaming uploads in newer Node.js versions
           duplex: 'half',
         });
 
-      if (error) throw error;
+      if (error) {
+        // The path was taken after the conflict check; retrying will not help
+        if (!upsert && isAlreadyExistsError(error)) return null;
+        throw error;
+      }
       return data;
     }, maxRetries);
 
+    if (!uploadResult) {
+      return {
+        success: false,
+        error: `A file already exists at /${finalStoragePath}`,
+        code: UPLOAD_CONFLICT_CODE,
+        path: finalStoragePath,
+      };
+    }
+
     const { data: urlData } = supabase.storage
       .from(bucketName)
       .getPublicUrl(finalStoragePath);
@@ -224,6 +250,7 @@ export async function uploadFile(supabase, filePath, bucketName, storagePath, ma
       id: uploadResult.id,
       publicUrl: urlData.publicUrl,
       size: fileSize,
+      sha256,
     };
   } catch (error) {
     return {
@@ -235,17 +262,18 @@ export async function uploadFile(supabase, filePath, bucketName, storagePath, ma
 
 /**
  * List files in a bucket
+ * Pages through the folder until it is exhausted, so large folders are not truncated
  * @param {SupabaseClient} supabase - Supabase client instance
  * @param {string} bucketName - Bucket name
  * @param {string} folderPath - Folder path
- * @param {number} limit - Max files to fetch
+ * @param {number} limit - Max files to fetch (default: all)
  * @returns {Promise<Array>} List of files
  */
-export async function listFiles(supabase, bucketName, folderPath = '', limit = 1000) {
+export async function listFiles(supabase, bucketName, folderPath = '', limit = Infinity) {
   try {
     const allFiles = [];
     let offset = 0;
-    const batchSize = 100;
+    const batchSize = 1000;
 
     while (offset < limit) {
       const { data, error } = await supabase.storage
@@ -344,6 +372,29 @@ export async function downloadFile(supabase, storagePath, bucketName, maxRetries
   return Buffer.from(arrayBuffer);
 }
 
+/**
+ * Copy a file in Supabase Storage, optionally into another bucket of the same project
+ * The destination must not exist; storage refuses to overwrite on copy.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} sourcePath - Path to copy
+ * @param {string} destinationPath - Path of the copy
+ * @param {string} bucketName - Source bucket name
+ * @param {string} destinationBucket - Destination bucket name (defaults to the source bucket)
+ * @returns {Promise<string>} Destination path
+ */
+export async function copyFile(supabase, sourcePath, destinationPath, bucketName, destinationBucket = bucketName) {
+  const { error } = await supabase.storage
+    .from(bucketName)
+    .copy(sourcePath, destinationPath, destinationBucket !== bucketName ? { destinationBucket } : undefined);
+
+  if (error) {
+    console.error('Copy failed:', error.message);
+    throw error;
+  }
+
+  return destinationPath;
+}
+
 /**
  * Rename/move a file in Supabase Storage
  * @param {SupabaseClient} supabase - Supabase client instance
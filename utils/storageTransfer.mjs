@@ -0,0 +1,278 @@
+/**
+ * Storage Transfer
+ * Streaming objects from one bucket or Supabase project to another
+ *
+ * Unlike copyFolder (folderOperations.mjs), which uses the native copy and only
+ * works inside one project, a transfer downloads each object through a signed
+ * URL and streams it into the target with its content type, cache control and
+ * user metadata. Every transferred object is verified against the source before
+ * it counts (and before deleteSource removes the original).
+ */
+import crypto from 'crypto';
+import path from 'path';
+import { listObjectsRecursive, FOLDER_CONFLICT_POLICIES } from './folderOperations.mjs';
+import { CHECKSUM_METADATA_KEY, isValidSha256, openObjectStream, measuringStream, hashStoredObject } from './integrity.mjs';
+import { retainVersion, isVersionedBucket } from './objectVersions.mjs';
+import { httpError } from './errors.mjs';
+
+export const TRANSFER_VERIFY_MODES = ['size', 'checksum'];
+
+const TRANSFER_CONCURRENCY = 3;
+const DEFAULT_CACHE_CONTROL = '3600';
+
+const trimSlashes = (value) => String(value || '').replace(/^\/+|\/+$/g, '');
+const joinPath = (prefix, name) => (prefix ? `${prefix}/${name}` : name);
+const overlaps = (a, b) => !a || !b || a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+
+// Temporary key next to an object that is being replaced
+const stagingPath = (objectPath) => {
+  const folder = path.posix.dirname(objectPath);
+  const name = `.transfer-${crypto.randomUUID()}-${path.posix.basename(objectPath)}`;
+  return folder === '.' ? name : `${folder}/${name}`;
+};
+
+/**
+ * Validate transfer options before starting a job
+ * @param {object} options - { sameProject, source: {bucket, prefix, paths}, target: {bucket, prefix}, conflict, verify }
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+export function validateTransfer({ sameProject = false, source = {}, target = {}, conflict = 'fail', verify = 'size' }) {
+  if (!source.bucket) throw httpError('Source bucket is required', 400);
+  if (!target.bucket) throw httpError('Target bucket is required', 400);
+  if (source.paths !== undefined && (!Array.isArray(source.paths) || source.paths.length === 0)) {
+    throw httpError('No files selected', 400);
+  }
+  if (!FOLDER_CONFLICT_POLICIES.includes(conflict)) {
+    throw httpError(`conflict must be one of: ${FOLDER_CONFLICT_POLICIES.join(', ')}`, 400);
+  }
+  if (!TRANSFER_VERIFY_MODES.includes(verify)) {
+    throw httpError(`verify must be one of: ${TRANSFER_VERIFY_MODES.join(', ')}`, 400);
+  }
+
+  if (sameProject && source.bucket === target.bucket) {
+    const sourcePrefixes = source.paths ? source.paths.map(objectPath => path.posix.dirname(objectPath).replace(/^\.$/, '')) : [trimSlashes(source.prefix)];
+    if (sourcePrefixes.some(prefix => overlaps(prefix, trimSlashes(target.prefix)))) {
+      throw httpError('Source and target overlap; use copy or move within a bucket', 400);
+    }
+  }
+}
+
+async function readInfo(supabase, bucketName, objectPath) {
+  const { data, error } = await supabase.storage.from(bucketName).info(objectPath);
+  if (error) throw new Error(error.message || `Failed to read metadata of ${objectPath}`);
+  return data || {};
+}
+
+/**
+ * Stream one object into the target and verify it
+ * A target object that fails verification is removed again. An overwrite is uploaded
+ * to a temporary key and only replaces the existing object once it is verified.
+ * @returns {Promise<{size: number, sha256: string}>}
+ */
+async function transferObject(source, target, item, { verify, overwrite, fetchImpl }) {
+  const info = await readInfo(source.client, source.bucket, item.from);
+  const recorded = isValidSha256(info.metadata?.[CHECKSUM_METADATA_KEY])
+    ? info.metadata[CHECKSUM_METADATA_KEY].toLowerCase()
+    : null;
+
+  const targetBucket = target.client.storage.from(target.bucket);
+  const uploadPath = overwrite ? stagingPath(item.to) : item.to;
+  const body = await openObjectStream(source.client, source.bucket, item.from, fetchImpl);
+  const { stream, digest } = measuringStream();
+
+  const { error } = await targetBucket.upload(uploadPath, body.pipeThrough(stream), {
+    contentType: info.contentType || 'application/octet-stream',
+    cacheControl: String(info.cacheControl || DEFAULT_CACHE_CONTROL).replace(/^max-age=/, ''),
+    metadata: info.metadata || undefined,
+    upsert: false,
+    duplex: 'half',
+  });
+  if (error) throw new Error(error.message || 'Upload failed');
+
+  const sent = digest();
+  const problems = [];
+  if (info.size !== undefined && sent.size !== info.size) {
+    problems.push(`read ${sent.size} of ${info.size} bytes from the source`);
+  }
+  if (recorded && recorded !== sent.sha256) {
+    problems.push(`source SHA-256 is ${recorded} but ${sent.sha256} was read`);
+  }
+
+  if (problems.length === 0) {
+    const stored = await readInfo(target.client, target.bucket, uploadPath);
+    if (stored.size !== undefined && stored.size !== sent.size) {
+      problems.push(`target holds ${stored.size} bytes, expected ${sent.size}`);
+    }
+  }
+  if (problems.length === 0 && verify === 'checksum') {
+    const stored = await hashStoredObject(target.client, target.bucket, uploadPath, fetchImpl);
+    if (stored.sha256 !== sent.sha256) problems.push(`target SHA-256 is ${stored.sha256}, expected ${sent.sha256}`);
+  }
+
+  if (problems.length > 0) {
+    await targetBucket.remove([uploadPath]);
+    throw new Error(`Verification failed: ${problems.join('; ')}`);
+  }
+
+  if (overwrite) {
+    if (isVersionedBucket(target.bucket)) {
+      await retainVersion(target.client, { bucket: target.bucket, path: item.to });
+    }
+    const { error: removeError } = await targetBucket.remove([item.to]);
+    if (removeError) {
+      await targetBucket.remove([uploadPath]);
+      throw new Error(`Could not replace the existing object: ${removeError.message}`);
+    }
+    const { error: moveError } = await targetBucket.move(uploadPath, item.to);
+    if (moveError) {
+      throw new Error(`The verified copy is kept at ${uploadPath}; moving it into place failed: ${moveError.message}`);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Transfer objects between buckets or projects
+ *
+ * The source is either a prefix (every object under it, keeping relative paths)
+ * or a selection of object paths (placed directly under the target prefix).
+ * Target conflicts are found from one listing before anything is transferred:
+ * - fail: nothing is transferred and the conflicting paths are reported
+ * - skip: conflicting objects are left alone
+ * - overwrite: the target object is replaced once its replacement is verified, and is
+ *   kept as a version first when the target bucket is listed in VERSIONED_BUCKETS
+ * Selected paths that share a file name would land on one target path; whatever the
+ * policy, nothing is transferred and those target paths are reported as conflicts.
+ *
+ * Each object keeps its content type, cache control and user metadata, including
+ * the SHA-256 recorded at upload (integrity.mjs). Verification always compares
+ * sizes, and the streamed bytes against that recorded digest when there is one;
+ * verify 'checksum' also re-reads the target and compares digests. A target
+ * object that fails verification is removed. Failures do not stop the transfer:
+ * the outcome is 'partial' when some objects failed, 'failed' when none made it.
+ *
+ * @param {object} options - Options
+ * @param {object} options.source - { client, bucket, prefix } or { client, bucket, paths }
+ * @param {object} options.target - { client, bucket, prefix }
+ * @param {boolean} options.sameProject - Source and target clients point at the same project
+ * @param {string} options.conflict - 'fail' | 'skip' | 'overwrite'
+ * @param {string} options.verify - 'size' | 'checksum'
+ * @param {boolean} options.deleteSource - Remove each source object once its transfer is verified
+ * @param {function} options.onProgress - Called with { total, processed, transferred, skipped, failed, bytes }
+ * @param {function} options.fetchImpl - fetch implementation (defaults to the global fetch)
+ * @returns {Promise<object>} Outcome ({ status, total, transferred, skipped, failed, bytes, deletedFromSource, conflicts, errors, message })
+ */
+export async function transferObjects({
+  source,
+  target,
+  sameProject = false,
+  conflict = 'fail',
+  verify = 'size',
+  deleteSource = false,
+  onProgress = () => {},
+  fetchImpl = globalThis.fetch,
+}) {
+  validateTransfer({ sameProject, source, target, conflict, verify });
+
+  const sourcePrefix = trimSlashes(source.prefix);
+  const targetPrefix = trimSlashes(target.prefix);
+
+  const plan = source.paths
+    ? [...new Set(source.paths)].map(objectPath => ({ from: objectPath, to: joinPath(targetPrefix, path.posix.basename(objectPath)) }))
+    : (await listObjectsRecursive(source.client, source.bucket, sourcePrefix)).map(object => ({
+      from: object.path,
+      to: joinPath(targetPrefix, sourcePrefix ? object.path.slice(sourcePrefix.length + 1) : object.path),
+    }));
+  if (plan.length === 0) throw httpError('Nothing to transfer: the source is empty or does not exist', 404);
+
+  const targets = new Map();
+  plan.forEach(item => targets.set(item.to, (targets.get(item.to) || 0) + 1));
+  const collisions = [...targets].filter(([, count]) => count > 1).map(([targetPath]) => targetPath);
+
+  const existing = new Set((await listObjectsRecursive(target.client, target.bucket, targetPrefix)).map(object => object.path));
+  plan.forEach(item => { item.exists = existing.has(item.to); });
+
+  const conflicts = [...new Set([...collisions, ...plan.filter(item => item.exists).map(item => item.to)])];
+  const outcome = {
+    total: plan.length,
+    processed: 0,
+    transferred: 0,
+    skipped: 0,
+    failed: 0,
+    bytes: 0,
+    deletedFromSource: 0,
+    conflicts,
+    errors: [],
+  };
+
+  if (collisions.length > 0) {
+    return {
+      ...outcome,
+      status: 'failed',
+      message: `${collisions.length} target path(s) would receive more than one selected object; nothing was transferred`,
+    };
+  }
+
+  if (conflicts.length > 0 && conflict === 'fail') {
+    return {
+      ...outcome,
+      status: 'failed',
+      message: `${conflicts.length} object(s) already exist in the target; nothing was transferred`,
+    };
+  }
+
+  onProgress({ total: outcome.total });
+
+  const pending = plan.filter(item => {
+    if (item.exists && conflict === 'skip') {
+      outcome.skipped += 1;
+      outcome.processed += 1;
+      return false;
+    }
+    return true;
+  });
+
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length) {
+      const item = pending[next++];
+      try {
+        const sent = await transferObject(source, target, item, { verify, overwrite: item.exists, fetchImpl });
+        outcome.transferred += 1;
+        outcome.bytes += sent.size;
+
+        if (deleteSource) {
+          const { error } = await source.client.storage.from(source.bucket).remove([item.from]);
+          if (error) {
+            outcome.errors.push({ path: item.from, message: `Transferred but not deleted from the source: ${error.message}` });
+          } else {
+            outcome.deletedFromSource += 1;
+          }
+        }
+      } catch (error) {
+        outcome.failed += 1;
+        outcome.errors.push({ path: item.from, message: error.message || 'Transfer failed' });
+      }
+      outcome.processed += 1;
+      onProgress({
+        processed: outcome.processed,
+        transferred: outcome.transferred,
+        skipped: outcome.skipped,
+        failed: outcome.failed,
+        bytes: outcome.bytes,
+      });
+    }
+  };
+
+  await Promise.all(Array.from({ length: TRANSFER_CONCURRENCY }, worker));
+
+  const summary = [`Transferred ${outcome.transferred} object(s)`];
+  if (outcome.skipped > 0) summary.push(`skipped ${outcome.skipped} that already existed`);
+  if (outcome.failed > 0) summary.push(`${outcome.failed} failed`);
+  if (deleteSource) summary.push(`deleted ${outcome.deletedFromSource} from the source`);
+
+  let status = 'completed';
+  if (outcome.failed > 0) status = outcome.transferred > 0 ? 'partial' : 'failed';
+
+  return { ...outcome, status, message: summary.join('; ') };
+}
@@ -0,0 +1,452 @@
+/**
+ * Storage Usage
+ * Bucket usage from a recursive walk: bytes and object counts per folder and per
+ * file category, the largest files, and the space held by the trash and the
+ * version history
+ *
+ * The storage quota check on uploads and /api/usage both walk the bucket. Each
+ * walk is kept in memory (reused by /api/usage for USAGE_MAX_AGE_MINUTES) and
+ * recorded as a snapshot of its totals, at most one per bucket every
+ * USAGE_SNAPSHOT_INTERVAL_MINUTES, so growth can be charted over time.
+ * Snapshots older than USAGE_SNAPSHOT_RETENTION_DAYS are dropped.
+ *
+ * Two snapshot backends are available, selected with USAGE_SNAPSHOT_STORE:
+ * - file (default): a JSON document in temp/usage-snapshots
+ * - postgres: the usage_snapshots table in the auth Supabase project
+ *   (see database/usage_snapshots.sql)
+ */
+import fs from 'fs';
+import path from 'path';
+import { getAuthClientServer } from './authSupabaseClient.mjs';
+import { listFiles } from './storageOperations.mjs';
+import { getFileCategory } from './clientHelpers.js';
+import { FOLDER_PLACEHOLDER } from './folderOperations.mjs';
+import { TRASH_PREFIX } from './trash.mjs';
+import { VERSIONS_PREFIX } from './objectVersions.mjs';
+
+export const USAGE_SNAPSHOTS_FILE = 'snapshots.json';
+export const LARGEST_FILES_LIMIT = 20;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const n = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Usage settings from the environment
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {{maxAgeMs: number, snapshotIntervalMs: number, retentionMs: number}}
+ */
+export const usageConfig = (env = process.env) => ({
+  maxAgeMs: n(env.USAGE_MAX_AGE_MINUTES, 15) * MINUTE_MS,
+  snapshotIntervalMs: n(env.USAGE_SNAPSHOT_INTERVAL_MINUTES, 60) * MINUTE_MS,
+  retentionMs: n(env.USAGE_SNAPSHOT_RETENTION_DAYS, 90) * DAY_MS,
+});
+
+/**
+ * Usage scope for a bucket in the user's storage project
+ * Usage is shared by everyone using the same project with the same key; a key that
+ * policies limit to fewer objects measures, caches and charts its own usage.
+ * @param {object} settings - Storage settings (supabase_url, key_fingerprint)
+ * @param {string} bucket - Bucket name
+ * @returns {{project: string, bucket: string}}
+ */
+export const usageScope = (settings, bucket) => ({ project: `${settings.supabase_url}#${settings.key_fingerprint}`, bucket });
+
+const scopeKey = (scope) => `${scope.project}\n${scope.bucket}`;
+const emptyTotals = () => ({ bytes: 0, count: 0 });
+const addTo = (totals, size) => {
+  totals.bytes += size;
+  totals.count += 1;
+};
+
+// Keep the `limit` largest files, biggest first
+function insertLargest(largest, file, limit) {
+  if (largest.length === limit && file.size <= largest[largest.length - 1].size) return;
+  const index = largest.findIndex(entry => entry.size < file.size);
+  largest.splice(index === -1 ? largest.length : index, 0, file);
+  if (largest.length > limit) largest.pop();
+}
+
+/**
+ * Walk a bucket and total its usage
+ * totalBytes and objectCount cover every object, the trash and version history
+ * included, as the storage quota does. Folders, categories and the largest
+ * files only cover live files; .folder placeholders are not counted as files.
+ *
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucket - Bucket name
+ * @param {object} options - { largestLimit, now }
+ * @returns {Promise<object>} Usage: { bucket, scannedAt, totalBytes, objectCount, files, trash, versions,
+ *   categories, folders (Map of folder path -> totals, '' for the bucket root), largestFiles }
+ */
+export async function scanBucketUsage(supabase, bucket, { largestLimit = LARGEST_FILES_LIMIT, now = Date.now() } = {}) {
+  const usage = {
+    bucket,
+    scannedAt: now,
+    totalBytes: 0,
+    objectCount: 0,
+    files: emptyTotals(),
+    trash: emptyTotals(),
+    versions: emptyTotals(),
+    categories: {},
+    folders: new Map([['', emptyTotals()]]),
+    largestFiles: [],
+  };
+  // [folder path, totals the objects under it count towards]
+  const pending = [['', null]];
+
+  while (pending.length > 0) {
+    const [current, special] = pending.shift();
+    for (const item of await listFiles(supabase, bucket, current)) {
+      const itemPath = current ? `${current}/${item.name}` : item.name;
+      // In Supabase, folders have id: null
+      if (item.id === null) {
+        if (!current && item.name === TRASH_PREFIX) pending.push([itemPath, usage.trash]);
+        else if (!current && item.name === VERSIONS_PREFIX) pending.push([itemPath, usage.versions]);
+        else {
+          if (!special) usage.folders.set(itemPath, emptyTotals());
+          pending.push([itemPath, special]);
+        }
+        continue;
+      }
+
+      const size = Number(item.metadata?.size) || 0;
+      usage.totalBytes += size;
+      usage.objectCount += 1;
+      if (special) {
+        addTo(special, size);
+        continue;
+      }
+      if (item.name === FOLDER_PLACEHOLDER) continue;
+
+      addTo(usage.files, size);
+      const category = getFileCategory(item.name);
+      usage.categories[category] = usage.categories[category] || emptyTotals();
+      addTo(usage.categories[category], size);
+
+      // Count the file in its folder and every folder above it
+      const parts = itemPath.split('/');
+      for (let depth = 0; depth < parts.length; depth++) {
+        addTo(usage.folders.get(parts.slice(0, depth).join('/')), size);
+      }
+      insertLargest(usage.largestFiles, {
+        path: itemPath,
+        name: item.name,
+        size,
+        category,
+        updatedAt: item.updated_at || item.created_at || null,
+      }, largestLimit);
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Usage of a folder's direct children, largest first
+ * Files directly in the folder are totalled as `files`.
+ * @param {object} usage - Usage from scanBucketUsage
+ * @param {string} folder - Folder path ('' for the bucket root)
+ * @returns {{folder: string, totals: object, files: object, folders: Array<object>}|null} null for an unknown folder
+ */
+export function folderBreakdown(usage, folder = '') {
+  const totals = usage.folders.get(folder);
+  if (!totals) return null;
+
+  const prefix = folder ? `${folder}/` : '';
+  const folders = [];
+  for (const [folderPath, childTotals] of usage.folders) {
+    if (!folderPath.startsWith(prefix) || folderPath === folder || folderPath.slice(prefix.length).includes('/')) continue;
+    folders.push({ path: folderPath, name: folderPath.slice(prefix.length), ...childTotals });
+  }
+  folders.sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name));
+
+  const nested = folders.reduce((sum, child) => ({ bytes: sum.bytes + child.bytes, count: sum.count + child.count }), emptyTotals());
+  return {
+    folder,
+    totals: { ...totals },
+    files: { bytes: totals.bytes - nested.bytes, count: totals.count - nested.count },
+    folders,
+  };
+}
+
+/**
+ * Snapshot of a walk's totals, as stored for growth charts
+ * @param {object} usage - Usage from scanBucketUsage
+ * @returns {object}
+ */
+export const toSnapshot = (usage) => ({
+  takenAt: new Date(usage.scannedAt).toISOString(),
+  totalBytes: usage.totalBytes,
+  objectCount: usage.objectCount,
+  fileBytes: usage.files.bytes,
+  fileCount: usage.files.count,
+  trashBytes: usage.trash.bytes,
+  versionBytes: usage.versions.bytes,
+  categories: usage.categories,
+});
+
+/**
+ * File snapshot store: one JSON document holding every bucket's snapshots
+ * Writes are serialized and atomic (temp file + rename).
+ */
+export class FileUsageSnapshotStore {
+  /**
+   * @param {string} baseDir - Directory holding the snapshots document
+   */
+  constructor(baseDir) {
+    this.filePath = path.join(baseDir, USAGE_SNAPSHOTS_FILE);
+    this.buckets = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.buckets) return this.buckets;
+    if (!this.loading) {
+      this.loading = (async () => {
+        const buckets = new Map();
+        try {
+          const parsed = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+          for (const [key, snapshots] of Object.entries(parsed.buckets || {})) buckets.set(key, snapshots);
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.warn('Ignoring unreadable usage snapshots:', error.message);
+        }
+        this.buckets = buckets;
+        return buckets;
+      })();
+    }
+    return this.loading;
+  }
+
+  async latest(scope) {
+    const snapshots = (await this.load()).get(scopeKey(scope)) || [];
+    return snapshots[snapshots.length - 1] || null;
+  }
+
+  async list(scope, { since = 0 } = {}) {
+    const snapshots = (await this.load()).get(scopeKey(scope)) || [];
+    return snapshots.filter(snapshot => Date.parse(snapshot.takenAt) >= since);
+  }
+
+  async append(scope, snapshot) {
+    const buckets = await this.load();
+    const key = scopeKey(scope);
+    buckets.set(key, [...(buckets.get(key) || []), snapshot]);
+    return this.flush();
+  }
+
+  async prune(before) {
+    const buckets = await this.load();
+    let changed = false;
+    for (const [key, snapshots] of buckets) {
+      const kept = snapshots.filter(snapshot => Date.parse(snapshot.takenAt) >= before);
+      if (kept.length === snapshots.length) continue;
+      changed = true;
+      if (kept.length > 0) buckets.set(key, kept);
+      else buckets.delete(key);
+    }
+    if (changed) return this.flush();
+  }
+
+  flush() {
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, buckets: Object.fromEntries(this.buckets) }));
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    const next = this.writeQueue.then(write);
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+const fromRow = (row) => ({
+  takenAt: new Date(row.taken_at).toISOString(),
+  totalBytes: Number(row.total_bytes),
+  objectCount: Number(row.object_count),
+  fileBytes: Number(row.file_bytes),
+  fileCount: Number(row.file_count),
+  trashBytes: Number(row.trash_bytes),
+  versionBytes: Number(row.version_bytes),
+  categories: row.categories || {},
+});
+
+/**
+ * Postgres snapshot store backed by the usage_snapshots table
+ * Uses the service-role auth client, like user settings
+ */
+export class PostgresUsageSnapshotStore {
+  /**
+   * @param {SupabaseClient} client - Optional client (defaults to the auth server client)
+   */
+  constructor(client = null) {
+    this.client = client;
+  }
+
+  getClient() {
+    if (!this.client) this.client = getAuthClientServer();
+    return this.client;
+  }
+
+  async latest(scope) {
+    const { data, error } = await this.getClient()
+      .from('usage_snapshots')
+      .select('*')
+      .eq('project', scope.project)
+      .eq('bucket', scope.bucket)
+      .order('taken_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? fromRow(data) : null;
+  }
+
+  async list(scope, { since = 0 } = {}) {
+    const { data, error } = await this.getClient()
+      .from('usage_snapshots')
+      .select('*')
+      .eq('project', scope.project)
+      .eq('bucket', scope.bucket)
+      .gte('taken_at', new Date(since).toISOString())
+      .order('taken_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  }
+
+  async append(scope, snapshot) {
+    const { error } = await this.getClient()
+      .from('usage_snapshots')
+      .insert({
+        project: scope.project,
+        bucket: scope.bucket,
+        taken_at: snapshot.takenAt,
+        total_bytes: snapshot.totalBytes,
+        object_count: snapshot.objectCount,
+        file_bytes: snapshot.fileBytes,
+        file_count: snapshot.fileCount,
+        trash_bytes: snapshot.trashBytes,
+        version_bytes: snapshot.versionBytes,
+        categories: snapshot.categories,
+      });
+
+    if (error) throw error;
+  }
+
+  async prune(before) {
+    const { error } = await this.getClient()
+      .from('usage_snapshots')
+      .delete()
+      .lt('taken_at', new Date(before).toISOString());
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Create the snapshot store selected by USAGE_SNAPSHOT_STORE
+ * @param {string} kind - 'file' (default) or 'postgres'
+ * @param {object} options - { baseDir } for the file store
+ * @returns {FileUsageSnapshotStore|PostgresUsageSnapshotStore}
+ */
+export function createUsageSnapshotStore(kind = process.env.USAGE_SNAPSHOT_STORE, { baseDir } = {}) {
+  const normalized = String(kind || 'file').trim().toLowerCase();
+
+  if (normalized === 'postgres') {
+    return new PostgresUsageSnapshotStore();
+  }
+
+  if (normalized !== 'file') {
+    throw new Error(`Unknown USAGE_SNAPSHOT_STORE: ${kind}`);
+  }
+
+  return new FileUsageSnapshotStore(baseDir || path.join(process.cwd(), 'temp', 'usage-snapshots'));
+}
+
+let storeSingleton = null;
+
+// Shared snapshot store for this server process
+export function getUsageSnapshotStore() {
+  if (!storeSingleton) storeSingleton = createUsageSnapshotStore();
+  return storeSingleton;
+}
+
+// scopeKey -> latest walk, and scopeKey -> in-flight walk so concurrent requests share one
+const latestScans = new Map();
+const scans = new Map();
+
+/**
+ * Record a walk as a snapshot unless the bucket has a recent one
+ * Never throws: a failed write only costs a point on the growth chart.
+ * @param {object} scope - Scope from usageScope
+ * @param {object} usage - Usage from scanBucketUsage
+ * @param {object} options - { store, config } (overrides for tests)
+ * @returns {Promise<boolean>} Whether a snapshot was written
+ */
+export async function recordUsageSnapshot(scope, usage, { store = getUsageSnapshotStore(), config = usageConfig() } = {}) {
+  try {
+    const latest = await store.latest(scope);
+    if (latest && usage.scannedAt - Date.parse(latest.takenAt) < config.snapshotIntervalMs) return false;
+    await store.append(scope, toSnapshot(usage));
+    await store.prune(usage.scannedAt - config.retentionMs);
+    return true;
+  } catch (error) {
+    console.warn(`Could not record a usage snapshot for ${scope.bucket}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Walk a bucket now, keep the result for getBucketUsage and record a snapshot
+ * Without a scope (no storage settings), nothing is kept or recorded.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object|null} scope - Scope from usageScope
+ * @param {string} bucket - Bucket name
+ * @param {object} options - { store, config, now } (overrides for tests)
+ * @returns {Promise<object>} Usage from scanBucketUsage
+ */
+export async function measureBucketUsage(supabase, scope, bucket, { store, config, now = Date.now() } = {}) {
+  const usage = await scanBucketUsage(supabase, bucket, { now });
+  if (scope) {
+    latestScans.set(scopeKey(scope), usage);
+    await recordUsageSnapshot(scope, usage, { store, config });
+  }
+  return usage;
+}
+
+/**
+ * Usage of a bucket, from the latest walk when it is recent enough
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} scope - Scope from usageScope
+ * @param {object} options - { refresh, store, config, now } (overrides for tests)
+ * @returns {Promise<object>} Usage from scanBucketUsage
+ */
+export async function getBucketUsage(supabase, scope, { refresh = false, store, config = usageConfig(), now = Date.now() } = {}) {
+  const key = scopeKey(scope);
+  const cached = latestScans.get(key);
+  if (!refresh && cached && now - cached.scannedAt <= config.maxAgeMs) return cached;
+
+  if (!scans.has(key)) {
+    scans.set(key, measureBucketUsage(supabase, scope, scope.bucket, { store, config, now })
+      .finally(() => scans.delete(key)));
+  }
+  return scans.get(key);
+}
+
+/**
+ * Snapshots of a bucket since a point in time, oldest first
+ * @param {object} scope - Scope from usageScope
+ * @param {object} options - { since, store }
+ * @returns {Promise<Array<object>>}
+ */
+export async function listUsageSnapshots(scope, { since = 0, store = getUsageSnapshotStore() } = {}) {
+  return store.list(scope, { since });
+}
@@ -0,0 +1,308 @@
+/**
+ * Trash
+ * Soft delete for storage objects: deleted files and folders are moved under a
+ * per-bucket trash prefix instead of being removed, and can be restored or
+ * purged until the retention window runs out
+ *
+ * Each deletion is one trash item. Its objects are kept at
+ * ".trash/<id>/<original path>" next to a small JSON manifest at
+ * ".trash/<id>.json" that records the original path, who deleted it and when.
+ * Ids start with the deletion time, so expired items can be found from a
+ * listing even when a manifest is missing.
+ */
+import crypto from 'crypto';
+import { listFiles } from './storageOperations.mjs';
+import { listObjectsRecursive, moveFolder } from './folderOperations.mjs';
+import { httpError, isAlreadyExistsError } from './errors.mjs';
+
+export const TRASH_PREFIX = '.trash';
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_CONCURRENCY = 4;
+const REMOVE_BATCH_SIZE = 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const TRASH_ID_PATTERN = /^(\d{13})-[0-9a-f]{8}$/;
+
+// "<user>:<bucket>" -> time of the last expired-item sweep
+const lastSweeps = new Map();
+
+/**
+ * Retention window from TRASH_RETENTION_DAYS
+ * 0 turns the trash off: deletes are permanent again.
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {number} Days trashed items are kept
+ */
+export function getTrashRetentionDays(env = process.env) {
+  const value = env.TRASH_RETENTION_DAYS;
+  if (value === undefined || value === '') return DEFAULT_TRASH_RETENTION_DAYS;
+  const days = Number(value);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Check whether a path is the trash prefix or inside it
+ * @param {string} objectPath - Storage path
+ * @returns {boolean}
+ */
+export const isTrashPath = (objectPath) =>
+  objectPath === TRASH_PREFIX || String(objectPath).startsWith(`${TRASH_PREFIX}/`);
+
+export const isValidTrashId = (id) => typeof id === 'string' && TRASH_ID_PATTERN.test(id);
+
+const newTrashId = (now) => `${now.getTime()}-${crypto.randomBytes(4).toString('hex')}`;
+const manifestPath = (id) => `${TRASH_PREFIX}/${id}.json`;
+const contentPath = (id, originalPath) => `${TRASH_PREFIX}/${id}/${originalPath}`;
+const deletedAtOf = (id) => new Date(Number(id.split('-')[0]));
+
+async function writeManifest(supabase, bucket, manifest) {
+  const { error } = await supabase.storage.from(bucket).upload(
+    manifestPath(manifest.id),
+    Buffer.from(JSON.stringify(manifest)),
+    { contentType: 'application/json', upsert: true },
+  );
+  if (error) throw error;
+}
+
+async function readManifest(supabase, bucket, id) {
+  const { data, error } = await supabase.storage.from(bucket).download(manifestPath(id));
+  if (error) return null;
+  try {
+    return JSON.parse(Buffer.from(await data.arrayBuffer()).toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function removeAll(supabase, bucket, paths) {
+  for (let i = 0; i < paths.length; i += REMOVE_BATCH_SIZE) {
+    const { error } = await supabase.storage.from(bucket).remove(paths.slice(i, i + REMOVE_BATCH_SIZE));
+    if (error) throw error;
+  }
+}
+
+const withExpiry = (manifest, retentionDays) => ({
+  ...manifest,
+  expiresAt: new Date(new Date(manifest.deletedAt).getTime() + retentionDays * DAY_MS).toISOString(),
+});
+
+/**
+ * Move files to the trash, one trash item per file
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - Options
+ * @param {string} options.bucket - Bucket name
+ * @param {string[]} options.paths - Objects to trash
+ * @param {string} options.userId - Deleting user (recorded in the manifest)
+ * @param {Date} options.now - Deletion time
+ * @returns {Promise<{trashed: Array<{id: string, originalPath: string}>, failed: Array<{path: string, message: string}>}>}
+ */
+export async function trashObjects(supabase, { bucket, paths, userId = null, now = new Date() }) {
+  const result = { trashed: [], failed: [] };
+  const pending = [...new Set(paths)];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < pending.length) {
+      const originalPath = pending[next++];
+      if (isTrashPath(originalPath)) {
+        result.failed.push({ path: originalPath, message: 'Items in the trash are purged from the trash view' });
+        continue;
+      }
+
+      const id = newTrashId(now);
+      try {
+        const { error } = await supabase.storage.from(bucket).move(originalPath, contentPath(id, originalPath));
+        if (error) throw error;
+        try {
+          await writeManifest(supabase, bucket, {
+            id, originalPath, isFolder: false, count: 1, deletedAt: now.toISOString(), deletedBy: userId,
+          });
+        } catch (error) {
+          // Without a manifest the item could not be listed or restored, so put the file back
+          await supabase.storage.from(bucket).move(contentPath(id, originalPath), originalPath);
+          throw error;
+        }
+        result.trashed.push({ id, originalPath });
+      } catch (error) {
+        result.failed.push({ path: originalPath, message: error.message || 'Failed to move to trash' });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: TRASH_CONCURRENCY }, worker));
+  return result;
+}
+
+/**
+ * Move a folder and everything under it to the trash as one trash item
+ * The move rolls back if any object fails, so a folder is never half trashed,
+ * and the folder is moved back when its manifest cannot be written.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - { bucket, folderPath, userId, now }
+ * @returns {Promise<{id: string, originalPath: string, count: number}>}
+ * @throws {Error} With statusCode 404 for an empty or missing folder
+ */
+export async function trashFolder(supabase, { bucket, folderPath, userId = null, now = new Date() }) {
+  if (isTrashPath(folderPath)) throw httpError('Items in the trash are purged from the trash view', 400);
+
+  const id = newTrashId(now);
+  const result = await moveFolder(supabase, {
+    bucket,
+    sourcePath: folderPath,
+    destinationPath: contentPath(id, folderPath),
+    conflict: 'fail',
+    onError: 'rollback',
+  });
+  if (result.status !== 'completed') {
+    throw httpError(result.errors[0]?.message || result.message || 'Failed to move folder to trash', 500);
+  }
+
+  try {
+    await writeManifest(supabase, bucket, {
+      id, originalPath: folderPath, isFolder: true, count: result.moved, deletedAt: now.toISOString(), deletedBy: userId,
+    });
+  } catch (error) {
+    // Without a manifest the folder could not be listed or restored, so put it back
+    await moveFolder(supabase, {
+      bucket,
+      sourcePath: contentPath(id, folderPath),
+      destinationPath: folderPath,
+      conflict: 'fail',
+      onError: 'rollback',
+    });
+    throw error;
+  }
+  return { id, originalPath: folderPath, count: result.moved };
+}
+
+/**
+ * List trash items, newest first
+ * Items whose manifest is missing are listed with originalPath null; they can
+ * only be purged.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucket - Bucket name
+ * @param {object} options - { retentionDays }
+ * @returns {Promise<Array<object>>} Items ({ id, originalPath, isFolder, count, deletedAt, deletedBy, expiresAt })
+ */
+export async function listTrash(supabase, bucket, { retentionDays = getTrashRetentionDays() } = {}) {
+  const ids = new Set();
+  for (const item of await listFiles(supabase, bucket, TRASH_PREFIX)) {
+    const id = item.name.replace(/\.json$/, '');
+    if (isValidTrashId(id)) ids.add(id);
+  }
+
+  const items = [];
+  const pending = [...ids];
+  for (let i = 0; i < pending.length; i += TRASH_CONCURRENCY * 2) {
+    await Promise.all(pending.slice(i, i + TRASH_CONCURRENCY * 2).map(async (id) => {
+      const manifest = await readManifest(supabase, bucket, id);
+      items.push(withExpiry(manifest || {
+        id, originalPath: null, isFolder: false, count: null, deletedAt: deletedAtOf(id).toISOString(), deletedBy: null,
+      }, retentionDays));
+    }));
+  }
+
+  return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Restore a trash item to its original path
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - { bucket, id }
+ * @returns {Promise<object>} The restored item's manifest
+ * @throws {Error} With statusCode 404 for an unknown item and 409 when the original path is taken again
+ */
+export async function restoreTrashItem(supabase, { bucket, id }) {
+  if (!isValidTrashId(id)) throw httpError('Trash item not found', 404);
+  const manifest = await readManifest(supabase, bucket, id);
+  if (!manifest) throw httpError('Trash item not found', 404);
+
+  if (manifest.isFolder) {
+    const result = await moveFolder(supabase, {
+      bucket,
+      sourcePath: contentPath(id, manifest.originalPath),
+      destinationPath: manifest.originalPath,
+      conflict: 'fail',
+      onError: 'rollback',
+    });
+    if (result.conflicts.length > 0) {
+      throw httpError(`${result.conflicts.length} object(s) already exist at /${manifest.originalPath}`, 409);
+    }
+    if (result.status !== 'completed') {
+      throw httpError(result.errors[0]?.message || result.message || 'Failed to restore folder', 500);
+    }
+  } else {
+    const { error } = await supabase.storage.from(bucket).move(contentPath(id, manifest.originalPath), manifest.originalPath);
+    if (error) {
+      if (isAlreadyExistsError(error)) {
+        throw httpError(`A file already exists at /${manifest.originalPath}`, 409);
+      }
+      throw error;
+    }
+  }
+
+  // Leftover placeholders of the trashed path, then the manifest
+  await removeAll(supabase, bucket, [
+    ...(await listObjectsRecursive(supabase, bucket, `${TRASH_PREFIX}/${id}`)).map(object => object.path),
+    manifestPath(id),
+  ]);
+  return manifest;
+}
+
+/**
+ * Permanently remove a trash item
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - { bucket, id }
+ * @returns {Promise<number>} Objects removed (not counting the manifest)
+ */
+export async function purgeTrashItem(supabase, { bucket, id }) {
+  if (!isValidTrashId(id)) throw httpError('Trash item not found', 404);
+  const objects = (await listObjectsRecursive(supabase, bucket, `${TRASH_PREFIX}/${id}`)).map(object => object.path);
+  await removeAll(supabase, bucket, [...objects, manifestPath(id)]);
+  return objects.length;
+}
+
+/**
+ * Purge trash items older than the retention window
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {string} bucket - Bucket name
+ * @param {object} options - { retentionDays, now }
+ * @returns {Promise<{purged: string[], count: number}>} Purged item ids and object count
+ */
+export async function purgeExpiredTrash(supabase, bucket, { retentionDays = getTrashRetentionDays(), now = new Date() } = {}) {
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  const ids = new Set();
+  for (const item of await listFiles(supabase, bucket, TRASH_PREFIX)) {
+    const id = item.name.replace(/\.json$/, '');
+    if (isValidTrashId(id) && deletedAtOf(id).getTime() <= cutoff) ids.add(id);
+  }
+
+  const result = { purged: [], count: 0 };
+  for (const id of ids) {
+    result.count += await purgeTrashItem(supabase, { bucket, id });
+    result.purged.push(id);
+  }
+  return result;
+}
+
+/**
+ * Purge expired items at most every few minutes per user and bucket
+ * Called from the delete and trash routes so retention is enforced without a
+ * scheduler; run `--purge-trash` from the CLI for buckets nobody touches.
+ * Never throws.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - { bucket, userId }
+ * @returns {Promise<void>}
+ */
+export async function sweepExpiredTrash(supabase, { bucket, userId }) {
+  const key = `${userId}:${bucket}`;
+  if (Date.now() - (lastSweeps.get(key) || 0) < SWEEP_INTERVAL_MS) return;
+  lastSweeps.set(key, Date.now());
+
+  try {
+    const { purged } = await purgeExpiredTrash(supabase, bucket);
+    if (purged.length > 0) console.log(`Purged ${purged.length} expired trash item(s) from ${bucket}`);
+  } catch (error) {
+    console.warn(`Trash sweep failed for ${bucket}:`, error.message);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * tus 1.0 protocol helpers
+ * Header parsing and formatting for the /api/tus endpoint
+ *
+ * @see https://tus.io/protocols/resumable-upload
+ */
+
+export const TUS_VERSION = '1.0.0';
+export const TUS_EXTENSIONS = ['creation', 'termination', 'checksum', 'expiration'];
+export const TUS_CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+export const TUS_CONTENT_TYPE = 'application/offset+octet-stream';
+
+// Non-standard status defined by the checksum extension
+export const TUS_CHECKSUM_MISMATCH_STATUS = 460;
+
+/**
+ * Parse an Upload-Metadata header into decoded key/value pairs
+ * Format: "key base64value,key2 base64value2,flag"
+ * @param {string} header - Raw Upload-Metadata header
+ * @returns {object} Decoded metadata (keys without a value map to '')
+ * @throws {Error} If a pair is malformed
+ */
+export function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header || typeof header !== 'string') return metadata;
+
+  for (const pair of header.split(',')) {
+    const trimmed = pair.trim();
+    if (!trimmed) continue;
+
+    const [key, value, ...rest] = trimmed.split(/\s+/);
+    if (rest.length > 0 || !/^[^\s,]+$/.test(key)) {
+      throw new Error('Invalid Upload-Metadata header');
+    }
+    if (value !== undefined && !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      throw new Error(`Invalid base64 value for Upload-Metadata key "${key}"`);
+    }
+
+    metadata[key] = value === undefined ? '' : Buffer.from(value, 'base64').toString('utf8');
+  }
+
+  return metadata;
+}
+
+/**
+ * Parse an Upload-Checksum header
+ * Format: "<algorithm> <base64 digest>"
+ * @param {string} header - Raw Upload-Checksum header
+ * @returns {{algorithm: string, value: string}|null} Algorithm and hex digest, or null when absent
+ * @throws {Error} If the algorithm is unsupported or the header is malformed
+ */
+export function parseUploadChecksum(header) {
+  if (!header) return null;
+
+  const [algorithm, digest, ...rest] = String(header).trim().split(/\s+/);
+  const normalized = (algorithm || '').toLowerCase();
+
+  if (!TUS_CHECKSUM_ALGORITHMS.includes(normalized)) {
+    throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
+  }
+  if (!digest || rest.length > 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(digest)) {
+    throw new Error('Invalid Upload-Checksum header');
+  }
+
+  return { algorithm: normalized, value: Buffer.from(digest, 'base64').toString('hex') };
+}
+
+/**
+ * Format an expiry timestamp for the Upload-Expires header (RFC 7231 date)
+ * @param {number} expiresAt - Expiry time in milliseconds
+ * @returns {string} HTTP date
+ */
+export function formatUploadExpires(expiresAt) {
+  return new Date(expiresAt).toUTCString();
+}
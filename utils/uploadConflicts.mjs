@@ -0,0 +1,116 @@
+/**
+ * Upload Conflicts
+ * What an upload does when its storage path is already taken, shared by
+ * /api/upload, direct-upload intents, resumable sessions (tus included) and the CLI
+ *
+ * - rename: upload under the first free "name(2).ext", "name(3).ext", ...
+ * - overwrite: replace the existing object
+ * - skip: upload nothing and report the existing object
+ * - fail: refuse with a 409
+ *
+ * The policy comes from the request, then the user's upload_conflict_policy
+ * setting. Without either, uploads to a chosen path overwrite and uploads
+ * named after the file are renamed, as before policies existed.
+ */
+import { httpError } from './errors.mjs';
+
+export const UPLOAD_CONFLICT_POLICIES = ['rename', 'overwrite', 'skip', 'fail'];
+
+// Error code returned when an upload's path is taken and the policy does not allow replacing it
+export const UPLOAD_CONFLICT_CODE = 'UPLOAD_CONFLICT';
+
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Pick the conflict policy for one upload
+ * @param {string} requested - Policy from the request (optional)
+ * @param {object} options - Options
+ * @param {object} options.settings - User settings (upload_conflict_policy)
+ * @param {boolean} options.customPath - Whether the caller chose the storage path
+ * @returns {string} One of UPLOAD_CONFLICT_POLICIES
+ * @throws {Error} With statusCode 400 for an unknown policy
+ */
+export function resolveConflictPolicy(requested, { settings = {}, customPath = false } = {}) {
+  const policy = requested || settings?.upload_conflict_policy || (customPath ? 'overwrite' : 'rename');
+  if (!UPLOAD_CONFLICT_POLICIES.includes(policy)) {
+    throw httpError(`conflict must be one of: ${UPLOAD_CONFLICT_POLICIES.join(', ')}`, 400);
+  }
+  return policy;
+}
+
+/**
+ * First free "name(N).ext" for a taken file name
+ * @param {string} fileName - File name without folders
+ * @param {Set<string>} taken - Names already used in the folder
+ * @returns {string} fileName itself when it is free
+ */
+export function uniqueUploadName(fileName, taken) {
+  if (!taken.has(fileName)) return fileName;
+
+  const lastDotIndex = fileName.lastIndexOf('.');
+  const base = lastDotIndex > 0 ? fileName.substring(0, lastDotIndex) : fileName;
+  const extension = lastDotIndex > 0 ? fileName.substring(lastDotIndex) : '';
+
+  for (let counter = 2; ; counter++) {
+    const candidate = `${base}(${counter})${extension}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+// Names in a folder starting with a prefix, from one (paged) listing filtered by the storage API
+async function listNamesWithPrefix(supabase, bucket, folderPath, prefix) {
+  const names = new Set();
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await supabase.storage.from(bucket).list(folderPath, {
+      search: prefix,
+      limit: LIST_PAGE_SIZE,
+      offset,
+    });
+    if (error) throw error;
+    (data || []).filter(item => item.id !== null).forEach(item => names.add(item.name));
+    if (!data || data.length < LIST_PAGE_SIZE) return names;
+  }
+}
+
+/**
+ * Apply a conflict policy to an upload's storage path
+ * One listing of the folder, filtered to names starting with the file's base
+ * name, finds both the conflict and every name(N) variant already taken.
+ * @param {SupabaseClient} supabase - Supabase client instance
+ * @param {object} options - Options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.path - Requested storage path
+ * @param {string} options.conflict - One of UPLOAD_CONFLICT_POLICIES
+ * @returns {Promise<{path: string, skip: boolean, exists: boolean, upsert: boolean}>}
+ *   The path to upload to, whether to upload at all, whether the requested path
+ *   was taken, and whether the upload may replace an object
+ * @throws {Error} With statusCode 400 for an unknown policy, or 409 (code UPLOAD_CONFLICT) when the path is taken and the policy is fail
+ */
+export async function resolveUploadTarget(supabase, { bucket, path: storagePath, conflict }) {
+  resolveConflictPolicy(conflict);
+
+  const lastSlashIndex = storagePath.lastIndexOf('/');
+  const folderPath = lastSlashIndex > -1 ? storagePath.substring(0, lastSlashIndex) : '';
+  const fileName = storagePath.substring(lastSlashIndex + 1);
+  const lastDotIndex = fileName.lastIndexOf('.');
+  const base = lastDotIndex > 0 ? fileName.substring(0, lastDotIndex) : fileName;
+
+  const taken = await listNamesWithPrefix(supabase, bucket, folderPath, base);
+  const exists = taken.has(fileName);
+  const upsert = conflict === 'overwrite';
+
+  if (!exists) return { path: storagePath, skip: false, exists, upsert };
+
+  switch (conflict) {
+    case 'overwrite':
+      return { path: storagePath, skip: false, exists, upsert };
+    case 'skip':
+      return { path: storagePath, skip: true, exists, upsert };
+    case 'fail':
+      throw httpError(`A file already exists at /${storagePath}`, 409, { code: UPLOAD_CONFLICT_CODE, path: storagePath });
+    default: {
+      const renamed = uniqueUploadName(fileName, taken);
+      return { path: folderPath ? `${folderPath}/${renamed}` : renamed, skip: false, exists, upsert };
+    }
+  }
+}
@@ -12,9 +12,10 @@
  * @param {Function} onError - Error callback (error: string) => void
  * @param {string} folderPath - Optional folder path to upload to
  * @param {string} accessToken - Optional access token for authentication
+ * @param {string} conflict - Optional conflict policy ('rename', 'overwrite', 'skip' or 'fail'; default: the user's setting)
  * @returns {XMLHttpRequest} The XHR object for potential cancellation
  */
-export function uploadFileWithProgress(file, bucket, onProgress, onSuccess, onError, folderPath = '', accessToken = null) {
+export function uploadFileWithProgress(file, bucket, onProgress, onSuccess, onError, folderPath = '', accessToken = null, conflict = '') {
   const formData = new FormData();
   formData.append('file', file);
   formData.append('bucket', bucket);
@@ -25,6 +26,10 @@ export function uploadFileWithProgress(file, bucket, onProgress, onSuccess, onEr
     formData.append('path', fullPath);
   }
 
+  if (conflict) {
+    formData.append('conflict', conflict);
+  }
+
   const xhr = new XMLHttpRequest();
 
   xhr.upload.addEventListener('progress', (e) => {
@@ -103,3 +108,135 @@ export function uploadFileWithProgress(file, bucket, onProgress, onSuccess, onEr
 
   return xhr;
 }
+
+// Parallel chunk uploads through /api/upload-sessions. Chunks stay under the server's
+// default RESUMABLE_APPEND_MAX_BYTES (6MB).
+export const PARALLEL_CHUNK_SIZE = 5 * 1024 * 1024;
+export const PARALLEL_CHUNK_CONCURRENCY = 4;
+const CHUNK_MAX_RETRIES = 3;
+
+async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function readJsonResponse(response) {
+  try {
+    return await response.json();
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Upload a file as indexed chunks pushed concurrently, then assemble it server-side
+ * Each chunk carries its SHA-256 and is retried with backoff on network errors, 429 and 5xx
+ * @param {File} file - File to upload
+ * @param {string} bucket - Bucket name
+ * @param {object} options - Upload options
+ * @param {Function} options.authFetch - Authenticated fetch from useAuth()
+ * @param {string} options.folderPath - Optional folder path to upload to
+ * @param {Function} options.onProgress - Progress callback (progress: number) => void
+ * @param {number} options.chunkSize - Chunk size in bytes (default: PARALLEL_CHUNK_SIZE)
+ * @param {number} options.concurrency - Chunks in flight at once (default: PARALLEL_CHUNK_CONCURRENCY)
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {string} options.conflict - Optional conflict policy (default: the user's setting)
+ * @returns {Promise<object>} Completion response ({ path, bucket, ... }), or { skipped: true } when the conflict policy skipped the file
+ * @throws {Error} If the session cannot be created, a chunk keeps failing, or completion fails
+ */
+export async function uploadFileInChunks(file, bucket, {
+  authFetch,
+  folderPath = '',
+  onProgress,
+  chunkSize = PARALLEL_CHUNK_SIZE,
+  concurrency = PARALLEL_CHUNK_CONCURRENCY,
+  signal,
+  conflict = '',
+} = {}) {
+  const createResponse = await authFetch('/api/upload-sessions/create', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      bucket,
+      // Without a folder the server names the object after the file, like single-request uploads
+      path: folderPath ? `${folderPath}/${file.name}` : undefined,
+      fileName: file.name,
+      totalSize: file.size,
+      chunkSize,
+      parallel: true,
+      conflict: conflict || undefined,
+    }),
+    signal,
+  });
+  const created = await readJsonResponse(createResponse);
+  if (!createResponse.ok || !created.success) {
+    throw new Error(created.error || 'Failed to create upload session');
+  }
+  if (created.skipped) {
+    return created;
+  }
+
+  const sessionId = created.uploadId;
+  const pending = created.session.missingRanges
+    .flatMap(([first, last]) => Array.from({ length: last - first + 1 }, (_, offset) => first + offset));
+  let uploadedBytes = 0;
+
+  const putChunk = async (index) => {
+    const blob = file.slice(index * chunkSize, Math.min((index + 1) * chunkSize, file.size));
+    const checksum = await sha256Hex(blob);
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      try {
+        response = await authFetch(`/api/upload-sessions/${sessionId}/chunks/${index}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Sha256': checksum },
+          body: blob,
+          signal,
+        });
+      } catch (error) {
+        if (signal?.aborted || attempt >= CHUNK_MAX_RETRIES) throw error;
+      }
+
+      if (response?.ok) break;
+
+      const retryable = !response || response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= CHUNK_MAX_RETRIES) {
+        const data = response ? await readJsonResponse(response) : {};
+        throw new Error(data.error || `Chunk ${index} failed`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+
+    uploadedBytes += blob.size;
+    if (onProgress) {
+      onProgress(Math.round((uploadedBytes / file.size) * 100));
+    }
+  };
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      await putChunk(pending.shift());
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+  } catch (error) {
+    pending.length = 0;
+    // Abort the session so its chunks do not linger on the server until expiry
+    authFetch(`/api/upload-sessions/${sessionId}`, { method: 'DELETE' }).catch(() => {});
+    throw error;
+  }
+
+  const completeResponse = await authFetch(`/api/upload-sessions/${sessionId}/complete`, {
+    method: 'POST',
+    signal,
+  });
+  const completed = await readJsonResponse(completeResponse);
+  if (!completeResponse.ok || !completed.success) {
+    throw new Error(completed.error || 'Failed to complete upload');
+  }
+
+  return completed;
+}
@@ -3,8 +3,10 @@
  * CRUD operations for user settings stored in the central Supabase database
  */
 import { createClient } from '@supabase/supabase-js';
-import { getAuthClientServer } from './authSupabaseClient.js';
-import { encryptApiKey, decryptApiKey, maskApiKey } from './encryption.js';
+import { getAuthClientServer } from './authSupabaseClient.mjs';
+import { encryptApiKey, decryptApiKey, maskApiKey } from './encryption.mjs';
+import { UPLOAD_CONFLICT_POLICIES } from './uploadConflicts.mjs';
+import { httpError } from './errors.mjs';
 
 /**
  * Default settings for new users
@@ -14,6 +16,7 @@ const DEFAULT_SETTINGS = {
   supabase_key_encrypted: null,
   default_bucket: 'files',
   max_retries: 3,
+  upload_conflict_policy: null,
   theme: 'dark',
 };
 
@@ -97,6 +100,7 @@ export async function getUserSettingsForClient(userId) {
     has_supabase_configured: Boolean(settings.supabase_url && settings.supabase_key),
     default_bucket: settings.default_bucket,
     max_retries: settings.max_retries,
+    upload_conflict_policy: settings.upload_conflict_policy || null,
     theme: settings.theme,
     created_at: settings.created_at,
     updated_at: settings.updated_at,
@@ -146,6 +150,15 @@ export async function saveUserSettings(userId, settings) {
     dataToSave.max_retries = parseInt(settings.max_retries) || 3;
   }
 
+  // Empty means automatic (see utils/uploadConflicts.mjs)
+  if (settings.upload_conflict_policy !== undefined) {
+    const policy = settings.upload_conflict_policy || null;
+    if (policy && !UPLOAD_CONFLICT_POLICIES.includes(policy)) {
+      throw httpError(`upload_conflict_policy must be one of: ${UPLOAD_CONFLICT_POLICIES.join(', ')}`, 400);
+    }
+    dataToSave.upload_conflict_policy = policy;
+  }
+
   if (settings.theme !== undefined) {
     dataToSave.theme = settings.theme || 'dark';
   }
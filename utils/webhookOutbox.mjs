@@ -0,0 +1,531 @@
+/**
+ * Webhook Outbox
+ * Durable queue of webhook deliveries with background retries and a dead-letter state
+ *
+ * Every emitted event becomes a delivery record that is persisted before the first attempt,
+ * so events survive failures and restarts. Records move through:
+ *   pending -> delivering -> delivered
+ *                        \-> pending (retry with backoff) -> ... -> dead
+ * Dead deliveries stay in the outbox until an admin replays them.
+ *
+ * Two backends are available, selected with WEBHOOK_OUTBOX_STORE:
+ * - file (default): a JSON document in temp/webhook-outbox
+ * - postgres: the webhook_deliveries table in the auth Supabase project
+ *   (see database/webhook_deliveries.sql)
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getAuthClientServer } from './authSupabaseClient.mjs';
+
+export const OUTBOX_STORE_FILE = 'outbox.json';
+export const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+const MAX_HISTORY_ENTRIES = 20;
+const MAX_BACKOFF_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_RETENTION_DAYS = 7;
+
+/**
+ * JSON-on-disk outbox store
+ * Rewrites the document atomically (temp file + rename), one write at a time
+ */
+export class FileOutboxStore {
+  /**
+   * @param {string} baseDir - Directory holding the outbox document
+   */
+  constructor(baseDir) {
+    this.filePath = path.join(baseDir, OUTBOX_STORE_FILE);
+    this.records = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      this.records = new Map(Object.entries(parsed.deliveries || {}));
+    } catch (error) {
+      console.warn('Ignoring unreadable webhook outbox:', error.message);
+      this.records = new Map();
+    }
+
+    return [...this.records.values()];
+  }
+
+  async save(record) {
+    this.records.set(record.id, { ...record });
+    return this.flush();
+  }
+
+  async delete(id) {
+    if (!this.records.delete(id)) return;
+    return this.flush();
+  }
+
+  flush() {
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const document = JSON.stringify({ version: 1, deliveries: Object.fromEntries(this.records) });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, document);
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    const next = this.writeQueue.then(write);
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+}
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+const fromIso = (value) => (value ? Date.parse(value) : null);
+
+const toRow = (record) => ({
+  id: record.id,
+  event_id: record.eventId,
+  event_type: record.eventType,
+  event: record.event,
+  endpoint: record.endpoint,
+  subscription_id: record.subscriptionId,
+  status: record.status,
+  attempts: record.attempts,
+  max_attempts: record.maxAttempts,
+  next_attempt_at: toIso(record.nextAttemptAt),
+  last_error: record.lastError,
+  last_status: record.lastStatus,
+  history: record.history,
+  created_at: toIso(record.createdAt),
+  updated_at: toIso(record.updatedAt),
+  delivered_at: toIso(record.deliveredAt),
+});
+
+const fromRow = (row) => ({
+  id: row.id,
+  eventId: row.event_id,
+  eventType: row.event_type,
+  event: row.event,
+  endpoint: row.endpoint,
+  subscriptionId: row.subscription_id || null,
+  status: row.status,
+  attempts: Number(row.attempts),
+  maxAttempts: Number(row.max_attempts),
+  nextAttemptAt: fromIso(row.next_attempt_at),
+  lastError: row.last_error,
+  lastStatus: row.last_status,
+  history: row.history || [],
+  createdAt: fromIso(row.created_at),
+  updatedAt: fromIso(row.updated_at),
+  deliveredAt: fromIso(row.delivered_at),
+});
+
+/**
+ * Postgres outbox store backed by the webhook_deliveries table
+ * Uses the service-role auth client, like the resumable session store
+ */
+export class PostgresOutboxStore {
+  constructor(client = null) {
+    this.client = client;
+  }
+
+  getClient() {
+    if (!this.client) this.client = getAuthClientServer();
+    return this.client;
+  }
+
+  async load() {
+    const { data, error } = await this.getClient()
+      .from('webhook_deliveries')
+      .select('*');
+
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  }
+
+  async save(record) {
+    const { error } = await this.getClient()
+      .from('webhook_deliveries')
+      .upsert(toRow(record), { onConflict: 'id' });
+
+    if (error) throw error;
+  }
+
+  async delete(id) {
+    const { error } = await this.getClient()
+      .from('webhook_deliveries')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Create the outbox store configured for this deployment
+ * @param {string} kind - 'file' or 'postgres' (defaults to WEBHOOK_OUTBOX_STORE, then 'file')
+ * @param {object} options - Store options
+ * @param {string} options.baseDir - Directory for the file store
+ * @returns {FileOutboxStore|PostgresOutboxStore}
+ */
+export function createOutboxStore(kind = process.env.WEBHOOK_OUTBOX_STORE, { baseDir } = {}) {
+  const normalized = String(kind || 'file').trim().toLowerCase();
+
+  if (normalized === 'postgres') {
+    return new PostgresOutboxStore();
+  }
+
+  if (normalized !== 'file') {
+    throw new Error(`Unknown WEBHOOK_OUTBOX_STORE: ${kind}`);
+  }
+
+  return new FileOutboxStore(baseDir || path.join(process.cwd(), 'temp', 'webhook-outbox'));
+}
+
+const encodeCursor = (record) => Buffer.from(`${record.createdAt}|${record.id}`).toString('base64url');
+
+function decodeCursor(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  if (!id || !Number.isFinite(Number(createdAt))) throw new Error('Invalid cursor');
+  return { createdAt: Number(createdAt), id };
+}
+
+// Newest first; id breaks ties so pagination is stable
+const compareNewestFirst = (a, b) => (b.createdAt - a.createdAt) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+/**
+ * Persisted webhook delivery queue
+ */
+export class WebhookOutbox {
+  /**
+   * @param {object} options - Outbox options
+   * @param {Function} options.send - (event, { endpoint, secret, timeoutMs }) => Promise<{ok, status, error, durationMs}>
+   * @param {object} options.store - Outbox store (defaults to createOutboxStore())
+   * @param {Function} options.resolveSecret - (record) => signing secret for the record's endpoint
+   * @param {number} options.maxAttempts - Attempts before a delivery is dead-lettered
+   * @param {number} options.baseDelayMs - First retry delay (doubles per attempt, capped at 1 hour)
+   * @param {number} options.timeoutMs - Per-attempt request timeout
+   * @param {number} options.pollIntervalMs - How often the background worker looks for due deliveries
+   * @param {number} options.retentionMs - How long delivered records are kept for the history view
+   * @param {object} options.logger - Logger (console-compatible)
+   */
+  constructor({
+    send,
+    store,
+    resolveSecret = () => process.env.WEBHOOK_SECRET,
+    maxAttempts = 3,
+    baseDelayMs = 500,
+    timeoutMs = 10000,
+    pollIntervalMs = 5000,
+    retentionMs = DEFAULT_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    logger = console,
+  } = {}) {
+    this.send = send;
+    this.store = store || null;
+    this.resolveSecret = resolveSecret;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.retentionMs = retentionMs;
+    this.logger = logger;
+    this.records = new Map();
+    this.ready = null;
+    this.processing = null;
+    this.rescan = false;
+    this.timer = null;
+  }
+
+  async init() {
+    if (!this.ready) {
+      this.ready = this.rehydrate().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async rehydrate() {
+    this.store = this.store || createOutboxStore();
+    const persisted = await this.store.load();
+
+    for (const record of persisted) {
+      if (this.records.has(record.id)) continue;
+      // An attempt interrupted by the restart has an unknown outcome; deliver it again.
+      if (record.status === 'delivering') {
+        record.status = 'pending';
+        await this.store.save(record);
+      }
+      this.records.set(record.id, record);
+    }
+
+    await this.prune();
+  }
+
+  async persist(record) {
+    record.updatedAt = Date.now();
+    try {
+      await this.store.save(record);
+    } catch (error) {
+      this.logger.error?.(`[Webhook] Failed persisting delivery ${record.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add an event to the outbox and trigger delivery in the background
+   * @param {object} event - Event envelope ({ id, type, timestamp, data })
+   * @param {object} target - Delivery target
+   * @param {string} target.endpoint - Webhook URL
+   * @param {string} target.subscriptionId - Subscription whose secret signs the delivery (null for WEBHOOK_URL)
+   * @returns {Promise<object>} Delivery record
+   */
+  async enqueue(event, { endpoint, subscriptionId = null }) {
+    await this.init();
+
+    const now = Date.now();
+    const record = {
+      id: crypto.randomUUID(),
+      eventId: event.id,
+      eventType: event.type,
+      event,
+      endpoint,
+      subscriptionId,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      lastStatus: null,
+      history: [],
+      createdAt: now,
+      updatedAt: now,
+      deliveredAt: null,
+    };
+
+    this.records.set(record.id, record);
+    // Persist before the first attempt: this is what makes the event durable
+    await this.store.save(record);
+    this.kick();
+    return this.serialize(record);
+  }
+
+  /**
+   * Start the background worker
+   * The timer is unref'd so it never keeps the process alive on its own
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.kick(), this.pollIntervalMs);
+    this.timer.unref?.();
+    this.kick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  kick() {
+    this.processDue().catch((error) => {
+      this.logger.error?.(`[Webhook] Outbox processing failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Attempt every delivery that is due
+   * Concurrent calls share one pass, so a record is never attempted twice at once;
+   * a call made while a pass is running makes it scan again before finishing
+   * @param {number} now - Current time (for tests)
+   * @returns {Promise<void>}
+   */
+  async processDue(now) {
+    if (this.processing) {
+      this.rescan = true;
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      await this.init();
+      do {
+        this.rescan = false;
+        const cutoff = now ?? Date.now();
+        const due = [...this.records.values()]
+          .filter(record => record.status === 'pending' && record.nextAttemptAt <= cutoff)
+          .sort((a, b) => a.createdAt - b.createdAt);
+
+        for (const record of due) {
+          await this.attempt(record);
+        }
+      } while (this.rescan);
+      await this.prune();
+    })();
+
+    try {
+      await this.processing;
+    } finally {
+      this.processing = null;
+    }
+  }
+
+  async attempt(record) {
+    record.status = 'delivering';
+    record.attempts += 1;
+    await this.persist(record);
+
+    const startedAt = Date.now();
+    let outcome;
+    try {
+      outcome = await this.send(record.event, {
+        endpoint: record.endpoint,
+        secret: await this.resolveSecret(record),
+        timeoutMs: this.timeoutMs,
+      });
+    } catch (error) {
+      outcome = { ok: false, status: null, error: error.message };
+    }
+
+    const finishedAt = Date.now();
+    record.history = [
+      ...record.history,
+      {
+        attempt: record.attempts,
+        at: new Date(startedAt).toISOString(),
+        ok: Boolean(outcome.ok),
+        status: outcome.status ?? null,
+        error: outcome.ok ? null : (outcome.error || `HTTP ${outcome.status}`),
+        durationMs: outcome.durationMs ?? (finishedAt - startedAt),
+      },
+    ].slice(-MAX_HISTORY_ENTRIES);
+    record.lastStatus = outcome.status ?? null;
+
+    if (outcome.ok) {
+      record.status = 'delivered';
+      record.deliveredAt = finishedAt;
+      record.lastError = null;
+    } else {
+      record.lastError = outcome.error || `HTTP ${outcome.status}`;
+      if (record.attempts >= record.maxAttempts) {
+        record.status = 'dead';
+        this.logger.error?.(`[Webhook] Retry exhausted for event ${record.eventId}; delivery ${record.id} moved to dead letter`);
+      } else {
+        record.status = 'pending';
+        record.nextAttemptAt = finishedAt + Math.min(this.baseDelayMs * (2 ** (record.attempts - 1)), MAX_BACKOFF_MS);
+        this.logger.warn?.(`[Webhook] attempt ${record.attempts} failed for event ${record.eventId}: ${record.lastError}`);
+      }
+    }
+
+    await this.persist(record);
+  }
+
+  // Drop delivered records past the retention window; failed ones are kept for replay
+  async prune(now = Date.now()) {
+    for (const record of [...this.records.values()]) {
+      if (record.status === 'delivered' && record.deliveredAt && now - record.deliveredAt > this.retentionMs) {
+        this.records.delete(record.id);
+        try {
+          await this.store.delete(record.id);
+        } catch (error) {
+          this.logger.warn?.(`[Webhook] Failed pruning delivery ${record.id}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {object} options - Query options
+   * @param {string} options.status - Only deliveries in this status
+   * @param {string} options.eventType - Only deliveries for this event type
+   * @param {number} options.limit - Page size (1-200, default 50)
+   * @param {string} options.cursor - Cursor from a previous page
+   * @returns {Promise<{deliveries: Array<object>, nextCursor: string|null, counts: object}>}
+   */
+  async list({ status, eventType, limit = 50, cursor } = {}) {
+    await this.init();
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    const matching = [...this.records.values()]
+      .filter(record => !status || record.status === status)
+      .filter(record => !eventType || record.eventType === eventType)
+      .sort(compareNewestFirst)
+      .filter(record => !after || compareNewestFirst(record, after) > 0);
+
+    const page = matching.slice(0, pageSize);
+    const counts = Object.fromEntries(DELIVERY_STATUSES.map(name => [name, 0]));
+    for (const record of this.records.values()) counts[record.status] += 1;
+
+    return {
+      deliveries: page.map(record => this.serialize(record)),
+      nextCursor: matching.length > pageSize ? encodeCursor(page[page.length - 1]) : null,
+      counts,
+    };
+  }
+
+  async get(id) {
+    await this.init();
+    const record = this.records.get(id);
+    return record ? this.serialize(record, { includeEvent: true }) : null;
+  }
+
+  /**
+   * Queue a finished delivery again with a fresh attempt budget
+   * Earlier attempts stay in the history
+   * @param {string} id - Delivery ID
+   * @returns {Promise<{success: boolean, delivery?: object, error?: string, status?: number}>}
+   */
+  async replay(id) {
+    await this.init();
+
+    const record = this.records.get(id);
+    if (!record) {
+      return { error: 'Delivery not found', status: 404 };
+    }
+
+    if (record.status === 'pending' || record.status === 'delivering') {
+      return { error: `Delivery is already ${record.status}`, status: 409 };
+    }
+
+    record.status = 'pending';
+    record.attempts = 0;
+    record.maxAttempts = this.maxAttempts;
+    record.nextAttemptAt = Date.now();
+    record.deliveredAt = null;
+    await this.persist(record);
+    this.kick();
+
+    return { success: true, delivery: this.serialize(record) };
+  }
+
+  serialize(record, { includeEvent = false } = {}) {
+    return {
+      id: record.id,
+      eventId: record.eventId,
+      eventType: record.eventType,
+      endpoint: record.endpoint,
+      subscriptionId: record.subscriptionId || null,
+      status: record.status,
+      attempts: record.attempts,
+      maxAttempts: record.maxAttempts,
+      nextAttemptAt: record.status === 'pending' ? toIso(record.nextAttemptAt) : null,
+      lastError: record.lastError,
+      lastStatus: record.lastStatus,
+      createdAt: toIso(record.createdAt),
+      updatedAt: toIso(record.updatedAt),
+      deliveredAt: toIso(record.deliveredAt),
+      history: record.history,
+      ...(includeEvent ? { event: record.event } : {}),
+    };
+  }
+}
@@ -0,0 +1,436 @@
+/**
+ * Webhook Subscriptions
+ * Per-user webhook endpoints stored in the central Supabase database
+ *
+ * Each subscription has its own signing secret (encrypted at rest), an event-type
+ * filter and an optional bucket/prefix filter. Its scope decides whose events it gets:
+ * 'own' subscriptions only receive events caused by their owner, 'bucket' subscriptions
+ * receive every user's events in their bucket of the storage project, and with the key,
+ * the owner had configured when subscribing.
+ */
+import crypto from 'crypto';
+import { getAuthClientServer } from './authSupabaseClient.mjs';
+import { encrypt, decrypt, decryptApiKey, maskApiKey, keyFingerprint } from './encryption.mjs';
+import { validateBucketName, validateStoragePath } from './security.mjs';
+import { httpError } from './errors.mjs';
+
+export const WEBHOOK_EVENT_TYPES = [
+  'upload.started',
+  'upload.completed',
+  'upload.failed',
+  'file.deleted',
+  'file.moved',
+  'file.renamed',
+  'file.copied',
+  'file.version_restored',
+  'folder.created',
+  'folder.deleted',
+  'folder.moved',
+  'folder.renamed',
+  'folder.copied',
+  'transfer.completed',
+  'trash.restored',
+  'trash.purged',
+];
+
+export const WEBHOOK_SCOPES = ['own', 'bucket'];
+
+export const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+const MIN_SECRET_LENGTH = 16;
+const CACHE_TTL_MS = 30 * 1000;
+
+// Event data fields that carry object paths, checked against the prefix filter
+const PATH_FIELDS = ['path', 'sourcePath', 'destinationPath', 'oldPath', 'newPath'];
+
+// 'user:<userId>' -> own subscriptions, 'project:<userId>' -> storage project URL and key fingerprint,
+// 'bucket:<projectUrl>#<keyFingerprint>#<bucket>' -> bucket subscriptions; each entry is { expiresAt, value }
+const subscriptionCache = new Map();
+
+/**
+ * Check an event type against a filter list
+ * Patterns are exact types, a family wildcard such as "upload.*", or "*"
+ * @param {string[]} patterns - Event-type filter
+ * @param {string} type - Event type
+ * @returns {boolean}
+ */
+export function matchesEventType(patterns, type) {
+  return patterns.some((pattern) => {
+    if (pattern === '*' || pattern === type) return true;
+    return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+  });
+}
+
+const isUnderPrefix = (objectPath, prefix) =>
+  typeof objectPath === 'string' && (objectPath === prefix || objectPath.startsWith(`${prefix}/`));
+
+/**
+ * Check whether a subscription wants an event
+ * Bucket-scoped subscriptions are only loaded for events in their own storage project
+ * (see getActiveSubscriptions), so only personal ones are checked against the event's user.
+ * @param {object} subscription - Subscription ({ userId, scope, eventTypes, bucket, prefix, enabled })
+ * @param {object} event - Event envelope ({ type, data })
+ * @returns {boolean}
+ */
+export function subscriptionMatches(subscription, event) {
+  if (subscription.enabled === false) return false;
+  if (!matchesEventType(subscription.eventTypes, event.type)) return false;
+
+  const data = event.data || {};
+  if (subscription.scope !== 'bucket' && subscription.userId && data.userId !== subscription.userId) return false;
+  if (subscription.bucket && data.bucket !== subscription.bucket) return false;
+  if (!subscription.prefix) return true;
+
+  const paths = [...PATH_FIELDS.map(field => data[field]), ...(data.paths || [])];
+  return paths.some(objectPath => isUnderPrefix(objectPath, subscription.prefix));
+}
+
+/**
+ * Narrow a multi-object event to the objects under the subscription's prefix
+ * @param {object} subscription - Matching subscription
+ * @param {object} event - Event envelope
+ * @returns {object} Event to deliver to this subscription
+ */
+export function scopeEventToSubscription(subscription, event) {
+  if (!subscription.prefix || !Array.isArray(event.data?.paths)) return event;
+
+  const paths = event.data.paths.filter(objectPath => isUnderPrefix(objectPath, subscription.prefix));
+  return { ...event, data: { ...event.data, paths, count: paths.length } };
+}
+
+/**
+ * Validate and normalize subscription fields from a request body
+ * @param {object} input - { url, secret, eventTypes, scope, bucket, prefix, enabled }
+ * @param {object} options - Validation options
+ * @param {boolean} options.partial - Only validate the fields that are present (updates)
+ * @returns {object} Normalized fields
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+export function validateSubscriptionInput(input = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (input.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(input.url || ''));
+    } catch {
+      throw httpError('url must be a valid URL', 400);
+    }
+    if (!['https:', 'http:'].includes(url.protocol)) {
+      throw httpError('url must use http or https', 400);
+    }
+    fields.url = url.toString();
+  }
+
+  if (input.secret !== undefined) {
+    if (typeof input.secret !== 'string' || input.secret.length < MIN_SECRET_LENGTH) {
+      throw httpError(`secret must be at least ${MIN_SECRET_LENGTH} characters`, 400);
+    }
+    fields.secret = input.secret;
+  }
+
+  if (input.eventTypes !== undefined || !partial) {
+    const eventTypes = input.eventTypes ?? ['*'];
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      throw httpError('eventTypes must be a non-empty array', 400);
+    }
+    for (const pattern of eventTypes) {
+      const known = pattern === '*'
+        || WEBHOOK_EVENT_TYPES.includes(pattern)
+        || (typeof pattern === 'string' && pattern.endsWith('.*') && WEBHOOK_EVENT_TYPES.some(type => type.startsWith(pattern.slice(0, -1))));
+      if (!known) {
+        throw httpError(`Unknown event type: ${pattern}`, 400);
+      }
+    }
+    fields.eventTypes = [...new Set(eventTypes)];
+  }
+
+  if (input.bucket !== undefined) {
+    if (input.bucket) {
+      const bucketValidation = validateBucketName(String(input.bucket).trim());
+      if (!bucketValidation.valid) throw httpError(bucketValidation.error, 400);
+    }
+    fields.bucket = input.bucket ? String(input.bucket).trim() : null;
+  }
+
+  if (input.scope !== undefined || !partial) {
+    const scope = input.scope ?? 'own';
+    if (!WEBHOOK_SCOPES.includes(scope)) {
+      throw httpError(`scope must be one of: ${WEBHOOK_SCOPES.join(', ')}`, 400);
+    }
+    if (scope === 'bucket' && !fields.bucket && (!partial || fields.bucket === null)) {
+      throw httpError('A bucket subscription needs a bucket', 400);
+    }
+    fields.scope = scope;
+  }
+
+  if (input.prefix !== undefined) {
+    const prefix = String(input.prefix || '').replace(/^\/+|\/+$/g, '');
+    if (prefix) {
+      const prefixValidation = validateStoragePath(prefix);
+      if (!prefixValidation.valid) throw httpError(prefixValidation.error, 400);
+      fields.prefix = prefixValidation.sanitized;
+    } else {
+      fields.prefix = null;
+    }
+  }
+
+  if (input.enabled !== undefined) {
+    fields.enabled = Boolean(input.enabled);
+  }
+
+  return fields;
+}
+
+const fromRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  url: row.url,
+  eventTypes: row.event_types || ['*'],
+  scope: row.scope || 'own',
+  bucket: row.bucket,
+  prefix: row.prefix,
+  enabled: row.enabled,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Client-safe version: the secret is only ever shown as a hint
+const toClient = (row) => {
+  let secretHint = null;
+  try {
+    secretHint = maskApiKey(decrypt(row.secret_encrypted));
+  } catch (error) {
+    console.error('Failed to decrypt webhook secret:', error.message);
+  }
+  return { ...fromRow(row), secretHint };
+};
+
+const toRow = (fields) => {
+  const row = {};
+  if (fields.url !== undefined) row.url = fields.url;
+  if (fields.secret !== undefined) row.secret_encrypted = encrypt(fields.secret);
+  if (fields.eventTypes !== undefined) row.event_types = fields.eventTypes;
+  if (fields.scope !== undefined) row.scope = fields.scope;
+  if (fields.bucket !== undefined) row.bucket = fields.bucket;
+  if (fields.projectUrl !== undefined) row.project_url = fields.projectUrl;
+  if (fields.keyFingerprint !== undefined) row.key_fingerprint = fields.keyFingerprint;
+  if (fields.prefix !== undefined) row.prefix = fields.prefix;
+  if (fields.enabled !== undefined) row.enabled = fields.enabled;
+  return row;
+};
+
+// Read through the cache: every storage event looks subscriptions up
+async function cached(key, load) {
+  const entry = subscriptionCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+  const value = await load();
+  subscriptionCache.set(key, { expiresAt: Date.now() + CACHE_TTL_MS, value });
+  return value;
+}
+
+// Storage project a user has configured: { projectUrl, keyFingerprint }, or null.
+// Two keys for one project can see different buckets, so the key is part of the scope
+// like in searchScope and usageScope.
+const storageProjectOf = (userId) => cached(`project:${userId}`, async () => {
+  const { data, error } = await getAuthClientServer()
+    .from('user_settings')
+    .select('supabase_url, supabase_key_encrypted')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data?.supabase_url || !data.supabase_key_encrypted) return null;
+  try {
+    return { projectUrl: data.supabase_url, keyFingerprint: keyFingerprint(decryptApiKey(data.supabase_key_encrypted)) };
+  } catch (decryptError) {
+    console.error('Failed to decrypt API key:', decryptError.message);
+    return null;
+  }
+});
+
+// A bucket subscription is pinned to the project and key its owner has configured when it is saved
+async function withProject(userId, fields) {
+  if (fields.scope !== 'bucket') return fields;
+
+  subscriptionCache.delete(`project:${userId}`);
+  const project = await storageProjectOf(userId);
+  if (!project) {
+    throw httpError('Configure a storage connection before subscribing to a bucket', 400);
+  }
+  return { ...fields, ...project };
+}
+
+// The table refuses a bucket scope without a bucket, e.g. when an update only changes the scope
+const constraintError = (error) => (
+  error?.code === '23514' ? httpError('A bucket subscription needs a bucket', 400) : error
+);
+
+/**
+ * List a user's subscriptions (client-safe)
+ *
+ * @param {string} userId - The user's UUID
+ * @returns {Promise<object[]>}
+ */
+export async function listSubscriptions(userId) {
+  if (!userId) {
+    throw new Error('userId is required');
+  }
+
+  const { data, error } = await getAuthClientServer()
+    .from('webhook_subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(toClient);
+}
+
+/**
+ * Create a subscription
+ * A signing secret is generated when none is given; it is returned once, here.
+ *
+ * @param {string} userId - The user's UUID
+ * @param {object} input - Subscription fields (see validateSubscriptionInput)
+ * @returns {Promise<{subscription: object, secret: string}>}
+ */
+export async function createSubscription(userId, input) {
+  if (!userId) {
+    throw new Error('userId is required');
+  }
+
+  const fields = await withProject(userId, validateSubscriptionInput(input));
+  const secret = fields.secret || crypto.randomBytes(32).toString('hex');
+  const supabase = getAuthClientServer();
+
+  const { count, error: countError } = await supabase
+    .from('webhook_subscriptions')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (countError) throw countError;
+  if (count >= MAX_SUBSCRIPTIONS_PER_USER) {
+    throw httpError(`A user can have at most ${MAX_SUBSCRIPTIONS_PER_USER} webhook subscriptions`, 400);
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .insert({ user_id: userId, ...toRow({ ...fields, secret }) })
+    .select()
+    .single();
+
+  if (error) throw constraintError(error);
+  subscriptionCache.clear();
+  return { subscription: toClient(data), secret };
+}
+
+/**
+ * Update a subscription owned by the user
+ *
+ * @param {string} userId - The user's UUID
+ * @param {string} subscriptionId - Subscription UUID
+ * @param {object} input - Fields to change
+ * @returns {Promise<object|null>} Updated subscription, or null when not found
+ */
+export async function updateSubscription(userId, subscriptionId, input) {
+  const fields = await withProject(userId, validateSubscriptionInput(input, { partial: true }));
+
+  const { data, error } = await getAuthClientServer()
+    .from('webhook_subscriptions')
+    .update({ ...toRow(fields), updated_at: new Date().toISOString() })
+    .eq('id', subscriptionId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw constraintError(error);
+  subscriptionCache.clear();
+  return data ? toClient(data) : null;
+}
+
+/**
+ * Delete a subscription owned by the user
+ * Deliveries already in the outbox fail once the secret is gone.
+ *
+ * @param {string} userId - The user's UUID
+ * @param {string} subscriptionId - Subscription UUID
+ * @returns {Promise<boolean>} True if a subscription was deleted
+ */
+export async function deleteSubscription(userId, subscriptionId) {
+  const { data, error } = await getAuthClientServer()
+    .from('webhook_subscriptions')
+    .delete()
+    .eq('id', subscriptionId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) throw error;
+  subscriptionCache.clear();
+  return (data || []).length > 0;
+}
+
+const ACTIVE_COLUMNS = 'id, user_id, url, event_types, scope, bucket, prefix, enabled, created_at, updated_at';
+
+/**
+ * Enabled subscriptions that may want an event: the user's own, plus every bucket
+ * subscription on the event's bucket in the user's storage project, seen with the same key
+ *
+ * @param {string} userId - UUID of the user who caused the event
+ * @param {string} bucket - Bucket of the event
+ * @returns {Promise<object[]>}
+ */
+export async function getActiveSubscriptions(userId, bucket) {
+  if (!userId) return [];
+
+  const own = await cached(`user:${userId}`, async () => {
+    const { data, error } = await getAuthClientServer()
+      .from('webhook_subscriptions')
+      .select(ACTIVE_COLUMNS)
+      .eq('user_id', userId)
+      .eq('scope', 'own')
+      .eq('enabled', true);
+
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  });
+
+  const project = bucket ? await storageProjectOf(userId) : null;
+  if (!project) return own;
+
+  const shared = await cached(`bucket:${project.projectUrl}#${project.keyFingerprint}#${bucket}`, async () => {
+    const { data, error } = await getAuthClientServer()
+      .from('webhook_subscriptions')
+      .select(ACTIVE_COLUMNS)
+      .eq('scope', 'bucket')
+      .eq('project_url', project.projectUrl)
+      .eq('key_fingerprint', project.keyFingerprint)
+      .eq('bucket', bucket)
+      .eq('enabled', true);
+
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  });
+
+  return [...own, ...shared];
+}
+
+/**
+ * Decrypted signing secret of a subscription (server-side only)
+ *
+ * @param {string} subscriptionId - Subscription UUID
+ * @returns {Promise<string>}
+ * @throws {Error} If the subscription no longer exists
+ */
+export async function getSubscriptionSecret(subscriptionId) {
+  const { data, error } = await getAuthClientServer()
+    .from('webhook_subscriptions')
+    .select('secret_encrypted')
+    .eq('id', subscriptionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new Error('Webhook subscription no longer exists');
+  return decrypt(data.secret_encrypted);
+}